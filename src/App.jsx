@@ -15,6 +15,7 @@ import { RMTPanel } from './components/ui/RMTPanel';
 import { MTDebugOverlay } from './components/ui/MTDebugOverlay';
 import { useTMSStore } from './stores/tmsStore';
 import { getScaleData } from './utils/scaleNormalization';
+import { getTarget } from './constants/targets';
 import './App.css';
 
 // Target info popup component
@@ -63,7 +64,9 @@ function TargetPopup({ target, onClose }) {
     },
   };
   
-  const info = targetInfo[target] || { title: target, description: '' };
+  const electrode = getTarget(target);
+  const info = targetInfo[target] ||
+    (electrode ? { title: electrode.name, description: electrode.description } : { title: target, description: '' });
   
   return (
     <div className="target-popup-overlay" onClick={onClose}>
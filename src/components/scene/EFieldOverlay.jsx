@@ -0,0 +1,110 @@
+/**
+ * EFieldOverlay.jsx
+ * =================
+ * Heat map of the approximate induced E-field at cortical depth, painted
+ * on a copy of the smooth coil proxy surface. Recomputed from the
+ * smoothed coil pose, selected coil and stimulator output whenever any
+ * changes, at most every RECOMPUTE_MS; see engine/efieldModel.js.
+ */
+
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { useTMSStore } from '../../stores/tmsStore';
+import { getCoil } from '../../constants/coils';
+import { EFIELD_CONSTANTS, sampleCorticalField, getEFieldColor } from '../../engine/efieldModel';
+
+const RECOMPUTE_MS = 60;
+
+// Pose changes below these are not worth a recompute
+const POSITION_EPSILON = 0.0002; // m
+const ROTATION_EPSILON = 0.0005; // Quaternion component
+
+const changed = (a, b, epsilon) => !b || a.some((v, i) => Math.abs(v - b[i]) > epsilon);
+
+/**
+ * @param {Object} props
+ * @param {THREE.Mesh} props.surfaceMesh - Coil proxy surface (world space)
+ * @param {THREE.Vector3} props.headCenter - Sphere centre for the field model
+ * @param {number} props.surfaceOffsetMm - Proxy height above the scalp
+ * @param {(peak: number | null) => void} [props.onPeakChange] - Peak V/m,
+ *   rounded; null without a stimulator output
+ */
+export function EFieldOverlay({ surfaceMesh, headCenter, surfaceOffsetMm, onPeakChange }) {
+  const lastRef = useRef({ time: 0, position: null, rotation: null, intensity: null, coilKey: null, peak: undefined });
+  const valuesRef = useRef(null);
+
+  const geometry = useMemo(() => {
+    const copy = surfaceMesh.geometry.clone();
+    const count = copy.attributes.position.count;
+    copy.setAttribute('color', new THREE.BufferAttribute(new Float32Array(count * 4), 4));
+    return copy;
+  }, [surfaceMesh]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  // Repaint on the next frame after a rebuild
+  useEffect(() => {
+    lastRef.current = { time: 0, position: null, rotation: null, intensity: null, coilKey: null, peak: undefined };
+  }, [geometry, headCenter]);
+
+  useEffect(() => () => onPeakChange?.(null), [onPeakChange]);
+
+  useFrame(() => {
+    const now = performance.now();
+    const last = lastRef.current;
+    if (now - last.time < RECOMPUTE_MS) return;
+
+    const { coilPosition, coilRotation, coilKey, getStimulatorOutput } = useTMSStore.getState();
+    const intensity = getStimulatorOutput();
+    if (
+      intensity === last.intensity &&
+      coilKey === last.coilKey &&
+      !changed(coilPosition, last.position, POSITION_EPSILON) &&
+      !changed(coilRotation, last.rotation, ROTATION_EPSILON)
+    ) return;
+
+    lastRef.current = { ...last, time: now, position: coilPosition, rotation: coilRotation, intensity, coilKey };
+
+    const { values, peak } = sampleCorticalField(
+      geometry.attributes.position.array,
+      geometry.attributes.normal.array,
+      {
+        position: coilPosition,
+        quaternion: coilRotation,
+        center: [headCenter.x, headCenter.y, headCenter.z],
+        intensity: intensity ?? 0,
+        depthMm: EFIELD_CONSTANTS.cortexDepthMm + surfaceOffsetMm,
+        field: getCoil(coilKey).field,
+      },
+      valuesRef.current
+    );
+    valuesRef.current = values;
+
+    const colors = geometry.attributes.color.array;
+    for (let i = 0; i < values.length; i++) {
+      colors.set(getEFieldColor(values[i]), i * 4);
+    }
+    geometry.attributes.color.needsUpdate = true;
+
+    const rounded = intensity === null ? null : Math.round(peak);
+    if (rounded !== lastRef.current.peak) {
+      lastRef.current.peak = rounded;
+      onPeakChange?.(rounded);
+    }
+  });
+
+  return (
+    <mesh geometry={geometry} renderOrder={1}>
+      <meshBasicMaterial
+        vertexColors
+        transparent
+        side={THREE.DoubleSide}
+        depthWrite={false}
+        polygonOffset
+        polygonOffsetFactor={-1}
+        toneMapped={false}
+      />
+    </mesh>
+  );
+}
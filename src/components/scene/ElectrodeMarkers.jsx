@@ -0,0 +1,95 @@
+/**
+ * ElectrodeMarkers.jsx
+ * ====================
+ * Markers for targets positioned from the fiducials (engine/tenTen.js)
+ * rather than the head model: the 10-20 / 10-10 electrodes, and any
+ * named target the model has no marker for.
+ *
+ * Named fallbacks and the selected electrode are always drawn; the
+ * other electrodes only with the grid shown. Hovering or selecting one
+ * labels it.
+ */
+
+import React, { useState } from 'react';
+import { Html } from '@react-three/drei';
+import * as THREE from 'three';
+import { useTMSStore } from '../../stores/tmsStore';
+import { getTarget, ELECTRODE_TARGETS } from '../../constants/targets';
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.showGrid - Draw every electrode
+ * @param {string | null} props.selectedTarget
+ * @param {(name: string) => void} [props.onTargetClick]
+ */
+export function ElectrodeMarkers({ showGrid, selectedTarget, onTargetClick }) {
+  const targetPositions = useTMSStore(s => s.targetPositions);
+  const markerPositions = useTMSStore(s => s.markerPositions);
+  const [hovered, setHovered] = useState(null);
+
+  if (!targetPositions) return null;
+
+  const computed = Object.entries(targetPositions).filter(([key]) => !markerPositions?.[key]);
+
+  return (
+    <group>
+      {computed.map(([key, position]) => {
+        const isElectrode = Boolean(ELECTRODE_TARGETS[key]);
+        const isSelected = selectedTarget === key;
+        if (isElectrode && !showGrid && !isSelected) return null;
+
+        const { color } = getTarget(key);
+        return (
+          <group key={key} position={[position.x, position.y, position.z]}>
+            <mesh
+              onClick={(e) => {
+                e.stopPropagation();
+                onTargetClick?.(key);
+              }}
+              onPointerOver={(e) => {
+                e.stopPropagation();
+                setHovered(key);
+                document.body.style.cursor = 'pointer';
+              }}
+              onPointerOut={() => {
+                setHovered(current => (current === key ? null : current));
+                document.body.style.cursor = 'default';
+              }}
+            >
+              <sphereGeometry args={[isElectrode ? 0.0025 : 0.004, 12, 12]} />
+              <meshStandardMaterial
+                color={color}
+                emissive={color}
+                emissiveIntensity={isSelected ? 0.8 : 0.3}
+              />
+            </mesh>
+
+            {isSelected && (
+              <mesh rotation={[Math.PI / 2, 0, 0]}>
+                <ringGeometry args={[0.005, 0.0065, 32]} />
+                <meshBasicMaterial color="#ffffff" side={THREE.DoubleSide} />
+              </mesh>
+            )}
+
+            {(isSelected || hovered === key) && (
+              <Html position={[0, 0.008, 0]} center style={{ pointerEvents: 'none' }}>
+                <div style={{
+                  background: 'rgba(0, 0, 0, 0.8)',
+                  color,
+                  padding: '1px 5px',
+                  borderRadius: '3px',
+                  fontSize: '9px',
+                  fontFamily: 'monospace',
+                  fontWeight: 'bold',
+                  whiteSpace: 'nowrap',
+                }}>
+                  {key}
+                </div>
+              </Html>
+            )}
+          </group>
+        );
+      })}
+    </group>
+  );
+}
@@ -7,15 +7,22 @@
  * - Auto-normalization to 0.22m world size
  * - Clickable target markers
  * - Scalp mesh extraction for raycasting
+ * - Imported GLB/OBJ/STL heads (utils/headImport.js): while one is being
+ *   marked, clicks on the surface place the active landmark
  */
 
-import React, { useRef, useMemo, useEffect } from 'react';
+import React, { useRef, useMemo, useEffect, useState } from 'react';
 import { useGLTF } from '@react-three/drei';
+import { useThree } from '@react-three/fiber';
 import { useTMSStore } from '../../stores/tmsStore';
 import { normalizeModelScale, validateRadiologicConvention } from '../../utils/scaleNormalization';
+import { parseHeadFile, buildImportedHead, landmarksToWorld, disposeHead } from '../../utils/headImport';
 import { TARGETS, TARGET_COLORS, FIDUCIAL_COLOR } from '../../constants/targets';
 import * as THREE from 'three';
 
+// A press that moves further than this is a camera drag, not a click
+const CLICK_TOLERANCE_PX = 5;
+
 // Map alternate names to standard fiducial names
 const FIDUCIAL_ALIASES = {
   'NASION': 'Nasion',
@@ -75,12 +82,100 @@ function TargetMarker({ position, name, info, onClick, isSelected, isFiducial })
   );
 }
 
-export function HeadModel({ onHeadMeshReady, onFiducialsReady, onTargetClick, selectedTarget }) {
-  const groupRef = useRef();
-  const headMeshRef = useRef();
+/**
+ * Shared view of a head: reports its mesh, fiducials and targets and draws
+ * the markers
+ * @param {Object} props
+ * @param {THREE.Object3D} props.scene
+ * @param {THREE.Mesh | null} props.headMesh
+ * @param {Object<string, THREE.Vector3>} props.targets - Named target markers
+ * @param {Object<string, THREE.Vector3>} props.fiducials - Fiducial markers
+ * @param {Object<string, THREE.Vector3> | null} props.reportedFiducials -
+ *   Fiducials passed on to onFiducialsReady
+ * @param {(localPoint: number[]) => void} [props.onSurfaceClick] - Clicks
+ *   on the head, in the scene's own frame
+ */
+function HeadView({
+  scene,
+  headMesh,
+  targets,
+  fiducials,
+  reportedFiducials,
+  onHeadMeshReady,
+  onFiducialsReady,
+  onTargetClick,
+  selectedTarget,
+  onSurfaceClick,
+}) {
+  const setTargetPositions = useTMSStore(s => s.setTargetPositions);
+  
+  // Store target positions in global state
+  useEffect(() => {
+    setTargetPositions(targets);
+    console.log('[HeadModel] Targets extracted:', Object.keys(targets));
+  }, [targets, setTargetPositions]);
+  useEffect(() => () => setTargetPositions(null), [setTargetPositions]);
+  
+  // Notify parent when head mesh is ready
+  useEffect(() => {
+    if (!headMesh) return undefined;
+    onHeadMeshReady?.(headMesh);
+    return () => onHeadMeshReady?.(null);
+  }, [headMesh, onHeadMeshReady]);
+  
+  // Notify parent when fiducials are extracted
+  useEffect(() => {
+    if (!reportedFiducials) return undefined;
+    const foundKeys = Object.keys(reportedFiducials);
+    onFiducialsReady?.(reportedFiducials);
+    console.log('[HeadModel] Fiducials extracted:', foundKeys, 
+      foundKeys.length === 4 ? '✓ Complete' : `⚠ Missing ${4 - foundKeys.length}`);
+    return () => onFiducialsReady?.(null);
+  }, [reportedFiducials, onFiducialsReady]);
   
+  const handleSurfaceClick = (e) => {
+    if (e.delta > CLICK_TOLERANCE_PX || e.nativeEvent.button !== 0 || e.nativeEvent.shiftKey) return;
+    e.stopPropagation();
+    onSurfaceClick(scene.worldToLocal(e.point.clone()).toArray());
+  };
+  
+  return (
+    <group>
+      {/* Head model */}
+      <primitive object={scene} onClick={onSurfaceClick ? handleSurfaceClick : undefined} />
+      
+      {/* Target markers (EEG positions) */}
+      {Object.entries(targets).map(([name, position]) => (
+        <TargetMarker
+          key={name}
+          position={[position.x, position.y, position.z]}
+          name={name}
+          info={TARGETS[name]}
+          onClick={onTargetClick}
+          isSelected={selectedTarget === name}
+          isFiducial={false}
+        />
+      ))}
+      
+      {/* Fiducial markers (anatomical landmarks) */}
+      {Object.entries(fiducials).map(([name, position]) => (
+        <TargetMarker
+          key={name}
+          position={[position.x, position.y, position.z]}
+          name={name}
+          info={{ description: `${name} fiducial landmark` }}
+          onClick={onTargetClick}
+          isSelected={selectedTarget === name}
+          isFiducial={true}
+        />
+      ))}
+    </group>
+  );
+}
+
+// The bundled head.glb, with targets and fiducials from its named marker meshes
+function BundledHead(props) {
   const gltf = useGLTF(`${import.meta.env.BASE_URL}models/head.glb`);
-  const { setTargetPositions } = useTMSStore();
   
   // Clone and process the model
   const { scene: clonedScene, targets, fiducials, headMesh } = useMemo(() => {
@@ -172,66 +267,147 @@ export function HeadModel({ onHeadMeshReady, onFiducialsReady, onTargetClick, se
     };
   }, [gltf]);
   
-  // Store target positions in global state
+  return (
+    <HeadView
+      {...props}
+      scene={clonedScene}
+      headMesh={headMesh}
+      targets={targets}
+      fiducials={fiducials}
+      reportedFiducials={Object.keys(fiducials).length > 0 ? fiducials : null}
+    />
+  );
+}
+
+/**
+ * A head parsed from a user's file. Landmarks are placed by the user;
+ * the head is posed once all four fiducials are marked.
+ * @param {Object} props
+ * @param {ArrayBuffer} props.buffer - File contents
+ * @param {'glb' | 'obj' | 'stl'} props.format
+ * @param {Object<string, number[]>} props.landmarks - Model frame
+ * @param {boolean} [props.marking] - Clicks on the head mark landmarks
+ */
+function ImportedHead({ buffer, format, landmarks, marking = false, ...props }) {
+  const [model, setModel] = useState(null);
+  const { gl } = useThree();
+  const activeKey = useTMSStore(s => (marking ? s.headDraft?.activeKey : null));
+  const markHeadLandmark = useTMSStore(s => s.markHeadLandmark);
+  const setHeadDraftBodyCentre = useTMSStore(s => s.setHeadDraftBodyCentre);
+  const failHeadLoad = useTMSStore(s => s.failHeadLoad);
+  
   useEffect(() => {
-    if (Object.keys(targets).length > 0) {
-      setTargetPositions(targets);
-      console.log('[HeadModel] Targets extracted:', Object.keys(targets));
-    }
-  }, [targets, setTargetPositions]);
+    let cancelled = false;
+    let parsed = null;
+    parseHeadFile(buffer, format)
+      .then((result) => {
+        if (cancelled) {
+          disposeHead(result);
+          return;
+        }
+        parsed = result;
+        setModel(result);
+      })
+      .catch((err) => {
+        console.warn('[HeadModel] Failed to read head file:', err);
+        if (!cancelled) failHeadLoad(`The ${format.toUpperCase()} file could not be read`);
+      });
+    return () => {
+      cancelled = true;
+      if (parsed) disposeHead(parsed);
+    };
+  }, [buffer, format, failHeadLoad]);
+  
+  // Pose from the fiducials alone, so marking targets does not rebuild the head
+  const { Nasion, Inion, LPA, RPA } = landmarks;
+  const head = useMemo(
+    () => (model ? buildImportedHead(model, { Nasion, Inion, LPA, RPA }) : null),
+    [model, Nasion, Inion, LPA, RPA]
+  );
+  const targets = useMemo(() => (head ? landmarksToWorld(head.scene, landmarks) : {}), [head, landmarks]);
   
-  // Notify parent when head mesh is ready
   useEffect(() => {
-    if (headMesh) {
-      headMeshRef.current = headMesh;
-      onHeadMeshReady?.(headMesh);
+    if (!head) return;
+    if (!head.headMesh) {
+      failHeadLoad('The file has no mesh');
+    } else if (marking) {
+      setHeadDraftBodyCentre(head.bodyCentre);
     }
-  }, [headMesh, onHeadMeshReady]);
+  }, [head, marking, failHeadLoad, setHeadDraftBodyCentre]);
   
-  // Notify parent when fiducials are extracted
+  // Crosshair while a click will mark a landmark
   useEffect(() => {
-    const foundKeys = Object.keys(fiducials);
-    if (foundKeys.length > 0) {
-      onFiducialsReady?.(fiducials);
-      console.log('[HeadModel] Fiducials extracted:', foundKeys, 
-        foundKeys.length === 4 ? '✓ Complete' : `⚠ Missing ${4 - foundKeys.length}`);
-    }
-  }, [fiducials, onFiducialsReady]);
+    if (!activeKey) return undefined;
+    const canvas = gl.domElement;
+    canvas.style.cursor = 'crosshair';
+    return () => {
+      canvas.style.cursor = '';
+    };
+  }, [activeKey, gl]);
+  
+  if (!head?.headMesh) return null;
   
   return (
-    <group ref={groupRef}>
-      {/* Head model */}
-      <primitive object={clonedScene} />
-      
-      {/* Target markers (EEG positions) */}
-      {Object.entries(targets).map(([name, position]) => (
-        <TargetMarker
-          key={name}
-          position={[position.x, position.y, position.z]}
-          name={name}
-          info={TARGETS[name]}
-          onClick={onTargetClick}
-          isSelected={selectedTarget === name}
-          isFiducial={false}
-        />
-      ))}
-      
-      {/* Fiducial markers (anatomical landmarks) */}
-      {Object.entries(fiducials).map(([name, position]) => (
-        <TargetMarker
-          key={name}
-          position={[position.x, position.y, position.z]}
-          name={name}
-          info={{ description: `${name} fiducial landmark` }}
-          onClick={onTargetClick}
-          isSelected={selectedTarget === name}
-          isFiducial={true}
-        />
-      ))}
-    </group>
+    <HeadView
+      {...props}
+      scene={head.scene}
+      headMesh={head.headMesh}
+      targets={targets}
+      fiducials={head.fiducials}
+      reportedFiducials={head.posed ? head.fiducials : null}
+      onSurfaceClick={activeKey ? markHeadLandmark : undefined}
+    />
   );
 }
 
+// A saved head, its file read back from browser storage
+function SavedHead({ entry, ...props }) {
+  const [buffer, setBuffer] = useState(null);
+  const loadHeadFile = useTMSStore(s => s.loadHeadFile);
+  const failHeadLoad = useTMSStore(s => s.failHeadLoad);
+  
+  useEffect(() => {
+    let cancelled = false;
+    loadHeadFile(entry.id).then((result) => {
+      if (cancelled) return;
+      if (result) {
+        setBuffer(result);
+      } else {
+        failHeadLoad(`The file for "${entry.name}" is missing from browser storage`);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [entry.id, entry.name, loadHeadFile, failHeadLoad]);
+  
+  if (!buffer) return null;
+  return <ImportedHead {...props} buffer={buffer} format={entry.format} landmarks={entry.landmarks} />;
+}
+
+/**
+ * The head in view: one being marked, the saved head chosen in the Head
+ * panel, or the bundled head.glb
+ */
+export function HeadModel(props) {
+  const headDraft = useTMSStore(s => s.headDraft);
+  const activeHead = useTMSStore(s => s.headLibrary.find(entry => entry.id === s.activeHeadId) ?? null);
+  
+  if (headDraft) {
+    return (
+      <ImportedHead
+        {...props}
+        buffer={headDraft.buffer}
+        format={headDraft.format}
+        landmarks={headDraft.landmarks}
+        marking
+      />
+    );
+  }
+  if (activeHead) return <SavedHead key={activeHead.id} {...props} entry={activeHead} />;
+  return <BundledHead {...props} />;
+}
+
 // Preload the model
 // Preload is called at module load time, so we need to handle the path carefully
 // Using empty string as base URL since import.meta.env.BASE_URL might not be available at parse time
@@ -8,6 +8,7 @@
  * - WASD/Arrows: Move ghost position (independent of camera view)
  * - Q/E: Rotate coil around surface normal (twist)
  * - R/F: Tilt coil forward/back
+ * - The selected coil's holder limits twist and tilt (constants/coils.js)
  * - Commit-on-hit: Ghost only moves when raycast succeeds (perfect boundary)
  * - Smooth transforms: Position and rotation are interpolated for smooth motion
  * 
@@ -22,6 +23,8 @@ import { useGLTF } from '@react-three/drei';
 import { useFrame, useThree } from '@react-three/fiber';
 import { useTMSStore } from '../../stores/tmsStore';
 import { normalizeModelScale } from '../../utils/scaleNormalization';
+import { buildCoilModel, disposeCoilModel } from '../../utils/coilModels';
+import { COILS, getCoil } from '../../constants/coils';
 import { 
   ScalpSurface, 
   ghostToRay,
@@ -37,18 +40,20 @@ import * as THREE from 'three';
 // Debug flag - enabled in development mode only (toggle with VITE_DEBUG_COIL=true)
 const DEBUG_COIL = import.meta.env.DEV && import.meta.env.VITE_DEBUG_COIL === 'true';
 
+// Catalogue coils drawn from a GLB; all are loaded so switching never suspends
+const COIL_MODEL_URLS = Object.values(COILS)
+  .filter(coil => coil.model.url)
+  .map(coil => `${import.meta.env.BASE_URL}${coil.model.url}`);
+
 /**
- * Normalize coil pivot so contact surface is at local origin
+ * Move the pivot to the catalogue contact face, so the coil position is
+ * the point that rests on the scalp
+ * @param {THREE.Object3D} scene - Scaled GLB scene
+ * @param {number[]} contactCenter - Contact face centre in model units
+ * @param {number} scaleFactor - Scale applied by normalizeModelScale
  */
-function normalizeCoilPivot(scene) {
-  const box = new THREE.Box3().setFromObject(scene);
-  const size = box.getSize(new THREE.Vector3());
-  const center = box.getCenter(new THREE.Vector3());
-  
-  // Move pivot to bottom center (contact surface)
-  scene.position.y = -center.y + size.y / 2;
-  
-  return { thickness: size.z };
+function alignContactFace(scene, contactCenter, scaleFactor) {
+  scene.position.set(...contactCenter.map(v => -v * scaleFactor));
 }
 
 /**
@@ -72,7 +77,6 @@ export function TMSCoil({ proxyMesh, fiducials, onCoilMove }) {
   
   // State
   const [isReady, setIsReady] = useState(false);
-  const [effectiveOffset, setEffectiveOffset] = useState(MOVEMENT_CONFIG.scalpOffset);
   
   // Ghost state: spherical coordinates for movement
   const ghostRef = useRef({
@@ -120,7 +124,12 @@ export function TMSCoil({ proxyMesh, fiducials, onCoilMove }) {
   
   // Three.js context
   const { camera, gl } = useThree();
-  const gltf = useGLTF(`${import.meta.env.BASE_URL}models/coil.glb`);
+  const gltfs = useGLTF(COIL_MODEL_URLS);
+  
+  // Selected coil: model, contact face and holder limits
+  const coil = getCoil(useTMSStore(s => s.coilKey));
+  const effectiveOffset = coil.contactFace.scalpOffsetMm / 1000;
+  const maxTilt = coil.holder.maxTiltDeg * Math.PI / 180;
   
   // Store selectors
   const coilPosition = useTMSStore(s => s.coilPosition);
@@ -136,6 +145,7 @@ export function TMSCoil({ proxyMesh, fiducials, onCoilMove }) {
   const targetPositions = useTMSStore(s => s.targetPositions);
   const coilResetTrigger = useTMSStore(s => s.coilResetTrigger);
   const setCurrentCoilWorldPos = useTMSStore(s => s.setCurrentCoilWorldPos);
+  const setCurrentCoilOrientation = useTMSStore(s => s.setCurrentCoilOrientation);
   const setHotspotPosition = useTMSStore(s => s.setHotspotPosition);
   const getCurrentDistanceMm = useTMSStore(s => s.getCurrentDistanceMm);
   
@@ -147,31 +157,25 @@ export function TMSCoil({ proxyMesh, fiducials, onCoilMove }) {
   const debugLinePositionsRef = useRef(new Float32Array(6));
   const [showDebugLine, setShowDebugLine] = useState(false);
   
-  // Process coil model once
+  // Process the coil model once per coil
   const clonedScene = useMemo(() => {
+    if (!coil.model.url) return buildCoilModel(coil);
+    
+    const gltf = gltfs[COIL_MODEL_URLS.indexOf(`${import.meta.env.BASE_URL}${coil.model.url}`)];
     const clone = gltf.scene.clone(true);
     
-    normalizeModelScale(clone, 'coil', true);
+    const { scaleFactor } = normalizeModelScale(clone, 'coil', true);
     const maxDim = validateCoilScale(clone);
-    const { thickness } = normalizeCoilPivot(clone);
-    
-    // Calculate offset based on coil thickness
-    const offset = 0.002 + thickness * 0.05;
-    clone.userData.effectiveOffset = offset;
+    alignContactFace(clone, coil.contactFace.center, scaleFactor);
     
     if (DEBUG_COIL) {
-      console.log('[TMSCoil] Model processed:', { maxDim: maxDim.toFixed(4), offset: offset.toFixed(4) });
+      console.log('[TMSCoil] Model processed:', { coil: coil.key, maxDim: maxDim.toFixed(4) });
     }
     
     return clone;
-  }, [gltf]);
+  }, [gltfs, coil]);
   
-  // Extract offset from processed model
-  useEffect(() => {
-    if (clonedScene.userData.effectiveOffset) {
-      setEffectiveOffset(clonedScene.userData.effectiveOffset);
-    }
-  }, [clonedScene]);
+  useEffect(() => () => disposeCoilModel(clonedScene), [clonedScene]);
   
   /**
    * Project ghost coordinates to surface and update targets
@@ -340,6 +344,17 @@ export function TMSCoil({ proxyMesh, fiducials, onCoilMove }) {
     }
   }, [proxyMesh, effectiveOffset, projectGhostToSurface, setCoilPosition, setCoilRotation, isReady]);
   
+  // ============================================================================
+  // COIL CHANGE - Apply the new holder limits and contact offset
+  // ============================================================================
+  useEffect(() => {
+    if (!isReady) return;
+    const ghost = ghostRef.current;
+    if (!coil.holder.twist) ghost.twistYaw = 0;
+    ghost.tiltPitch = clampTilt(ghost.tiltPitch, maxTilt);
+    projectGhostToSurface(ghost.yaw, ghost.pitch);
+  }, [coil, maxTilt, isReady, projectGhostToSurface]);
+  
   // ============================================================================
   // RESET TRIGGER
   // ============================================================================
@@ -446,6 +461,8 @@ export function TMSCoil({ proxyMesh, fiducials, onCoilMove }) {
     // This must happen BEFORE any early returns!
     const currentSmoothedPos = smoothedRef.current.position;
     setCurrentCoilWorldPos([currentSmoothedPos.x, currentSmoothedPos.y, currentSmoothedPos.z]);
+    // Twist/tilt feed the rMT orientation penalty
+    setCurrentCoilOrientation(ghostRef.current.twistYaw, ghostRef.current.tiltPitch);
     
     // Skip movement if locked or not ready
     if (isCoilLocked || !isReady || !scalpSurfaceRef.current) {
@@ -475,23 +492,23 @@ export function TMSCoil({ proxyMesh, fiducials, onCoilMove }) {
     
     // === COIL ORIENTATION CONTROLS ===
     
-    // Twist (Q/E) - rotation around surface normal
-    if (keys.q) {
+    // Twist (Q/E) - rotation around surface normal, if the holder allows it
+    if (keys.q && coil.holder.twist) {
       ghost.twistYaw -= MOVEMENT_CONFIG.rotateSpeed * dt;
       moved = true;
     }
-    if (keys.e) {
+    if (keys.e && coil.holder.twist) {
       ghost.twistYaw += MOVEMENT_CONFIG.rotateSpeed * dt;
       moved = true;
     }
     
-    // Tilt (R/F) - forward/back tilt
+    // Tilt (R/F) - forward/back tilt, within the holder's range
     if (keys.r) {
-      ghost.tiltPitch = clampTilt(ghost.tiltPitch + MOVEMENT_CONFIG.pitchTiltSpeed * dt);
+      ghost.tiltPitch = clampTilt(ghost.tiltPitch + MOVEMENT_CONFIG.pitchTiltSpeed * dt, maxTilt);
       moved = true;
     }
     if (keys.f) {
-      ghost.tiltPitch = clampTilt(ghost.tiltPitch - MOVEMENT_CONFIG.pitchTiltSpeed * dt);
+      ghost.tiltPitch = clampTilt(ghost.tiltPitch - MOVEMENT_CONFIG.pitchTiltSpeed * dt, maxTilt);
       moved = true;
     }
     
@@ -855,9 +872,9 @@ export function TMSCoil({ proxyMesh, fiducials, onCoilMove }) {
   );
 }
 
-// Preload model
+// Preload models
 try {
-  useGLTF.preload(`${import.meta.env.BASE_URL || './'}models/coil.glb`);
+  useGLTF.preload(COIL_MODEL_URLS);
 } catch (e) {
   // Non-critical
 }
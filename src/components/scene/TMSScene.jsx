@@ -8,6 +8,10 @@
  * - Distance to target display
  * - Camera controls with presets
  * - Hotspot visualization for MT mode
+ * - Approximate E-field heat map under the coil
+ * - Tape measurements for Beam F3 targeting
+ * - 10-20 / 10-10 electrodes placed from the fiducials
+ * - Proxy surface and electrodes rebuilt when the head changes
  */
 
 import React, { useState, useCallback, useRef, useEffect, Suspense, useMemo } from 'react';
@@ -15,9 +19,16 @@ import { Canvas } from '@react-three/fiber';
 import { OrbitControls, Environment, Html } from '@react-three/drei';
 import { HeadModel } from './HeadModel';
 import { TMSCoil } from './TMSCoil';
+import { EFieldOverlay } from './EFieldOverlay';
+import { TapeMeasure } from './TapeMeasure';
+import { ElectrodeMarkers } from './ElectrodeMarkers';
 import { SceneErrorBoundary } from './SceneErrorBoundary';
 import { useTMSStore } from '../../stores/tmsStore';
 import { buildCoilProxySurface } from '../../utils/coilSurfaceProxy';
+import { createScalpProjector } from '../../utils/surfaceMovement';
+import { computeElectrodePositions } from '../../engine/tenTen';
+import { orientFiducials } from '../../engine/beamF3';
+import { EFIELD_CONSTANTS, EFIELD_COLOR_STOPS } from '../../engine/efieldModel';
 import * as THREE from 'three';
 
 // Loading fallback component for 3D scene
@@ -186,12 +197,18 @@ function CameraController({ controlsRef, preset }) {
   return null;
 }
 
+// Coil proxy surface height above the scalp
+const PROXY_OFFSET_MM = 2;
+
 // Main scene content
 function SceneContent({ 
   onTargetClick, 
   selectedTarget,
   cameraPreset,
   onCoilUpdate,
+  showEField,
+  onEFieldPeak,
+  showElectrodes,
 }) {
   const [headMesh, setHeadMesh] = useState(null);
   const [fiducials, setFiducials] = useState(null);
@@ -202,10 +219,16 @@ function SceneContent({
   const controlsRef = useRef();
   
   const { targetPositions, mode, rmt } = useTMSStore();
+  const setElectrodePositions = useTMSStore(s => s.setElectrodePositions);
   
-  // Build smooth proxy surface when headMesh and fiducials are ready
+  // Build smooth proxy surface when headMesh and fiducials are ready,
+  // again whenever the head changes (imported heads)
   useEffect(() => {
-    if (!headMesh || !fiducials || proxyMesh) return;
+    if (!headMesh || !fiducials) {
+      setProxyMesh(null);
+      setHeadCenter(null);
+      return undefined;
+    }
     
     console.log('[TMSScene] Building smooth proxy surface...');
     
@@ -215,7 +238,7 @@ function SceneContent({
         fiducials,
         latSegments: 48,
         lonSegments: 64,
-        offsetMm: 2,
+        offsetMm: PROXY_OFFSET_MM,
         smoothingIters: 8,
       });
       
@@ -241,10 +264,58 @@ function SceneContent({
       
       setProxyMesh(proxy);
       console.log('[TMSScene] Proxy surface built successfully');
+      return () => {
+        proxy.geometry.dispose();
+        proxy.material.dispose();
+      };
     } catch (err) {
       console.error('[TMSScene] Failed to build proxy surface:', err);
+      setProxyMesh(null);
+      return undefined;
+    }
+  }, [headMesh, fiducials]);
+  
+  // Electrodes and Beam F3 read the fiducials by the radiologic convention;
+  // say once per head when its LPA/RPA labels are the other way round
+  useEffect(() => {
+    const landmarks = orientFiducials({
+      nasion: fiducials?.Nasion?.toArray(),
+      inion: fiducials?.Inion?.toArray(),
+      lpa: fiducials?.LPA?.toArray(),
+      rpa: fiducials?.RPA?.toArray(),
+    });
+    if (landmarks?.swapped) {
+      console.warn('[TMSScene] LPA/RPA markers are on the opposite sides to the radiologic convention - reading them swapped');
     }
-  }, [headMesh, fiducials, proxyMesh]);
+  }, [fiducials]);
+  
+  // Place the 10-20 / 10-10 electrodes on the scalp under the proxy
+  useEffect(() => {
+    if (!proxyMesh || !fiducials) {
+      setElectrodePositions(null);
+      return;
+    }
+    
+    const positions = computeElectrodePositions(
+      {
+        nasion: fiducials.Nasion?.toArray(),
+        inion: fiducials.Inion?.toArray(),
+        lpa: fiducials.LPA?.toArray(),
+        rpa: fiducials.RPA?.toArray(),
+      },
+      createScalpProjector(proxyMesh, PROXY_OFFSET_MM)
+    );
+    if (!positions) {
+      console.warn('[TMSScene] Electrodes need all four fiducials');
+      setElectrodePositions(null);
+      return;
+    }
+    
+    setElectrodePositions(Object.fromEntries(
+      Object.entries(positions).map(([key, point]) => [key, new THREE.Vector3(...point)])
+    ));
+    console.log(`[TMSScene] Placed ${Object.keys(positions).length} electrodes from the fiducials`);
+  }, [proxyMesh, fiducials, setElectrodePositions]);
   
   // Calculate nearest target when coil moves
   const handleCoilMove = useCallback((position, normal) => {
@@ -291,6 +362,13 @@ function SceneContent({
         selectedTarget={selectedTarget}
       />
       
+      {/* Electrodes and named targets positioned from the fiducials */}
+      <ElectrodeMarkers
+        showGrid={showElectrodes}
+        selectedTarget={selectedTarget}
+        onTargetClick={onTargetClick}
+      />
+      
       {/* Proxy surface for smooth coil movement (visible in dev) */}
       {proxyMesh && <primitive object={proxyMesh} />}
       
@@ -303,6 +381,26 @@ function SceneContent({
         />
       )}
       
+      {/* Induced field at cortical depth */}
+      {showEField && proxyMesh && headCenter && (
+        <EFieldOverlay
+          surfaceMesh={proxyMesh}
+          headCenter={headCenter}
+          surfaceOffsetMm={PROXY_OFFSET_MM}
+          onPeakChange={onEFieldPeak}
+        />
+      )}
+      
+      {/* Beam F3 tapes */}
+      {mode === 'simulator' && headMesh && proxyMesh && (
+        <TapeMeasure
+          headMesh={headMesh}
+          proxyMesh={proxyMesh}
+          fiducials={fiducials}
+          surfaceOffsetMm={PROXY_OFFSET_MM}
+        />
+      )}
+      
       {/* Distance indicator */}
       {coilPos && nearestTarget.name && (
         <DistanceIndicator 
@@ -456,6 +554,66 @@ function ControlRow({ label, keys, accent }) {
   );
 }
 
+// Colour scale for the E-field heat map
+function EFieldLegend({ peak }) {
+  const { scaleMax, cortexDepthMm } = EFIELD_CONSTANTS;
+  const gradient = EFIELD_COLOR_STOPS
+    .map(([t, rgb]) => `rgb(${rgb.map(c => Math.round(c * 255)).join(',')}) ${t * 100}%`)
+    .join(', ');
+  
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '16px',
+      right: '16px',
+      width: '180px',
+      padding: '8px 10px',
+      background: 'rgba(12, 12, 16, 0.95)',
+      color: 'rgba(240, 240, 245, 0.6)',
+      borderRadius: '8px',
+      fontSize: '9px',
+      fontFamily: "'Inter', -apple-system, sans-serif",
+      zIndex: 10,
+      border: '1px solid rgba(255, 255, 255, 0.08)',
+      backdropFilter: 'blur(12px)',
+    }}>
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        marginBottom: '6px',
+      }}>
+        <span style={{
+          fontWeight: '600',
+          color: 'rgba(0, 200, 240, 0.85)',
+          textTransform: 'uppercase',
+          letterSpacing: '0.08em',
+        }}>
+          E-field · {cortexDepthMm} mm
+        </span>
+        <span style={{ fontFamily: "'SF Mono', 'JetBrains Mono', monospace", color: 'rgba(255, 255, 255, 0.8)' }}>
+          {peak === null ? '—' : `${peak} V/m`}
+        </span>
+      </div>
+      <div style={{ height: '8px', borderRadius: '2px', background: `linear-gradient(90deg, ${gradient})` }} />
+      <div style={{
+        display: 'flex',
+        justifyContent: 'space-between',
+        marginTop: '3px',
+        fontFamily: "'SF Mono', 'JetBrains Mono', monospace",
+      }}>
+        {[0, 0.25, 0.5, 0.75, 1].map(t => (
+          <span key={t}>{Math.round(t * scaleMax)}</span>
+        ))}
+      </div>
+      <div style={{ marginTop: '4px', color: 'rgba(255, 255, 255, 0.4)' }}>
+        {peak === null
+          ? 'Set a motor threshold to see the field'
+          : 'V/m, approximate spherical-head model'}
+      </div>
+    </div>
+  );
+}
+
 // Dev-only debug overlay showing coil position and surface normal
 function DebugOverlay({ coilPos, coilNormal }) {
   if (!import.meta.env.DEV || !coilPos) return null;
@@ -487,6 +645,9 @@ function DebugOverlay({ coilPos, coilNormal }) {
 export function TMSScene({ onTargetClick, selectedTarget }) {
   const [cameraPreset, setCameraPreset] = useState('default');
   const [debugInfo, setDebugInfo] = useState({ pos: null, normal: null });
+  const [showEField, setShowEField] = useState(false);
+  const [showElectrodes, setShowElectrodes] = useState(false);
+  const [efieldPeak, setEFieldPeak] = useState(null);
   const { mode } = useTMSStore();
   
   // Set physician view by default in MT mode
@@ -527,6 +688,9 @@ export function TMSScene({ onTargetClick, selectedTarget }) {
               selectedTarget={selectedTarget}
               cameraPreset={cameraPreset}
               onCoilUpdate={handleCoilUpdate}
+              showEField={showEField}
+              onEFieldPeak={setEFieldPeak}
+              showElectrodes={showElectrodes}
             />
           </Suspense>
         </Canvas>
@@ -566,9 +730,53 @@ export function TMSScene({ onTargetClick, selectedTarget }) {
             {label}
           </button>
         ))}
+
+        {/* E-field heat map toggle */}
+        <button
+          onClick={() => setShowEField(!showEField)}
+          title="Approximate induced E-field at cortical depth"
+          style={{
+            marginLeft: '8px',
+            padding: '5px 12px',
+            background: showEField ? '#141419' : 'rgba(8, 8, 12, 0.85)',
+            color: showEField ? '#00c8f0' : 'rgba(240, 240, 245, 0.5)',
+            border: `1px solid ${showEField ? 'rgba(0, 200, 240, 0.3)' : 'rgba(255, 255, 255, 0.08)'}`,
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '10px',
+            fontWeight: '600',
+            letterSpacing: '0.3px',
+            transition: 'all 0.1s ease-out',
+            backdropFilter: 'blur(8px)',
+          }}
+        >
+          E-field
+        </button>
+
+        {/* 10-10 electrode grid toggle */}
+        <button
+          onClick={() => setShowElectrodes(!showElectrodes)}
+          title="10-20 / 10-10 electrodes placed from the fiducials"
+          style={{
+            padding: '5px 12px',
+            background: showElectrodes ? '#141419' : 'rgba(8, 8, 12, 0.85)',
+            color: showElectrodes ? '#00c8f0' : 'rgba(240, 240, 245, 0.5)',
+            border: `1px solid ${showElectrodes ? 'rgba(0, 200, 240, 0.3)' : 'rgba(255, 255, 255, 0.08)'}`,
+            borderRadius: '4px',
+            cursor: 'pointer',
+            fontSize: '10px',
+            fontWeight: '600',
+            letterSpacing: '0.3px',
+            transition: 'all 0.1s ease-out',
+            backdropFilter: 'blur(8px)',
+          }}
+        >
+          10-10
+        </button>
       </div>
       
       <SceneLegend />
+      {showEField && <EFieldLegend peak={efieldPeak} />}
       <DebugOverlay coilPos={debugInfo.pos} coilNormal={debugInfo.normal} />
     </div>
   );
@@ -0,0 +1,160 @@
+/**
+ * TapeMeasure.jsx
+ * ===============
+ * Virtual tape for the Beam F3 workflow. While a tape is active, each
+ * click on the scalp adds a waypoint; the tape runs over the scalp
+ * between them (engine/beamF3.js). Once all three measurements are laid
+ * the Beam F3 point is marked and compared with the model's F3 marker.
+ *
+ * Tapes follow the coil proxy surface, dropped back to the scalp by its
+ * offset.
+ */
+
+import React, { useEffect, useMemo } from 'react';
+import { useThree } from '@react-three/fiber';
+import { Line } from '@react-three/drei';
+import * as THREE from 'three';
+import { useTMSStore } from '../../stores/tmsStore';
+import { createScalpProjector } from '../../utils/surfaceMovement';
+import { BEAM_TAPES, locateBeamF3, orientFiducials } from '../../engine/beamF3';
+import { traceSurfacePath, pathLength } from '../../engine/scalpPaths';
+
+const F3_COLOR = '#ffffff';
+
+// A press that moves further than this is a camera drag, not a click
+const CLICK_TOLERANCE_PX = 5;
+
+/**
+ * @param {Object} props
+ * @param {THREE.Mesh} props.headMesh - Scalp mesh the trainee clicks on
+ * @param {THREE.Mesh} props.proxyMesh - Coil proxy surface (world space)
+ * @param {Object | null} props.fiducials - Nasion, Inion, LPA, RPA
+ * @param {number} props.surfaceOffsetMm - Proxy height above the scalp
+ */
+export function TapeMeasure({ headMesh, proxyMesh, fiducials, surfaceOffsetMm }) {
+  const { camera, gl } = useThree();
+  const activeTape = useTMSStore(s => s.beamF3.activeTape);
+  const waypoints = useTMSStore(s => s.beamF3.waypoints);
+  const f3 = useTMSStore(s => s.beamF3.measurement?.f3 ?? null);
+  const targetPositions = useTMSStore(s => s.targetPositions);
+  const addTapePoint = useTMSStore(s => s.addTapePoint);
+  const setBeamF3Measurement = useTMSStore(s => s.setBeamF3Measurement);
+
+  const project = useMemo(
+    () => createScalpProjector(proxyMesh, surfaceOffsetMm),
+    [proxyMesh, surfaceOffsetMm]
+  );
+
+  const paths = useMemo(() => Object.fromEntries(
+    Object.entries(BEAM_TAPES).map(([key, tape]) => [
+      key,
+      traceSurfacePath(waypoints[key], project, { closed: tape.closed }),
+    ])
+  ), [waypoints, project]);
+
+  // Landmarks by the radiologic convention, whatever the markers are labelled
+  const landmarks = useMemo(() => orientFiducials({
+    nasion: fiducials?.Nasion?.toArray(),
+    inion: fiducials?.Inion?.toArray(),
+    lpa: fiducials?.LPA?.toArray(),
+    rpa: fiducials?.RPA?.toArray(),
+  }), [fiducials]);
+
+  const yPath = useMemo(() => (f3 ? traceSurfacePath([f3.vertex, f3.point], project) : null), [f3, project]);
+
+  // Lengths, the Beam F3 point and its error against the F3 marker
+  useEffect(() => {
+    const lengths = Object.fromEntries(Object.entries(BEAM_TAPES).map(([key, tape]) => [
+      key,
+      waypoints[key].length >= tape.minPoints ? pathLength(paths[key], tape.closed) : null,
+    ]));
+    const located = locateBeamF3(paths, project, {
+      nasion: landmarks?.nasion ?? fiducials?.Nasion?.toArray() ?? null,
+      left: landmarks?.lpa ?? null,
+    });
+    const marker = targetPositions?.F3;
+    setBeamF3Measurement({
+      lengths,
+      f3: located,
+      errorMm: located && marker ? marker.distanceTo(new THREE.Vector3(...located.point)) * 1000 : null,
+    });
+  }, [paths, waypoints, project, fiducials, landmarks, targetPositions, setBeamF3Measurement]);
+
+  // Clicks on the scalp add waypoints to the active tape
+  useEffect(() => {
+    if (!activeTape || !headMesh) return;
+
+    const canvas = gl.domElement;
+    let down = null;
+
+    const handlePointerDown = (e) => {
+      down = e.button === 0 && !e.shiftKey ? { x: e.clientX, y: e.clientY } : null;
+    };
+
+    const handlePointerUp = (e) => {
+      if (!down || Math.hypot(e.clientX - down.x, e.clientY - down.y) > CLICK_TOLERANCE_PX) return;
+      down = null;
+
+      const rect = canvas.getBoundingClientRect();
+      const pointer = new THREE.Vector2(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1
+      );
+      const raycaster = new THREE.Raycaster();
+      raycaster.setFromCamera(pointer, camera);
+      const hit = raycaster.intersectObject(headMesh, false)[0];
+      if (hit) addTapePoint(hit.point.toArray());
+    };
+
+    canvas.style.cursor = 'crosshair';
+    canvas.addEventListener('pointerdown', handlePointerDown);
+    canvas.addEventListener('pointerup', handlePointerUp);
+
+    return () => {
+      canvas.style.cursor = '';
+      canvas.removeEventListener('pointerdown', handlePointerDown);
+      canvas.removeEventListener('pointerup', handlePointerUp);
+    };
+  }, [activeTape, headMesh, camera, gl, addTapePoint]);
+
+  return (
+    <group>
+      {Object.entries(paths).map(([key, path]) => (
+        <group key={key}>
+          {path.length >= 2 && (
+            <Line
+              points={BEAM_TAPES[key].closed && waypoints[key].length > 2 ? [...path, path[0]] : path}
+              color={BEAM_TAPES[key].color}
+              lineWidth={key === activeTape ? 3 : 2}
+            />
+          )}
+          {waypoints[key].map((point, i) => (
+            <mesh key={i} position={point}>
+              <sphereGeometry args={[0.0025, 12, 12]} />
+              <meshBasicMaterial color={BEAM_TAPES[key].color} />
+            </mesh>
+          ))}
+        </group>
+      ))}
+
+      {/* Beam F3: Y from the vertex toward the point X round the circumference */}
+      {f3 && (
+        <group>
+          <Line points={yPath} color={F3_COLOR} lineWidth={1.5} dashed dashSize={0.004} gapSize={0.003} />
+          <mesh position={f3.vertex}>
+            <sphereGeometry args={[0.003, 12, 12]} />
+            <meshBasicMaterial color={F3_COLOR} />
+          </mesh>
+          <mesh position={f3.circumferencePoint}>
+            <sphereGeometry args={[0.0025, 12, 12]} />
+            <meshBasicMaterial color={BEAM_TAPES.circumference.color} />
+          </mesh>
+          <mesh position={f3.point}>
+            <sphereGeometry args={[0.005, 16, 16]} />
+            <meshStandardMaterial color={F3_COLOR} emissive={F3_COLOR} emissiveIntensity={0.6} />
+          </mesh>
+        </group>
+      )}
+    </group>
+  );
+}
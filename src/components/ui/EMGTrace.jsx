@@ -0,0 +1,125 @@
+/**
+ * EMGTrace.jsx
+ * ============
+ * Simulated EMG sweep for the last rMT pulse, drawn like an EMG
+ * amplifier display: time/div fixed at 10 ms, selectable µV/div.
+ * Trainees read the 50 µV criterion off the trace; the measured
+ * peak-to-peak value is hidden until asked for.
+ */
+
+import React, { useMemo, useState } from 'react';
+import { useTMSStore } from '../../stores/tmsStore';
+import {
+  EMG_SWEEP,
+  MEP_WINDOW_MS,
+  generateEMGSweep,
+  measurePeakToPeak,
+} from '../../engine/emgTrace';
+import { MEP_CRITERION_UV } from '../../engine/mepModel';
+import { createRandom } from '../../engine/random';
+
+// Sensitivity steps (µV/div)
+const GAINS = [25, 50, 100, 250, 500, 1000];
+
+// Plot geometry (SVG units): 10 time divisions, ±4 amplitude divisions
+const WIDTH = 300;
+const HEIGHT = 120;
+const TIME_DIVS = 10;
+const AMP_DIVS = 8;
+
+export function EMGTrace({ pulse }) {
+  const emgPreActivation = useTMSStore(s => s.emgPreActivation);
+  const setEMGPreActivation = useTMSStore(s => s.setEMGPreActivation);
+  const [gain, setGain] = useState(50);
+  const [showMeasure, setShowMeasure] = useState(false);
+
+  // One sweep per pulse - regenerated only when a new pulse arrives,
+  // seeded by the pulse so a replayed trial draws the same trace
+  const sweep = useMemo(() => (pulse
+    ? generateEMGSweep(pulse, {}, pulse.sweepSeed !== undefined ? createRandom(pulse.sweepSeed) : Math.random)
+    : null), [pulse]);
+  const peakToPeak = useMemo(() => (sweep ? measurePeakToPeak(sweep) : null), [sweep]);
+
+  const { preStimMs, postStimMs } = EMG_SWEEP;
+  const x = (t) => (t + preStimMs) / (preStimMs + postStimMs) * WIDTH;
+  const y = (v) => HEIGHT / 2 - v / (gain * AMP_DIVS) * HEIGHT;
+
+  const points = sweep
+    ? sweep.times.map((t, i) => `${x(t).toFixed(1)},${y(sweep.values[i]).toFixed(1)}`).join(' ')
+    : '';
+
+  const stepGain = (direction) => {
+    const index = GAINS.indexOf(gain) + direction;
+    if (index >= 0 && index < GAINS.length) setGain(GAINS[index]);
+  };
+
+  return (
+    <div className="emg-trace">
+      <div className="emg-toolbar">
+        <span className="emg-title">EMG · FDI</span>
+        <div className="emg-gain">
+          <button className="btn-intensity" onClick={() => stepGain(-1)} disabled={gain === GAINS[0]}>−</button>
+          <span>{gain} µV/div</span>
+          <button className="btn-intensity" onClick={() => stepGain(1)} disabled={gain === GAINS[GAINS.length - 1]}>+</button>
+        </div>
+      </div>
+
+      <svg className="emg-plot" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+        <defs>
+          <clipPath id="emg-clip">
+            <rect x="0" y="0" width={WIDTH} height={HEIGHT} />
+          </clipPath>
+        </defs>
+
+        {/* MEP window */}
+        <rect
+          className="emg-window"
+          x={x(MEP_WINDOW_MS[0])}
+          y="0"
+          width={x(MEP_WINDOW_MS[1]) - x(MEP_WINDOW_MS[0])}
+          height={HEIGHT}
+        />
+
+        {/* Grid */}
+        {Array.from({ length: TIME_DIVS + 1 }).map((_, i) => (
+          <line key={`t${i}`} className="emg-grid" x1={i * WIDTH / TIME_DIVS} x2={i * WIDTH / TIME_DIVS} y1="0" y2={HEIGHT} />
+        ))}
+        {Array.from({ length: AMP_DIVS + 1 }).map((_, i) => (
+          <line key={`a${i}`} className="emg-grid" x1="0" x2={WIDTH} y1={i * HEIGHT / AMP_DIVS} y2={i * HEIGHT / AMP_DIVS} />
+        ))}
+
+        {/* Stimulus marker */}
+        <line className="emg-stim" x1={x(0)} x2={x(0)} y1="0" y2={HEIGHT} />
+
+        {/* 50 µV calibration bar */}
+        <line
+          className="emg-calibration"
+          x1={WIDTH - 6}
+          x2={WIDTH - 6}
+          y1={y(-MEP_CRITERION_UV / 2)}
+          y2={y(MEP_CRITERION_UV / 2)}
+        />
+
+        {sweep && <polyline className="emg-signal" points={points} clipPath="url(#emg-clip)" />}
+      </svg>
+
+      <div className="emg-footer">
+        <span className="emg-scale">10 ms/div · bar {MEP_CRITERION_UV} µV</span>
+        {sweep && (
+          <button className="emg-measure" onClick={() => setShowMeasure(v => !v)}>
+            {showMeasure ? `p-p ${Math.round(peakToPeak)} µV` : 'Measure p-p'}
+          </button>
+        )}
+      </div>
+
+      <label className="emg-option">
+        <input
+          type="checkbox"
+          checked={emgPreActivation}
+          onChange={(e) => setEMGPreActivation(e.target.checked)}
+        />
+        Simulate pre-activation (discard pulses with baseline EMG)
+      </label>
+    </div>
+  );
+}
@@ -0,0 +1,247 @@
+/**
+ * HeadLibrary.jsx
+ * ===============
+ * Imported head models, shown inside the MachinePanel head section:
+ * choose the head in view, import a GLB/OBJ/STL file and mark its
+ * fiducials and targets by clicking on it (HeadModel places the marks).
+ *
+ * The bundled head is always available and cannot be re-marked.
+ */
+
+import React, { useState, useCallback, useRef } from 'react';
+import { useTMSStore } from '../../stores/tmsStore';
+import {
+  HEAD_FILE_ACCEPT,
+  HEAD_FILE_FORMATS,
+  HEAD_FIDUCIALS,
+  HEAD_FIDUCIAL_KEYS,
+  getLandmarkLabel,
+  headFormatOf,
+  validateHeadLandmarks,
+} from '../../engine/headLibrary';
+import { getUniqueName } from '../../engine/protocolLibrary';
+import { readFileAsArrayBuffer } from '../../utils/storage';
+import { TARGETS, TARGET_KEYS, FIDUCIAL_COLOR } from '../../constants/targets';
+
+// What marking a target adds over its 10-20 fallback
+function targetHint(key) {
+  const { electrode } = TARGETS[key];
+  return electrode
+    ? `Optional - unmarked, ${key} sits on electrode ${electrode}.`
+    : `Optional - ${key} is only shown once marked.`;
+}
+
+function LandmarkRow({ landmarkKey, color, marked, active, onMark, onClear }) {
+  return (
+    <div className={`tape-row ${active ? 'active' : ''}`}>
+      <span className="tape-dot" style={{ background: color }} />
+      <span className="tape-label">{getLandmarkLabel(landmarkKey)}</span>
+      <span className="tape-length">{marked ? '✓' : '—'}</span>
+      <button className={`btn-tiny ${active ? 'active' : ''}`} onClick={onMark}>
+        {active ? 'Marking' : marked ? 'Re-mark' : 'Mark'}
+      </button>
+      <button className="btn-tiny" onClick={onClear} disabled={!marked}>
+        Clear
+      </button>
+    </div>
+  );
+}
+
+/**
+ * @param {Object} props
+ * @param {boolean} props.disabled - Head changes locked (session or rMT trial)
+ */
+export function HeadLibrary({ disabled }) {
+  const headLibrary = useTMSStore(s => s.headLibrary);
+  const activeHeadId = useTMSStore(s => s.activeHeadId);
+  const headDraft = useTMSStore(s => s.headDraft);
+  const headLoadError = useTMSStore(s => s.headLoadError);
+  const setActiveHead = useTMSStore(s => s.setActiveHead);
+  const startHeadImport = useTMSStore(s => s.startHeadImport);
+  const setHeadDraftName = useTMSStore(s => s.setHeadDraftName);
+  const setHeadDraftKey = useTMSStore(s => s.setHeadDraftKey);
+  const clearHeadLandmark = useTMSStore(s => s.clearHeadLandmark);
+  const cancelHeadImport = useTMSStore(s => s.cancelHeadImport);
+  const saveHeadDraft = useTMSStore(s => s.saveHeadDraft);
+  const editHead = useTMSStore(s => s.editHead);
+  const deleteHead = useTMSStore(s => s.deleteHead);
+
+  const [message, setMessage] = useState(null); // { type: 'info' | 'error', text }
+  const [saving, setSaving] = useState(false);
+  const fileInputRef = useRef(null);
+
+  const handleImport = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const format = headFormatOf(file.name);
+    if (!format) {
+      setMessage({ type: 'error', text: 'Choose a GLB, OBJ or STL file' });
+      return;
+    }
+    try {
+      const buffer = await readFileAsArrayBuffer(file);
+      const name = getUniqueName(file.name.replace(/\.[^.]+$/, ''), headLibrary.map(entry => entry.name));
+      if (startHeadImport({ name, format, buffer })) setMessage(null);
+    } catch (err) {
+      console.warn('[HeadLibrary] Import failed:', err);
+      setMessage({ type: 'error', text: 'Could not read file' });
+    }
+  }, [headLibrary, startHeadImport]);
+
+  const handleSave = useCallback(async () => {
+    setSaving(true);
+    const entry = await saveHeadDraft();
+    setSaving(false);
+    setMessage(entry
+      ? { type: 'info', text: `Saved "${entry.name}"` }
+      : { type: 'error', text: 'Could not save - browser storage is unavailable or full' });
+  }, [saveHeadDraft]);
+
+  const handleEdit = useCallback(async (entry) => {
+    if (!await editHead(entry.id)) {
+      setMessage({ type: 'error', text: `The file for "${entry.name}" is missing - import it again` });
+    }
+  }, [editHead]);
+
+  const handleDelete = useCallback((entry) => {
+    if (window.confirm(`Delete the head "${entry.name}"?`)) {
+      deleteHead(entry.id);
+    }
+  }, [deleteHead]);
+
+  // === Marking an imported head ===
+  if (headDraft) {
+    const { landmarks, activeKey } = headDraft;
+    const { valid, issues } = validateHeadLandmarks(landmarks, { bodyCentre: headDraft.bodyCentre });
+    const rowProps = (key) => ({
+      landmarkKey: key,
+      marked: Boolean(landmarks[key]),
+      active: activeKey === key,
+      onMark: () => setHeadDraftKey(activeKey === key ? null : key),
+      onClear: () => clearHeadLandmark(key),
+    });
+
+    return (
+      <div className="head-library">
+        <input
+          type="text"
+          value={headDraft.name}
+          onChange={(e) => setHeadDraftName(e.target.value)}
+          placeholder="Head name"
+        />
+
+        <div className="library-group-label">Fiducials</div>
+        <div className="tape-list">
+          {HEAD_FIDUCIAL_KEYS.map(key => (
+            <LandmarkRow key={key} {...rowProps(key)} color={FIDUCIAL_COLOR} />
+          ))}
+        </div>
+
+        <div className="library-group-label">Targets</div>
+        <div className="tape-list">
+          {TARGET_KEYS.map(key => (
+            <LandmarkRow key={key} {...rowProps(key)} color={TARGETS[key].color} />
+          ))}
+        </div>
+
+        <div className="tape-hint">
+          {activeKey ? (
+            <span>
+              Click the head to mark {getLandmarkLabel(activeKey)}.{' '}
+              {HEAD_FIDUCIALS[activeKey]?.hint ?? targetHint(activeKey)}
+            </span>
+          ) : (
+            <span>
+              The head is upright once the four fiducials are marked. Mark targets to override
+              their 10-20 positions, then save.
+            </span>
+          )}
+        </div>
+
+        {issues.filter(issue => issue.code !== 'missing').map(issue => (
+          <div key={issue.code} className={`library-message ${issue.severity === 'error' ? 'error' : ''}`}>
+            {issue.message}
+          </div>
+        ))}
+
+        <div className="library-actions">
+          <button
+            className="btn-tiny"
+            onClick={handleSave}
+            disabled={!valid || !headDraft.name.trim() || saving}
+          >
+            {headDraft.id ? 'Save' : 'Save head'}
+          </button>
+          <button className="btn-tiny" onClick={cancelHeadImport} disabled={saving}>Cancel</button>
+        </div>
+      </div>
+    );
+  }
+
+  // === Head list ===
+  return (
+    <div className="head-library">
+      <ul className="library-list">
+        <li className="library-entry template">
+          <div className="library-entry-header">
+            <span className="library-entry-name">Bundled head</span>
+            {activeHeadId === null && <span className="library-tag">In view</span>}
+            <span className="library-tag readonly">Built-in</span>
+          </div>
+          {activeHeadId !== null && (
+            <div className="library-actions">
+              <button className="btn-tiny" onClick={() => setActiveHead(null)} disabled={disabled}>Use</button>
+            </div>
+          )}
+        </li>
+        {headLibrary.map(entry => {
+          const inView = entry.id === activeHeadId;
+          return (
+            <li key={entry.id} className="library-entry">
+              <div className="library-entry-header">
+                <span className="library-entry-name">{entry.name}</span>
+                {inView && <span className="library-tag">In view</span>}
+                <span className="library-tag readonly">{HEAD_FILE_FORMATS[entry.format].label}</span>
+              </div>
+              <div className="library-actions">
+                {!inView && (
+                  <button className="btn-tiny" onClick={() => setActiveHead(entry.id)} disabled={disabled}>Use</button>
+                )}
+                <button className="btn-tiny" onClick={() => handleEdit(entry)} disabled={disabled}>Re-mark</button>
+                <button
+                  className="btn-tiny danger"
+                  onClick={() => handleDelete(entry)}
+                  disabled={disabled && inView}
+                >
+                  Delete
+                </button>
+              </div>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="library-actions library-io">
+        <button className="btn-tiny" onClick={() => fileInputRef.current?.click()} disabled={disabled}>
+          Import GLB / OBJ / STL
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={HEAD_FILE_ACCEPT}
+          onChange={handleImport}
+          hidden
+        />
+      </div>
+      {(message || headLoadError) && (
+        <div className={`library-message ${message?.type ?? 'error'}`}>{message?.text ?? headLoadError}</div>
+      )}
+      <p className="coil-note">
+        Imported heads are kept in this browser. Mark the nasion, inion and both preauricular points
+        so the coil surface and the 10-20 electrodes can be placed.
+      </p>
+    </div>
+  );
+}
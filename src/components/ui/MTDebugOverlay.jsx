@@ -8,13 +8,23 @@
  */
 
 import React from 'react';
-import { useTMSStore, MT_CONSTANTS, calculateDistancePenalty, calculateApparentMT, calculateTwitchProbability } from '../../stores/tmsStore';
+import { useTMSStore, MT_CONSTANTS, calculateApparentMT, calculateTwitchProbability } from '../../stores/tmsStore';
+import { MEP_CRITERION_UV, getMEPMedian } from '../../engine/mepModel';
 
 export function MTDebugOverlay() {
   // Only render in dev mode
   if (!import.meta.env.DEV) return null;
   
-  const { rmt, currentCoilWorldPos, getCurrentDistanceMm, mode } = useTMSStore();
+  const {
+    rmt,
+    mepModel,
+    currentCoilWorldPos,
+    currentCoilOrientation,
+    getCurrentDistanceMm,
+    getCurrentOrientationPenalty,
+    getSpatialPenalty,
+    mode,
+  } = useTMSStore();
   
   // Only show in rMT mode during active trial
   if (mode !== 'rmt' || rmt.phase === 'idle') return null;
@@ -23,9 +33,13 @@ export function MTDebugOverlay() {
   const distMm = getCurrentDistanceMm();
   const trueMT = rmt.trueMT || 50;
   const intensity = rmt.intensity;
-  const penalty = calculateDistancePenalty(distMm);
-  const apparentMT = calculateApparentMT(trueMT, distMm);
-  const probability = calculateTwitchProbability(intensity, apparentMT);
+  const spatial = getSpatialPenalty(distMm);
+  const penalty = spatial.penalty;
+  const orientation = getCurrentOrientationPenalty();
+  const apparentMT = calculateApparentMT(trueMT, spatial.effectiveDistanceMm, orientation.total);
+  const map = rmt.hotspotMap;
+  const toDeg = (rad) => (rad * 180 / Math.PI).toFixed(0);
+  const probability = calculateTwitchProbability(intensity, apparentMT, mepModel);
   
   // Format position arrays
   const formatPos = (pos) => {
@@ -97,20 +111,62 @@ export function MTDebugOverlay() {
         <div>
           penalty(d) = <span style={{ color: '#f97316' }}>{penalty.toFixed(2)}%</span>
           <span style={{ color: '#666', marginLeft: '4px' }}>
-            (Pmax={MT_CONSTANTS.Pmax}, σ={MT_CONSTANTS.sigma})
+            {map ? `(map, d_eff=${spatial.effectiveDistanceMm.toFixed(1)} mm)` : `(Pmax=${MT_CONSTANTS.Pmax}, σ=${MT_CONSTANTS.sigma})`}
           </span>
         </div>
+      </div>
+      
+      {/* Hotspot Map */}
+      {map && (
+        <div style={{ marginBottom: '8px' }}>
+          <div style={{ color: '#888', marginBottom: '2px' }}>Hotspot Map:</div>
+          <div>
+            {map.difficulty} · seed {map.seed} · depth {map.depthMm.toFixed(1)} mm
+          </div>
+          <div>
+            sulcus {toDeg(map.sulcusAngle)}° · spread {map.peaks[0].spreadMm.join(' × ')} mm
+          </div>
+          {map.peaks.slice(1).map((peak, i) => (
+            <div key={i} style={{ fontSize: '10px' }}>
+              peak {i + 1}: {peak.alongMm.toFixed(0)} mm along, +{peak.thresholdOffset.toFixed(1)}%
+            </div>
+          ))}
+          <div>
+            best peak: <span style={{ color: spatial.peakIndex === 0 ? '#22c55e' : '#fbbf24' }}>
+              {spatial.peakIndex === 0 ? 'primary' : `secondary ${spatial.peakIndex}`}
+            </span>
+          </div>
+        </div>
+      )}
+      
+      {/* Orientation & Penalty */}
+      <div style={{ marginBottom: '8px' }}>
+        <div style={{ color: '#888', marginBottom: '2px' }}>Orientation & Penalty:</div>
+        <div>
+          twist = {toDeg(currentCoilOrientation.twist)}°
+          <span style={{ color: '#666', marginLeft: '4px' }}>
+            (optimal {rmt.optimalTwist !== null ? `${toDeg(rmt.optimalTwist)}°` : '–'}, error {toDeg(orientation.twistError)}°)
+          </span>
+        </div>
+        <div>
+          tilt = {toDeg(currentCoilOrientation.tilt)}°
+        </div>
+        <div>
+          penalty(θ) = <span style={{ color: '#f97316' }}>{orientation.twist.toFixed(2)}%</span>
+          {' + '}
+          penalty(tilt) = <span style={{ color: '#f97316' }}>{orientation.tilt.toFixed(2)}%</span>
+        </div>
         <div>
-          apparentMT = {trueMT.toFixed(1)} + {penalty.toFixed(2)} = 
+          apparentMT = {trueMT.toFixed(1)} + {penalty.toFixed(2)} + {orientation.total.toFixed(2)} = 
           <span style={{ color: '#fb923c', fontWeight: 'bold' }}> {apparentMT.toFixed(2)}%</span>
         </div>
       </div>
       
       {/* Probability */}
       <div style={{ marginBottom: '8px' }}>
-        <div style={{ color: '#888', marginBottom: '2px' }}>Twitch Probability:</div>
+        <div style={{ color: '#888', marginBottom: '2px' }}>MEP ≥ {MEP_CRITERION_UV} µV Probability:</div>
         <div>
-          p = 1/(1 + exp(-({intensity} - {apparentMT.toFixed(1)})/{MT_CONSTANTS.k}))
+          median = {Math.round(getMEPMedian(intensity, apparentMT, mepModel))} µV
         </div>
         <div>
           p = <span style={{ 
@@ -130,7 +186,7 @@ export function MTDebugOverlay() {
         }}>
           <div style={{ color: '#888', marginBottom: '2px' }}>Last Pulse:</div>
           <div>
-            Random: {rmt.debugData.randomDraw?.toFixed(4)} 
+            MEP: {rmt.debugData.amplitude?.toFixed(1)} µV
             {rmt.debugData.twitch ? 
               <span style={{ color: '#22c55e', marginLeft: '8px' }}>✓ TWITCH</span> : 
               <span style={{ color: '#ef4444', marginLeft: '8px' }}>✗ No twitch</span>
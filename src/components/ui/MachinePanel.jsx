@@ -7,30 +7,96 @@
 
 import React, { useState, useCallback, useEffect, useRef } from 'react';
 import * as THREE from 'three';
-import { useTMSStore, EXAMPLE_PROTOCOLS } from '../../stores/tmsStore';
+import { useTMSStore } from '../../stores/tmsStore';
 import { 
   calculateSessionTiming, 
   PulseScheduler, 
   ThetaBurstScheduler,
+  getTimelineStateAt,
+  isThetaBurst,
   formatDuration 
 } from '../../engine/pulseScheduler';
-import { TARGETS } from '../../constants/targets';
+import { validateProtocol, validateSessionProtocol } from '../../engine/protocolValidation';
+import {
+  hasBlocks,
+  getBlockPlan,
+  checkBlockPosition,
+  REPOSITION_TOLERANCE_MM,
+} from '../../engine/protocolBlocks';
+import { SNAPSHOT_INTERVAL_MS } from '../../engine/sessionRecovery';
+import { MAX_MSO, toMSO, toPercentMT } from '../../engine/doseAccounting';
+import { SESSION_EVENTS } from '../../engine/sessionLog';
+import {
+  SessionClock,
+  MAX_FRAME_GAP,
+  CLOCK_PUBLISH_INTERVAL_MS,
+  TIME_SCALES,
+  getRemainingTime,
+} from '../../engine/sessionClock';
+import { downloadFile } from '../../utils/storage';
+import { TARGETS, ELECTRODE_TARGETS } from '../../constants/targets';
+import { COILS } from '../../constants/coils';
+import { BEAM_TAPES } from '../../engine/beamF3';
+import { ProtocolLibrary } from './ProtocolLibrary';
+import { HeadLibrary } from './HeadLibrary';
+import { TargetOptions } from './TargetOptions';
 import './MachinePanel.css';
 
+const LOG_EVENT_LABELS = {
+  [SESSION_EVENTS.START]: 'Started',
+  [SESSION_EVENTS.PAUSE]: 'Paused',
+  [SESSION_EVENTS.RESUME]: 'Resumed',
+  [SESSION_EVENTS.STOP]: 'Stopped',
+  [SESSION_EVENTS.COMPLETE]: 'Completed',
+  [SESSION_EVENTS.RECOVER]: 'Recovered',
+  [SESSION_EVENTS.TIMING_GAP]: 'Caught up',
+  [SESSION_EVENTS.BLOCK_COMPLETE]: 'Block done',
+  [SESSION_EVENTS.BLOCK_START]: 'Block start',
+  [SESSION_EVENTS.INTENSITY]: 'Intensity',
+  [SESSION_EVENTS.OFF_TARGET]: 'Off target',
+  [SESSION_EVENTS.ON_TARGET]: 'On target',
+  [SESSION_EVENTS.LOCK]: 'Locked',
+  [SESSION_EVENTS.UNLOCK]: 'Unlocked',
+};
+
 export function MachinePanel({ isExpanded = false, onToggleExpand }) {
   // Store selectors
   const protocol = useTMSStore(s => s.protocol);
   const setProtocolField = useTMSStore(s => s.setProtocolField);
+  const motorThreshold = useTMSStore(s => s.motorThreshold);
+  const setMotorThreshold = useTMSStore(s => s.setMotorThreshold);
+  const setMotorThresholdFromRMT = useTMSStore(s => s.setMotorThresholdFromRMT);
+  const rmtResults = useTMSStore(s => s.rmt.completionResults);
+  const activeBlockIndex = useTMSStore(s => s.activeBlockIndex);
+  const addProtocolBlock = useTMSStore(s => s.addProtocolBlock);
+  const selectProtocolBlock = useTMSStore(s => s.selectProtocolBlock);
+  const setBlockTarget = useTMSStore(s => s.setBlockTarget);
+  const moveProtocolBlock = useTMSStore(s => s.moveProtocolBlock);
+  const removeProtocolBlock = useTMSStore(s => s.removeProtocolBlock);
   const session = useTMSStore(s => s.session);
   const startSession = useTMSStore(s => s.startSession);
   const pauseSession = useTMSStore(s => s.pauseSession);
   const resumeSession = useTMSStore(s => s.resumeSession);
   const stopSession = useTMSStore(s => s.stopSession);
   const resetSession = useTMSStore(s => s.resetSession);
-  const incrementPulse = useTMSStore(s => s.incrementPulse);
+  const recordPulses = useTMSStore(s => s.recordPulses);
+  const completeBlock = useTMSStore(s => s.completeBlock);
+  const confirmBlockPosition = useTMSStore(s => s.confirmBlockPosition);
+  const sessionLog = useTMSStore(s => s.sessionLog);
+  const sessionPulses = useTMSStore(s => s.sessionPulses);
+  const exportSessionLog = useTMSStore(s => s.exportSessionLog);
+  const saveSessionSnapshot = useTMSStore(s => s.saveSessionSnapshot);
+  const setSessionElapsed = useTMSStore(s => s.setSessionElapsed);
+  const recordTimingGap = useTMSStore(s => s.recordTimingGap);
+  const setTimeScale = useTMSStore(s => s.setTimeScale);
+  const recordTimeSkip = useTMSStore(s => s.recordTimeSkip);
+  const interruptedSession = useTMSStore(s => s.interruptedSession);
+  const resumeInterruptedSession = useTMSStore(s => s.resumeInterruptedSession);
+  const discardInterruptedSession = useTMSStore(s => s.discardInterruptedSession);
   const setIsPulsing = useTMSStore(s => s.setIsPulsing);
   const coilPosition = useTMSStore(s => s.coilPosition);
   const targetPositions = useTMSStore(s => s.targetPositions);
+  const electrodePositions = useTMSStore(s => s.electrodePositions);
   const isCoilLocked = useTMSStore(s => s.isCoilLocked);
   const lockCoil = useTMSStore(s => s.lockCoil);
   const unlockCoil = useTMSStore(s => s.unlockCoil);
@@ -39,14 +105,32 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
   const selectedTargetKey = useTMSStore(s => s.selectedTargetKey);
   const requestSnap = useTMSStore(s => s.requestSnap);
   const resetCoilPosition = useTMSStore(s => s.resetCoilPosition);
+  const coilKey = useTMSStore(s => s.coilKey);
+  const setCoil = useTMSStore(s => s.setCoil);
+  const rmtPhase = useTMSStore(s => s.rmt.phase);
+  const beamF3 = useTMSStore(s => s.beamF3);
+  const setActiveTape = useTMSStore(s => s.setActiveTape);
+  const undoTapePoint = useTMSStore(s => s.undoTapePoint);
+  const clearTape = useTMSStore(s => s.clearTape);
+  const resetBeamF3 = useTMSStore(s => s.resetBeamF3);
+  const headLabel = useTMSStore(s => (
+    s.headDraft ? 'Marking…' : s.headLibrary.find(entry => entry.id === s.activeHeadId)?.name ?? 'Bundled'
+  ));
   
   // Local UI state - sections collapsed by default for compact view
+  const [showHead, setShowHead] = useState(false);
+  const [showCoil, setShowCoil] = useState(false);
   const [showTargets, setShowTargets] = useState(true);
+  const [showBeamF3, setShowBeamF3] = useState(false);
   const [showProtocol, setShowProtocol] = useState(true);
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [showLog, setShowLog] = useState(false);
   const [pulseFlash, setPulseFlash] = useState(false);
+  const [instructorOverride, setInstructorOverride] = useState(false);
+  const [intensityUnit, setIntensityUnit] = useState('mt'); // Entry unit: 'mt' | 'mso'
   const [itiProgress, setItiProgress] = useState({ inITI: false, progress: 0, remaining: 0 });
   const schedulerRef = useRef(null);
+  const clockRef = useRef(null);
   const frameRef = useRef(null);
   
   // Calculate timing
@@ -58,12 +142,53 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
     return calculateSessionTiming(protocol);
   }, [protocol]);
   
-  // Protocol validation
-  const isProtocolValid = protocol.frequency && 
-    protocol.pulsesPerTrain && 
-    protocol.totalPulses && 
-    protocol.iti !== null &&
-    protocol.intensity;
+  // Multi-target sequence laid out end to end (one block for plain protocols)
+  const multiBlock = hasBlocks(protocol);
+  const sessionPlan = React.useMemo(() => getBlockPlan(protocol), [protocol]);
+  const currentBlock = sessionPlan?.blocks[session.blockIndex] ?? null;
+  const blockPosition = session.awaitingReposition && currentBlock
+    ? checkBlockPosition(currentBlock, coilPosition, targetPositions)
+    : null;
+  
+  // Dose: a running session keeps the MT it started with
+  const mtValue = motorThreshold?.value ?? null;
+  const doseMT = session.isRunning ? session.motorThreshold : mtValue;
+  const intensityMSO = toMSO(protocol.intensity, doseMT);
+  const intensityInMSO = intensityUnit === 'mso' && doseMT !== null;
+  
+  // Protocol validation against safety tables - fields show the edited
+  // block, start/override cover every block of a sequence
+  const validation = React.useMemo(() => validateProtocol(protocol), [protocol]);
+  const sessionValidation = React.useMemo(
+    () => validateSessionProtocol(protocol, { motorThreshold: mtValue }),
+    [protocol, mtValue]
+  );
+  const isUnsafe = sessionValidation.status === 'unsafe';
+  const isProtocolValid = sessionValidation.valid || (isUnsafe && instructorOverride);
+  
+  // Override applies to the protocol it was given for - clear it once the protocol is safe again
+  useEffect(() => {
+    if (!isUnsafe) setInstructorOverride(false);
+  }, [isUnsafe]);
+  
+  // Field cell class with inline error/warning highlight
+  const paramCellClass = (field) => {
+    if (validation.errors[field]) return 'param-cell has-error';
+    if (field === 'intensity' && intensityMSO > MAX_MSO) return 'param-cell has-error';
+    if (validation.warnings[field]) return 'param-cell has-warning';
+    return 'param-cell';
+  };
+  
+  // Missing fields are already signalled by the start button
+  const visibleIssues = sessionValidation.issues.filter(issue => issue.code !== 'required');
+  
+  const startLabel = (() => {
+    if (isProtocolValid) return 'Start Session';
+    if (isUnsafe) return 'Exceeds Safety Limits';
+    if (sessionValidation.issues.some(issue => issue.code === 'mso-max')) return `Exceeds ${MAX_MSO}% MSO`;
+    if (sessionValidation.status === 'invalid') return 'Fix Protocol Errors';
+    return 'Configure Protocol';
+  })();
   
   // Update nearest target on coil move
   useEffect(() => {
@@ -84,7 +209,7 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
   
   // Session animation loop with pulse visual feedback and ITI tracking
   useEffect(() => {
-    if (!session.isRunning || session.isPaused) {
+    if (!session.isRunning || session.isPaused || session.awaitingReposition) {
       if (frameRef.current) {
         cancelAnimationFrame(frameRef.current);
         frameRef.current = null;
@@ -96,23 +221,43 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
     
     // Create scheduler only once when session starts
     if (!schedulerRef.current) {
-      if (protocol.stimType === 'iTBS' || protocol.stimType === 'cTBS') {
+      if (isThetaBurst(protocol.stimType)) {
         schedulerRef.current = new ThetaBurstScheduler(protocol);
       } else {
         schedulerRef.current = new PulseScheduler(protocol);
       }
+      // Recovered session - continue from the saved train/ITI phase
+      if (session.resumeClock !== null) {
+        schedulerRef.current.seek(session.resumeClock);
+      }
+      clockRef.current = new SessionClock({ startAt: schedulerRef.current.clock });
     }
+    clockRef.current.setRate(session.timeScale);
+    clockRef.current.start();
     
-    let lastTime = performance.now();
-    let localPulseCount = session.pulsesDelivered; // Track locally to avoid stale closures
+    let lastSnapshotTime = 0;
+    let lastPublishTime = 0;
+    // Pulses of the current block, tracked locally to avoid stale closures
+    let localPulseCount = session.pulsesDelivered - (currentBlock?.firstPulse ?? 0);
+    const blockStartTime = session.blockStartTime;
+    const isLastBlock = !sessionPlan || session.blockIndex >= sessionPlan.blocks.length - 1;
+    
+    const saveSnapshot = () => {
+      if (schedulerRef.current) saveSessionSnapshot(schedulerRef.current.clock);
+    };
+    window.addEventListener('pagehide', saveSnapshot);
     
     const animate = (currentTime) => {
-      const delta = (currentTime - lastTime) / 1000;
-      lastTime = currentTime;
-      
-      if (schedulerRef.current) {
+      if (schedulerRef.current && clockRef.current) {
+        // Drive the scheduler to wall-clock session time, not summed frame deltas
+        const delta = clockRef.current.elapsed() - schedulerRef.current.clock;
         const pulses = schedulerRef.current.update(delta);
         
+        // Loop stalled (hidden tab) - missed pulses were just emitted late
+        if (delta > MAX_FRAME_GAP * clockRef.current.rate) {
+          recordTimingGap(delta, pulses);
+        }
+        
         // Get ITI progress from scheduler
         if (schedulerRef.current.getITIProgress) {
           const itiState = schedulerRef.current.getITIProgress();
@@ -125,10 +270,8 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
           setPulseFlash(true);
           setIsPulsing(true, protocol.intensity / 100);
           
-          // Increment store pulse count
-          for (let i = 0; i < pulses; i++) {
-            incrementPulse();
-          }
+          // Count and log the pulses in the store
+          recordPulses(schedulerRef.current.getRecentEvents(pulses));
           
           setTimeout(() => {
             setPulseFlash(false);
@@ -136,14 +279,31 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
           }, 60);
         }
         
-        // Check completion using local count
+        // Check block/session completion using local count
         if (localPulseCount >= protocol.totalPulses) {
-          stopSession();
+          setSessionElapsed(blockStartTime + schedulerRef.current.clock);
+          if (isLastBlock) {
+            stopSession('complete');
+          } else {
+            completeBlock();
+          }
           setIsPulsing(false);
           setItiProgress({ inITI: false, progress: 0, remaining: 0 });
           schedulerRef.current = null;
+          clockRef.current = null;
           return;
         }
+        
+        // Persist progress for crash recovery
+        if (currentTime - lastSnapshotTime >= SNAPSHOT_INTERVAL_MS) {
+          lastSnapshotTime = currentTime;
+          saveSnapshot();
+        }
+        
+        if (currentTime - lastPublishTime >= CLOCK_PUBLISH_INTERVAL_MS) {
+          lastPublishTime = currentTime;
+          setSessionElapsed(blockStartTime + schedulerRef.current.clock);
+        }
       }
       
       frameRef.current = requestAnimationFrame(animate);
@@ -152,45 +312,71 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
     frameRef.current = requestAnimationFrame(animate);
     
     return () => {
+      window.removeEventListener('pagehide', saveSnapshot);
+      clockRef.current?.pause();
+      // Pausing keeps the session recoverable at the exact pause point
+      saveSnapshot();
       if (frameRef.current) {
         cancelAnimationFrame(frameRef.current);
         frameRef.current = null;
       }
     };
-  }, [session.isRunning, session.isPaused, protocol, incrementPulse, stopSession, setIsPulsing]);
+  }, [session.isRunning, session.isPaused, session.awaitingReposition, session.resumeClock, session.timeScale, session.blockIndex, session.blockStartTime, protocol, sessionPlan, recordPulses, stopSession, completeBlock, setIsPulsing, saveSessionSnapshot, setSessionElapsed, recordTimingGap]);
   
   // Handlers
+  // Push the exact clock time to the store before events that log it
+  const publishElapsed = useCallback(() => {
+    if (clockRef.current) setSessionElapsed(session.blockStartTime + clockRef.current.elapsed());
+  }, [session.blockStartTime, setSessionElapsed]);
+  
   const handleStart = useCallback(() => {
     if (!isProtocolValid) return;
     schedulerRef.current = null;
-    startSession();
-  }, [isProtocolValid, startSession]);
+    clockRef.current = null;
+    startSession({ instructorOverride });
+  }, [isProtocolValid, instructorOverride, startSession]);
   
   const handlePause = useCallback(() => {
+    publishElapsed();
     session.isPaused ? resumeSession() : pauseSession();
-  }, [session.isPaused, pauseSession, resumeSession]);
+  }, [session.isPaused, pauseSession, resumeSession, publishElapsed]);
   
   const handleStop = useCallback(() => {
+    publishElapsed();
     schedulerRef.current = null;
+    clockRef.current = null;
     stopSession();
     setItiProgress({ inITI: false, progress: 0, remaining: 0 });
-  }, [stopSession]);
+  }, [stopSession, publishElapsed]);
+  
+  // Jump over the rest of the current inter-train interval; never skips pulses
+  const handleSkipToNextTrain = useCallback(() => {
+    const scheduler = schedulerRef.current;
+    const clock = clockRef.current;
+    if (!scheduler?.timeline || !clock) return;
+    
+    const from = clock.elapsed();
+    const { iti } = getTimelineStateAt(scheduler.timeline, from);
+    if (!iti) return;
+    
+    clock.skip(iti.end - from);
+    scheduler.update(iti.end - scheduler.clock);
+    recordTimeSkip(session.blockStartTime + from, session.blockStartTime + iti.end);
+    setItiProgress(scheduler.getITIProgress());
+  }, [session.blockStartTime, recordTimeSkip]);
   
   const handleReset = useCallback(() => {
     schedulerRef.current = null;
+    clockRef.current = null;
     resetSession();
     setItiProgress({ inITI: false, progress: 0, remaining: 0 });
   }, [resetSession]);
   
-  const handleLoadExample = useCallback((name) => {
-    const example = EXAMPLE_PROTOCOLS[name];
-    if (example) {
-      Object.entries(example).forEach(([key, value]) => {
-        setProtocolField(key, value);
-      });
-    }
-    setShowAdvanced(false);
-  }, [setProtocolField]);
+  const handleExportLog = useCallback((format) => {
+    const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+    const mimeType = format === 'csv' ? 'text/csv' : 'application/json';
+    downloadFile(`tms-session-${stamp}.${format}`, exportSessionLog(format), mimeType);
+  }, [exportSessionLog]);
   
   const handleTargetClick = useCallback((target) => {
     requestSnap(target);
@@ -209,10 +395,11 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
     resetCoilPosition();
   }, [requestSnap, resetCoilPosition]);
   
-  // Progress calculation
-  const progress = timing && protocol.totalPulses 
-    ? (session.pulsesDelivered / protocol.totalPulses) * 100 
+  // Progress across the whole sequence
+  const progress = sessionPlan
+    ? (session.pulsesDelivered / sessionPlan.totalPulses) * 100
     : 0;
+  const remainingTime = sessionPlan ? getRemainingTime(sessionPlan.sessionDuration, session.elapsedTime) : null;
   
   return (
     <div className={`machine-panel ${session.isRunning ? 'session-active' : ''}`}>
@@ -224,10 +411,12 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
           </svg>
           <span>TMS Control</span>
         </div>
-        <div className={`status-indicator ${session.isRunning ? (session.isPaused ? 'paused' : 'active') : 'ready'}`}>
+        <div className={`status-indicator ${session.isRunning ? (session.isPaused || session.awaitingReposition ? 'paused' : 'active') : 'ready'}`}>
           <span className="status-dot"></span>
           <span className="status-text">
-            {session.isRunning ? (session.isPaused ? 'PAUSED' : 'ACTIVE') : 'READY'}
+            {session.isRunning
+              ? (session.isPaused ? 'PAUSED' : session.awaitingReposition ? 'REPOSITION' : 'ACTIVE')
+              : 'READY'}
           </span>
         </div>
       </div>
@@ -235,6 +424,83 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
       {/* Scrollable Body */}
       <div className="panel-body">
         
+        {/* === HEAD MODEL - Collapsible === */}
+        <section className="panel-section collapsible">
+          <header 
+            className="section-header clickable"
+            onClick={() => setShowHead(!showHead)}
+          >
+            <div className="section-title-row">
+              <h3 className="section-title">Head</h3>
+              <span className="section-value">{headLabel}</span>
+            </div>
+            <svg 
+              className={`chevron ${showHead ? 'open' : ''}`} 
+              viewBox="0 0 24 24" 
+              fill="none" 
+              stroke="currentColor" 
+              strokeWidth="2"
+              width="14" 
+              height="14"
+            >
+              <path d="M6 9l6 6 6-6" />
+            </svg>
+          </header>
+          
+          {showHead && (
+            <div className="section-content">
+              <HeadLibrary disabled={session.isRunning || rmtPhase === 'hunt' || rmtPhase === 'titration'} />
+            </div>
+          )}
+        </section>
+        
+        {/* === COIL SELECTION - Collapsible === */}
+        <section className="panel-section collapsible">
+          <header 
+            className="section-header clickable"
+            onClick={() => setShowCoil(!showCoil)}
+          >
+            <div className="section-title-row">
+              <h3 className="section-title">Coil</h3>
+              <span className="section-value">{COILS[coilKey].label}</span>
+            </div>
+            <svg 
+              className={`chevron ${showCoil ? 'open' : ''}`} 
+              viewBox="0 0 24 24" 
+              fill="none" 
+              stroke="currentColor" 
+              strokeWidth="2"
+              width="14" 
+              height="14"
+            >
+              <path d="M6 9l6 6 6-6" />
+            </svg>
+          </header>
+          
+          {showCoil && (
+            <div className="section-content">
+              <div className="target-chips coil-chips">
+                {Object.values(COILS).map(coil => (
+                  <button
+                    key={coil.key}
+                    className={`target-chip ${coilKey === coil.key ? 'selected' : ''}`}
+                    onClick={() => setCoil(coil.key)}
+                    disabled={session.isRunning || rmtPhase === 'hunt' || rmtPhase === 'titration'}
+                    style={{ '--target-color': coil.model.color }}
+                    title={coil.name}
+                  >
+                    <span className="target-key">{coil.label}</span>
+                    <span className="target-area">
+                      {coil.holder.maxTiltDeg > 0 ? `Tilt ±${coil.holder.maxTiltDeg}°` : 'Fixed'}
+                    </span>
+                  </button>
+                ))}
+              </div>
+              <p className="coil-note">{COILS[coilKey].description}</p>
+            </div>
+          )}
+        </section>
+        
         {/* === TARGET SELECTION - Collapsible === */}
         <section className="panel-section collapsible">
           <header 
@@ -268,7 +534,7 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
                     key={key}
                     className={`target-chip ${selectedTargetKey === key ? 'selected' : ''}`}
                     onClick={() => handleTargetClick(key)}
-                    disabled={session.isRunning}
+                    disabled={session.isRunning && !session.awaitingReposition}
                     style={{ '--target-color': target.color }}
                   >
                     <span className="target-key">{key}</span>
@@ -276,6 +542,15 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
                   </button>
                 ))}
               </div>
+              <select
+                className="electrode-select"
+                value={ELECTRODE_TARGETS[selectedTargetKey] ? selectedTargetKey : ''}
+                onChange={(e) => e.target.value && handleTargetClick(e.target.value)}
+                disabled={!electrodePositions || (session.isRunning && !session.awaitingReposition)}
+              >
+                <option value="">{electrodePositions ? 'Any 10-20 / 10-10 electrode…' : 'Placing electrodes…'}</option>
+                <TargetOptions named={false} />
+              </select>
               <div className="target-actions-row">
                 <button className="btn-tiny" onClick={handleResetCoil} disabled={session.isRunning}>
                   Reset Position
@@ -293,6 +568,103 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
           )}
         </section>
         
+        {/* === BEAM F3 MEASUREMENT - Collapsible === */}
+        <section className="panel-section collapsible">
+          <header 
+            className="section-header clickable"
+            onClick={() => setShowBeamF3(!showBeamF3)}
+          >
+            <div className="section-title-row">
+              <h3 className="section-title">Beam F3</h3>
+              {beamF3.measurement?.errorMm != null && (
+                <span className="section-value">{beamF3.measurement.errorMm.toFixed(1)} mm</span>
+              )}
+            </div>
+            <svg 
+              className={`chevron ${showBeamF3 ? 'open' : ''}`} 
+              viewBox="0 0 24 24" 
+              fill="none" 
+              stroke="currentColor" 
+              strokeWidth="2"
+              width="14" 
+              height="14"
+            >
+              <path d="M6 9l6 6 6-6" />
+            </svg>
+          </header>
+          
+          {showBeamF3 && (
+            <div className="section-content">
+              <div className="tape-list">
+                {Object.entries(BEAM_TAPES).map(([key, tape]) => {
+                  const length = beamF3.measurement?.lengths?.[key] ?? null;
+                  const active = beamF3.activeTape === key;
+                  return (
+                    <div key={key} className={`tape-row ${active ? 'active' : ''}`}>
+                      <span className="tape-dot" style={{ background: tape.color }} />
+                      <span className="tape-label">{tape.label}</span>
+                      <span className="tape-length">{length === null ? '—' : `${(length * 100).toFixed(1)} cm`}</span>
+                      <button
+                        className={`btn-tiny ${active ? 'active' : ''}`}
+                        onClick={() => setActiveTape(active ? null : key)}
+                      >
+                        {active ? 'Done' : 'Measure'}
+                      </button>
+                      <button
+                        className="btn-tiny"
+                        onClick={() => clearTape(key)}
+                        disabled={beamF3.waypoints[key].length === 0}
+                      >
+                        Clear
+                      </button>
+                    </div>
+                  );
+                })}
+              </div>
+              
+              {beamF3.activeTape && (
+                <div className="tape-hint">
+                  <span>Click the scalp to lay the tape. {BEAM_TAPES[beamF3.activeTape].hint}</span>
+                  <button
+                    className="btn-tiny"
+                    onClick={undoTapePoint}
+                    disabled={beamF3.waypoints[beamF3.activeTape].length === 0}
+                  >
+                    Undo point
+                  </button>
+                </div>
+              )}
+              
+              {beamF3.measurement?.f3 ? (
+                <div className="session-stats-row tape-results">
+                  <div className="session-stat">
+                    <span className="stat-value">{(beamF3.measurement.f3.x * 100).toFixed(1)}</span>
+                    <span className="stat-label">X cm</span>
+                  </div>
+                  <div className="session-stat">
+                    <span className="stat-value">{(beamF3.measurement.f3.y * 100).toFixed(1)}</span>
+                    <span className="stat-label">Y cm</span>
+                  </div>
+                  <div className="session-stat">
+                    <span className="stat-value">
+                      {beamF3.measurement.errorMm === null ? '—' : beamF3.measurement.errorMm.toFixed(1)}
+                    </span>
+                    <span className="stat-label">mm from F3</span>
+                  </div>
+                </div>
+              ) : (
+                <p className="coil-note">
+                  Lay all three tapes to mark F3: X along the circumference from Fpz, then Y from the vertex.
+                </p>
+              )}
+              
+              <div className="target-actions-row">
+                <button className="btn-tiny" onClick={resetBeamF3}>Reset Tapes</button>
+              </div>
+            </div>
+          )}
+        </section>
+        
         {/* === PROTOCOL SETTINGS - Collapsible === */}
         <section className="panel-section collapsible">
           <header 
@@ -303,7 +675,8 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
               <h3 className="section-title">Protocol</h3>
               {protocol.frequency && (
                 <span className="section-value">
-                  {protocol.frequency}Hz · {protocol.intensity}%
+                  {protocol.frequency}Hz · {protocol.intensity}% MT
+                  {intensityMSO !== null && ` · ${intensityMSO}% MSO`}
                 </span>
               )}
             </div>
@@ -322,10 +695,35 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
           
           {showProtocol && (
             <div className="section-content">
+              {/* Motor threshold - converts %MT intensity to machine %MSO */}
+              <div className="mt-row">
+                <label>Motor threshold</label>
+                <div className="param-input-wrap">
+                  <input
+                    type="number"
+                    min="1"
+                    max={MAX_MSO}
+                    value={mtValue ?? ''}
+                    onChange={(e) => setMotorThreshold(e.target.value ? Number(e.target.value) : null)}
+                    placeholder="—"
+                    disabled={session.isRunning}
+                  />
+                  <span className="param-unit">% MSO</span>
+                </div>
+                {rmtResults && rmtResults.userMT !== mtValue && (
+                  <button className="btn-tiny" onClick={setMotorThresholdFromRMT} disabled={session.isRunning}>
+                    Use rMT {rmtResults.userMT}%
+                  </button>
+                )}
+                {motorThreshold?.source === 'rmt' && rmtResults?.userMT === mtValue && (
+                  <span className="mt-source">rMT trial #{motorThreshold.trialNumber}</span>
+                )}
+              </div>
+              
               {/* Compact 3-column grid */}
               <div className="param-grid-compact">
-                <div className="param-cell">
-                  <label>Freq</label>
+                <div className={paramCellClass('frequency')}>
+                  <label>{isThetaBurst(protocol.stimType) ? 'Intra-burst' : 'Freq'}</label>
                   <div className="param-input-wrap">
                     <input
                       type="number"
@@ -340,20 +738,34 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
                   </div>
                 </div>
                 
-                <div className="param-cell">
+                <div className={paramCellClass('intensity')}>
                   <label>Intensity</label>
                   <div className="param-input-wrap">
                     <input
                       type="number"
                       min="0"
-                      max="100"
-                      value={protocol.intensity || ''}
-                      onChange={(e) => setProtocolField('intensity', e.target.value ? Number(e.target.value) : null)}
+                      max={intensityInMSO ? MAX_MSO : 150}
+                      value={(intensityInMSO ? intensityMSO : protocol.intensity) || ''}
+                      onChange={(e) => {
+                        const value = e.target.value ? Number(e.target.value) : null;
+                        setProtocolField('intensity', intensityInMSO ? toPercentMT(value, doseMT) : value);
+                      }}
                       placeholder="—"
-                      disabled={session.isRunning}
                     />
-                    <span className="param-unit">%</span>
+                    <button
+                      className="param-unit unit-toggle"
+                      onClick={() => setIntensityUnit(intensityInMSO ? 'mt' : 'mso')}
+                      disabled={doseMT === null}
+                      title={doseMT === null ? 'Set a motor threshold to enter %MSO' : 'Switch between %MT and %MSO entry'}
+                    >
+                      {intensityInMSO ? '%MSO' : '%MT'}
+                    </button>
                   </div>
+                  {intensityMSO !== null && (
+                    <span className="param-hint">
+                      {intensityInMSO ? `${protocol.intensity}% MT` : `${intensityMSO}% MSO`}
+                    </span>
+                  )}
                 </div>
                 
                 <div className="param-cell">
@@ -369,7 +781,7 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
                   </select>
                 </div>
                 
-                <div className="param-cell">
+                <div className={paramCellClass('pulsesPerTrain')}>
                   <label>Pulses/Train</label>
                   <input
                     type="number"
@@ -382,7 +794,7 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
                   />
                 </div>
                 
-                <div className="param-cell">
+                <div className={paramCellClass('iti')}>
                   <label>ITI</label>
                   <div className="param-input-wrap">
                     <input
@@ -399,7 +811,41 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
                   </div>
                 </div>
                 
-                <div className="param-cell">
+                {isThetaBurst(protocol.stimType) && (
+                  <>
+                    <div className={paramCellClass('pulsesPerBurst')}>
+                      <label>Pulses/Burst</label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="10"
+                        value={protocol.pulsesPerBurst || ''}
+                        onChange={(e) => setProtocolField('pulsesPerBurst', e.target.value ? Number(e.target.value) : null)}
+                        placeholder="—"
+                        disabled={session.isRunning}
+                      />
+                    </div>
+                    
+                    <div className={paramCellClass('burstFrequency')}>
+                      <label>Burst Rate</label>
+                      <div className="param-input-wrap">
+                        <input
+                          type="number"
+                          min="1"
+                          max="20"
+                          step="0.5"
+                          value={protocol.burstFrequency || ''}
+                          onChange={(e) => setProtocolField('burstFrequency', e.target.value ? Number(e.target.value) : null)}
+                          placeholder="—"
+                          disabled={session.isRunning}
+                        />
+                        <span className="param-unit">Hz</span>
+                      </div>
+                    </div>
+                  </>
+                )}
+                
+                <div className={paramCellClass('totalPulses')}>
                   <label>Total</label>
                   <input
                     type="number"
@@ -413,23 +859,109 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
                 </div>
               </div>
               
+              {/* Multi-target blocks - the fields above edit the selected block */}
+              <div className="protocol-blocks">
+                {multiBlock && (
+                  <div className="block-list">
+                    {protocol.blocks.map((block, i) => (
+                      <button
+                        key={i}
+                        className={`block-chip ${i === activeBlockIndex ? 'selected' : ''} ${session.isRunning && i < session.blockIndex ? 'done' : ''}`}
+                        onClick={() => selectProtocolBlock(i)}
+                        disabled={session.isRunning}
+                      >
+                        <span className="block-number">{i + 1}</span>
+                        <span className="block-target">{block.target || '—'}</span>
+                        <span className="block-summary">{block.frequency ? `${block.frequency}Hz` : '—'}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
+                {!session.isRunning && (
+                  <div className="block-actions-row">
+                    {multiBlock && (
+                      <>
+                        <select
+                          value={protocol.blocks[activeBlockIndex]?.target || ''}
+                          onChange={(e) => setBlockTarget(activeBlockIndex, e.target.value || null)}
+                        >
+                          <option value="">Block {activeBlockIndex + 1} target…</option>
+                          <TargetOptions />
+                        </select>
+                        <button
+                          className="btn-tiny"
+                          onClick={() => moveProtocolBlock(activeBlockIndex, -1)}
+                          disabled={activeBlockIndex === 0}
+                          title="Move block earlier"
+                        >
+                          ↑
+                        </button>
+                        <button
+                          className="btn-tiny"
+                          onClick={() => moveProtocolBlock(activeBlockIndex, 1)}
+                          disabled={activeBlockIndex === protocol.blocks.length - 1}
+                          title="Move block later"
+                        >
+                          ↓
+                        </button>
+                        <button className="btn-tiny danger" onClick={() => removeProtocolBlock(activeBlockIndex)}>
+                          Remove
+                        </button>
+                      </>
+                    )}
+                    <button className="btn-tiny" onClick={addProtocolBlock}>
+                      {multiBlock ? '+ Block' : '+ Add target block'}
+                    </button>
+                  </div>
+                )}
+              </div>
+              
+              {/* Safety validation - inline */}
+              {visibleIssues.length > 0 && (
+                <ul className="protocol-issues">
+                  {visibleIssues.map((issue, i) => (
+                    <li key={i} className={`protocol-issue ${issue.severity}`}>
+                      {issue.message}
+                    </li>
+                  ))}
+                </ul>
+              )}
+              
+              {isUnsafe && (
+                <label className="override-toggle">
+                  <input
+                    type="checkbox"
+                    checked={instructorOverride}
+                    onChange={(e) => setInstructorOverride(e.target.checked)}
+                    disabled={session.isRunning}
+                  />
+                  <span>Instructor override - start despite safety limits</span>
+                </label>
+              )}
+              
               {/* Timing summary - inline */}
               {timing && (
                 <div className="timing-inline">
-                  <span>{timing.trains} trains</span>
+                  <span>{timing.totalTrains} trains</span>
                   <span className="timing-dot">·</span>
                   <span>{timing.trainDuration.toFixed(1)}s each</span>
                   <span className="timing-dot">·</span>
                   <span>~{formatDuration(timing.sessionDuration)}</span>
+                  {multiBlock && sessionPlan && (
+                    <>
+                      <span className="timing-dot">·</span>
+                      <span>{sessionPlan.blocks.length} blocks ~{formatDuration(sessionPlan.sessionDuration)}</span>
+                    </>
+                  )}
                 </div>
               )}
               
-              {/* Preset toggle */}
+              {/* Protocol library toggle */}
               <button 
                 className="presets-toggle-compact"
                 onClick={() => setShowAdvanced(!showAdvanced)}
               >
-                {showAdvanced ? 'Hide presets' : 'Load preset'}
+                {showAdvanced ? 'Hide library' : 'Protocol library'}
                 <svg 
                   className={`chevron-tiny ${showAdvanced ? 'open' : ''}`}
                   viewBox="0 0 24 24" 
@@ -444,18 +976,7 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
               </button>
               
               {showAdvanced && (
-                <div className="preset-list">
-                  {Object.keys(EXAMPLE_PROTOCOLS).map(name => (
-                    <button
-                      key={name}
-                      className="preset-item"
-                      onClick={() => handleLoadExample(name)}
-                      disabled={session.isRunning}
-                    >
-                      {name}
-                    </button>
-                  ))}
-                </div>
+                <ProtocolLibrary disabled={session.isRunning} />
               )}
             </div>
           )}
@@ -466,6 +987,12 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
           <header className="section-header">
             <div className="section-title-row">
               <h3 className="section-title">Session</h3>
+              {session.isRunning && multiBlock && (
+                <span className="section-value">
+                  Block {session.blockIndex + 1}/{protocol.blocks.length}
+                  {session.targetKey && ` · ${session.targetKey}`}
+                </span>
+              )}
             </div>
           </header>
           <div className="session-status-content">
@@ -492,7 +1019,7 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
               <div className="circular-progress-text">
                 <span className="progress-current">{session.pulsesDelivered}</span>
                 <span className="progress-divider">/</span>
-                <span className="progress-total">{protocol.totalPulses || '—'}</span>
+                <span className="progress-total">{sessionPlan?.totalPulses || '—'}</span>
               </div>
             </div>
             <div className="session-stats-row">
@@ -501,10 +1028,84 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
                 <span className="stat-label">Complete</span>
               </div>
               <div className="session-stat">
-                <span className="stat-value">{timing ? formatDuration(timing.sessionDuration * (1 - progress / 100)) : '—'}</span>
+                <span className="stat-value">{formatDuration(session.elapsedTime)}</span>
+                <span className="stat-label">Elapsed</span>
+              </div>
+              <div className="session-stat">
+                <span className="stat-value">{remainingTime !== null ? formatDuration(remainingTime) : '—'}</span>
                 <span className="stat-label">Remaining</span>
               </div>
             </div>
+            {interruptedSession && !session.isRunning && (
+              <div className="recovery-banner">
+                <div className="recovery-info">
+                  <span className="recovery-title">Interrupted session</span>
+                  <span className="recovery-detail">
+                    {interruptedSession.session.pulsesDelivered} / {getBlockPlan(interruptedSession.protocol)?.totalPulses} pulses
+                    · saved {new Date(interruptedSession.savedAt).toLocaleTimeString()}
+                  </span>
+                </div>
+                <div className="recovery-actions">
+                  <button className="btn-tiny active" onClick={resumeInterruptedSession}>Resume</button>
+                  <button className="btn-tiny" onClick={discardInterruptedSession}>Discard</button>
+                </div>
+              </div>
+            )}
+            {session.isRunning && (session.timeScale !== 1 || session.skippedSeconds > 0) && (
+              <div className="time-scale-banner">
+                Simulated time
+                {session.timeScale !== 1 && ` · ${session.timeScale}× speed`}
+                {remainingTime !== null && session.timeScale !== 1 &&
+                  ` · ~${formatDuration(remainingTime / session.timeScale)} real`}
+                {session.skippedSeconds > 0 && ` · ${session.skippedSeconds.toFixed(0)}s skipped`}
+              </div>
+            )}
+            {session.driftSeconds > 0 && (
+              <div className="recovery-gap-note">
+                Caught up {session.driftSeconds.toFixed(1)}s of stalled time - some pulses were delivered late
+              </div>
+            )}
+            {session.gaps.length > 0 && (
+              <div className="recovery-gap-note">
+                Resumed after {session.gaps.length === 1 ? 'an interruption' : `${session.gaps.length} interruptions`}
+                {' '}({formatDuration(session.gaps.reduce((sum, gap) => sum + gap.duration, 0))} gap)
+              </div>
+            )}
+            {blockPosition && (
+              <div className="reposition-banner">
+                <div className="recovery-info">
+                  <span className="recovery-title">
+                    Block {session.blockIndex + 1}/{protocol.blocks.length}: move coil to {blockPosition.target}
+                  </span>
+                  <span className="recovery-detail">
+                    {blockPosition.distanceMm !== null
+                      ? `${blockPosition.distanceMm.toFixed(0)}mm away`
+                      : 'Target position unknown'}
+                    {` · within ${REPOSITION_TOLERANCE_MM}mm to start`}
+                  </span>
+                </div>
+                <div className="recovery-actions">
+                  <button
+                    className="btn-tiny active"
+                    onClick={confirmBlockPosition}
+                    disabled={!blockPosition.onTarget || session.isPaused}
+                  >
+                    Start block
+                  </button>
+                </div>
+              </div>
+            )}
+            {session.isRunning && session.offTarget && (
+              <div className="off-target-banner">Coil off target {session.targetKey}</div>
+            )}
+            {session.isRunning && intensityMSO !== null && (
+              <div className="dose-note">
+                Output {intensityMSO}% MSO · {protocol.intensity}% of MT {session.motorThreshold}% MSO
+              </div>
+            )}
+            {session.isRunning && session.safetyOverride && (
+              <div className="override-banner">Running under instructor safety override</div>
+            )}
             {/* ITI Progress - only during inter-train interval */}
             {itiProgress.inITI && (
               <div className="iti-indicator">
@@ -529,9 +1130,30 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
                 <svg viewBox="0 0 24 24" fill="currentColor" width="18" height="18">
                   <polygon points="5 3 19 12 5 21 5 3" />
                 </svg>
-                {isProtocolValid ? 'Start Session' : 'Configure Protocol'}
+                {startLabel}
               </button>
             )}
+            {session.isRunning && (
+              <div className="time-scale-row">
+                {TIME_SCALES.map(scale => (
+                  <button
+                    key={scale}
+                    className={`btn-tiny ${session.timeScale === scale ? 'active' : ''}`}
+                    onClick={() => setTimeScale(scale)}
+                  >
+                    {scale}×
+                  </button>
+                ))}
+                <button
+                  className="btn-tiny"
+                  onClick={handleSkipToNextTrain}
+                  disabled={!itiProgress.inITI}
+                  title="Skip the rest of the inter-train interval"
+                >
+                  Next train ⏭
+                </button>
+              </div>
+            )}
             {session.isRunning && (
               <div className="session-controls-row">
                 <button 
@@ -577,6 +1199,58 @@ export function MachinePanel({ isExpanded = false, onToggleExpand }) {
           </div>
         </section>
         
+        {/* === SESSION LOG - Collapsible, once a session has started === */}
+        {sessionLog.length > 0 && (
+          <section className="panel-section collapsible">
+            <header 
+              className="section-header clickable"
+              onClick={() => setShowLog(!showLog)}
+            >
+              <div className="section-title-row">
+                <h3 className="section-title">Session Log</h3>
+                <span className="section-value">
+                  {sessionLog.length} events · {sessionPulses.length} pulses
+                </span>
+              </div>
+              <svg 
+                className={`chevron ${showLog ? 'open' : ''}`} 
+                viewBox="0 0 24 24" 
+                fill="none" 
+                stroke="currentColor" 
+                strokeWidth="2"
+                width="14" 
+                height="14"
+              >
+                <path d="M6 9l6 6 6-6" />
+              </svg>
+            </header>
+            
+            {showLog && (
+              <div className="section-content">
+                <ul className="session-log-list">
+                  {sessionLog.slice(-8).reverse().map((entry, i) => (
+                    <li key={i} className={`session-log-entry ${entry.type}`}>
+                      <span className="log-time">{formatDuration(entry.sessionTime)}</span>
+                      <span className="log-type">{LOG_EVENT_LABELS[entry.type] || entry.type}</span>
+                      <span className="log-detail">
+                        {entry.type === SESSION_EVENTS.INTENSITY
+                          ? `${entry.details.from}% → ${entry.details.to}%`
+                          : entry.targetDistanceMm !== null
+                            ? `${entry.target} ${entry.targetDistanceMm.toFixed(1)}mm`
+                            : `pulse ${entry.pulsesDelivered}`}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+                <div className="target-actions-row">
+                  <button className="btn-tiny" onClick={() => handleExportLog('csv')}>Export CSV</button>
+                  <button className="btn-tiny" onClick={() => handleExportLog('json')}>Export JSON</button>
+                </div>
+              </div>
+            )}
+          </section>
+        )}
+        
       </div>
     </div>
   );
@@ -0,0 +1,235 @@
+/**
+ * ProtocolLibrary.jsx
+ * ===================
+ * Saved protocols and built-in templates, shown inside the
+ * MachinePanel protocol section.
+ *
+ * Built-in examples are read-only: they can be loaded or duplicated
+ * into the user library, never edited.
+ */
+
+import React, { useState, useCallback, useRef } from 'react';
+import { useTMSStore, PROTOCOL_TEMPLATES } from '../../stores/tmsStore';
+import { downloadFile, readFileAsText } from '../../utils/storage';
+import { TargetOptions } from './TargetOptions';
+
+// Target sequence of a multi-target protocol, e.g. "F4 → F3"
+function BlockTag({ protocol }) {
+  if (!protocol.blocks?.length) return null;
+  return (
+    <span className="library-tag">
+      {protocol.blocks.map(block => block.target || '—').join(' → ')}
+    </span>
+  );
+}
+
+function TargetSelect({ value, onChange, disabled }) {
+  return (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value || null)} disabled={disabled}>
+      <option value="">No target</option>
+      <TargetOptions />
+    </select>
+  );
+}
+
+export function ProtocolLibrary({ disabled = false }) {
+  const protocolLibrary = useTMSStore(s => s.protocolLibrary);
+  const saveProtocolToLibrary = useTMSStore(s => s.saveProtocolToLibrary);
+  const updateLibraryEntry = useTMSStore(s => s.updateLibraryEntry);
+  const duplicateLibraryEntry = useTMSStore(s => s.duplicateLibraryEntry);
+  const deleteLibraryEntry = useTMSStore(s => s.deleteLibraryEntry);
+  const loadLibraryEntry = useTMSStore(s => s.loadLibraryEntry);
+  const exportProtocolLibrary = useTMSStore(s => s.exportProtocolLibrary);
+  const importProtocolLibrary = useTMSStore(s => s.importProtocolLibrary);
+  const requestSnap = useTMSStore(s => s.requestSnap);
+  const selectedTargetKey = useTMSStore(s => s.selectedTargetKey);
+
+  // target undefined = follow the selected target until the user picks one
+  const [draft, setDraft] = useState({ name: '', notes: '', target: undefined });
+  const [editing, setEditing] = useState(null); // { id, name, notes, target }
+  const [message, setMessage] = useState(null); // { type: 'info' | 'error', text }
+  const fileInputRef = useRef(null);
+
+  const draftTarget = draft.target === undefined ? selectedTargetKey : draft.target;
+
+  const handleSave = useCallback(() => {
+    const entry = saveProtocolToLibrary({ ...draft, target: draftTarget });
+    if (entry) {
+      setDraft({ name: '', notes: '', target: undefined });
+      setMessage({ type: 'info', text: `Saved "${entry.name}"` });
+    }
+  }, [draft, draftTarget, saveProtocolToLibrary]);
+
+  // Sequences start on block 1's target
+  const handleLoad = useCallback((id) => {
+    const entry = loadLibraryEntry(id);
+    const target = entry?.protocol.blocks?.[0]?.target || entry?.target;
+    if (target) requestSnap(target);
+  }, [loadLibraryEntry, requestSnap]);
+
+  const handleDuplicate = useCallback((id) => {
+    const copy = duplicateLibraryEntry(id);
+    if (copy) setMessage({ type: 'info', text: `Added "${copy.name}"` });
+  }, [duplicateLibraryEntry]);
+
+  const handleDelete = useCallback((entry) => {
+    if (window.confirm(`Delete "${entry.name}" from the library?`)) {
+      deleteLibraryEntry(entry.id);
+    }
+  }, [deleteLibraryEntry]);
+
+  const handleEditSave = useCallback(() => {
+    if (!editing?.name.trim()) return;
+    const { id, ...changes } = editing;
+    updateLibraryEntry(id, changes);
+    setEditing(null);
+  }, [editing, updateLibraryEntry]);
+
+  const handleExport = useCallback(() => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`tms-protocols-${date}.json`, exportProtocolLibrary());
+  }, [exportProtocolLibrary]);
+
+  const handleImport = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { entries, errors } = importProtocolLibrary(await readFileAsText(file));
+      const text = [
+        entries.length > 0 ? `Imported ${entries.length} protocol${entries.length === 1 ? '' : 's'}` : null,
+        ...errors,
+      ].filter(Boolean).join(' · ');
+      setMessage({ type: entries.length > 0 ? 'info' : 'error', text: text || 'No protocols in file' });
+    } catch (err) {
+      console.warn('[ProtocolLibrary] Import failed:', err);
+      setMessage({ type: 'error', text: 'Could not read file' });
+    }
+  }, [importProtocolLibrary]);
+
+  return (
+    <div className="protocol-library">
+      {/* Save current protocol */}
+      <div className="library-save">
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder="Save current protocol as…"
+          disabled={disabled}
+        />
+        <TargetSelect
+          value={draftTarget}
+          onChange={(target) => setDraft({ ...draft, target })}
+          disabled={disabled}
+        />
+        <textarea
+          value={draft.notes}
+          onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+          placeholder="Notes (optional)"
+          rows={2}
+          disabled={disabled}
+        />
+        <button className="btn-tiny" onClick={handleSave} disabled={disabled || !draft.name.trim()}>
+          Save
+        </button>
+      </div>
+
+      {/* User entries */}
+      <div className="library-group-label">My protocols</div>
+      {protocolLibrary.length === 0 && (
+        <div className="library-empty">No saved protocols yet</div>
+      )}
+      <ul className="library-list">
+        {protocolLibrary.map(entry => (
+          <li key={entry.id} className="library-entry">
+            {editing?.id === entry.id ? (
+              <div className="library-edit">
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  onKeyDown={(e) => e.key === 'Enter' && handleEditSave()}
+                  autoFocus
+                />
+                <TargetSelect
+                  value={editing.target}
+                  onChange={(target) => setEditing({ ...editing, target })}
+                />
+                <textarea
+                  value={editing.notes}
+                  onChange={(e) => setEditing({ ...editing, notes: e.target.value })}
+                  rows={2}
+                />
+                <div className="library-actions">
+                  <button className="btn-tiny" onClick={handleEditSave} disabled={!editing.name.trim()}>Save</button>
+                  <button className="btn-tiny" onClick={() => setEditing(null)}>Cancel</button>
+                </div>
+              </div>
+            ) : (
+              <>
+                <div className="library-entry-header">
+                  <span className="library-entry-name">{entry.name}</span>
+                  {entry.target && <span className="library-tag">{entry.target}</span>}
+                  <BlockTag protocol={entry.protocol} />
+                </div>
+                {entry.notes && <div className="library-entry-notes">{entry.notes}</div>}
+                <div className="library-actions">
+                  <button className="btn-tiny" onClick={() => handleLoad(entry.id)} disabled={disabled}>Load</button>
+                  <button
+                    className="btn-tiny"
+                    onClick={() => setEditing({ id: entry.id, name: entry.name, notes: entry.notes, target: entry.target })}
+                  >
+                    Rename
+                  </button>
+                  <button className="btn-tiny" onClick={() => handleDuplicate(entry.id)}>Duplicate</button>
+                  <button className="btn-tiny danger" onClick={() => handleDelete(entry)}>Delete</button>
+                </div>
+              </>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {/* Built-in templates - read-only */}
+      <div className="library-group-label">Templates</div>
+      <ul className="library-list">
+        {PROTOCOL_TEMPLATES.map(entry => (
+          <li key={entry.id} className="library-entry template">
+            <div className="library-entry-header">
+              <span className="library-entry-name">{entry.name}</span>
+              <BlockTag protocol={entry.protocol} />
+              <span className="library-tag readonly">Read-only</span>
+            </div>
+            <div className="library-actions">
+              <button className="btn-tiny" onClick={() => handleLoad(entry.id)} disabled={disabled}>Load</button>
+              <button className="btn-tiny" onClick={() => handleDuplicate(entry.id)}>Duplicate</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {/* Import / export */}
+      <div className="library-actions library-io">
+        <button className="btn-tiny" onClick={handleExport} disabled={protocolLibrary.length === 0}>
+          Export JSON
+        </button>
+        <button className="btn-tiny" onClick={() => fileInputRef.current?.click()}>
+          Import JSON
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          hidden
+        />
+      </div>
+      {message && (
+        <div className={`library-message ${message.type}`}>{message.text}</div>
+      )}
+    </div>
+  );
+}
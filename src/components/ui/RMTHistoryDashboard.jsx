@@ -0,0 +1,152 @@
+/**
+ * RMTHistoryDashboard.jsx
+ * =======================
+ * Learning curve for completed rMT trials: accuracy trend, grade
+ * distribution and pulses per trial, from the persisted trial history.
+ * Supervisors can export the history as CSV.
+ */
+
+import React, { useCallback, useMemo } from 'react';
+import { useTMSStore, GRADE_THRESHOLDS } from '../../stores/tmsStore';
+import { GRADES, TREND_WINDOW, getHistoryStats } from '../../engine/trialHistory';
+import { formatDuration } from '../../engine/pulseScheduler';
+import { downloadFile } from '../../utils/storage';
+
+// Chart geometry (SVG units)
+const WIDTH = 300;
+const HEIGHT = 90;
+const PAD = 4;
+
+// x position of trial i of count
+const xAt = (i, count) => (count > 1 ? PAD + i * (WIDTH - 2 * PAD) / (count - 1) : WIDTH / 2);
+
+export function RMTHistoryDashboard() {
+  const rmtHistory = useTMSStore(s => s.rmtHistory);
+  const clearRMTHistory = useTMSStore(s => s.clearRMTHistory);
+  const exportRMTHistory = useTMSStore(s => s.exportRMTHistory);
+
+  const stats = useMemo(() => getHistoryStats(rmtHistory), [rmtHistory]);
+
+  const handleExport = useCallback(() => {
+    const stamp = new Date().toISOString().slice(0, 10);
+    downloadFile(`rmt-history-${stamp}.csv`, exportRMTHistory(), 'text/csv');
+  }, [exportRMTHistory]);
+
+  const handleClear = useCallback(() => {
+    if (window.confirm('Delete all recorded rMT trials?')) clearRMTHistory();
+  }, [clearRMTHistory]);
+
+  if (stats.count === 0) {
+    return (
+      <div className="history-dashboard">
+        <p className="history-empty">No completed trials yet. Finish a trial to start your learning curve.</p>
+      </div>
+    );
+  }
+
+  // Accuracy: percent error, scaled to the worst trial (at least the D limit)
+  const errorMax = Math.max(GRADE_THRESHOLDS.D, ...stats.trend.map(t => t.percentDiff));
+  const errorY = (v) => HEIGHT - PAD - v / errorMax * (HEIGHT - 2 * PAD);
+  const averageLine = stats.trend
+    .map(t => `${xAt(t.index, stats.count).toFixed(1)},${errorY(t.average).toFixed(1)}`)
+    .join(' ');
+
+  // Efficiency: pulses per trial
+  const pulsesMax = Math.max(10, ...stats.trend.map(t => t.pulses));
+  const barWidth = Math.max(1, (WIDTH - 2 * PAD) / stats.count - 1);
+
+  const gradeMax = Math.max(...Object.values(stats.gradeCounts));
+
+  return (
+    <div className="history-dashboard">
+      {/* Summary */}
+      <div className="results-grid">
+        <div className="result-item">
+          <span className="result-item-label">Trials</span>
+          <span className="result-item-value">{stats.count}</span>
+        </div>
+        <div className="result-item">
+          <span className="result-item-label">Mean Error</span>
+          <span className="result-item-value">{stats.meanError.toFixed(1)}%</span>
+        </div>
+        <div className="result-item">
+          <span className="result-item-label">Pulses / Trial</span>
+          <span className="result-item-value">{Math.round(stats.meanPulses)}</span>
+        </div>
+        <div className="result-item">
+          <span className="result-item-label">Time / Trial</span>
+          <span className="result-item-value">{formatDuration(stats.meanDurationSec)}</span>
+        </div>
+      </div>
+      {stats.improvement !== null && (
+        <p className={`history-improvement ${stats.improvement >= 0 ? 'better' : 'worse'}`}>
+          Last {TREND_WINDOW} trials: error {Math.abs(stats.improvement).toFixed(1)} points
+          {stats.improvement >= 0 ? ' lower' : ' higher'} than your first {TREND_WINDOW}
+        </p>
+      )}
+
+      {/* Accuracy trend */}
+      <div className="history-chart">
+        <div className="history-chart-title">Accuracy (% error, {TREND_WINDOW}-trial average)</div>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+          {['A', 'B', 'C'].map(grade => (
+            <line
+              key={grade}
+              className="history-limit"
+              x1="0"
+              x2={WIDTH}
+              y1={errorY(GRADE_THRESHOLDS[grade])}
+              y2={errorY(GRADE_THRESHOLDS[grade])}
+            />
+          ))}
+          {stats.trend.map(t => (
+            <circle key={t.index} className="history-point" cx={xAt(t.index, stats.count)} cy={errorY(t.percentDiff)} r="2" />
+          ))}
+          {stats.count > 1 && <polyline className="history-average" points={averageLine} />}
+        </svg>
+      </div>
+
+      {/* Grade distribution */}
+      <div className="history-chart">
+        <div className="history-chart-title">Grades</div>
+        {GRADES.map(grade => (
+          <div key={grade} className="history-grade-row">
+            <span className={`history-grade-label ${grade}`}>{grade}</span>
+            <div className="history-grade-track">
+              <div
+                className={`history-grade-bar ${grade}`}
+                style={{ width: `${gradeMax ? stats.gradeCounts[grade] / gradeMax * 100 : 0}%` }}
+              />
+            </div>
+            <span className="history-grade-count">{stats.gradeCounts[grade]}</span>
+          </div>
+        ))}
+      </div>
+
+      {/* Efficiency */}
+      <div className="history-chart">
+        <div className="history-chart-title">Pulses per trial</div>
+        <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+          {stats.trend.map(t => {
+            const height = t.pulses / pulsesMax * (HEIGHT - 2 * PAD);
+            return (
+              <rect
+                key={t.index}
+                className="history-bar"
+                x={PAD + t.index * (WIDTH - 2 * PAD) / stats.count}
+                y={HEIGHT - PAD - height}
+                width={barWidth}
+                height={height}
+              />
+            );
+          })}
+        </svg>
+      </div>
+
+      <div className="history-actions">
+        <button className="btn-action secondary" onClick={handleExport}>Export CSV</button>
+        <button className="btn-action secondary" onClick={handleClear}>Clear History</button>
+      </div>
+    </div>
+  );
+}
@@ -6,9 +6,25 @@
  */
 
 import React, { useState, useCallback } from 'react';
-import { useTMSStore, GRADE_THRESHOLDS } from '../../stores/tmsStore';
+import { useTMSStore } from '../../stores/tmsStore';
+import { HUNT_METHOD_LABELS } from '../../engine/thresholdHunting';
+import { MEP_CRITERION_UV } from '../../engine/mepModel';
+import { HOTSPOT_DIFFICULTY, formatTrialCode, parseTrialCode } from '../../engine/hotspotModel';
+import { RUBRIC_CRITERIA, RUBRIC_GRADES } from '../../engine/gradingRubric';
+import { EMGTrace } from './EMGTrace';
+import { RMTHistoryDashboard } from './RMTHistoryDashboard';
+import { RMTTutorial } from './RMTTutorial';
+import { RMTScenarioPicker, RMTScenarioStatus } from './RMTScenarioPanel';
+import { formatDuration } from '../../engine/pulseScheduler';
 import './RMTPanel.css';
 
+const formatCI = (ci) => (ci ? `${ci[0]}–${ci[1]}%` : '–');
+
+// Peak-to-peak amplitude, in mV once large
+const formatMEP = (amplitude) => (amplitude >= 1000
+  ? `${(amplitude / 1000).toFixed(2)} mV`
+  : `${Math.round(amplitude)} µV`);
+
 export function RMTPanel() {
   const {
     rmt,
@@ -21,24 +37,60 @@ export function RMTPanel() {
     runTenPulseTrial,
     revealHotspot,
     completeTrial,
+    compareThresholdMethods,
     resetRMT,
     requestSnap,
     getCurrentDistanceMm,
     currentCoilWorldPos,
+    hotspotDifficulty,
+    setHotspotDifficulty,
+    rubricWeights,
+    setRubricWeights,
+    resetRubricWeights,
+    getRMTPulseBlock,
+    mepModel,
   } = useTMSStore();
   
   const [claimedMT, setClaimedMT] = useState('');
+  const [trialCode, setTrialCode] = useState('');
+  const [trialCodeError, setTrialCodeError] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [showRubric, setShowRubric] = useState(false);
+  const [guided, setGuided] = useState(false);
+  const [showScenarios, setShowScenarios] = useState(false);
   
   // Check if system is ready for firing
   const isReadyToFire = rmt.hotspotProjected && currentCoilWorldPos !== null;
   
+  // Scenario constraints on the next single pulse / 10-pulse trial
+  const singleBlock = rmt.scenario ? getRMTPulseBlock('single') : null;
+  const tenPulseBlock = rmt.scenario ? getRMTPulseBlock('block') : null;
+  
   // Get C3 position for trial generation
   const c3Position = targetPositions?.C3 ? 
     [targetPositions.C3.x, targetPositions.C3.y, targetPositions.C3.z] : null;
   
-  const handleStartTrial = useCallback(() => {
-    startNewTrial(c3Position);
-  }, [startNewTrial, c3Position]);
+  // Shareable code of the running trial (difficulty, coil, seed and MEP model)
+  const currentTrialCode = rmt.hotspotMap
+    ? formatTrialCode({ ...rmt.hotspotMap, coil: rmt.coil, mepModel })
+    : null;
+  
+  const handleStartTrial = useCallback((withGuide = false, scenario = null) => {
+    // An entered trial code replays that trial; empty starts a fresh one
+    let options = { scenario };
+    if (trialCode.trim()) {
+      const parsed = parseTrialCode(trialCode);
+      if (!parsed) {
+        setTrialCodeError(true);
+        return;
+      }
+      options = { ...parsed, scenario };
+    }
+    setTrialCode('');
+    setTrialCodeError(false);
+    setGuided(withGuide);
+    startNewTrial(c3Position, options);
+  }, [startNewTrial, c3Position, trialCode]);
   
   // FIXED: Compute fresh distance at fire time, not cached value!
   const handleFirePulse = useCallback(() => {
@@ -77,6 +129,89 @@ export function RMTPanel() {
     requestSnap('C3');
   }, [requestSnap]);
   
+  // Learning curve over all completed trials (idle and complete screens)
+  const renderHistorySection = () => (
+    <div className="rmt-section history-section">
+      <div className="rmt-section-header">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14">
+          <polyline points="3 17 9 11 13 15 21 7" />
+          <polyline points="14 7 21 7 21 14" />
+        </svg>
+        <span>Learning Curve</span>
+        <button className="history-toggle" onClick={() => setShowHistory(v => !v)}>
+          {showHistory ? 'Hide' : 'Show'}
+        </button>
+      </div>
+      {showHistory && (
+        <div className="rmt-section-content">
+          <RMTHistoryDashboard />
+        </div>
+      )}
+    </div>
+  );
+  
+  // Relative weight of each grading criterion (idle screen)
+  const renderRubricSection = () => (
+    <div className="rmt-section rubric-section">
+      <div className="rmt-section-header">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14">
+          <line x1="4" y1="21" x2="4" y2="14" />
+          <line x1="12" y1="21" x2="12" y2="10" />
+          <line x1="20" y1="21" x2="20" y2="16" />
+          <line x1="1" y1="14" x2="7" y2="14" />
+          <line x1="9" y1="10" x2="15" y2="10" />
+          <line x1="17" y1="16" x2="23" y2="16" />
+        </svg>
+        <span>Grading Weights</span>
+        <button className="history-toggle" onClick={() => setShowRubric(v => !v)}>
+          {showRubric ? 'Hide' : 'Show'}
+        </button>
+      </div>
+      {showRubric && (
+        <div className="rmt-section-content">
+          {Object.entries(RUBRIC_CRITERIA).map(([key, label]) => (
+            <label key={key} className="rubric-weight">
+              <span>{label}</span>
+              <input
+                type="number"
+                className="mt-input"
+                min="0"
+                max="100"
+                value={rubricWeights[key]}
+                onChange={(e) => {
+                  const value = parseInt(e.target.value, 10);
+                  if (!isNaN(value)) setRubricWeights({ [key]: Math.max(0, value) });
+                }}
+              />
+            </label>
+          ))}
+          <button className="btn-action secondary" onClick={resetRubricWeights}>Reset Weights</button>
+        </div>
+      )}
+    </div>
+  );
+  
+  // Instructor scenarios (idle screen)
+  const renderScenarioSection = () => (
+    <div className="rmt-section scenario-section">
+      <div className="rmt-section-header">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14">
+          <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" />
+          <polyline points="14 2 14 8 20 8" />
+        </svg>
+        <span>Scenarios</span>
+        <button className="history-toggle" onClick={() => setShowScenarios(v => !v)}>
+          {showScenarios ? 'Hide' : 'Show'}
+        </button>
+      </div>
+      {showScenarios && (
+        <div className="rmt-section-content">
+          <RMTScenarioPicker onStart={(scenario) => handleStartTrial(false, scenario)} />
+        </div>
+      )}
+    </div>
+  );
+  
   // Render Idle State
   const renderIdleState = () => (
     <div className="idle-content">
@@ -94,17 +229,53 @@ export function RMTPanel() {
       <p className="idle-description">
         Practice locating the motor hotspot and determining resting motor threshold through guided simulation.
       </p>
-      <button className="btn-action primary" onClick={handleStartTrial}>
+      <div className="difficulty-select">
+        <span className="difficulty-label">Hotspot map</span>
+        <div className="difficulty-options">
+          {Object.entries(HOTSPOT_DIFFICULTY).map(([key, preset]) => (
+            <button
+              key={key}
+              className={`difficulty-option ${hotspotDifficulty === key ? 'selected' : ''}`}
+              onClick={() => setHotspotDifficulty(key)}
+            >
+              {preset.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="trial-code-input">
+        <input
+          type="text"
+          className={`mt-input ${trialCodeError ? 'invalid' : ''}`}
+          value={trialCode}
+          onChange={(e) => { setTrialCode(e.target.value); setTrialCodeError(false); }}
+          placeholder="Trial code (optional)"
+          maxLength={9}
+        />
+        {trialCodeError && <span className="trial-code-error">Invalid trial code</span>}
+      </div>
+      <button className="btn-action primary" onClick={() => handleStartTrial(false)}>
         <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
           <polygon points="5 3 19 12 5 21 5 3" />
         </svg>
         Start New Trial
       </button>
+      <button className="btn-action secondary guided-start" onClick={() => handleStartTrial(true)}>
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14">
+          <circle cx="12" cy="12" r="10" />
+          <path d="M9.09 9a3 3 0 0 1 5.83 1c0 2-3 3-3 3" />
+          <line x1="12" y1="17" x2="12.01" y2="17" />
+        </svg>
+        Start Guided Tutorial
+      </button>
       {rmt.trialNumber > 0 && (
         <p className="trial-count">
           Completed trials: {rmt.trialNumber}
         </p>
       )}
+      {renderScenarioSection()}
+      {renderRubricSection()}
+      {renderHistorySection()}
     </div>
   );
   
@@ -113,14 +284,14 @@ export function RMTPanel() {
     <div className="phase-content">
       <div className="phase-header">
         <span className="phase-badge hunt">Find Hotspot</span>
-        <span className="trial-number">Trial #{rmt.trialNumber}</span>
+        <span className="trial-number">Trial #{rmt.trialNumber} · {currentTrialCode}</span>
       </div>
       
       {/* Instructions */}
       <div className="instructions">
         <div className="instructions-title">Objective</div>
         <div className="instructions-text">
-          Move the coil around C3 to find the motor hotspot. Fire single pulses and observe responses.
+          Move the coil around C3 to find the motor hotspot. Handle direction (Q/E) and tilt (R/F) matter too: keep the coil flat with the handle angled back and out. Fire single pulses and observe responses.
         </div>
       </div>
       
@@ -198,23 +369,25 @@ export function RMTPanel() {
             )}
           </div>
           <div className="result-text">
-            {rmt.lastPulseResult.twitch ? 'Movement Detected' : 'No Movement'}
+            {rmt.lastPulseResult.twitch ? 'MEP Detected' : 'No MEP'}
+          </div>
+          <div className="result-amplitude">
+            {formatMEP(rmt.lastPulseResult.amplitude)}
+            {rmt.lastPulseResult.twitch && ` (${rmt.lastPulseResult.category})`}
           </div>
-          {rmt.lastPulseResult.twitch && (
-            <div className="result-amplitude">
-              Amplitude: {rmt.lastPulseResult.category}
-            </div>
-          )}
         </div>
       )}
       
+      {/* EMG Sweep */}
+      <EMGTrace pulse={rmt.lastPulseResult} />
+      
       {/* Actions */}
       <div className="action-buttons">
         <button 
           className="btn-action primary" 
           onClick={handleFirePulse}
-          disabled={!isReadyToFire}
-          title={!isReadyToFire ? 'Calibrating coil position...' : 'Fire a TMS pulse (Spacebar)'}
+          disabled={!isReadyToFire || singleBlock !== null}
+          title={!isReadyToFire ? 'Calibrating coil position...' : singleBlock ?? 'Fire a TMS pulse (Spacebar)'}
         >
           <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="16" height="16">
             <path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z" />
@@ -253,14 +426,14 @@ export function RMTPanel() {
     <div className="phase-content">
       <div className="phase-header">
         <span className="phase-badge titration">Titration</span>
-        <span className="trial-number">Trial #{rmt.trialNumber}</span>
+        <span className="trial-number">Trial #{rmt.trialNumber} · {currentTrialCode}</span>
       </div>
       
       {/* Instructions */}
       <div className="instructions">
         <div className="instructions-title">Objective</div>
         <div className="instructions-text">
-          Adjust intensity to find 50% response rate (5/10 twitches). This is your motor threshold.
+          Adjust intensity to find the lowest intensity giving MEPs of at least {MEP_CRITERION_UV} µV in 5 of 10 pulses. This is your motor threshold.
         </div>
       </div>
       
@@ -281,7 +454,12 @@ export function RMTPanel() {
             <div className="intensity-buttons titration-buttons">
               <button className="btn-intensity" onClick={() => adjustRMTIntensity(-2)}>−2</button>
               <button className="btn-intensity" onClick={() => adjustRMTIntensity(-1)}>−1</button>
-              <button className="btn-intensity primary" onClick={handleFirePulse}>
+              <button
+                className="btn-intensity primary"
+                onClick={handleFirePulse}
+                disabled={singleBlock !== null}
+                title={singleBlock ?? 'Fire a single pulse'}
+              >
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="16" height="16">
                   <path d="M13 2L3 14h9l-1 8 10-12h-9l1-8z" />
                 </svg>
@@ -342,15 +520,21 @@ export function RMTPanel() {
                 <line x1="6" y1="6" x2="18" y2="18" />
               </svg>
             )}
-            {rmt.lastPulseResult.twitch ? 'Movement' : 'No Movement'}
-            {rmt.lastPulseResult.twitch && ` (${rmt.lastPulseResult.category})`}
+            {rmt.lastPulseResult.twitch ? 'MEP' : 'No MEP'}
+            {` · ${formatMEP(rmt.lastPulseResult.amplitude)}`}
           </div>
         </div>
       )}
       
+      {/* EMG Sweep */}
+      <EMGTrace pulse={rmt.lastPulseResult} />
+      
       {/* Actions */}
+      {(singleBlock || tenPulseBlock) && (
+        <p className="result-note">{tenPulseBlock ?? singleBlock}</p>
+      )}
       <div className="action-buttons">
-        <button className="btn-action secondary" onClick={handleRunTenPulse}>
+        <button className="btn-action secondary" onClick={handleRunTenPulse} disabled={tenPulseBlock !== null}>
           Run 10-Pulse Trial
         </button>
       </div>
@@ -420,7 +604,7 @@ export function RMTPanel() {
           <span className={`phase-badge grade-${results.grade}`}>
             Grade: {results.grade}
           </span>
-          <span className="trial-number">Trial #{rmt.trialNumber}</span>
+          <span className="trial-number">Trial #{rmt.trialNumber} · {currentTrialCode}</span>
         </div>
         
         {/* Grade Display */}
@@ -429,7 +613,7 @@ export function RMTPanel() {
             {results.grade}
           </div>
           <div className="grade-description">
-            {results.percentDiff.toFixed(1)}% error
+            Score {results.score}/100 · {results.percentDiff.toFixed(1)}% error
           </div>
         </div>
         
@@ -451,20 +635,101 @@ export function RMTPanel() {
             <span className="result-item-label">Distance</span>
             <span className="result-item-value">{results.distance.toFixed(1)}mm</span>
           </div>
+          <div className="result-item">
+            <span className="result-item-label">Pulses</span>
+            <span className="result-item-value">{results.pulses}</span>
+          </div>
+          <div className="result-item">
+            <span className="result-item-label">Time</span>
+            <span className="result-item-value">{formatDuration(results.durationSec)}</span>
+          </div>
+        </div>
+        
+        {results.hotspotPeak > 0 && (
+          <p className="result-note">
+            Your coil ended on a secondary peak, not the FDI hotspot - the threshold there is higher.
+          </p>
+        )}
+        
+        {/* Rubric Breakdown */}
+        <div className="rubric-breakdown">
+          {results.criteria.map(criterion => (
+            <div key={criterion.key} className="rubric-criterion">
+              <div className="rubric-criterion-header">
+                <span className="rubric-criterion-label">{criterion.label}</span>
+                <span className="rubric-criterion-weight">{Math.round(criterion.weight * 100)}%</span>
+                <span className="rubric-criterion-score">{criterion.score}</span>
+              </div>
+              <div className="rubric-criterion-track">
+                <div className="rubric-criterion-bar" style={{ width: `${criterion.score}%` }} />
+              </div>
+              <div className="rubric-criterion-feedback">{criterion.feedback}</div>
+            </div>
+          ))}
         </div>
         
         {/* Grade Scale */}
         <div className="grade-scale">
-          <span>A: &lt;{GRADE_THRESHOLDS.A}%</span>
-          <span>B: &lt;{GRADE_THRESHOLDS.B}%</span>
-          <span>C: &lt;{GRADE_THRESHOLDS.C}%</span>
-          <span>D: &lt;{GRADE_THRESHOLDS.D}%</span>
-          <span>F: ≥{GRADE_THRESHOLDS.D}%</span>
+          <span>A: ≥{RUBRIC_GRADES.A}</span>
+          <span>B: ≥{RUBRIC_GRADES.B}</span>
+          <span>C: ≥{RUBRIC_GRADES.C}</span>
+          <span>D: ≥{RUBRIC_GRADES.D}</span>
+          <span>F: &lt;{RUBRIC_GRADES.D}</span>
+        </div>
+        
+        {/* Algorithm Comparison */}
+        <div className="rmt-section">
+          <div className="rmt-section-header">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="14" height="14">
+              <line x1="18" y1="20" x2="18" y2="10" />
+              <line x1="12" y1="20" x2="12" y2="4" />
+              <line x1="6" y1="20" x2="6" y2="14" />
+            </svg>
+            <span>Compare with Algorithms</span>
+          </div>
+          <div className="rmt-section-content">
+            {rmt.algorithmResults ? (
+              <table className="algorithm-table">
+                <thead>
+                  <tr>
+                    <th>Method</th>
+                    <th>MT</th>
+                    <th>95% CI</th>
+                    <th>Pulses</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rmt.algorithmResults.trainee && (
+                    <tr className="trainee-row">
+                      <td>Your pulses</td>
+                      <td>{rmt.algorithmResults.trainee.estimate}%</td>
+                      <td>{formatCI(rmt.algorithmResults.trainee.ci)}</td>
+                      <td>{rmt.titrationLog.length}</td>
+                    </tr>
+                  )}
+                  {rmt.algorithmResults.methods.map(result => (
+                    <tr key={result.method}>
+                      <td>{HUNT_METHOD_LABELS[result.method]}</td>
+                      <td>{result.estimate !== null ? `${result.estimate}%` : '–'}</td>
+                      <td>{formatCI(result.ci)}</td>
+                      <td>{result.pulses}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <button className="btn-action secondary" onClick={compareThresholdMethods}>
+                Run Rossini-Rothwell, PEST and ML-PEST
+              </button>
+            )}
+          </div>
         </div>
         
+        {renderHistorySection()}
+        
         {/* Actions */}
         <div className="action-buttons">
-          <button className="btn-action primary" onClick={handleStartTrial}>
+          <button className="btn-action primary" onClick={() => handleStartTrial(guided)}>
             <svg viewBox="0 0 24 24" fill="currentColor" width="16" height="16">
               <polygon points="5 3 19 12 5 21 5 3" />
             </svg>
@@ -515,6 +780,10 @@ export function RMTPanel() {
       
       {/* Body */}
       <div className="panel-body">
+        {rmt.phase !== 'idle' && <RMTScenarioStatus />}
+        {guided && rmt.phase !== 'idle' && (
+          <RMTTutorial key={rmt.trialNumber} onExit={() => setGuided(false)} />
+        )}
         {renderPhaseContent()}
       </div>
     </div>
@@ -0,0 +1,315 @@
+/**
+ * RMTScenarioPanel.jsx
+ * ====================
+ * Instructor scenarios for rMT training: the picker on the idle screen
+ * (built-in, authored and imported cases, JSON import/export), the
+ * editor for authoring a case and the status bar showing a running
+ * scenario's pulse budget and time limit.
+ */
+
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useTMSStore } from '../../stores/tmsStore';
+import {
+  BUILT_IN_SCENARIOS,
+  SCENARIO_LIMITS,
+  SCENARIO_METHODS,
+  describeScenario,
+  getScenarioIssues,
+  normalizeScenario,
+} from '../../engine/rmtScenarios';
+import { HOTSPOT_DIFFICULTY } from '../../engine/hotspotModel';
+import { formatDuration } from '../../engine/pulseScheduler';
+import { downloadFile, readFileAsText } from '../../utils/storage';
+
+// Empty number inputs leave the field random / unconstrained
+const numberOrNull = (value) => (value === '' ? null : Number(value));
+const inputValue = (value) => (value ?? '');
+
+function ScenarioField({ label, unit, children }) {
+  return (
+    <label className="scenario-field">
+      <span>{label}</span>
+      <span className="scenario-field-input">
+        {children}
+        {unit && <span className="scenario-field-unit">{unit}</span>}
+      </span>
+    </label>
+  );
+}
+
+function NumberInput({ value, onChange, limits, step = 1 }) {
+  return (
+    <input
+      type="number"
+      className="mt-input"
+      min={limits?.[0]}
+      max={limits?.[1]}
+      step={step}
+      value={inputValue(value)}
+      placeholder="Random"
+      onChange={(e) => onChange(numberOrNull(e.target.value))}
+    />
+  );
+}
+
+/**
+ * Author or edit a scenario. Fields left empty are drawn at random (or
+ * left unconstrained) when the trial starts; fields the editor does not
+ * show, such as an imported peak list or seed, are kept.
+ */
+function ScenarioEditor({ scenario, onSave, onCancel }) {
+  const [draft, setDraft] = useState(() => scenario ?? normalizeScenario({ name: 'New scenario' }));
+  const issues = getScenarioIssues(draft);
+
+  const update = (changes) => setDraft(current => ({ ...current, ...changes }));
+  const updateHotspot = (changes) => setDraft(current => ({ ...current, hotspot: { ...current.hotspot, ...changes } }));
+  // Hotspot position is both distances or none
+  const offset = draft.hotspot.offsetMm ?? [null, null];
+  const setOffset = (index, value) => {
+    const next = [...offset];
+    next[index] = value;
+    updateHotspot({ offsetMm: next.every(v => v === null) ? null : next });
+  };
+  const toggleMethod = (method) => update({
+    methods: draft.methods.includes(method)
+      ? draft.methods.filter(m => m !== method)
+      : [...draft.methods, method],
+  });
+  const timeLimitMin = draft.timeLimitSec === null ? null : draft.timeLimitSec / 60;
+
+  return (
+    <div className="scenario-editor">
+      <ScenarioField label="Name">
+        <input type="text" className="mt-input" value={draft.name} onChange={(e) => update({ name: e.target.value })} />
+      </ScenarioField>
+      <ScenarioField label="Notes">
+        <input type="text" className="mt-input" value={draft.notes} onChange={(e) => update({ notes: e.target.value })} />
+      </ScenarioField>
+
+      <div className="scenario-group-label">Subject</div>
+      <ScenarioField label="True MT" unit="%MSO">
+        <NumberInput value={draft.trueMT} limits={SCENARIO_LIMITS.trueMT} onChange={(trueMT) => update({ trueMT })} />
+      </ScenarioField>
+      <ScenarioField label="Hotspot map">
+        <select
+          className="mt-input"
+          value={draft.hotspot.difficulty ?? ''}
+          onChange={(e) => updateHotspot({ difficulty: e.target.value || null })}
+        >
+          <option value="">Trainee's choice</option>
+          {Object.entries(HOTSPOT_DIFFICULTY).map(([key, preset]) => (
+            <option key={key} value={key}>{preset.label}</option>
+          ))}
+        </select>
+      </ScenarioField>
+      <ScenarioField label="Hotspot left of C3" unit="mm">
+        <NumberInput value={offset[0]} limits={SCENARIO_LIMITS.offsetMm} onChange={(value) => setOffset(0, value)} />
+      </ScenarioField>
+      <ScenarioField label="Hotspot anterior to C3" unit="mm">
+        <NumberInput value={offset[1]} limits={SCENARIO_LIMITS.offsetMm} onChange={(value) => setOffset(1, value)} />
+      </ScenarioField>
+      <ScenarioField label="Cortex depth" unit="mm">
+        <NumberInput
+          value={draft.hotspot.depthMm}
+          limits={SCENARIO_LIMITS.depthMm}
+          step={0.5}
+          onChange={(depthMm) => updateHotspot({ depthMm })}
+        />
+      </ScenarioField>
+      <ScenarioField label="Best handle angle" unit="°">
+        <NumberInput
+          value={draft.hotspot.optimalTwistDeg}
+          limits={SCENARIO_LIMITS.optimalTwistDeg}
+          onChange={(optimalTwistDeg) => updateHotspot({ optimalTwistDeg })}
+        />
+      </ScenarioField>
+
+      <div className="scenario-group-label">Constraints</div>
+      <ScenarioField label="Start intensity" unit="%MSO">
+        <NumberInput value={draft.startIntensity} limits={SCENARIO_LIMITS.startIntensity} onChange={(startIntensity) => update({ startIntensity })} />
+      </ScenarioField>
+      <ScenarioField label="Pulse budget" unit="pulses">
+        <NumberInput value={draft.pulseBudget} limits={SCENARIO_LIMITS.pulseBudget} onChange={(pulseBudget) => update({ pulseBudget })} />
+      </ScenarioField>
+      <ScenarioField label="Time limit" unit="min">
+        <NumberInput
+          value={timeLimitMin}
+          limits={SCENARIO_LIMITS.timeLimitSec.map(sec => sec / 60)}
+          step={0.5}
+          onChange={(minutes) => update({ timeLimitSec: minutes === null ? null : minutes * 60 })}
+        />
+      </ScenarioField>
+      <div className="scenario-methods">
+        {Object.entries(SCENARIO_METHODS).map(([method, label]) => (
+          <label key={method} className="scenario-method">
+            <input type="checkbox" checked={draft.methods.includes(method)} onChange={() => toggleMethod(method)} />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {issues.length > 0 && (
+        <div className="scenario-message error">{issues.join(' · ')}</div>
+      )}
+      <div className="scenario-actions">
+        <button className="scenario-button" onClick={() => onSave(draft)} disabled={issues.length > 0}>Save</button>
+        <button className="scenario-button" onClick={onCancel}>Cancel</button>
+      </div>
+    </div>
+  );
+}
+
+function ScenarioEntry({ scenario, onStart, onEdit, onDelete }) {
+  return (
+    <li className="scenario-entry">
+      <div className="scenario-entry-header">
+        <span className="scenario-entry-name">{scenario.name}</span>
+        {describeScenario(scenario).map(tag => (
+          <span key={tag} className="scenario-tag">{tag}</span>
+        ))}
+      </div>
+      {scenario.notes && <div className="scenario-entry-notes">{scenario.notes}</div>}
+      <div className="scenario-actions">
+        <button className="scenario-button" onClick={() => onStart(scenario)}>Start</button>
+        <button className="scenario-button" onClick={() => onEdit(scenario)}>{scenario.builtIn ? 'Copy' : 'Edit'}</button>
+        {onDelete && <button className="scenario-button danger" onClick={() => onDelete(scenario)}>Delete</button>}
+      </div>
+    </li>
+  );
+}
+
+export function RMTScenarioPicker({ onStart }) {
+  const rmtScenarios = useTMSStore(s => s.rmtScenarios);
+  const deleteRMTScenario = useTMSStore(s => s.deleteRMTScenario);
+  const exportRMTScenarios = useTMSStore(s => s.exportRMTScenarios);
+  const importRMTScenarios = useTMSStore(s => s.importRMTScenarios);
+  const saveRMTScenario = useTMSStore(s => s.saveRMTScenario);
+
+  const [message, setMessage] = useState(null);
+  const [editing, setEditing] = useState(null); // { scenario } - null scenario authors a new one
+  const fileInputRef = useRef(null);
+
+  // A copied example saves as a new scenario
+  const handleEdit = useCallback((scenario) => {
+    const { builtIn, ...fields } = scenario;
+    setEditing({ scenario: builtIn ? { ...fields, id: null } : fields });
+    setMessage(null);
+  }, []);
+
+  const handleSave = useCallback((draft) => {
+    const saved = saveRMTScenario(draft);
+    if (!saved) return;
+    setEditing(null);
+    setMessage({ type: 'info', text: `Saved "${saved.name}"` });
+  }, [saveRMTScenario]);
+
+  const handleDelete = useCallback((scenario) => {
+    if (window.confirm(`Delete scenario "${scenario.name}"?`)) deleteRMTScenario(scenario.id);
+  }, [deleteRMTScenario]);
+
+  const handleExport = useCallback(() => {
+    const date = new Date().toISOString().slice(0, 10);
+    downloadFile(`rmt-scenarios-${date}.json`, exportRMTScenarios());
+  }, [exportRMTScenarios]);
+
+  const handleImport = useCallback(async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const { scenarios, errors } = importRMTScenarios(await readFileAsText(file));
+      const text = [
+        scenarios.length > 0 ? `Imported ${scenarios.length} scenario${scenarios.length === 1 ? '' : 's'}` : null,
+        ...errors,
+      ].filter(Boolean).join(' · ');
+      setMessage({ type: scenarios.length > 0 ? 'info' : 'error', text: text || 'No scenarios in file' });
+    } catch (err) {
+      console.warn('[RMTScenarioPanel] Import failed:', err);
+      setMessage({ type: 'error', text: 'Could not read file' });
+    }
+  }, [importRMTScenarios]);
+
+  if (editing) {
+    return (
+      <div className="scenario-picker">
+        <ScenarioEditor scenario={editing.scenario} onSave={handleSave} onCancel={() => setEditing(null)} />
+      </div>
+    );
+  }
+
+  return (
+    <div className="scenario-picker">
+      <div className="scenario-group-label">My scenarios</div>
+      {rmtScenarios.length === 0 && (
+        <div className="scenario-empty">Create a scenario, copy an example or import a JSON file from your instructor</div>
+      )}
+      <ul className="scenario-list">
+        {rmtScenarios.map(scenario => (
+          <ScenarioEntry key={scenario.id} scenario={scenario} onStart={onStart} onEdit={handleEdit} onDelete={handleDelete} />
+        ))}
+      </ul>
+
+      <div className="scenario-group-label">Examples</div>
+      <ul className="scenario-list">
+        {BUILT_IN_SCENARIOS.map(scenario => (
+          <ScenarioEntry key={scenario.id} scenario={scenario} onStart={onStart} onEdit={handleEdit} />
+        ))}
+      </ul>
+
+      <div className="scenario-actions">
+        <button className="scenario-button" onClick={() => setEditing({ scenario: null })}>
+          New scenario
+        </button>
+        <button className="scenario-button" onClick={handleExport} disabled={rmtScenarios.length === 0}>
+          Export JSON
+        </button>
+        <button className="scenario-button" onClick={() => fileInputRef.current?.click()}>
+          Import JSON
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          onChange={handleImport}
+          hidden
+        />
+      </div>
+      {message && (
+        <div className={`scenario-message ${message.type}`}>{message.text}</div>
+      )}
+    </div>
+  );
+}
+
+export function RMTScenarioStatus() {
+  const rmt = useTMSStore(s => s.rmt);
+  const [now, setNow] = useState(Date.now());
+  const { scenario } = rmt;
+  const timed = scenario?.timeLimitSec != null && rmt.phase !== 'complete';
+
+  useEffect(() => {
+    if (!timed) return undefined;
+    const id = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(id);
+  }, [timed]);
+
+  if (!scenario) return null;
+
+  const pulsesLeft = scenario.pulseBudget === null ? null : Math.max(0, scenario.pulseBudget - rmt.pulseLog.length);
+  const timeLeft = scenario.timeLimitSec === null || !rmt.startedAt
+    ? null
+    : Math.max(0, scenario.timeLimitSec - (now - rmt.startedAt) / 1000);
+
+  return (
+    <div className="scenario-status">
+      <span className="scenario-status-name">{scenario.name}</span>
+      {pulsesLeft !== null && (
+        <span className={`scenario-status-item ${pulsesLeft < 10 ? 'low' : ''}`}>{pulsesLeft} pulses left</span>
+      )}
+      {timeLeft !== null && (
+        <span className={`scenario-status-item ${timeLeft < 60 ? 'low' : ''}`}>{formatDuration(timeLeft)} left</span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,109 @@
+/**
+ * RMTTutorial.jsx
+ * ===============
+ * Guided walkthrough for a motor threshold trial: checkpoints, a
+ * contextual prompt, a hint when the trainee stalls, and a debrief once
+ * the trial is graded. Guidance comes from engine/tutorialGuide.js,
+ * driven by the live rmt state and coil position.
+ */
+
+import React, { useState, useEffect, useRef } from 'react';
+import { useTMSStore } from '../../stores/tmsStore';
+import { getTutorialGuidance, getTutorialDebrief, isStalled } from '../../engine/tutorialGuide';
+
+// Coil position is read on this interval rather than every frame
+const POLL_MS = 500;
+
+export function RMTTutorial({ onExit }) {
+  const rmt = useTMSStore(s => s.rmt);
+  const currentCoilWorldPos = useTMSStore(s => s.currentCoilWorldPos);
+  const getHotspotDisplacementMm = useTMSStore(s => s.getHotspotDisplacementMm);
+
+  const [now, setNow] = useState(Date.now());
+  const [stepStartedAt, setStepStartedAt] = useState(Date.now());
+  const [hintRequested, setHintRequested] = useState(false);
+  const [hintsShown, setHintsShown] = useState(0);
+  const countedHint = useRef(null);
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), POLL_MS);
+    return () => clearInterval(id);
+  }, []);
+
+  const guidance = getTutorialGuidance({
+    rmt,
+    ready: rmt.hotspotProjected && currentCoilWorldPos !== null,
+    displacementMm: getHotspotDisplacementMm(),
+  });
+  const stepId = guidance.step?.id ?? null;
+
+  // A new checkpoint restarts the stall timer
+  useEffect(() => {
+    setStepStartedAt(Date.now());
+    setHintRequested(false);
+  }, [stepId]);
+
+  const lastActivityAt = Math.max(stepStartedAt, rmt.lastPulseTime);
+  const showHint = guidance.hint !== null && (hintRequested || isStalled(lastActivityAt, now));
+
+  // Count each hint once per checkpoint and stall
+  useEffect(() => {
+    const key = `${stepId}:${lastActivityAt}`;
+    if (showHint && countedHint.current !== key) {
+      countedHint.current = key;
+      setHintsShown(n => n + 1);
+    }
+  }, [showHint, stepId, lastActivityAt]);
+
+  if (rmt.phase === 'complete' && rmt.completionResults) {
+    const debrief = getTutorialDebrief(rmt.completionResults, rmt.pulseLog, { hintsShown });
+    return (
+      <div className="tutorial-panel">
+        <div className="tutorial-header">
+          <span className="tutorial-title">Debrief</span>
+          <button className="history-toggle" onClick={onExit}>Exit Tutorial</button>
+        </div>
+        <p className="tutorial-prompt">{debrief.summary}</p>
+        <ul className="tutorial-debrief">
+          {debrief.items.map(item => (
+            <li key={item.label} className={item.ok ? 'ok' : 'improve'}>
+              <span className="tutorial-debrief-label">{item.label}</span>
+              <span>{item.text}</span>
+            </li>
+          ))}
+        </ul>
+        {debrief.tip && <p className="tutorial-hint">Next time: {debrief.tip}</p>}
+      </div>
+    );
+  }
+
+  const stepNumber = guidance.stepIndex === -1 ? guidance.steps.length : guidance.stepIndex + 1;
+  
+  return (
+    <div className="tutorial-panel">
+      <div className="tutorial-header">
+        <span className="tutorial-title">
+          Guided Trial · Step {stepNumber}/{guidance.steps.length}
+        </span>
+        <button className="history-toggle" onClick={onExit}>Exit Tutorial</button>
+      </div>
+      <ol className="tutorial-steps">
+        {guidance.steps.map((step, i) => (
+          <li
+            key={step.id}
+            className={step.done ? 'done' : i === guidance.stepIndex ? 'current' : ''}
+            title={step.title}
+          />
+        ))}
+      </ol>
+      {guidance.step && <div className="tutorial-step-title">{guidance.step.title}</div>}
+      {guidance.warning && <p className="tutorial-warning">{guidance.warning}</p>}
+      {guidance.prompt && <p className="tutorial-prompt">{guidance.prompt}</p>}
+      {showHint ? (
+        <p className="tutorial-hint">Hint: {guidance.hint}</p>
+      ) : guidance.hint && (
+        <button className="tutorial-hint-button" onClick={() => setHintRequested(true)}>Need a hint?</button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+/**
+ * TargetOptions.jsx
+ * =================
+ * <option>s for target pickers: the named targets, then every 10-20 and
+ * 10-10 electrode grouped by system.
+ */
+
+import React from 'react';
+import { TARGETS, ELECTRODE_TARGETS, ELECTRODE_SYSTEMS } from '../../constants/targets';
+
+/**
+ * @param {Object} props
+ * @param {boolean} [props.named=true] - Include the named targets
+ */
+export function TargetOptions({ named = true }) {
+  return (
+    <>
+      {named && Object.entries(TARGETS).map(([key, target]) => (
+        <option key={key} value={key}>{key} · {target.label}</option>
+      ))}
+      {ELECTRODE_SYSTEMS.map(system => (
+        <optgroup key={system} label={`${system} electrodes`}>
+          {Object.values(ELECTRODE_TARGETS)
+            .filter(target => target.system === system)
+            .map(target => (
+              <option key={target.key} value={target.key}>{target.key} · {target.label}</option>
+            ))}
+        </optgroup>
+      ))}
+    </>
+  );
+}
@@ -0,0 +1,82 @@
+/**
+ * coils.js
+ * ========
+ * Coil catalogue: every stimulation coil the simulator models.
+ * Import this file instead of hard-coding coil properties.
+ *
+ * Coil frame (as TMSCoil): local +Z is the scalp normal, pointing out of
+ * the head; the wings lie along ±X and the handle along -Y.
+ *
+ * Each entry:
+ * - model: a GLB (url, relative to BASE_URL) or a procedural shape built
+ *   from the field layout (utils/coilModels.js)
+ * - contactFace: centre of the windings on the scalp side, in model
+ *   units - TMSCoil puts this point on the scalp - and the gap kept
+ *   above the coil proxy surface
+ * - field: dipole layout for engine/efieldModel.js. One wing is a
+ *   circular coil; two opposed wings a figure-8. wingAngleDeg folds the
+ *   wings toward the head (double-cone); the peak is the strongest field
+ *   at cortical depth at 100% MSO
+ * - hotspot: rMT response relative to the figure-8 - spreadScale widens
+ *   the region that reaches the hotspot, twist/tilt sensitivity scale the
+ *   orientation penalties, mtScale scales the MT in %MSO
+ * - holder: what the coil holder allows - tilt range and whether the
+ *   handle can be turned
+ */
+
+export const COILS = {
+  figure8: {
+    key: 'figure8',
+    name: 'Figure-8 (70 mm)',
+    label: 'Figure-8',
+    description: 'Focal coil for motor mapping and DLPFC treatment. The current under the centre runs along the handle.',
+    model: { url: 'models/coil.glb' },
+    contactFace: { center: [0, 0, -0.28], scalpOffsetMm: 1 },
+    field: { wings: 2, wingRadius: 0.035, wingOffset: 0.037, wingAngleDeg: 0, windingHeight: 0.006, peakAtMaxOutput: 180 },
+    hotspot: { spreadScale: 1, twistSensitivity: 1, tiltSensitivity: 1, mtScale: 1 },
+    holder: { maxTiltDeg: 30, twist: true },
+  },
+  circular: {
+    key: 'circular',
+    name: 'Circular (90 mm)',
+    label: 'Circular',
+    description: 'Strong but non-focal. The field peaks in a ring under the windings, not under the centre, and handle direction hardly matters.',
+    model: { shape: 'wings', color: '#3b82f6' },
+    contactFace: { center: [0, 0, 0], scalpOffsetMm: 1 },
+    field: { wings: 1, wingRadius: 0.045, wingOffset: 0, wingAngleDeg: 0, windingHeight: 0.006, peakAtMaxOutput: 200 },
+    hotspot: { spreadScale: 2.2, twistSensitivity: 0.1, tiltSensitivity: 0.8, mtScale: 0.85 },
+    holder: { maxTiltDeg: 30, twist: true },
+  },
+  doubleCone: {
+    key: 'doubleCone',
+    name: 'Double-cone (120 mm)',
+    label: 'Double-cone',
+    description: 'Angled wings wrap the head and reach deeper cortex, e.g. the leg area in the interhemispheric fissure. Little room to tilt.',
+    model: { shape: 'wings', color: '#a855f7' },
+    contactFace: { center: [0, 0, 0], scalpOffsetMm: 1 },
+    field: { wings: 2, wingRadius: 0.05, wingOffset: 0.055, wingAngleDeg: 25, windingHeight: 0.008, peakAtMaxOutput: 220 },
+    hotspot: { spreadScale: 1.6, twistSensitivity: 1, tiltSensitivity: 0.6, mtScale: 0.8 },
+    holder: { maxTiltDeg: 10, twist: true },
+  },
+  hCoil: {
+    key: 'hCoil',
+    name: 'H-coil (deep TMS)',
+    label: 'H-coil',
+    description: 'Helmet coil for deep, broad stimulation. It sits on the head in a fixed orientation; the field falls off slowly with depth.',
+    model: { shape: 'helmet', color: '#f97316' },
+    contactFace: { center: [0, 0, 0], scalpOffsetMm: 2 },
+    field: { wings: 2, wingRadius: 0.06, wingOffset: 0.065, wingAngleDeg: 30, windingHeight: 0.012, peakAtMaxOutput: 130 },
+    hotspot: { spreadScale: 3, twistSensitivity: 0.3, tiltSensitivity: 0, mtScale: 1.2 },
+    holder: { maxTiltDeg: 0, twist: false },
+  },
+};
+
+export const DEFAULT_COIL_KEY = 'figure8';
+
+/**
+ * @param {string | null | undefined} key
+ * @returns {typeof COILS.figure8} The coil, or the default for an unknown key
+ */
+export function getCoil(key) {
+  return COILS[key] ?? COILS[DEFAULT_COIL_KEY];
+}
@@ -0,0 +1,62 @@
+/**
+ * electrodes.js
+ * =============
+ * 10-20 / 10-10 electrode layout: names and where each sits in the
+ * proportional construction (engine/tenTen.js builds the positions).
+ *
+ * Rows run front to back at 10% steps of nasion-inion (Fp at 10%, O at
+ * 90%). Each row is a curve from its point on the circumference ring on
+ * the left, over the midline, to the ring on the right:
+ * - z: the midline point
+ * - ring: the row's point on the circumference (Fpz-T7-Oz), itself at
+ *   10% steps of the half ring - Fp1, AF7, F7, FT7, T7, TP7, P7, PO7, O1
+ * - columns: odd numbers in between, c at (c + 1) / 8 of the way from the
+ *   midline to the ring; the even number c + 1 mirrors it on the right
+ *
+ * The 9/10 row below the ring (F9, T9, ...) is not built.
+ * Radiologic convention as targets.js: odd numbers on the patient's left.
+ */
+
+export const ELECTRODE_ROWS = [
+  { row: 'Fp', region: 'frontopolar', ring: 'Fp', ringNumber: 1, columns: [] },
+  { row: 'AF', region: 'anterior frontal', ring: 'AF', ringNumber: 7, columns: [3] },
+  { row: 'F', region: 'frontal', ring: 'F', ringNumber: 7, columns: [1, 3, 5] },
+  { row: 'FC', region: 'frontocentral', ring: 'FT', ringNumber: 7, columns: [1, 3, 5] },
+  { row: 'C', region: 'central', ring: 'T', ringNumber: 7, columns: [1, 3, 5] },
+  { row: 'CP', region: 'centroparietal', ring: 'TP', ringNumber: 7, columns: [1, 3, 5] },
+  { row: 'P', region: 'parietal', ring: 'P', ringNumber: 7, columns: [1, 3, 5] },
+  { row: 'PO', region: 'parieto-occipital', ring: 'PO', ringNumber: 7, columns: [3] },
+  { row: 'O', region: 'occipital', ring: 'O', ringNumber: 1, columns: [] },
+];
+
+// Electrodes of the original 10-20 system (Fpz and Oz as reference points)
+export const TEN_TWENTY_KEYS = [
+  'Fp1', 'Fpz', 'Fp2',
+  'F7', 'F3', 'Fz', 'F4', 'F8',
+  'T7', 'C3', 'Cz', 'C4', 'T8',
+  'P7', 'P3', 'Pz', 'P4', 'P8',
+  'O1', 'Oz', 'O2',
+];
+
+/**
+ * Every electrode, front to back and left to right within a row
+ * { key, system: '10-20' | '10-10', hemisphere, region }
+ */
+export const ELECTRODES = Object.fromEntries(
+  ELECTRODE_ROWS.flatMap(({ row, region, ring, ringNumber, columns }) => {
+    const left = [`${ring}${ringNumber}`, ...[...columns].reverse().map(c => `${row}${c}`)];
+    const right = [...columns.map(c => `${row}${c + 1}`), `${ring}${ringNumber + 1}`];
+    return [
+      ...left.map(key => [key, 'left']),
+      [`${row}z`, 'midline'],
+      ...right.map(key => [key, 'right']),
+    ].map(([key, hemisphere]) => [key, {
+      key,
+      system: TEN_TWENTY_KEYS.includes(key) ? '10-20' : '10-10',
+      hemisphere,
+      region,
+    }]);
+  })
+);
+
+export const ELECTRODE_KEYS = Object.keys(ELECTRODES);
@@ -9,10 +9,17 @@
  * - Patient RIGHT = -X (viewer's LEFT)
  * - F3/C3 should have positive X coordinates
  * - F4/FP2 should have negative X coordinates
+ *
+ * Besides the named clinical targets below, every 10-20 / 10-10 electrode
+ * (constants/electrodes.js) is a target, positioned from the fiducials.
  */
 
+import { ELECTRODES } from './electrodes.js';
+
 /**
  * Complete target information including name, description, hemisphere, and UI label.
+ * electrode: the 10-20 site the target sits on, used when the head model
+ * has no marker for it.
  */
 export const TARGETS = {
   F3: {
@@ -21,6 +28,7 @@ export const TARGETS = {
     label: 'L-DLPFC',
     hemisphere: 'left',
     description: 'Left dorsolateral prefrontal cortex - Depression treatment target. Beam F3 method uses tape measure from nasion.',
+    electrode: 'F3',
     color: '#00d4ff',  // Cyan
   },
   F4: {
@@ -29,6 +37,7 @@ export const TARGETS = {
     label: 'R-DLPFC',
     hemisphere: 'right',
     description: 'Right dorsolateral prefrontal cortex',
+    electrode: 'F4',
     color: '#a855f7',  // Purple
   },
   FP2: {
@@ -37,6 +46,7 @@ export const TARGETS = {
     label: 'R-OFC',
     hemisphere: 'right',
     description: 'Right orbitofrontal cortex',
+    electrode: 'Fp2',
     color: '#f97316',  // Orange
   },
   C3: {
@@ -45,6 +55,7 @@ export const TARGETS = {
     label: 'L-Motor',
     hemisphere: 'left',
     description: 'Left primary motor cortex - Motor threshold hotspot region',
+    electrode: 'C3',
     color: '#22c55e',  // Green
   },
   SMA: {
@@ -53,6 +64,7 @@ export const TARGETS = {
     label: 'SMA',
     hemisphere: 'midline',
     description: 'Supplementary Motor Area - Motor planning and coordination',
+    electrode: null,
     color: '#3b82f6',  // Blue
   },
 };
@@ -68,6 +80,56 @@ export const TARGET_COLORS = {
   SMA: '#3b82f6',  // Blue
 };
 
+/**
+ * Electrode marker colors by system
+ */
+export const ELECTRODE_COLORS = {
+  '10-20': '#e2e8f0',  // Light slate
+  '10-10': '#94a3b8',  // Slate
+};
+
+/**
+ * Electrode systems, coarse to fine
+ */
+export const ELECTRODE_SYSTEMS = ['10-20', '10-10'];
+
+/**
+ * Electrodes as targets, in TARGETS form plus system; electrodes that are
+ * already a named target (F3, Fp2, ...) are left out.
+ */
+const NAMED_ELECTRODES = new Set(Object.values(TARGETS).map(t => t.electrode).filter(Boolean));
+
+export const ELECTRODE_TARGETS = Object.fromEntries(
+  Object.values(ELECTRODES)
+    .filter(({ key }) => !NAMED_ELECTRODES.has(key))
+    .map(({ key, system, hemisphere, region }) => [key, {
+      key,
+      name: `${key} (${system})`,
+      label: region.charAt(0).toUpperCase() + region.slice(1),
+      hemisphere,
+      description: `${system} electrode over the ${hemisphere} ${region} scalp, positioned from the fiducials`,
+      system,
+      color: ELECTRODE_COLORS[system],
+    }])
+);
+
+/**
+ * Named target or electrode metadata
+ * @param {string | null | undefined} key
+ * @returns {Object | null}
+ */
+export function getTarget(key) {
+  return TARGETS[key] ?? ELECTRODE_TARGETS[key] ?? null;
+}
+
+/**
+ * @param {*} key
+ * @returns {boolean} True for a named target or electrode key
+ */
+export function isTargetKey(key) {
+  return getTarget(key) !== null;
+}
+
 /**
  * Fiducial marker color (silver/grey)
  */
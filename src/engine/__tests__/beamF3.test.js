@@ -0,0 +1,234 @@
+/**
+ * Beam F3 Tests
+ * =============
+ * Beam F3 distances, tape paths over the scalp and F3 marked from laid
+ * tapes, checked against the 10-20 construction on a spherical head.
+ *
+ * Run with: node src/engine/__tests__/beamF3.test.js
+ */
+
+import { TEN_TWENTY, calculateBeamF3, locateBeamF3, orientFiducials } from '../beamF3.js';
+import { pathLength, pointAlongPath, traceSurfacePath } from '../scalpPaths.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+    toBeBetween(min, max) {
+      if (actual < min || actual > max) {
+        throw new Error(`Expected ${actual} to be between ${min} and ${max}`);
+      }
+    },
+  };
+}
+
+// Spherical head: centre at the origin, vertex +Y, nose +Z, patient left +X
+const RADIUS = 0.09;
+const project = (p) => {
+  const length = Math.hypot(...p);
+  return length > 0 ? p.map(v => v * RADIUS / length) : null;
+};
+// Polar angle from the vertex, azimuth from the nose toward the left
+const onSphere = (theta, phi) => [
+  RADIUS * Math.sin(theta) * Math.sin(phi),
+  RADIUS * Math.cos(theta),
+  RADIUS * Math.sin(theta) * Math.cos(phi),
+];
+const distanceMm = (a, b) => Math.hypot(...a.map((v, i) => v - b[i])) * 1000;
+
+const NASION = onSphere(Math.PI / 2, 0);
+const INION = onSphere(Math.PI / 2, Math.PI);
+const LEFT_TRAGUS = onSphere(Math.PI / 2, Math.PI / 2);
+const RIGHT_TRAGUS = onSphere(Math.PI / 2, -Math.PI / 2);
+const VERTEX = onSphere(0, 0);
+const RING_THETA = (0.5 - TEN_TWENTY.fpzFraction) * Math.PI;
+
+const ring = (count, direction = 1) =>
+  Array.from({ length: count }, (_, i) => onSphere(RING_THETA, direction * 2 * Math.PI * i / count));
+
+const layTapes = (ringDirection = 1) => ({
+  nasionInion: traceSurfacePath([NASION, VERTEX, INION], project),
+  tragusTragus: traceSurfacePath([LEFT_TRAGUS, VERTEX, RIGHT_TRAGUS], project),
+  circumference: traceSurfacePath(ring(12, ringDirection), project, { closed: true }),
+});
+
+// F3 by the 10-20 construction: midway along the great circle Fz-F7
+const expectedF3 = (() => {
+  const fz = onSphere((0.5 - TEN_TWENTY.fzFraction) * Math.PI, 0);
+  const f7 = onSphere(RING_THETA, TEN_TWENTY.f7Fraction * 2 * Math.PI);
+  return project(fz.map((v, i) => v + f7[i]));
+})();
+
+// ============================================================================
+// BEAM F3 DISTANCES
+// ============================================================================
+
+console.log('\n=== Beam F3 Distances ===\n');
+
+test('typical adult head gives X about 5 cm and Y about 10 cm', () => {
+  const { x, y } = calculateBeamF3({ nasionInion: 36, tragusTragus: 36, circumference: 57 });
+  expect(x).toBeBetween(4.5, 6);
+  expect(y).toBeBetween(9, 11);
+});
+
+test('distances scale with the measurements', () => {
+  const small = calculateBeamF3({ nasionInion: 33, tragusTragus: 34, circumference: 53 });
+  const large = calculateBeamF3({ nasionInion: 66, tragusTragus: 68, circumference: 106 });
+  expect(large.x).toBeCloseTo(2 * small.x, 9);
+  expect(large.y).toBeCloseTo(2 * small.y, 9);
+});
+
+test('X depends on the circumference only', () => {
+  const a = calculateBeamF3({ nasionInion: 34, tragusTragus: 36, circumference: 56 });
+  const b = calculateBeamF3({ nasionInion: 38, tragusTragus: 33, circumference: 56 });
+  expect(a.x).toBeCloseTo(b.x, 9);
+});
+
+test('Y lies between the nasion-inion and tragus-tragus answers', () => {
+  const sagittal = calculateBeamF3({ nasionInion: 34, tragusTragus: 34, circumference: 56 }).y;
+  const coronal = calculateBeamF3({ nasionInion: 38, tragusTragus: 38, circumference: 56 }).y;
+  expect(calculateBeamF3({ nasionInion: 34, tragusTragus: 38, circumference: 56 }).y).toBeBetween(sagittal, coronal);
+});
+
+test('missing or non-positive measurements give null', () => {
+  expect(calculateBeamF3({ nasionInion: 36, tragusTragus: 36 })).toBe(null);
+  expect(calculateBeamF3({ nasionInion: 36, tragusTragus: 0, circumference: 57 })).toBe(null);
+  expect(calculateBeamF3()).toBe(null);
+});
+
+// ============================================================================
+// TAPE PATHS
+// ============================================================================
+
+console.log('\n=== Tape Paths ===\n');
+
+test('path length adds segments and closes loops', () => {
+  const square = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]];
+  expect(pathLength(square)).toBe(3);
+  expect(pathLength(square, true)).toBe(4);
+  expect(pathLength([[0, 0, 0]])).toBe(0);
+});
+
+test('points along a path interpolate, clamp and wrap', () => {
+  const square = [[0, 0, 0], [1, 0, 0], [1, 1, 0], [0, 1, 0]];
+  expect(pointAlongPath(square, 1.5)[1]).toBeCloseTo(0.5, 9);
+  expect(pointAlongPath(square, 10)[0]).toBe(0);
+  expect(pointAlongPath(square, -1)[0]).toBe(0);
+  expect(pointAlongPath(square, 3.5, true)[1]).toBeCloseTo(0.5, 9);
+  expect(pointAlongPath(square, 4.5, true)[0]).toBeCloseTo(0.5, 9);
+  expect(pointAlongPath([], 1)).toBe(null);
+});
+
+test('tape follows the scalp rather than the chord', () => {
+  // 150° apart over the vertex: the chord is 1.93R, the scalp 2.62R
+  const arc = 5 * Math.PI / 6;
+  const path = traceSurfacePath([NASION, onSphere(Math.PI / 3, Math.PI)], project);
+  expect(pathLength(path)).toBeBetween(arc * RADIUS * 0.999, arc * RADIUS);
+  path.forEach(p => expect(Math.hypot(...p)).toBeCloseTo(RADIUS, 9));
+});
+
+test('tape keeps its waypoints and skips samples off the scalp', () => {
+  const path = traceSurfacePath([NASION, VERTEX], p => (p[1] > RADIUS * 0.5 ? project(p) : null));
+  expect(distanceMm(path[0], NASION)).toBe(0);
+  expect(distanceMm(path[path.length - 1], VERTEX)).toBe(0);
+  expect(path.every(p => p === path[0] || p[1] > RADIUS * 0.5)).toBe(true);
+});
+
+test('closed tape measures the circumference', () => {
+  const path = traceSurfacePath(ring(12), project, { closed: true });
+  const expected = 2 * Math.PI * RADIUS * Math.sin(RING_THETA);
+  expect(pathLength(path, true)).toBeBetween(expected * 0.99, expected * 1.001);
+});
+
+// ============================================================================
+// MARKING F3
+// ============================================================================
+
+console.log('\n=== Marking F3 ===\n');
+
+test('F3 from tapes lands on the 10-20 F3 of a spherical head', () => {
+  const result = locateBeamF3(layTapes(), project, { nasion: NASION, left: LEFT_TRAGUS });
+  expect(distanceMm(result.point, expectedF3)).toBeBetween(0, 2);
+  expect(distanceMm(result.vertex, VERTEX)).toBeBetween(0, 0.5);
+  expect(result.point[0] > 0).toBe(true); // Patient left
+});
+
+test('tape direction does not matter with landmarks', () => {
+  const tapes = layTapes(-1);
+  tapes.nasionInion = [...tapes.nasionInion].reverse();
+  const result = locateBeamF3(tapes, project, { nasion: NASION, left: LEFT_TRAGUS });
+  expect(distanceMm(result.point, expectedF3)).toBeBetween(0, 2);
+});
+
+test('without landmarks the tapes are read as laid', () => {
+  const result = locateBeamF3(layTapes(-1), project);
+  expect(result.point[0] < 0).toBe(true); // Walked toward the right
+});
+
+test('reports the tape lengths with X and Y', () => {
+  const { lengths, x, y } = locateBeamF3(layTapes(), project, { nasion: NASION, left: LEFT_TRAGUS });
+  const expected = calculateBeamF3(lengths);
+  expect(lengths.nasionInion).toBeBetween(Math.PI * RADIUS * 0.99, Math.PI * RADIUS);
+  expect(x).toBeCloseTo(expected.x, 12);
+  expect(y).toBeCloseTo(expected.y, 12);
+});
+
+test('LPA/RPA labelled against the convention are swapped', () => {
+  const fiducials = { nasion: NASION, inion: INION, lpa: LEFT_TRAGUS, rpa: RIGHT_TRAGUS };
+  const kept = orientFiducials(fiducials);
+  expect(kept.lpa).toBe(LEFT_TRAGUS);
+  expect(kept.swapped).toBe(false);
+  const swapped = orientFiducials({ ...fiducials, lpa: RIGHT_TRAGUS, rpa: LEFT_TRAGUS });
+  expect(swapped.lpa).toBe(LEFT_TRAGUS);
+  expect(swapped.rpa).toBe(RIGHT_TRAGUS);
+  expect(swapped.swapped).toBe(true);
+  expect(orientFiducials({ ...fiducials, rpa: undefined })).toBe(null);
+});
+
+test('nothing is marked until every tape is laid', () => {
+  const tapes = layTapes();
+  expect(locateBeamF3({ ...tapes, circumference: tapes.circumference.slice(0, 2) }, project)).toBe(null);
+  expect(locateBeamF3({ ...tapes, tragusTragus: [] }, project)).toBe(null);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
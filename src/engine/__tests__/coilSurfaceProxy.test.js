@@ -0,0 +1,115 @@
+/**
+ * Coil Surface Proxy Tests
+ * ========================
+ * The smooth dome the coil and the scalp projections ride on, built over
+ * a spherical head: it must be closed over the vertex, where the weld of
+ * the dome's pole and seam vertices keeps smoothing from opening a hole.
+ *
+ * Run with: node src/engine/__tests__/coilSurfaceProxy.test.js
+ */
+
+import * as THREE from 'three';
+import { buildCoilProxySurface } from '../../utils/coilSurfaceProxy.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeBetween(min, max) {
+      if (actual < min || actual > max) {
+        throw new Error(`Expected ${actual} to be between ${min} and ${max}`);
+      }
+    },
+  };
+}
+
+// Spherical head: centre at the origin, vertex +Y, nose +Z, patient left +X
+const RADIUS = 0.09;
+const OFFSET_MM = 2;
+const headMesh = new THREE.Mesh(new THREE.SphereGeometry(RADIUS, 96, 64), new THREE.MeshBasicMaterial({ side: THREE.DoubleSide }));
+const fiducials = {
+  Nasion: new THREE.Vector3(0, 0, RADIUS),
+  Inion: new THREE.Vector3(0, 0, -RADIUS),
+  LPA: new THREE.Vector3(RADIUS, 0, 0),
+  RPA: new THREE.Vector3(-RADIUS, 0, 0),
+};
+
+// The build logs its parameters; keep the test output to the results
+const log = console.log;
+console.log = () => {};
+const proxy = buildCoilProxySurface({ headMesh, fiducials, offsetMm: OFFSET_MM });
+console.log = log;
+proxy.updateMatrixWorld(true);
+
+const raycaster = new THREE.Raycaster();
+const hitDistance = (origin, direction) => {
+  raycaster.set(origin, direction.clone().normalize());
+  const hits = raycaster.intersectObject(proxy, false);
+  return hits.length > 0 ? hits[0].distance : null;
+};
+
+// ============================================================================
+// COVERAGE OVER THE VERTEX
+// ============================================================================
+
+console.log('\n=== Coverage Over the Vertex ===\n');
+
+test('a downward ray through the dome pole hits the proxy', () => {
+  const distance = hitDistance(new THREE.Vector3(0, 2 * RADIUS, 0), new THREE.Vector3(0, -1, 0));
+  expect(distance !== null).toBe(true);
+  // Just above the scalp: the ray starts one radius over the vertex
+  expect((RADIUS - distance) * 1000).toBeBetween(0, OFFSET_MM + 1);
+});
+
+test('rays from the head centre toward the vertex hit the proxy', () => {
+  const { headCenter } = proxy.userData;
+  [0, 0.5, 1, 2, 3].forEach(degrees => {
+    const tilt = THREE.MathUtils.degToRad(degrees);
+    for (let k = 0; k < 8; k++) {
+      const azimuth = (k / 8) * Math.PI * 2;
+      const direction = new THREE.Vector3(
+        Math.sin(tilt) * Math.cos(azimuth),
+        Math.cos(tilt),
+        Math.sin(tilt) * Math.sin(azimuth)
+      );
+      const distance = hitDistance(headCenter, direction);
+      if (distance === null) throw new Error(`Missed the proxy ${degrees}° from the vertex`);
+      expect((distance - RADIUS) * 1000).toBeBetween(0, OFFSET_MM + 1);
+    }
+  });
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
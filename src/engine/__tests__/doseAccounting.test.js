@@ -0,0 +1,212 @@
+/**
+ * Dose Accounting Tests
+ * =====================
+ * %MT <-> %MSO conversion, the 100% MSO ceiling and the store's
+ * motor threshold handling.
+ *
+ * Run with: node src/engine/__tests__/doseAccounting.test.js
+ */
+
+import {
+  MAX_MSO,
+  toMSO,
+  toPercentMT,
+  getSessionDose,
+  normalizeMotorThresholdRecord,
+} from '../doseAccounting.js';
+import { validateSessionProtocol } from '../protocolValidation.js';
+import { getProtocolBlocks } from '../protocolBlocks.js';
+import { sessionLogToCSV } from '../sessionLog.js';
+import { STORAGE_KEYS } from '../../utils/storage.js';
+
+// In-memory localStorage so the store can persist under Node
+const memoryStorage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (memoryStorage.has(key) ? memoryStorage.get(key) : null),
+  setItem: (key, value) => memoryStorage.set(key, String(value)),
+  removeItem: (key) => memoryStorage.delete(key),
+};
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+  };
+}
+
+const PROTOCOL = {
+  frequency: 10,
+  stimType: 'standard',
+  intensity: 120,
+  pulsesPerTrain: 40,
+  iti: 11,
+  totalPulses: 3000,
+};
+
+// ============================================================================
+// CONVERSION
+// ============================================================================
+
+console.log('\n=== Conversion ===\n');
+
+test('%MT converts to whole %MSO', () => {
+  expect(toMSO(120, 55)).toBe(66);
+  expect(toMSO(110, 47)).toBe(52); // 51.7
+  expect(toMSO(120, null)).toBe(null);
+  expect(toMSO(null, 55)).toBe(null);
+});
+
+test('%MSO converts back to %MT', () => {
+  expect(toPercentMT(66, 55)).toBeCloseTo(120, 6);
+  expect(toPercentMT(52, 47)).toBeCloseTo(110.6, 6);
+  expect(toPercentMT(52, 0)).toBe(null);
+});
+
+test('entering %MSO round-trips to the same machine setting', () => {
+  for (const mt of [35, 47, 62, 70]) {
+    for (let mso = 20; mso <= MAX_MSO; mso++) {
+      expect(toMSO(toPercentMT(mso, mt), mt)).toBe(mso);
+    }
+  }
+});
+
+test('session dose covers every block', () => {
+  const sequence = {
+    ...PROTOCOL,
+    blocks: [{ ...PROTOCOL, target: 'F4', intensity: 110 }, { ...PROTOCOL, target: 'F3', intensity: 120 }],
+  };
+  const dose = getSessionDose(getProtocolBlocks(sequence), 60);
+  expect(dose.blocks[0].mso).toBe(66);
+  expect(dose.maxMSO).toBe(72);
+  expect(dose.exceedsMax).toBe(false);
+  expect(getSessionDose(getProtocolBlocks(sequence), 85).exceedsMax).toBe(true);
+});
+
+test('stored records are checked', () => {
+  expect(normalizeMotorThresholdRecord({ value: 52, source: 'rmt', trialNumber: 3 }).source).toBe('rmt');
+  expect(normalizeMotorThresholdRecord({ value: 140 })).toBe(null);
+  expect(normalizeMotorThresholdRecord(null)).toBe(null);
+});
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('\n=== Validation ===\n');
+
+test('settings above 100% MSO are invalid and not overridable', () => {
+  const result = validateSessionProtocol(PROTOCOL, { motorThreshold: 85 }); // 102% MSO
+  expect(result.status).toBe('invalid');
+  expect(result.valid).toBe(false);
+  expect(result.issues.some(issue => issue.code === 'mso-max')).toBe(true);
+});
+
+test('no motor threshold leaves validation unchanged', () => {
+  expect(validateSessionProtocol(PROTOCOL).status).toBe(validateSessionProtocol(PROTOCOL, { motorThreshold: 50 }).status);
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+memoryStorage.set(STORAGE_KEYS.motorThreshold, JSON.stringify({ value: 48, source: 'manual' }));
+const { useTMSStore } = await import('../../stores/tmsStore.js');
+
+test('motor threshold is restored from storage', () => {
+  expect(useTMSStore.getState().motorThreshold.value).toBe(48);
+});
+
+test('an rMT result can set the motor threshold', () => {
+  useTMSStore.setState(state => ({
+    rmt: { ...state.rmt, completionResults: { userMT: 52, trueMT: 51, trialNumber: 4 } },
+  }));
+  const record = useTMSStore.getState().setMotorThresholdFromRMT();
+  expect(record.value).toBe(52);
+  expect(record.source).toBe('rmt');
+  expect(record.trialNumber).toBe(4);
+  expect(JSON.parse(memoryStorage.get(STORAGE_KEYS.motorThreshold)).value).toBe(52);
+});
+
+test('sessions above 100% MSO are refused', () => {
+  useTMSStore.getState().setMotorThreshold(85);
+  useTMSStore.setState({ protocol: { ...useTMSStore.getState().protocol, ...PROTOCOL } });
+  expect(useTMSStore.getState().startSession({ instructorOverride: true })).toBe(false);
+  expect(useTMSStore.getState().session.isRunning).toBe(false);
+});
+
+test('the session is dosed against the MT it started with', () => {
+  useTMSStore.getState().setMotorThreshold(55);
+  expect(useTMSStore.getState().startSession()).toBe(true);
+  useTMSStore.getState().setMotorThreshold(60);
+  const { session, sessionLog } = useTMSStore.getState();
+  expect(session.motorThreshold).toBe(55);
+  expect(sessionLog[0].intensityMSO).toBe(66);
+  expect(sessionLog[0].details.motorThreshold).toBe(55);
+});
+
+test('mid-session intensity cannot exceed 100% MSO', () => {
+  const store = useTMSStore.getState();
+  store.setProtocolField('intensity', 110); // 61% MSO - allowed
+  expect(useTMSStore.getState().protocol.intensity).toBe(110);
+  useTMSStore.setState(state => ({ session: { ...state.session, motorThreshold: 85 } }));
+  store.setProtocolField('intensity', 120); // 102% MSO - refused
+  expect(useTMSStore.getState().protocol.intensity).toBe(110);
+});
+
+test('%MSO is exported with the log', () => {
+  const csv = sessionLogToCSV(useTMSStore.getState().sessionLog).split('\n');
+  expect(csv[0].includes('intensity,intensityMSO')).toBe(true);
+  const data = JSON.parse(useTMSStore.getState().exportSessionLog('json'));
+  expect(data.motorThreshold).toBe(85);
+  useTMSStore.getState().stopSession();
+});
+
+test('clearing the motor threshold removes it from storage', () => {
+  useTMSStore.getState().setMotorThreshold(null);
+  expect(useTMSStore.getState().motorThreshold).toBe(null);
+  expect(memoryStorage.has(STORAGE_KEYS.motorThreshold)).toBe(false);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,308 @@
+/**
+ * E-field Model Tests
+ * ===================
+ * Coil fields in the spherical head: calibration, direction, depth and
+ * pose dependence, the catalogue coils, cortical sampling and the
+ * colour scale.
+ *
+ * Run with: node src/engine/__tests__/efieldModel.test.js
+ */
+
+import {
+  EFIELD_CONSTANTS,
+  EFIELD_COLOR_STOPS,
+  buildCoilDipoles,
+  createCoil,
+  computeEField,
+  getEFieldStrength,
+  sampleCorticalField,
+  getEFieldColor,
+} from '../efieldModel.js';
+import { COILS } from '../../constants/coils.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+    toBeBetween(min, max) {
+      if (actual < min || actual > max) {
+        throw new Error(`Expected ${actual} to be between ${min} and ${max}`);
+      }
+    },
+  };
+}
+
+const deg = (d) => d * Math.PI / 180;
+const axisAngle = ([x, y, z], angle) => [x * Math.sin(angle / 2), y * Math.sin(angle / 2), z * Math.sin(angle / 2), Math.cos(angle / 2)];
+
+// Canonical pose: coil flat on top of a sphere centred at the origin
+const RADIUS = EFIELD_CONSTANTS.referenceRadius;
+const CENTER = [0, 0, 0];
+const TOP = [0, 0, RADIUS];
+const IDENTITY = [0, 0, 0, 1];
+const under = (depthMm) => [0, 0, RADIUS - depthMm / 1000];
+const FIGURE8 = COILS.figure8.field;
+const PEAK = FIGURE8.peakAtMaxOutput;
+const createFigure8Coil = (position, quaternion, center) => createCoil(position, quaternion, center, FIGURE8);
+// On the cortical shell, distance mm along the scalp in direction [x, y]
+const onShell = (mm, [x, y], depthMm = 15) => {
+  const r = RADIUS - depthMm / 1000;
+  const angle = mm / 1000 / r;
+  return [r * Math.sin(angle) * x, r * Math.sin(angle) * y, r * Math.cos(angle)];
+};
+
+// ============================================================================
+// COIL
+// ============================================================================
+
+console.log('\n=== Coil ===\n');
+
+test('two wings of equal and opposite total moment', () => {
+  const dipoles = buildCoilDipoles(FIGURE8);
+  const total = (side) => dipoles
+    .filter(d => Math.sign(d.position[0]) === side)
+    .reduce((sum, d) => sum + d.moment[2], 0);
+  expect(total(1)).toBeCloseTo(1, 9);
+  expect(total(-1)).toBeCloseTo(-1, 9);
+});
+
+test('a circular coil is one centred wing', () => {
+  const dipoles = buildCoilDipoles(COILS.circular.field);
+  expect(dipoles.every(d => d.moment[2] > 0)).toBe(true);
+  expect(dipoles.reduce((sum, d) => sum + d.position[0], 0)).toBeCloseTo(0, 9);
+});
+
+test('folded wings dip their outer edges toward the head', () => {
+  const dipoles = buildCoilDipoles(COILS.doubleCone.field);
+  const outer = dipoles.reduce((a, b) => (Math.abs(b.position[0]) > Math.abs(a.position[0]) ? b : a));
+  expect(outer.position[2] < COILS.doubleCone.field.windingHeight).toBe(true);
+});
+
+test('placing the coil moves and rotates the dipoles', () => {
+  const { dipoles } = createFigure8Coil([0.01, 0.02, 0.03], axisAngle([1, 0, 0], deg(90)));
+  // Local +Z (moment) maps to world -Y under a 90° turn about X
+  const centreWing = dipoles[0];
+  expect(centreWing.moment[1] < 0).toBe(true);
+  expect(centreWing.moment[2]).toBeCloseTo(0, 9);
+  expect(centreWing.position[0]).toBeCloseTo(0.01 + FIGURE8.wingOffset, 9);
+});
+
+// ============================================================================
+// FIELD
+// ============================================================================
+
+console.log('\n=== Field ===\n');
+
+test('calibrated to the peak at 100% MSO and cortical depth', () => {
+  const coil = createFigure8Coil(TOP, IDENTITY);
+  const strength = getEFieldStrength(under(EFIELD_CONSTANTS.cortexDepthMm), coil, CENTER, 100);
+  expect(strength).toBeCloseTo(PEAK, 6);
+});
+
+test('linear in stimulator output', () => {
+  const coil = createFigure8Coil(TOP, IDENTITY);
+  const at = (intensity) => getEFieldStrength(under(15), coil, CENTER, intensity);
+  expect(at(50)).toBeCloseTo(at(100) / 2, 6);
+  expect(at(0)).toBe(0);
+});
+
+test('no radial component', () => {
+  const coil = createFigure8Coil(TOP, IDENTITY);
+  const point = [0.012, -0.008, RADIUS - 0.02];
+  const e = computeEField(point, coil, CENTER, 100);
+  const radial = (e[0] * point[0] + e[1] * point[1] + e[2] * point[2]) / Math.hypot(...point);
+  expect(Math.abs(radial) / Math.hypot(...e)).toBeCloseTo(0, 6);
+});
+
+test('current under the centre runs along the handle axis', () => {
+  const coil = createFigure8Coil(TOP, IDENTITY);
+  const [ex, ey] = computeEField(under(15), coil, CENTER, 100);
+  expect(Math.abs(ex) / Math.abs(ey)).toBeCloseTo(0, 6);
+});
+
+test('twist turns the field with the coil', () => {
+  const coil = createFigure8Coil(TOP, axisAngle([0, 0, 1], deg(90)));
+  const [ex, ey] = computeEField(under(15), coil, CENTER, 100);
+  expect(Math.abs(ey) / Math.abs(ex)).toBeCloseTo(0, 6);
+  expect(Math.hypot(ex, ey)).toBeCloseTo(PEAK, 6);
+});
+
+test('weaker with depth', () => {
+  const coil = createFigure8Coil(TOP, IDENTITY);
+  const at = (depthMm) => getEFieldStrength(under(depthMm), coil, CENTER, 100);
+  expect(at(10) > at(15)).toBe(true);
+  expect(at(15) > at(25)).toBe(true);
+});
+
+test('a tilted coil rests on its edge and weakens the field under it', () => {
+  const flat = getEFieldStrength(under(15), createFigure8Coil(TOP, IDENTITY, CENTER), CENTER, 100);
+  expect(flat).toBeCloseTo(PEAK, 6);
+  [[1, 0, 0], [0, 1, 0]].forEach(axis => {
+    const tilted = createFigure8Coil(TOP, axisAngle(axis, deg(20)), CENTER);
+    const lowest = Math.min(...tilted.dipoles.map(d => Math.hypot(...d.position)));
+    expect(lowest >= RADIUS + FIGURE8.windingHeight - 1e-9).toBe(true);
+    expect(getEFieldStrength(under(15), tilted, CENTER, 100) < flat).toBe(true);
+  });
+});
+
+test('focal: weaker beside the coil than under the centre', () => {
+  const coil = createFigure8Coil(TOP, IDENTITY);
+  const centre = getEFieldStrength(onShell(0, [1, 0]), coil, CENTER, 100);
+  // 3 cm out along the wings and along the handle
+  const wing = getEFieldStrength(onShell(30, [1, 0]), coil, CENTER, 100);
+  const handle = getEFieldStrength(onShell(30, [0, 1]), coil, CENTER, 100);
+  expect(wing < centre / 2).toBe(true);
+  expect(handle < centre).toBe(true);
+});
+
+// ============================================================================
+// CATALOGUE COILS
+// ============================================================================
+
+console.log('\n=== Catalogue coils ===\n');
+
+const strongestOnShell = (coil, depthMm = 15) => {
+  let strongest = 0;
+  for (let mm = 0; mm <= 60; mm += 3) {
+    [[1, 0], [0, 1], [Math.SQRT1_2, Math.SQRT1_2]].forEach(dir => {
+      strongest = Math.max(strongest, getEFieldStrength(onShell(mm, dir, depthMm), coil, CENTER, 100));
+    });
+  }
+  return strongest;
+};
+
+test('each coil is calibrated to its own peak', () => {
+  Object.values(COILS).forEach(({ field }) => {
+    expect(strongestOnShell(createCoil(TOP, IDENTITY, CENTER, field))).toBeBetween(field.peakAtMaxOutput * 0.95, field.peakAtMaxOutput + 1e-6);
+  });
+});
+
+test('a circular coil has no field under its centre but a ring under the windings', () => {
+  const coil = createCoil(TOP, IDENTITY, CENTER, COILS.circular.field);
+  expect(getEFieldStrength(under(15), coil, CENTER, 100)).toBeCloseTo(0, 6);
+  const ring = [[1, 0], [0, 1]].map(dir => getEFieldStrength(onShell(30, dir), coil, CENTER, 100));
+  expect(ring[0]).toBeBetween(ring[1] * 0.98, ring[1] * 1.02);
+  expect(ring[0] > 150).toBe(true);
+});
+
+test('deep coils lose less of their field with depth than the figure-8', () => {
+  const retained = (field) => {
+    const coil = createCoil(TOP, IDENTITY, CENTER, field);
+    return getEFieldStrength(under(35), coil, CENTER, 100) / getEFieldStrength(under(15), coil, CENTER, 100);
+  };
+  expect(retained(COILS.doubleCone.field) > retained(FIGURE8)).toBe(true);
+  expect(retained(COILS.hCoil.field) > retained(FIGURE8)).toBe(true);
+});
+
+test('the H-coil field is broader than the figure-8 field', () => {
+  const width = (field) => {
+    const coil = createCoil(TOP, IDENTITY, CENTER, field);
+    return getEFieldStrength(onShell(40, [1, 0]), coil, CENTER, 100) / getEFieldStrength(under(15), coil, CENTER, 100);
+  };
+  expect(width(COILS.hCoil.field) > width(FIGURE8)).toBe(true);
+});
+
+test('every coil clears the curve of the head', () => {
+  Object.values(COILS).forEach(({ field }) => {
+    const { dipoles } = createCoil(TOP, IDENTITY, CENTER, field);
+    const lowest = Math.min(...dipoles.map(d => Math.hypot(...d.position)));
+    expect(lowest).toBeBetween(RADIUS + field.windingHeight - 1e-9, RADIUS + field.windingHeight + 0.001);
+  });
+});
+
+// ============================================================================
+// CORTICAL SAMPLING
+// ============================================================================
+
+console.log('\n=== Cortical sampling ===\n');
+
+test('samples at depth along the normals and reports the peak', () => {
+  const positions = new Float32Array([0, 0, RADIUS, 0, 0.2, 0]);
+  const normals = new Float32Array([0, 0, 1, 0, 1, 0]);
+  const { values, peak } = sampleCorticalField(positions, normals, {
+    position: TOP, quaternion: IDENTITY, center: CENTER, intensity: 100,
+  });
+  expect(values[0]).toBeCloseTo(PEAK, 4);
+  expect(peak).toBe(values[0]);
+  // Beyond range of the coil
+  expect(values[1]).toBe(0);
+});
+
+test('reuses the output buffer', () => {
+  const positions = new Float32Array([0, 0, RADIUS]);
+  const normals = new Float32Array([0, 0, 1]);
+  const out = new Float32Array(1);
+  const { values } = sampleCorticalField(positions, normals, {
+    position: TOP, quaternion: IDENTITY, center: CENTER, intensity: 40, depthMm: 15,
+  }, out);
+  expect(values).toBe(out);
+  expect(out[0]).toBeCloseTo(PEAK * 0.4, 4);
+});
+
+// ============================================================================
+// COLOUR SCALE
+// ============================================================================
+
+console.log('\n=== Colour scale ===\n');
+
+test('transparent with no field, opaque colour stops above the fade', () => {
+  expect(getEFieldColor(0)[3]).toBe(0);
+  const top = getEFieldColor(EFIELD_CONSTANTS.scaleMax);
+  const last = EFIELD_COLOR_STOPS[EFIELD_COLOR_STOPS.length - 1][1];
+  top.slice(0, 3).forEach((c, i) => expect(c).toBeCloseTo(last[i], 9));
+  expect(top[3] > 0.5).toBe(true);
+});
+
+test('clamped above the scale maximum', () => {
+  const top = getEFieldColor(EFIELD_CONSTANTS.scaleMax);
+  const over = getEFieldColor(EFIELD_CONSTANTS.scaleMax * 3);
+  over.forEach((c, i) => expect(c).toBeCloseTo(top[i], 9));
+});
+
+test('hits the middle stop exactly', () => {
+  const [t, rgb] = EFIELD_COLOR_STOPS[2];
+  const mid = getEFieldColor(t * EFIELD_CONSTANTS.scaleMax);
+  rgb.forEach((c, i) => expect(mid[i]).toBeCloseTo(c, 9));
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,171 @@
+/**
+ * EMG Trace Tests
+ * ===============
+ * Simulated EMG sweeps: artifact, MEP latency and size, baseline noise
+ * and pre-activation.
+ *
+ * Run with: node src/engine/__tests__/emgTrace.test.js
+ */
+
+import {
+  EMG_SWEEP,
+  EMG_DEFAULTS,
+  MEP_WINDOW_MS,
+  generateEMGSweep,
+  measurePeakToPeak,
+  measureBaselineRMS,
+} from '../emgTrace.js';
+import { MEP_CRITERION_UV } from '../mepModel.js';
+import { useTMSStore } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeBetween(min, max) {
+      if (actual < min || actual > max) {
+        throw new Error(`Expected ${actual} to be between ${min} and ${max}`);
+      }
+    },
+  };
+}
+
+// Deterministic random source (mulberry32)
+function seededRandom(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const sweepFor = (pulse, seed = 1) => generateEMGSweep(pulse, {}, seededRandom(seed));
+
+// First time the trace leaves the noise band after the artifact
+function onsetMs(sweep, thresholdUV) {
+  const index = sweep.times.findIndex((t, i) => t > 8 && Math.abs(sweep.values[i]) > thresholdUV);
+  return sweep.times[index];
+}
+
+// ============================================================================
+// SWEEP
+// ============================================================================
+
+console.log('\n=== Sweep ===\n');
+
+test('sweep covers the pre- and post-stimulus window', () => {
+  const sweep = sweepFor({ amplitude: 0 });
+  const { preStimMs, postStimMs, sampleRateHz } = EMG_SWEEP;
+  expect(sweep.times[0]).toBe(-preStimMs);
+  expect(Math.round(sweep.times[sweep.times.length - 1])).toBe(postStimMs);
+  expect(sweep.values.length).toBe((preStimMs + postStimMs) * sampleRateHz / 1000 + 1);
+});
+
+test('stimulus artifact is large and brief', () => {
+  const sweep = sweepFor({ amplitude: 0 });
+  expect(measurePeakToPeak(sweep, [0, 1])).toBeBetween(EMG_DEFAULTS.artifactUV, EMG_DEFAULTS.artifactUV * 2.5);
+  expect(measurePeakToPeak(sweep, [5, 15])).toBeBetween(0, 20);
+});
+
+test('MEP peak-to-peak matches the pulse amplitude', () => {
+  for (const amplitude of [80, 400, 1800]) {
+    const measured = measurePeakToPeak(sweepFor({ amplitude }, amplitude));
+    expect(measured / amplitude).toBeBetween(0.9, 1.15);
+  }
+});
+
+test('subthreshold MEPs stay below 50 µV on the trace', () => {
+  expect(measurePeakToPeak(sweepFor({ amplitude: 20 }))).toBeBetween(0, MEP_CRITERION_UV - 1);
+  expect(measurePeakToPeak(sweepFor({ amplitude: 0 }))).toBeBetween(0, 20);
+});
+
+test('MEP appears at FDI latency inside the reading window', () => {
+  for (const seed of [1, 2, 3, 4, 5]) {
+    const sweep = sweepFor({ amplitude: 500 }, seed);
+    expect(sweep.latencyMs).toBeBetween(19, 24);
+    expect(onsetMs(sweep, 50)).toBeBetween(sweep.latencyMs, sweep.latencyMs + 5);
+    expect(onsetMs(sweep, 50)).toBeBetween(MEP_WINDOW_MS[0], MEP_WINDOW_MS[1]);
+  }
+});
+
+test('larger MEPs have shorter latency on average', () => {
+  const meanLatency = (amplitude) => [1, 2, 3, 4, 5, 6, 7, 8]
+    .map(seed => sweepFor({ amplitude }, seed).latencyMs)
+    .reduce((sum, v) => sum + v, 0) / 8;
+  expect(meanLatency(2000) < meanLatency(60)).toBe(true);
+});
+
+test('pre-activation shows as baseline EMG', () => {
+  const relaxed = measureBaselineRMS(sweepFor({ amplitude: 100 }));
+  const active = measureBaselineRMS(sweepFor({ amplitude: 100, preActivated: true }));
+  expect(relaxed).toBeBetween(1, 4);
+  expect(active > relaxed * 3).toBe(true);
+});
+
+test('same random source gives the same sweep', () => {
+  const a = sweepFor({ amplitude: 150 }, 42);
+  const b = sweepFor({ amplitude: 150 }, 42);
+  expect(a.values.every((v, i) => v === b.values[i])).toBe(true);
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+function runPulses(trials) {
+  useTMSStore.setState(state => ({
+    rmt: { ...state.rmt, phase: 'titration', hotspotProjected: true, trueMT: 50, intensity: 52 },
+  }));
+  const results = [];
+  for (let i = 0; i < trials; i++) results.push(...useTMSStore.getState().runTenPulseTrial(0).results);
+  return results;
+}
+
+test('pulses are pre-activated only when enabled', () => {
+  expect(runPulses(3).some(result => result.preActivated)).toBe(false);
+  useTMSStore.getState().setEMGPreActivation(true);
+  const results = runPulses(5);
+  expect(results.some(result => result.preActivated)).toBe(true);
+  expect(results.some(result => !result.preActivated)).toBe(true);
+  expect(useTMSStore.getState().rmt.titrationLog.every((entry, i) => entry.preActivated === results[40 + i].preActivated)).toBe(true);
+  useTMSStore.getState().setEMGPreActivation(false);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,225 @@
+/**
+ * Grading Rubric Tests
+ * ====================
+ * Criterion scores, weighting, titration-method check and store wiring.
+ *
+ * Run with: node src/engine/__tests__/gradingRubric.test.js
+ */
+
+import {
+  DEFAULT_RUBRIC_WEIGHTS,
+  RUBRIC_LIMITS,
+  normalizeRubricWeights,
+  scaleScore,
+  getRubricGrade,
+  assessTitrationMethod,
+  scoreTrial,
+} from '../gradingRubric.js';
+import { useTMSStore } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      if (diff > Math.pow(10, -precision)) {
+        throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff})`);
+      }
+    },
+  };
+}
+
+// count titration pulses at intensity, the first hits of them MEPs
+const block = (intensity, count, hits, extra = {}) => Array.from({ length: count }, (_, i) => ({
+  phase: 'titration', intensity, hit: i < hits, amplitude: i < hits ? 80 : 10, preActivated: false, ...extra,
+}));
+
+const hunt = (count) => Array.from({ length: count }, () => ({
+  phase: 'hunt', intensity: 60, hit: true, amplitude: 500, preActivated: false,
+}));
+
+// A textbook trial: on the hotspot, well oriented, bracketed at 52/51%
+const perfectTrial = () => ({
+  percentDiff: 0,
+  userMT: 52,
+  trueMT: 52,
+  distanceMm: 2,
+  hotspotPeak: 0,
+  pulseLog: [...hunt(20), ...block(52, 10, 6), ...block(51, 10, 3)],
+  orientation: { total: 0.5, twistError: 0.05 },
+  tilt: 0,
+});
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+console.log('\n=== Scoring ===\n');
+
+test('linear scores between full marks and zero', () => {
+  expect(scaleScore(0, [5, 25])).toBe(100);
+  expect(scaleScore(15, [5, 25])).toBe(50);
+  expect(scaleScore(30, [5, 25])).toBe(0);
+});
+
+test('grades follow score thresholds', () => {
+  expect(getRubricGrade(95)).toBe('A');
+  expect(getRubricGrade(80)).toBe('B');
+  expect(getRubricGrade(72)).toBe('C');
+  expect(getRubricGrade(60)).toBe('D');
+  expect(getRubricGrade(59)).toBe('F');
+});
+
+test('bad weights fall back to defaults', () => {
+  const weights = normalizeRubricWeights({ accuracy: -1, method: 30, efficiency: 'x' });
+  expect(weights.accuracy).toBe(DEFAULT_RUBRIC_WEIGHTS.accuracy);
+  expect(weights.method).toBe(30);
+  expect(weights.efficiency).toBe(DEFAULT_RUBRIC_WEIGHTS.efficiency);
+  const zero = normalizeRubricWeights({ accuracy: 0, localisation: 0, efficiency: 0, method: 0, orientation: 0 });
+  expect(zero.accuracy).toBe(DEFAULT_RUBRIC_WEIGHTS.accuracy);
+});
+
+test('textbook trial scores full marks', () => {
+  const { score, grade, criteria } = scoreTrial(perfectTrial());
+  expect(score).toBe(100);
+  expect(grade).toBe('A');
+  expect(criteria.length).toBe(5);
+  expect(criteria.reduce((sum, c) => sum + c.weight, 0)).toBeCloseTo(1, 9);
+});
+
+test('an accurate guess without a method is not an A', () => {
+  const { score, grade, criteria } = scoreTrial({
+    ...perfectTrial(),
+    distanceMm: 15,
+    pulseLog: [...hunt(200), ...block(52, 3, 2)],
+    orientation: { total: 6, twistError: 0.8 },
+  });
+  expect(criteria.find(c => c.key === 'accuracy').score).toBe(100);
+  expect(criteria.find(c => c.key === 'method').score).toBe(30);
+  expect(score < 70).toBe(true);
+  expect(grade === 'A').toBe(false);
+});
+
+test('a secondary peak scores zero for localisation', () => {
+  const { criteria } = scoreTrial({ ...perfectTrial(), hotspotPeak: 1 });
+  expect(criteria.find(c => c.key === 'localisation').score).toBe(0);
+});
+
+test('efficiency counts every pulse', () => {
+  const pulseLog = [...hunt(RUBRIC_LIMITS.efficiency[1] - 20), ...block(52, 10, 6), ...block(51, 10, 3)];
+  const { criteria } = scoreTrial({ ...perfectTrial(), pulseLog });
+  expect(criteria.find(c => c.key === 'efficiency').score).toBe(0);
+});
+
+test('weights change the trial score', () => {
+  const trial = { ...perfectTrial(), percentDiff: 10 };
+  const accuracyOnly = scoreTrial(trial, { accuracy: 1, localisation: 0, efficiency: 0, method: 0, orientation: 0 });
+  expect(accuracyOnly.score).toBe(50);
+  expect(scoreTrial(trial).score > accuracyOnly.score).toBe(true);
+});
+
+// ============================================================================
+// TITRATION METHOD
+// ============================================================================
+
+console.log('\n=== Titration Method ===\n');
+
+test('bracketed threshold scores full marks', () => {
+  const method = assessTitrationMethod(perfectTrial().pulseLog, 52);
+  expect(method.score).toBe(100);
+  expect(method.atClaim.hits).toBe(6);
+  expect(method.below.hits).toBe(3);
+});
+
+test('pass without a failing step below is only confirmed', () => {
+  expect(assessTitrationMethod(block(52, 10, 5), 52).score).toBe(60);
+  expect(assessTitrationMethod([...block(52, 10, 5), ...block(51, 10, 5)], 52).score).toBe(60);
+});
+
+test('untested claim scores zero; hunt pulses do not count', () => {
+  expect(assessTitrationMethod([...hunt(10), ...block(50, 10, 2)], 52).score).toBe(0);
+  expect(assessTitrationMethod(block(52, 10, 4), 52).score).toBe(30);
+});
+
+test('pre-activated pulses are ignored', () => {
+  const pulseLog = [...block(52, 9, 5), ...block(52, 3, 3, { preActivated: true }), ...block(51, 10, 2)];
+  const method = assessTitrationMethod(pulseLog, 52);
+  expect(method.discarded).toBe(3);
+  expect(method.atClaim.count).toBe(9);
+  expect(method.score).toBe(30);
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+test('pulse log records every titration pulse', () => {
+  const store = useTMSStore.getState();
+  store.startNewTrial([0.05, 0.12, 0.05], { seed: 7 });
+  useTMSStore.setState(state => ({ rmt: { ...state.rmt, phase: 'titration', hotspotProjected: true, intensity: 55 } }));
+  useTMSStore.getState().runTenPulseTrial(0);
+  useTMSStore.getState().runTenPulseTrial(0);
+  const { pulseLog } = useTMSStore.getState().rmt;
+  expect(pulseLog.length).toBe(20);
+  expect(pulseLog.every(p => p.phase === 'titration' && p.intensity === 55)).toBe(true);
+  useTMSStore.getState().resetRMT();
+  expect(useTMSStore.getState().rmt.pulseLog.length).toBe(0);
+});
+
+test('completed trial carries rubric score and criteria', () => {
+  const store = useTMSStore.getState();
+  store.startNewTrial([0.05, 0.12, 0.05], { seed: 7 });
+  useTMSStore.setState(state => ({ rmt: { ...state.rmt, phase: 'titration', hotspotProjected: true, intensity: 55 } }));
+  useTMSStore.getState().runTenPulseTrial(0);
+  const results = useTMSStore.getState().completeTrial(55, 2);
+  expect(results.grade).toBe(getRubricGrade(results.score));
+  expect(results.criteria.length).toBe(5);
+  expect(results.pulses).toBe(10);
+  expect(useTMSStore.getState().rmtHistory.at(-1).score).toBe(results.score);
+});
+
+test('rubric weights can be changed and reset', () => {
+  useTMSStore.getState().setRubricWeights({ method: 50, accuracy: -5 });
+  expect(useTMSStore.getState().rubricWeights.method).toBe(50);
+  expect(useTMSStore.getState().rubricWeights.accuracy).toBe(DEFAULT_RUBRIC_WEIGHTS.accuracy);
+  useTMSStore.getState().resetRubricWeights();
+  expect(useTMSStore.getState().rubricWeights.method).toBe(DEFAULT_RUBRIC_WEIGHTS.method);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,325 @@
+/**
+ * Head Library Tests
+ * ==================
+ * Landmark marking order, checks on marked fiducials, the pose that puts
+ * an imported head in the simulator's frame, stored entries and the
+ * store's head actions.
+ *
+ * Run with: node src/engine/__tests__/headLibrary.test.js
+ */
+
+import {
+  HEAD_FIDUCIAL_KEYS,
+  HEAD_ORIGIN,
+  headFormatOf,
+  nextLandmarkKey,
+  pickLandmarks,
+  validateHeadLandmarks,
+  computeHeadAlignment,
+  createHeadEntry,
+  normalizeHeadEntry,
+} from '../headLibrary.js';
+import { STORAGE_KEYS } from '../../utils/storage.js';
+
+// In-memory localStorage so the store can persist under Node
+const memoryStorage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (memoryStorage.has(key) ? memoryStorage.get(key) : null),
+  setItem: (key, value) => memoryStorage.set(key, String(value)),
+  removeItem: (key) => memoryStorage.delete(key),
+};
+
+// A saved head from an earlier visit
+const SAVED_HEAD = {
+  id: 'h-saved',
+  name: 'Saved',
+  format: 'stl',
+  landmarks: {
+    Nasion: [0, -90, 0],
+    Inion: [0, 90, 0],
+    LPA: [75, 0, -10],
+    RPA: [-75, 0, -10],
+  },
+};
+memoryStorage.set(STORAGE_KEYS.headLibrary, JSON.stringify([SAVED_HEAD, { id: 'h-broken', name: 'No fiducials', format: 'stl' }]));
+memoryStorage.set(STORAGE_KEYS.activeHead, JSON.stringify('h-saved'));
+
+const { useTMSStore } = await import('../../stores/tmsStore.js');
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+    toEqual(expected) {
+      const a = JSON.stringify(actual);
+      const e = JSON.stringify(expected);
+      if (a !== e) {
+        throw new Error(`Expected ${e}, got ${a}`);
+      }
+    },
+  };
+}
+
+// Rotate v by quaternion [x, y, z, w]
+function rotate([qx, qy, qz, qw], v) {
+  const u = [qx, qy, qz];
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  const t = cross(u, v).map(c => 2 * c);
+  const ut = cross(u, t);
+  return v.map((c, i) => c + qw * t[i] + ut[i]);
+}
+
+// Pose a model-frame point: scale, rotate, translate
+const toWorld = ({ quaternion, position }, scale, point) => (
+  rotate(quaternion, point.map(v => v * scale)).map((v, i) => v + position[i])
+);
+
+const expectPoint = (actual, expected, precision = 4) => {
+  actual.forEach((v, i) => expect(v).toBeCloseTo(expected[i], precision));
+};
+
+// A scan in millimetres, Z up and the face toward -Y (common for STL):
+// the patient's left is then +X
+const SCAN = {
+  Nasion: [0, -95, 0],
+  Inion: [0, 95, 0],
+  LPA: [75, 0, 0],
+  RPA: [-75, 0, 0],
+};
+const SCAN_BODY = [0, 0, 60]; // Bounds centre, above the fiducials
+const MM = 0.001;
+
+// ============================================================================
+// MARKING
+// ============================================================================
+
+console.log('\n=== Marking ===\n');
+
+test('file formats come from the extension', () => {
+  expect(headFormatOf('scan.STL')).toBe('stl');
+  expect(headFormatOf('head.glb')).toBe('glb');
+  expect(headFormatOf('head.gltf')).toBe(null);
+  expect(headFormatOf(undefined)).toBe(null);
+});
+
+test('fiducials are marked in order, then nothing is pending', () => {
+  expect(nextLandmarkKey({})).toBe('Nasion');
+  expect(nextLandmarkKey({ Nasion: [0, 0, 1], LPA: [1, 0, 0] })).toBe('Inion');
+  expect(nextLandmarkKey(SCAN)).toBe(null);
+});
+
+test('unknown landmarks and malformed points are dropped', () => {
+  const picked = pickLandmarks({ ...SCAN, F3: [1, 2, NaN], SMA: [0, 0, 90], Cz: [0, 0, 95] });
+  expect(Object.keys(picked).join(',')).toBe('Nasion,Inion,LPA,RPA,SMA');
+});
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('\n=== Validation ===\n');
+
+test('a marked head is valid without issues', () => {
+  const { valid, issues } = validateHeadLandmarks(SCAN, { bodyCentre: SCAN_BODY });
+  expect(valid).toBe(true);
+  expect(issues.length).toBe(0);
+});
+
+test('missing fiducials block saving', () => {
+  const { valid, issues } = validateHeadLandmarks({ Nasion: SCAN.Nasion });
+  expect(valid).toBe(false);
+  expect(issues[0].code).toBe('missing');
+  expect(issues[0].message).toBe('Mark Inion, LPA, RPA');
+});
+
+test('fiducials in a line or on top of each other are rejected', () => {
+  const inLine = validateHeadLandmarks({ ...SCAN, LPA: [0, -50, 0], RPA: [0, 50, 0] });
+  expect(inLine.issues[0].code).toBe('degenerate');
+  const doubled = validateHeadLandmarks({ ...SCAN, RPA: [70, 5, 0] });
+  expect(doubled.valid).toBe(false);
+  expect(doubled.issues.some(issue => issue.code === 'too-close')).toBe(true);
+});
+
+test('a head far out of proportion is rejected', () => {
+  const { valid, issues } = validateHeadLandmarks({ ...SCAN, LPA: [20, 0, 0], RPA: [-20, 0, 0] });
+  expect(valid).toBe(false);
+  expect(issues[0].code).toBe('proportions');
+});
+
+test('LPA and RPA on the wrong sides are a warning', () => {
+  const swapped = { ...SCAN, LPA: SCAN.RPA, RPA: SCAN.LPA };
+  const { valid, issues } = validateHeadLandmarks(swapped, { bodyCentre: SCAN_BODY });
+  expect(valid).toBe(true);
+  expect(issues[0].severity).toBe('warning');
+  expect(issues[0].code).toBe('mirrored');
+});
+
+// ============================================================================
+// ALIGNMENT
+// ============================================================================
+
+console.log('\n=== Alignment ===\n');
+
+test('a Z-up scan is turned nose +Z, vertex +Y, LPA +X', () => {
+  const alignment = computeHeadAlignment(SCAN, MM);
+  expectPoint(toWorld(alignment, MM, SCAN.Nasion), [HEAD_ORIGIN[0], HEAD_ORIGIN[1], HEAD_ORIGIN[2] + 0.095]);
+  expectPoint(toWorld(alignment, MM, SCAN.Inion), [HEAD_ORIGIN[0], HEAD_ORIGIN[1], HEAD_ORIGIN[2] - 0.095]);
+  expectPoint(toWorld(alignment, MM, SCAN.LPA), [HEAD_ORIGIN[0] + 0.075, HEAD_ORIGIN[1], HEAD_ORIGIN[2]]);
+  expectPoint(toWorld(alignment, MM, SCAN_BODY), [HEAD_ORIGIN[0], HEAD_ORIGIN[1] + 0.06, HEAD_ORIGIN[2]]);
+});
+
+test('an already upright head only moves', () => {
+  const upright = {
+    Nasion: [0, 0, 0.1],
+    Inion: [0, 0, -0.1],
+    LPA: [0.08, 0, 0],
+    RPA: [-0.08, 0, 0],
+  };
+  const { quaternion, position } = computeHeadAlignment(upright, 1);
+  expect(quaternion[3]).toBeCloseTo(1, 6);
+  expect(position.join(',')).toBe(HEAD_ORIGIN.join(','));
+});
+
+test('the fiducial centre lands on the origin for any rotation', () => {
+  // Face toward +X, up along -Z
+  const turned = {
+    Nasion: [10, 4, -3],
+    Inion: [-8, 4, -3],
+    LPA: [1, 11, -3],
+    RPA: [1, -3, -3],
+  };
+  const alignment = computeHeadAlignment(turned, 0.01);
+  const centre = HEAD_FIDUCIAL_KEYS.map(key => toWorld(alignment, 0.01, turned[key]))
+    .reduce((sum, p) => sum.map((v, i) => v + p[i] / 4), [0, 0, 0]);
+  expectPoint(centre, HEAD_ORIGIN);
+  const lpa = toWorld(alignment, 0.01, turned.LPA);
+  expect(lpa[0] > HEAD_ORIGIN[0]).toBe(true);
+});
+
+test('no pose until the fiducials are marked', () => {
+  expect(computeHeadAlignment({ Nasion: SCAN.Nasion }, MM)).toBe(null);
+});
+
+// ============================================================================
+// ENTRIES
+// ============================================================================
+
+console.log('\n=== Entries ===\n');
+
+test('new entries keep only known landmarks', () => {
+  const entry = createHeadEntry({ name: ' Scan ', format: 'stl', landmarks: { ...SCAN, Oz: [0, 1, 0] } });
+  expect(entry.name).toBe('Scan');
+  expect(entry.id.startsWith('h-')).toBe(true);
+  expect(Object.keys(entry.landmarks).length).toBe(4);
+});
+
+test('stored entries need a name, a known format and all fiducials', () => {
+  expect(normalizeHeadEntry(SAVED_HEAD).name).toBe('Saved');
+  expect(normalizeHeadEntry({ ...SAVED_HEAD, format: 'ply' })).toBe(null);
+  expect(normalizeHeadEntry({ ...SAVED_HEAD, name: ' ' })).toBe(null);
+  expect(normalizeHeadEntry({ ...SAVED_HEAD, landmarks: { Nasion: [0, 0, 1] } })).toBe(null);
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+test('saved heads load from localStorage, dropping unusable ones', () => {
+  const { headLibrary, activeHeadId } = useTMSStore.getState();
+  expect(headLibrary.map(entry => entry.id).join(',')).toBe('h-saved');
+  expect(activeHeadId).toBe('h-saved');
+});
+
+test('importing marks the fiducials in order, then targets once', () => {
+  const store = useTMSStore.getState();
+  expect(store.startHeadImport({ name: 'Scan', format: 'stl', buffer: new ArrayBuffer(8) })).toBe(true);
+  HEAD_FIDUCIAL_KEYS.forEach(key => {
+    expect(useTMSStore.getState().headDraft.activeKey).toBe(key);
+    store.markHeadLandmark(SCAN[key]);
+  });
+  expect(useTMSStore.getState().headDraft.activeKey).toBe(null);
+
+  store.setHeadDraftKey('F3');
+  store.markHeadLandmark([30, -40, 60]);
+  const { headDraft } = useTMSStore.getState();
+  expect(headDraft.landmarks.F3.join(',')).toBe('30,-40,60');
+  expect(headDraft.activeKey).toBe(null);
+});
+
+test('clearing a landmark makes it the one to mark', () => {
+  useTMSStore.getState().clearHeadLandmark('LPA');
+  const { headDraft } = useTMSStore.getState();
+  expect(headDraft.landmarks.LPA).toBe(undefined);
+  expect(headDraft.activeKey).toBe('LPA');
+  useTMSStore.getState().cancelHeadImport();
+  expect(useTMSStore.getState().headDraft).toBe(null);
+});
+
+test('unsupported formats are not imported', () => {
+  expect(useTMSStore.getState().startHeadImport({ name: 'x', format: 'ply', buffer: new ArrayBuffer(1) })).toBe(false);
+});
+
+test('the head cannot change during a session', () => {
+  useTMSStore.setState(state => ({ session: { ...state.session, isRunning: true } }));
+  expect(useTMSStore.getState().setActiveHead(null)).toBe(false);
+  expect(useTMSStore.getState().deleteHead('h-saved')).toBe(false);
+  useTMSStore.setState(state => ({ session: { ...state.session, isRunning: false } }));
+});
+
+test('changing head resets the tapes and persists the choice', () => {
+  useTMSStore.getState().setActiveTape('nasionInion');
+  useTMSStore.getState().addTapePoint([0, 0.1, 0.08]);
+  expect(useTMSStore.getState().setActiveHead(null)).toBe(true);
+  expect(useTMSStore.getState().beamF3.waypoints.nasionInion.length).toBe(0);
+  expect(JSON.parse(memoryStorage.get(STORAGE_KEYS.activeHead))).toBe(null);
+});
+
+test('deleting a head removes it from localStorage', () => {
+  expect(useTMSStore.getState().deleteHead('h-saved')).toBe(true);
+  expect(useTMSStore.getState().headLibrary.length).toBe(0);
+  expect(JSON.parse(memoryStorage.get(STORAGE_KEYS.headLibrary)).length).toBe(0);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
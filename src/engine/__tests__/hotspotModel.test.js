@@ -0,0 +1,306 @@
+/**
+ * Hotspot Model Tests
+ * ===================
+ * Coil twist and tilt penalties in the rMT apparent threshold, and the
+ * seeded per-trial hotspot map.
+ *
+ * Run with: node src/engine/__tests__/hotspotModel.test.js
+ */
+
+import {
+  ORIENTATION_CONSTANTS,
+  wrapAngle,
+  generateOptimalTwist,
+  calculateTwistPenalty,
+  calculateTiltPenalty,
+  calculateOrientationPenalty,
+  HOTSPOT_DIFFICULTY,
+  DEPTH_CONSTANTS,
+  generateHotspotMap,
+  getDepthThresholdShift,
+  getPeakOffsetMm,
+  calculateMapPenalty,
+} from '../hotspotModel.js';
+import { useTMSStore, MT_CONSTANTS, calculateApparentMT, calculateDistancePenalty } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+    toBeBetween(min, max) {
+      if (actual < min || actual > max) {
+        throw new Error(`Expected ${actual} to be between ${min} and ${max}`);
+      }
+    },
+  };
+}
+
+const deg = (d) => d * Math.PI / 180;
+const OPTIMAL = ORIENTATION_CONSTANTS.optimalTwist;
+
+// ============================================================================
+// TWIST
+// ============================================================================
+
+console.log('\n=== Twist ===\n');
+
+test('no penalty at the optimal handle direction', () => {
+  expect(calculateTwistPenalty(OPTIMAL, OPTIMAL)).toBeCloseTo(0, 9);
+});
+
+test('penalty grows with handle error up to the reversed coil', () => {
+  const at = (d) => calculateTwistPenalty(OPTIMAL + deg(d), OPTIMAL);
+  expect(at(20) < at(45)).toBe(true);
+  expect(at(45) < at(90)).toBe(true);
+  expect(at(90)).toBeCloseTo(ORIENTATION_CONSTANTS.twistPenalty / 2, 6);
+  expect(at(180)).toBeCloseTo(ORIENTATION_CONSTANTS.twistPenalty, 6);
+  // Either direction of rotation costs the same
+  expect(at(-60)).toBeCloseTo(at(60), 9);
+});
+
+test('full turns of the coil wrap around', () => {
+  expect(wrapAngle(deg(370))).toBeCloseTo(deg(10), 9);
+  expect(wrapAngle(deg(-190))).toBeCloseTo(deg(170), 9);
+  expect(wrapAngle(-Math.PI)).toBe(Math.PI);
+  expect(calculateTwistPenalty(OPTIMAL + 2 * Math.PI, OPTIMAL)).toBeCloseTo(0, 9);
+});
+
+test('trial optimum varies around 45° posterolateral', () => {
+  expect(generateOptimalTwist(() => 0.5)).toBeCloseTo(OPTIMAL, 9);
+  expect(generateOptimalTwist(() => 0)).toBeCloseTo(OPTIMAL - ORIENTATION_CONSTANTS.twistJitter, 9);
+  expect(generateOptimalTwist(() => 0.999999)).toBeBetween(OPTIMAL, OPTIMAL + ORIENTATION_CONSTANTS.twistJitter);
+});
+
+// ============================================================================
+// TILT
+// ============================================================================
+
+console.log('\n=== Tilt ===\n');
+
+test('flat coil has no tilt penalty', () => {
+  expect(calculateTiltPenalty(0)).toBe(0);
+});
+
+test('tilt penalty is small at first and grows to the tilt limit', () => {
+  expect(calculateTiltPenalty(deg(5))).toBeBetween(0, 0.5);
+  expect(calculateTiltPenalty(deg(-30))).toBeBetween(7, 9);
+  expect(calculateTiltPenalty(deg(15))).toBeCloseTo(calculateTiltPenalty(deg(-15)), 9);
+});
+
+test('penalties add up', () => {
+  const penalty = calculateOrientationPenalty({ twist: OPTIMAL + deg(90), tilt: deg(20) }, OPTIMAL);
+  expect(penalty.total).toBeCloseTo(penalty.twist + penalty.tilt, 9);
+  expect(penalty.twistError).toBeCloseTo(deg(90), 9);
+});
+
+test('coil sensitivity scales each penalty', () => {
+  const orientation = { twist: OPTIMAL + deg(90), tilt: deg(20) };
+  const base = calculateOrientationPenalty(orientation, OPTIMAL);
+  const scaled = calculateOrientationPenalty(orientation, OPTIMAL, { twistSensitivity: 0.1, tiltSensitivity: 0 });
+  expect(scaled.twist).toBeCloseTo(base.twist * 0.1, 9);
+  expect(scaled.tilt).toBe(0);
+  expect(scaled.twistError).toBeCloseTo(base.twistError, 9);
+});
+
+// ============================================================================
+// HOTSPOT MAP
+// ============================================================================
+
+console.log('\n=== Hotspot Map ===\n');
+
+// Unit vectors along / across the sulcus in [x, y, z] mm
+const sulcusAxes = (map) => {
+  const [ax, az] = getPeakOffsetMm(map, { alongMm: 1, acrossMm: 0 });
+  const [cx, cz] = getPeakOffsetMm(map, { alongMm: 0, acrossMm: 1 });
+  return { along: (mm) => [ax * mm, 0, az * mm], across: (mm) => [cx * mm, 0, cz * mm] };
+};
+
+test('same seed gives the same map', () => {
+  const a = generateHotspotMap({ seed: 1234, difficulty: 'hard' });
+  const b = generateHotspotMap({ seed: 1234, difficulty: 'hard' });
+  expect(JSON.stringify(a)).toBe(JSON.stringify(b));
+  expect(JSON.stringify(generateHotspotMap({ seed: 1235, difficulty: 'hard' })) === JSON.stringify(a)).toBe(false);
+});
+
+test('difficulty presets set peaks, radius and depth', () => {
+  for (const [difficulty, preset] of Object.entries(HOTSPOT_DIFFICULTY)) {
+    for (let seed = 1; seed <= 20; seed++) {
+      const map = generateHotspotMap({ seed, difficulty });
+      expect(map.difficulty).toBe(difficulty);
+      expect(map.peaks.length).toBe(1 + preset.secondaryPeaks);
+      expect(Math.hypot(...map.offsetMm)).toBeBetween(0, preset.radiusMm);
+      expect(map.depthMm).toBeBetween(...preset.depthMm);
+      map.peaks.slice(1).forEach(peak => expect(peak.thresholdOffset).toBeBetween(...preset.secondaryGap));
+    }
+  }
+});
+
+test('unknown difficulty falls back to standard', () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  const map = generateHotspotMap({ seed: 5, difficulty: 'impossible' });
+  console.warn = warn;
+  expect(map.difficulty).toBe('standard');
+});
+
+test('sulcus runs perpendicular to the optimal handle direction', () => {
+  const map = generateHotspotMap({ seed: 77 });
+  expect(map.sulcusAngle).toBeCloseTo(-map.optimalTwist, 9);
+  // Hand knob over the left hemisphere: sulcus runs lateral (+X) and anterior (+Z)
+  const [x, z] = getPeakOffsetMm(map, { alongMm: 10, acrossMm: 0 });
+  expect(x > 0 && z > 0).toBe(true);
+});
+
+test('hotspot is elongated along the sulcus', () => {
+  const map = generateHotspotMap({ seed: 9, difficulty: 'easy' });
+  const { along, across } = sulcusAxes(map);
+  const at = (d) => calculateMapPenalty(map, d, MT_CONSTANTS).penalty;
+  expect(at([0, 0, 0])).toBeCloseTo(0, 9);
+  expect(at(along(10)) < at(across(10))).toBe(true);
+  expect(at(along(10))).toBeCloseTo(MT_CONSTANTS.Pmax * (1 - Math.exp(-((10 / map.peaks[0].spreadMm[0]) ** 2))), 9);
+});
+
+test('secondary peaks need more intensity than the primary', () => {
+  const map = generateHotspotMap({ seed: 3, difficulty: 'hard' });
+  map.peaks.slice(1).forEach((peak, i) => {
+    const [x, z] = getPeakOffsetMm(map, peak);
+    const result = calculateMapPenalty(map, [x, 0, z], MT_CONSTANTS);
+    expect(result.peakIndex).toBe(i + 1);
+    expect(result.penalty).toBeCloseTo(peak.thresholdOffset, 9);
+  });
+});
+
+test('effective distance reproduces the map penalty', () => {
+  const map = generateHotspotMap({ seed: 21 });
+  for (const displacement of [[4, 0, 0], [0, 3, 8], [-12, 2, 5], [30, 0, -30]]) {
+    const { penalty, effectiveDistanceMm } = calculateMapPenalty(map, displacement, MT_CONSTANTS);
+    expect(calculateDistancePenalty(effectiveDistanceMm)).toBeCloseTo(penalty, 6);
+  }
+});
+
+test('deeper cortex raises the threshold', () => {
+  expect(getDepthThresholdShift(DEPTH_CONSTANTS.referenceMm)).toBe(0);
+  expect(getDepthThresholdShift(DEPTH_CONSTANTS.referenceMm + 2)).toBeCloseTo(2 * DEPTH_CONSTANTS.msoPerMm, 9);
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+test('apparent MT includes the orientation penalty', () => {
+  expect(calculateApparentMT(50, 0, 5)).toBe(55);
+  expect(calculateApparentMT(50, 0)).toBe(50);
+});
+
+test('new trials draw an optimal twist', () => {
+  useTMSStore.getState().startNewTrial([0.05, 0.12, 0.05]);
+  const { optimalTwist } = useTMSStore.getState().rmt;
+  expect(optimalTwist).toBeBetween(OPTIMAL - ORIENTATION_CONSTANTS.twistJitter, OPTIMAL + ORIENTATION_CONSTANTS.twistJitter);
+});
+
+test('coil orientation drives the penalty', () => {
+  const store = useTMSStore.getState();
+  const { optimalTwist } = store.rmt;
+  store.setCurrentCoilOrientation(optimalTwist, 0);
+  expect(useTMSStore.getState().getCurrentOrientationPenalty().total).toBeCloseTo(0, 9);
+  store.setCurrentCoilOrientation(optimalTwist + Math.PI, 0);
+  expect(useTMSStore.getState().getCurrentOrientationPenalty().total).toBeCloseTo(ORIENTATION_CONSTANTS.twistPenalty, 6);
+});
+
+test('unchanged orientation does not notify subscribers', () => {
+  let calls = 0;
+  const unsubscribe = useTMSStore.subscribe(() => { calls++; });
+  const { twist, tilt } = useTMSStore.getState().currentCoilOrientation;
+  useTMSStore.getState().setCurrentCoilOrientation(twist, tilt);
+  unsubscribe();
+  expect(calls).toBe(0);
+});
+
+test('trials replay from a map seed', () => {
+  const store = useTMSStore.getState();
+  store.setHotspotDifficulty('hard');
+  const { hotspotOffset } = store.startNewTrial([0.05, 0.12, 0.05], { seed: 99 });
+  const { hotspotMap, optimalTwist } = useTMSStore.getState().rmt;
+  expect(hotspotMap.difficulty).toBe('hard');
+  expect(optimalTwist).toBe(hotspotMap.optimalTwist);
+  const replay = useTMSStore.getState().startNewTrial([0.05, 0.12, 0.05], { seed: 99 });
+  expect(replay.hotspotOffset.join()).toBe(hotspotOffset.join());
+  expect(useTMSStore.getState().rmt.optimalTwist).toBe(optimalTwist);
+  store.setHotspotDifficulty('standard');
+});
+
+test('coil position on the map drives the spatial penalty', () => {
+  useTMSStore.setState(state => ({
+    currentCoilWorldPos: null,
+    rmt: { ...state.rmt, hotspotPosition: [0.05, 0.12, 0.05], hotspotProjected: true },
+  }));
+  // Without a live coil position the distance argument is used
+  expect(useTMSStore.getState().getSpatialPenalty(10).penalty).toBeCloseTo(calculateDistancePenalty(10), 9);
+  const { hotspotMap } = useTMSStore.getState().rmt;
+  const [x, z] = getPeakOffsetMm(hotspotMap, { alongMm: 0, acrossMm: 10 });
+  useTMSStore.setState({ currentCoilWorldPos: [0.05 + x / 1000, 0.12, 0.05 + z / 1000] });
+  const spatial = useTMSStore.getState().getSpatialPenalty(10);
+  expect(spatial.penalty).toBeCloseTo(calculateMapPenalty(hotspotMap, [x, 0, z], MT_CONSTANTS).penalty, 6);
+  useTMSStore.setState({ currentCoilWorldPos: null });
+});
+
+test('a reversed coil needs more intensity for the same response rate', () => {
+  useTMSStore.setState(state => ({
+    rmt: { ...state.rmt, phase: 'titration', hotspotProjected: true, trueMT: 50, intensity: 55 },
+  }));
+  const hitRate = () => {
+    let hits = 0;
+    for (let i = 0; i < 20; i++) hits += useTMSStore.getState().runTenPulseTrial(0).hitCount;
+    return hits / 200;
+  };
+  useTMSStore.getState().setCurrentCoilOrientation(useTMSStore.getState().rmt.optimalTwist, 0);
+  const aligned = hitRate();
+  useTMSStore.getState().setCurrentCoilOrientation(useTMSStore.getState().rmt.optimalTwist + Math.PI, 0);
+  const reversed = hitRate();
+  expect(aligned).toBeBetween(0.85, 1);
+  expect(reversed).toBeBetween(0, 0.1);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
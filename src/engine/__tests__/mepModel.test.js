@@ -0,0 +1,194 @@
+/**
+ * MEP Model Tests
+ * ===============
+ * Recruitment curve, log-normal variability and the 50 µV criterion.
+ *
+ * Run with: node src/engine/__tests__/mepModel.test.js
+ */
+
+import {
+  MEP_CRITERION_UV,
+  MEP_DEFAULTS,
+  normalizeMEPModel,
+  getMEPMedian,
+  getMEPProbability,
+  sampleMEPAmplitude,
+  getMEPCategory,
+} from '../mepModel.js';
+import { useTMSStore, MT_CONSTANTS } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+    toBeBetween(min, max) {
+      if (actual < min || actual > max) {
+        throw new Error(`Expected ${actual} to be between ${min} and ${max}`);
+      }
+    },
+  };
+}
+
+// Deterministic random source (mulberry32)
+function seededRandom(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sample(intensity, mt, model, n = 4000, seed = 1) {
+  const random = seededRandom(seed);
+  return Array.from({ length: n }, () => sampleMEPAmplitude(intensity, mt, model, random));
+}
+
+// ============================================================================
+// RECRUITMENT CURVE
+// ============================================================================
+
+console.log('\n=== Recruitment Curve ===\n');
+
+test('median MEP at MT is the 50 µV criterion', () => {
+  expect(getMEPMedian(50, 50)).toBeCloseTo(MEP_CRITERION_UV, 6);
+  expect(getMEPMedian(62, 62, { plateau: 4000, slope: 4 })).toBeCloseTo(MEP_CRITERION_UV, 6);
+});
+
+test('amplitude rises sigmoidally to the plateau', () => {
+  const curve = [30, 40, 50, 60, 70, 80, 100].map(i => getMEPMedian(i, 50));
+  for (let i = 1; i < curve.length; i++) {
+    expect(curve[i] > curve[i - 1]).toBe(true);
+  }
+  expect(curve[0]).toBeBetween(0, 5);
+  expect(getMEPMedian(100, 50)).toBeBetween(MEP_DEFAULTS.plateau * 0.95, MEP_DEFAULTS.plateau);
+  // Half the plateau at I50
+  const i50 = 50 + MEP_DEFAULTS.slope * Math.log(MEP_DEFAULTS.plateau / MEP_CRITERION_UV - 1);
+  expect(getMEPMedian(i50, 50)).toBeCloseTo(MEP_DEFAULTS.plateau / 2, 6);
+});
+
+test('plateau and slope are configurable', () => {
+  expect(getMEPMedian(100, 50, { plateau: 4000 })).toBeBetween(3500, 4000);
+  // A steeper curve recruits faster above threshold
+  expect(getMEPMedian(55, 50, { slope: 3 }) > getMEPMedian(55, 50, { slope: 10 })).toBe(true);
+});
+
+test('invalid parameters fall back to defaults', () => {
+  const model = normalizeMEPModel({ plateau: 20, slope: -1, variability: 'high' });
+  expect(model.plateau).toBe(MEP_DEFAULTS.plateau);
+  expect(model.slope).toBe(MEP_DEFAULTS.slope);
+  expect(model.variability).toBe(MEP_DEFAULTS.variability);
+});
+
+// ============================================================================
+// VARIABILITY
+// ============================================================================
+
+console.log('\n=== Variability ===\n');
+
+test('half of the pulses at MT reach 50 µV', () => {
+  expect(getMEPProbability(50, 50)).toBeCloseTo(0.5, 6);
+  const hits = sample(50, 50).filter(amp => amp >= MEP_CRITERION_UV).length;
+  expect(hits / 4000).toBeBetween(0.47, 0.53);
+});
+
+test('trial-to-trial variability is log-normal', () => {
+  const logs = sample(60, 50).map(Math.log);
+  const mean = logs.reduce((sum, v) => sum + v, 0) / logs.length;
+  const sd = Math.sqrt(logs.reduce((sum, v) => sum + (v - mean) ** 2, 0) / logs.length);
+  expect(Math.exp(mean) / getMEPMedian(60, 50)).toBeBetween(0.97, 1.03);
+  expect(sd).toBeBetween(MEP_DEFAULTS.variability * 0.95, MEP_DEFAULTS.variability * 1.05);
+});
+
+test('response probability matches sampled amplitudes', () => {
+  for (const intensity of [46, 48, 52, 54]) {
+    const hits = sample(intensity, 50, undefined, 4000, intensity).filter(amp => amp >= MEP_CRITERION_UV).length;
+    expect(hits / 4000 - getMEPProbability(intensity, 50)).toBeBetween(-0.03, 0.03);
+  }
+});
+
+test('near threshold the probability follows the hunting logistic', () => {
+  for (const intensity of [44, 47, 50, 53, 56]) {
+    const logistic = 1 / (1 + Math.exp(-(intensity - 50) / MT_CONSTANTS.k));
+    expect(getMEPProbability(intensity, 50) - logistic).toBeBetween(-0.03, 0.03);
+  }
+});
+
+test('amplitude categories', () => {
+  expect(getMEPCategory(30)).toBe('none');
+  expect(getMEPCategory(50)).toBe('small');
+  expect(getMEPCategory(500)).toBe('medium');
+  expect(getMEPCategory(1500)).toBe('large');
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+test('pulses report µV and count as twitches from 50 µV', () => {
+  useTMSStore.setState(state => ({
+    rmt: { ...state.rmt, phase: 'titration', hotspotProjected: true, trueMT: 50, intensity: 50 },
+  }));
+  const results = [];
+  for (let i = 0; i < 4; i++) {
+    results.push(...useTMSStore.getState().runTenPulseTrial(0).results);
+  }
+  expect(results.every(result => result.twitch === result.amplitude >= MEP_CRITERION_UV)).toBe(true);
+  expect(results.every(result => result.hit === result.twitch)).toBe(true);
+  expect(results.some(result => result.twitch)).toBe(true);
+  expect(results.some(result => !result.twitch)).toBe(true);
+});
+
+test('the recruitment curve can be configured', () => {
+  useTMSStore.getState().setMEPModel({ plateau: 3500, slope: -2 });
+  const { mepModel } = useTMSStore.getState();
+  expect(mepModel.plateau).toBe(3500);
+  expect(mepModel.slope).toBe(MEP_DEFAULTS.slope);
+  const { results } = useTMSStore.getState().runTenPulseTrial(0);
+  expect(results.every(result => result.amplitude > 0)).toBe(true);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,304 @@
+/**
+ * Protocol Blocks Tests
+ * =====================
+ * Multi-target sequences: block plan, validation, repositioning and
+ * the store's block-by-block session flow.
+ *
+ * Run with: node src/engine/__tests__/protocolBlocks.test.js
+ */
+
+import {
+  REPOSITION_TOLERANCE_MM,
+  hasBlocks,
+  getBlockPlan,
+  getBlockIndexAt,
+  checkBlockPosition,
+} from '../protocolBlocks.js';
+import { validateSessionProtocol } from '../protocolValidation.js';
+import { pickProtocolFields } from '../protocolLibrary.js';
+import {
+  createSessionSnapshot,
+  normalizeSessionSnapshot,
+  getResumePoint,
+} from '../sessionRecovery.js';
+import { PulseScheduler } from '../pulseScheduler.js';
+import { useTMSStore } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+  };
+}
+
+// Block 1: 1 Hz, 2 trains of 10 (10s each, 5s ITI) = 25s
+// Block 2: 10 Hz, 2 trains of 10 (1s each, 10s ITI) = 12s
+const BLOCK_F4 = { target: 'F4', frequency: 1, stimType: 'standard', intensity: 100, pulsesPerTrain: 10, iti: 5, totalPulses: 20 };
+const BLOCK_F3 = { target: 'F3', frequency: 10, stimType: 'standard', intensity: 110, pulsesPerTrain: 10, iti: 10, totalPulses: 20 };
+const SEQUENCE = pickProtocolFields({ ...BLOCK_F4, blocks: [BLOCK_F4, BLOCK_F3] });
+
+const F3 = { x: 0, y: 0.1, z: 0.05 };
+const F4 = { x: 0.05, y: 0.1, z: 0.05 };
+const at = (target) => [target.x, target.y, target.z];
+
+// ============================================================================
+// PLAN
+// ============================================================================
+
+console.log('\n=== Plan ===\n');
+
+test('blocks are laid out end to end', () => {
+  const plan = getBlockPlan(SEQUENCE);
+  expect(plan.blocks.length).toBe(2);
+  expect(plan.totalPulses).toBe(40);
+  expect(plan.blocks[1].firstPulse).toBe(20);
+  expect(plan.blocks[1].startTime).toBeCloseTo(25, 6);
+  expect(plan.sessionDuration).toBeCloseTo(37, 6);
+  expect(plan.blocks[1].target).toBe('F3');
+});
+
+test('a plain protocol is a single untargeted block', () => {
+  const plan = getBlockPlan(BLOCK_F3);
+  expect(hasBlocks(BLOCK_F3)).toBe(false);
+  expect(plan.blocks.length).toBe(1);
+  expect(plan.blocks[0].target).toBe(null);
+  expect(plan.totalPulses).toBe(20);
+});
+
+test('pulse counts map to the block of the next pulse', () => {
+  const plan = getBlockPlan(SEQUENCE);
+  expect(getBlockIndexAt(plan, 0)).toBe(0);
+  expect(getBlockIndexAt(plan, 19)).toBe(0);
+  expect(getBlockIndexAt(plan, 20)).toBe(1);
+  expect(getBlockIndexAt(plan, 40)).toBe(1);
+});
+
+test('repositioning is checked against the target position', () => {
+  const block = getBlockPlan(SEQUENCE).blocks[1];
+  expect(checkBlockPosition(block, at(F4), { F3 }).onTarget).toBe(false);
+  const near = checkBlockPosition(block, [0, 0.1, 0.05 + (REPOSITION_TOLERANCE_MM - 1) / 1000], { F3 });
+  expect(near.onTarget).toBe(true);
+  // Unknown target positions never count as on target
+  expect(checkBlockPosition(block, at(F3), null).onTarget).toBe(false);
+});
+
+test('blocks survive library field picking', () => {
+  const picked = pickProtocolFields({ ...SEQUENCE, blocks: [{ ...BLOCK_F4, target: 'Nowhere' }, BLOCK_F3] });
+  expect(picked.blocks.length).toBe(2);
+  expect(picked.blocks[0].target).toBe(null);
+  expect(picked.blocks[1].frequency).toBe(10);
+  expect(pickProtocolFields(BLOCK_F3).blocks).toBe(undefined);
+});
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('\n=== Validation ===\n');
+
+test('every block is validated and prefixed', () => {
+  const result = validateSessionProtocol({ ...SEQUENCE, blocks: [BLOCK_F4, { ...BLOCK_F3, intensity: 150 }] });
+  expect(result.status).toBe('unsafe');
+  expect(result.issues[0].block).toBe(1);
+  expect(result.issues[0].message.startsWith('Block 2:')).toBe(true);
+});
+
+test('blocks without a target cannot start', () => {
+  const result = validateSessionProtocol({ ...SEQUENCE, blocks: [BLOCK_F4, { ...BLOCK_F3, target: null }] });
+  expect(result.valid).toBe(false);
+  expect(result.status).toBe('incomplete');
+  expect(result.issues.some(issue => issue.code === 'block-target')).toBe(true);
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+test('adding a block turns the protocol into a sequence on the selected target', () => {
+  useTMSStore.setState({ protocol: { ...useTMSStore.getState().protocol, ...BLOCK_F4, blocks: [] }, selectedTargetKey: 'F4' });
+  const store = useTMSStore.getState();
+  store.addProtocolBlock();
+  store.setBlockTarget(1, 'F3');
+  store.setProtocolField('frequency', 10);
+  const { protocol, activeBlockIndex } = useTMSStore.getState();
+  expect(protocol.blocks.length).toBe(2);
+  expect(activeBlockIndex).toBe(1);
+  expect(protocol.blocks[0].target).toBe('F4');
+  // Field edits write through to the selected block only
+  expect(protocol.blocks[1].frequency).toBe(10);
+  expect(protocol.blocks[0].frequency).toBe(1);
+});
+
+test('selecting, moving and removing blocks', () => {
+  const store = useTMSStore.getState();
+  store.selectProtocolBlock(0);
+  expect(useTMSStore.getState().protocol.frequency).toBe(1);
+  store.moveProtocolBlock(0, 1);
+  expect(useTMSStore.getState().protocol.blocks[1].target).toBe('F4');
+  expect(useTMSStore.getState().activeBlockIndex).toBe(1);
+  // Down to one block - back to a plain protocol with that block's fields
+  store.removeProtocolBlock(1);
+  const { protocol } = useTMSStore.getState();
+  expect(protocol.blocks.length).toBe(0);
+  expect(protocol.frequency).toBe(10);
+});
+
+function startSequenceAt(position) {
+  useTMSStore.setState({
+    protocol: { ...useTMSStore.getState().protocol, ...SEQUENCE },
+    activeBlockIndex: 0,
+    targetPositions: { F3, F4 },
+    coilPosition: position,
+  });
+  useTMSStore.getState().resetSession();
+  return useTMSStore.getState().startSession();
+}
+
+const types = () => useTMSStore.getState().sessionLog.map(entry => entry.type);
+
+test('session waits until the coil is on the first target', () => {
+  expect(startSequenceAt(at(F3))).toBe(true);
+  const store = useTMSStore.getState();
+  expect(useTMSStore.getState().session.awaitingReposition).toBe(true);
+  expect(store.confirmBlockPosition()).toBe(false);
+
+  store.setCoilPosition(at(F4));
+  expect(useTMSStore.getState().confirmBlockPosition()).toBe(true);
+  expect(useTMSStore.getState().session.awaitingReposition).toBe(false);
+  expect(types().join(',')).toBe('start,block-start');
+});
+
+test('a session on target starts the first block at once', () => {
+  startSequenceAt(at(F4));
+  const { session, sessionLog } = useTMSStore.getState();
+  expect(session.awaitingReposition).toBe(false);
+  expect(session.targetKey).toBe('F4');
+  expect(sessionLog[1].details.target).toBe('F4');
+});
+
+test('finishing a block asks for repositioning to the next target', () => {
+  startSequenceAt(at(F4));
+  const scheduler = new PulseScheduler(BLOCK_F4);
+  useTMSStore.getState().recordPulses(scheduler.getRecentEvents(scheduler.update(30)));
+  useTMSStore.getState().completeBlock();
+
+  const { session, protocol, activeBlockIndex } = useTMSStore.getState();
+  expect(session.pulsesDelivered).toBe(20);
+  expect(session.blockIndex).toBe(1);
+  expect(session.blockStartTime).toBeCloseTo(25, 6);
+  expect(session.awaitingReposition).toBe(true);
+  expect(session.targetKey).toBe('F3');
+  // Parameter fields now show the upcoming block
+  expect(protocol.frequency).toBe(10);
+  expect(activeBlockIndex).toBe(1);
+
+  // Moving between targets is not logged as an off-target excursion
+  useTMSStore.getState().setCoilPosition(at(F3));
+  expect(useTMSStore.getState().confirmBlockPosition()).toBe(true);
+  expect(types().filter(type => type.startsWith('block')).join(',')).toBe('block-start,block-complete,block-start');
+});
+
+test('pulses of later blocks are logged in session time', () => {
+  const scheduler = new PulseScheduler(BLOCK_F3);
+  useTMSStore.getState().recordPulses(scheduler.getRecentEvents(scheduler.update(0.15)));
+  const { session, sessionPulses } = useTMSStore.getState();
+  const last = sessionPulses[sessionPulses.length - 1];
+  expect(session.pulsesDelivered).toBe(21);
+  expect(last.sessionTime).toBeCloseTo(25.1, 6);
+  expect(last.details.blockIndex).toBe(1);
+  useTMSStore.getState().stopSession();
+});
+
+// ============================================================================
+// RECOVERY
+// ============================================================================
+
+console.log('\n=== Recovery ===\n');
+
+function sequenceSnapshot(session, clock) {
+  return normalizeSessionSnapshot(createSessionSnapshot({
+    protocol: SEQUENCE,
+    session: { isPaused: false, safetyOverride: false, gaps: [], ...session },
+  }, clock));
+}
+
+test('resume point lands inside the snapshot block', () => {
+  const point = getResumePoint(sequenceSnapshot({ pulsesDelivered: 30, blockIndex: 1 }, 5));
+  expect(point.blockIndex).toBe(1);
+  expect(point.blockStartTime).toBeCloseTo(25, 6);
+  // Train 0 of block 2 ends at 1s; ITI runs 1-11s
+  expect(point.clock).toBeCloseTo(5, 6);
+  expect(point.inITI).toBe(true);
+});
+
+test('a session cut off while repositioning resumes waiting', () => {
+  const point = getResumePoint(sequenceSnapshot({ pulsesDelivered: 20, blockIndex: 1, awaitingReposition: true }, 0));
+  expect(point.awaitingReposition).toBe(true);
+  expect(point.clock).toBe(0);
+  // Pulse count must match the block it claims
+  expect(sequenceSnapshot({ pulsesDelivered: 10, blockIndex: 1 }, 5)).toBe(null);
+});
+
+test('a resumed block does not pass its clock to the next block', () => {
+  useTMSStore.setState({
+    interruptedSession: sequenceSnapshot({ pulsesDelivered: 10, blockIndex: 0 }, 12),
+    targetPositions: { F3, F4 },
+    coilPosition: at(F4),
+  });
+  expect(useTMSStore.getState().resumeInterruptedSession()).toBe(true);
+  expect(useTMSStore.getState().session.resumeClock).toBeCloseTo(12, 6);
+
+  const scheduler = new PulseScheduler(BLOCK_F4);
+  scheduler.seek(12);
+  useTMSStore.getState().recordPulses(scheduler.getRecentEvents(scheduler.update(30)));
+  useTMSStore.getState().completeBlock();
+  const { session } = useTMSStore.getState();
+  expect(session.pulsesDelivered).toBe(20);
+  expect(session.blockIndex).toBe(1);
+  expect(session.resumeClock).toBe(null);
+  useTMSStore.getState().stopSession();
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,216 @@
+/**
+ * Protocol Library Tests
+ * ======================
+ * Entry helpers, versioned import/export and store persistence.
+ *
+ * Run with: node src/engine/__tests__/protocolLibrary.test.js
+ */
+
+import {
+  LIBRARY_FORMAT,
+  LIBRARY_VERSION,
+  createLibraryEntry,
+  copyLibraryEntry,
+  getUniqueName,
+  getBuiltInTemplates,
+  serializeLibrary,
+  parseLibraryFile,
+} from '../protocolLibrary.js';
+import { STORAGE_KEYS } from '../../utils/storage.js';
+
+// In-memory localStorage so the store can persist under Node
+const memoryStorage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (memoryStorage.has(key) ? memoryStorage.get(key) : null),
+  setItem: (key, value) => memoryStorage.set(key, String(value)),
+  removeItem: (key) => memoryStorage.delete(key),
+};
+
+const { EXAMPLE_PROTOCOLS, PROTOCOL_TEMPLATES, useTMSStore } = await import('../../stores/tmsStore.js');
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toEqual(expected) {
+      const a = JSON.stringify(actual);
+      const e = JSON.stringify(expected);
+      if (a !== e) {
+        throw new Error(`Expected ${e}, got ${a}`);
+      }
+    },
+  };
+}
+
+const PROTOCOL = {
+  frequency: 10,
+  stimType: 'standard',
+  intensity: 120,
+  pulsesPerTrain: 40,
+  iti: 11,
+  totalPulses: 3000,
+  pulsesPerBurst: 3,
+  burstFrequency: 5,
+};
+
+// ============================================================================
+// ENTRY HELPERS
+// ============================================================================
+
+console.log('\n=== Entry Helpers ===\n');
+
+test('createLibraryEntry keeps only protocol fields', () => {
+  const entry = createLibraryEntry({ ...PROTOCOL, extra: 'x' }, { name: '  Left DLPFC  ', target: 'F3' });
+  expect(entry.name).toBe('Left DLPFC');
+  expect(entry.target).toBe('F3');
+  expect(entry.protocol.extra).toBe(undefined);
+  expect(entry.protocol.frequency).toBe(10);
+});
+
+test('unknown targets are dropped', () => {
+  const entry = createLibraryEntry(PROTOCOL, { name: 'A', target: 'T3' });
+  expect(entry.target).toBe(null);
+});
+
+test('10-10 electrodes are kept as targets', () => {
+  const entry = createLibraryEntry(PROTOCOL, { name: 'A', target: 'Cz' });
+  expect(entry.target).toBe('Cz');
+});
+
+test('getUniqueName appends a counter', () => {
+  expect(getUniqueName('A', ['B'])).toBe('A');
+  expect(getUniqueName('A', ['A'])).toBe('A (2)');
+  expect(getUniqueName('A (2)', ['A', 'A (2)'])).toBe('A (3)');
+});
+
+test('copies of built-in templates are editable user entries', () => {
+  const template = getBuiltInTemplates(EXAMPLE_PROTOCOLS)[0];
+  expect(template.builtIn).toBe(true);
+  const copy = copyLibraryEntry(template, []);
+  expect(copy.builtIn).toBe(undefined);
+  expect(copy.name).toBe(template.name);
+  expect(copy.id === template.id).toBe(false);
+});
+
+// ============================================================================
+// IMPORT / EXPORT
+// ============================================================================
+
+console.log('\n=== Import / Export ===\n');
+
+test('export round-trips through import', () => {
+  const entries = [createLibraryEntry(PROTOCOL, { name: 'A', notes: 'n', target: 'F3' })];
+  const { entries: imported, errors } = parseLibraryFile(serializeLibrary(entries));
+  expect(errors.length).toBe(0);
+  expect(imported.length).toBe(1);
+  expect(imported[0].notes).toBe('n');
+  expect(imported[0].protocol).toEqual(entries[0].protocol);
+});
+
+test('export is versioned and excludes built-ins', () => {
+  const data = JSON.parse(serializeLibrary([...PROTOCOL_TEMPLATES]));
+  expect(data.format).toBe(LIBRARY_FORMAT);
+  expect(data.version).toBe(LIBRARY_VERSION);
+  expect(data.entries.length).toBe(0);
+});
+
+test('import rejects foreign files and future versions', () => {
+  expect(parseLibraryFile('not json').errors.length).toBe(1);
+  expect(parseLibraryFile('{"entries":[]}').errors.length).toBe(1);
+  const future = JSON.stringify({ format: LIBRARY_FORMAT, version: LIBRARY_VERSION + 1, entries: [] });
+  expect(parseLibraryFile(future).entries.length).toBe(0);
+  expect(parseLibraryFile(future).errors.length).toBe(1);
+});
+
+test('import skips malformed entries and renames collisions', () => {
+  const text = JSON.stringify({
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    entries: [{ name: 'A', protocol: PROTOCOL }, { name: '', protocol: PROTOCOL }, { name: 'B' }],
+  });
+  const { entries, errors } = parseLibraryFile(text, ['A']);
+  expect(entries.length).toBe(1);
+  expect(entries[0].name).toBe('A (2)');
+  expect(errors.length).toBe(2);
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+test('saving persists the current protocol to localStorage', () => {
+  useTMSStore.setState({ protocol: { ...PROTOCOL } });
+  const entry = useTMSStore.getState().saveProtocolToLibrary({ name: 'Mine', notes: 'x', target: 'F3' });
+  const stored = JSON.parse(memoryStorage.get(STORAGE_KEYS.protocolLibrary));
+  expect(stored.length).toBe(1);
+  expect(stored[0].id).toBe(entry.id);
+});
+
+test('rename and duplicate update the library', () => {
+  const store = useTMSStore.getState();
+  const [entry] = store.protocolLibrary;
+  store.updateLibraryEntry(entry.id, { name: 'Renamed' });
+  const copy = useTMSStore.getState().duplicateLibraryEntry(entry.id);
+  const names = useTMSStore.getState().protocolLibrary.map(e => e.name);
+  expect(names.join(',')).toBe('Renamed,Renamed copy');
+  expect(copy.target).toBe('F3');
+});
+
+test('built-in templates cannot be edited', () => {
+  const template = PROTOCOL_TEMPLATES[0];
+  useTMSStore.getState().updateLibraryEntry(template.id, { name: 'Changed' });
+  expect(PROTOCOL_TEMPLATES[0].name).toBe(template.name);
+  expect(useTMSStore.getState().protocolLibrary.length).toBe(2);
+});
+
+test('loading a template sets the active protocol', () => {
+  const template = PROTOCOL_TEMPLATES.find(t => t.name === 'iTBS');
+  useTMSStore.getState().loadLibraryEntry(template.id);
+  expect(useTMSStore.getState().protocol.stimType).toBe('iTBS');
+  expect(useTMSStore.getState().protocol.totalPulses).toBe(600);
+});
+
+test('import appends entries from an exported file', () => {
+  const text = useTMSStore.getState().exportProtocolLibrary();
+  const { entries } = useTMSStore.getState().importProtocolLibrary(text);
+  expect(entries.length).toBe(2);
+  expect(useTMSStore.getState().protocolLibrary.length).toBe(4);
+  expect(JSON.parse(memoryStorage.get(STORAGE_KEYS.protocolLibrary)).length).toBe(4);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,205 @@
+/**
+ * Protocol Validation - Safety Table Tests
+ * =========================================
+ * Pure-function tests for protocol validation.
+ * 
+ * Run with: node src/engine/__tests__/protocolValidation.test.js
+ */
+
+import {
+  validateProtocol,
+  getMaxSafeTrainDuration,
+} from '../protocolValidation.js';
+import { EXAMPLE_PROTOCOLS, useTMSStore } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+    toBeGreaterThan(expected) {
+      if (!(actual > expected)) {
+        throw new Error(`Expected ${actual} > ${expected}`);
+      }
+    },
+    toBeLessThan(expected) {
+      if (!(actual < expected)) {
+        throw new Error(`Expected ${actual} < ${expected}`);
+      }
+    },
+  };
+}
+
+const BASE = {
+  frequency: 10,
+  stimType: 'standard',
+  intensity: 110,
+  pulsesPerTrain: 40,
+  iti: 20,
+  totalPulses: 3000,
+};
+
+// ============================================================================
+// TEST SUITE
+// ============================================================================
+
+console.log('\n=== Protocol Validation Tests ===\n');
+
+console.log('Safety Table Lookup:');
+
+test('10 Hz at 120% MT allows 4.2s trains', () => {
+  expect(getMaxSafeTrainDuration(10, 120).maxDuration).toBe(4.2);
+});
+
+test('between rows uses the next higher frequency', () => {
+  expect(getMaxSafeTrainDuration(15, 100).tableFrequency).toBe(20);
+});
+
+test('between columns uses the next higher intensity', () => {
+  expect(getMaxSafeTrainDuration(10, 115).tableIntensity).toBe(120);
+});
+
+test('beyond 25 Hz is outside the table', () => {
+  expect(getMaxSafeTrainDuration(30, 100)).toBe(null);
+});
+
+console.log('\nValidation:');
+
+test('empty protocol is incomplete', () => {
+  const result = validateProtocol({ ...BASE, frequency: null, iti: null });
+  expect(result.status).toBe('incomplete');
+  expect(result.errors.frequency.length).toBe(1);
+  expect(result.errors.iti.length).toBe(1);
+});
+
+test('conservative 10 Hz protocol is ok', () => {
+  const result = validateProtocol(BASE);
+  expect(result.status).toBe('ok');
+  expect(result.valid).toBe(true);
+});
+
+test('20 Hz, 120% MT, 10s train is unsafe', () => {
+  const result = validateProtocol({ ...BASE, frequency: 20, intensity: 120, pulsesPerTrain: 200 });
+  expect(result.status).toBe('unsafe');
+  expect(result.valid).toBe(false);
+  expect(result.errors.pulsesPerTrain.length).toBe(1);
+  expect(result.safety.ratio).toBeGreaterThan(1);
+});
+
+test('train near the limit only warns', () => {
+  const result = validateProtocol({ ...BASE, intensity: 120 });
+  expect(result.status).toBe('warning');
+  expect(result.warnings.pulsesPerTrain.length).toBe(1);
+});
+
+test('short ITI above 1 Hz warns, sub-second ITI is unsafe', () => {
+  expect(validateProtocol({ ...BASE, iti: 3 }).warnings.iti.length).toBe(1);
+  expect(validateProtocol({ ...BASE, iti: 0.5 }).status).toBe('unsafe');
+});
+
+test('negative values are invalid, not overridable', () => {
+  expect(validateProtocol({ ...BASE, iti: -1 }).status).toBe('invalid');
+  expect(validateProtocol({ ...BASE, frequency: -5 }).status).toBe('invalid');
+});
+
+test('overlapping theta bursts are invalid', () => {
+  const result = validateProtocol({
+    ...EXAMPLE_PROTOCOLS['iTBS'], pulsesPerBurst: 5, burstFrequency: 15,
+  });
+  expect(result.status).toBe('invalid');
+  expect(result.errors.burstFrequency.length).toBe(1);
+});
+
+test('theta burst intensity thresholds', () => {
+  expect(validateProtocol({ ...EXAMPLE_PROTOCOLS['iTBS'], intensity: 110 }).status).toBe('warning');
+  expect(validateProtocol({ ...EXAMPLE_PROTOCOLS['iTBS'], intensity: 130 }).status).toBe('unsafe');
+});
+
+test('all example protocols can start', () => {
+  for (const [name, protocol] of Object.entries(EXAMPLE_PROTOCOLS)) {
+    if (!validateProtocol(protocol).valid) {
+      throw new Error(`${name} failed validation`);
+    }
+  }
+});
+
+console.log('\nSession Start Gate:');
+
+test('startSession refuses unsafe protocol without override', () => {
+  const store = useTMSStore.getState();
+  useTMSStore.setState({ protocol: { ...store.protocol, ...BASE, frequency: 20, intensity: 120, pulsesPerTrain: 200 } });
+  expect(useTMSStore.getState().startSession()).toBe(false);
+  expect(useTMSStore.getState().session.isRunning).toBe(false);
+});
+
+test('startSession accepts unsafe protocol with instructor override', () => {
+  expect(useTMSStore.getState().startSession({ instructorOverride: true })).toBe(true);
+  expect(useTMSStore.getState().session.safetyOverride).toBe(true);
+  useTMSStore.getState().resetSession();
+});
+
+test('override never starts an invalid protocol', () => {
+  useTMSStore.setState({ protocol: { ...useTMSStore.getState().protocol, iti: -1 } });
+  expect(useTMSStore.getState().startSession({ instructorOverride: true })).toBe(false);
+});
+
+console.log('\nMid-Session Intensity:');
+
+test('intensity changes that break the safety table are refused', () => {
+  useTMSStore.setState({ protocol: { ...useTMSStore.getState().protocol, ...BASE, intensity: 100 } });
+  expect(useTMSStore.getState().startSession()).toBe(true);
+  useTMSStore.getState().setProtocolField('intensity', 130); // 4s train, too long at 130% MT
+  expect(useTMSStore.getState().protocol.intensity).toBe(100);
+  useTMSStore.getState().setProtocolField('intensity', 110);
+  expect(useTMSStore.getState().protocol.intensity).toBe(110);
+  useTMSStore.getState().resetSession();
+});
+
+test('sessions started under override can go past the safety table', () => {
+  useTMSStore.setState({ protocol: { ...useTMSStore.getState().protocol, ...BASE, intensity: 130 } });
+  expect(useTMSStore.getState().startSession({ instructorOverride: true })).toBe(true);
+  useTMSStore.getState().setProtocolField('intensity', 140);
+  expect(useTMSStore.getState().protocol.intensity).toBe(140);
+  useTMSStore.getState().resetSession();
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,313 @@
+/**
+ * Pulse Scheduler - Timing Tests
+ * ===============================
+ * Pure-function tests for session timing and the live schedulers.
+ * 
+ * Run with: node src/engine/__tests__/pulseScheduler.test.js
+ */
+
+import {
+  calculateSessionTiming,
+  getPulseOffsetInTrain,
+  getBurstParameters,
+  generatePulseTimeline,
+  countPulsesAt,
+  getTimelineStateAt,
+  PulseScheduler,
+  ThetaBurstScheduler,
+} from '../pulseScheduler.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+    toBeLessThan(expected) {
+      if (!(actual < expected)) {
+        throw new Error(`Expected ${actual} < ${expected}`);
+      }
+    },
+  };
+}
+
+/**
+ * Drive a scheduler with fixed frame steps until all pulses fire.
+ * Returns the simulated time at which the final pulse was emitted.
+ */
+function runToCompletion(scheduler, totalPulses, frameDt) {
+  let time = 0;
+  let delivered = 0;
+  let guard = 0;
+  while (delivered < totalPulses && guard++ < 1e7) {
+    time += frameDt;
+    delivered += scheduler.update(frameDt);
+  }
+  return { time, delivered };
+}
+
+const ITBS = {
+  frequency: 50,
+  stimType: 'iTBS',
+  pulsesPerTrain: 30,
+  pulsesPerBurst: 3,
+  burstFrequency: 5,
+  iti: 8,
+  totalPulses: 600,
+};
+
+const CTBS = {
+  frequency: 50,
+  stimType: 'cTBS',
+  pulsesPerTrain: 600,
+  pulsesPerBurst: 3,
+  burstFrequency: 5,
+  iti: 0,
+  totalPulses: 600,
+};
+
+const STANDARD_10HZ = {
+  frequency: 10,
+  stimType: 'standard',
+  pulsesPerTrain: 40,
+  iti: 11,
+  totalPulses: 3000,
+};
+
+// ============================================================================
+// TEST SUITE
+// ============================================================================
+
+console.log('\n=== Pulse Scheduler Tests ===\n');
+
+console.log('Session Timing:');
+
+test('standard 10 Hz example matches header math (1114s)', () => {
+  const timing = calculateSessionTiming(STANDARD_10HZ);
+  expect(timing.trainDuration).toBeCloseTo(4, 6);
+  expect(timing.totalTrains).toBe(75);
+  expect(timing.sessionDuration).toBeCloseTo(1114, 6);
+});
+
+test('iTBS 600 = 20 trains of 2s with 8s ITI (192s)', () => {
+  const timing = calculateSessionTiming(ITBS);
+  expect(timing.burstsPerTrain).toBe(10);
+  expect(timing.trainDuration).toBeCloseTo(2, 6);
+  expect(timing.totalTrains).toBe(20);
+  expect(timing.sessionDuration).toBeCloseTo(192, 6);
+});
+
+test('cTBS 600 = 40s continuous', () => {
+  expect(calculateSessionTiming(CTBS).sessionDuration).toBeCloseTo(40, 6);
+});
+
+test('iTBS honours protocol ITI', () => {
+  const timing = calculateSessionTiming({ ...ITBS, iti: 10 });
+  expect(timing.sessionDuration).toBeCloseTo(20 * 2 + 19 * 10, 6);
+});
+
+test('short final train shortens session', () => {
+  const timing = calculateSessionTiming({ ...STANDARD_10HZ, totalPulses: 100 });
+  // 40 + 40 + 20 pulses: 4s + 11 + 4s + 11 + 2s
+  expect(timing.pulsesInLastTrain).toBe(20);
+  expect(timing.sessionDuration).toBeCloseTo(32, 6);
+});
+
+test('incomplete protocol returns null', () => {
+  expect(calculateSessionTiming({ ...ITBS, totalPulses: null })).toBe(null);
+});
+
+console.log('\nBurst Structure:');
+
+test('standard rTMS maps to single-pulse bursts', () => {
+  const burst = getBurstParameters(STANDARD_10HZ);
+  expect(burst.pulsesPerBurst).toBe(1);
+  expect(burst.burstFrequency).toBe(10);
+});
+
+test('TBS pulses are 20ms apart and bursts 200ms apart', () => {
+  const burst = getBurstParameters(ITBS);
+  const p0 = getPulseOffsetInTrain(0, burst, 30);
+  const p1 = getPulseOffsetInTrain(1, burst, 30);
+  const p3 = getPulseOffsetInTrain(3, burst, 30);
+  expect(p1 - p0).toBeCloseTo(0.02, 9);
+  expect(p3 - p0).toBeCloseTo(0.2, 9);
+});
+
+test('last pulse of a train lands on the train boundary', () => {
+  const burst = getBurstParameters(ITBS);
+  expect(getPulseOffsetInTrain(29, burst, 30)).toBeCloseTo(2, 9);
+});
+
+test('custom burst parameters are respected', () => {
+  const timing = calculateSessionTiming({
+    ...ITBS, pulsesPerBurst: 4, burstFrequency: 4, pulsesPerTrain: 40, totalPulses: 40,
+  });
+  expect(timing.trainDuration).toBeCloseTo(2.5, 9);
+});
+
+console.log('\nLive Schedulers:');
+
+test('ThetaBurstScheduler delivers every pulse at 60 fps', () => {
+  const { delivered } = runToCompletion(new ThetaBurstScheduler(ITBS), 600, 1 / 60);
+  expect(delivered).toBe(600);
+});
+
+test('ThetaBurstScheduler finishes at calculateSessionTiming duration', () => {
+  const frameDt = 1 / 240;
+  const { time } = runToCompletion(new ThetaBurstScheduler(ITBS), 600, frameDt);
+  const expected = calculateSessionTiming(ITBS).sessionDuration;
+  expect(Math.abs(time - expected)).toBeLessThan(frameDt + 1e-6);
+});
+
+test('ThetaBurstScheduler is frame-rate independent', () => {
+  // 1 frame per 0.5s must deliver the same count as 1000 fps over the same span
+  const slow = new ThetaBurstScheduler(ITBS);
+  const fast = new ThetaBurstScheduler(ITBS);
+  let slowCount = 0;
+  let fastCount = 0;
+  for (let i = 0; i < 20; i++) slowCount += slow.update(0.5);
+  for (let i = 0; i < 10000; i++) fastCount += fast.update(0.001);
+  expect(slowCount).toBe(fastCount);
+});
+
+test('ThetaBurstScheduler emits a whole burst in one slow frame', () => {
+  const scheduler = new ThetaBurstScheduler(CTBS);
+  expect(scheduler.update(0.2)).toBe(3);
+});
+
+test('ThetaBurstScheduler reports ITI from protocol', () => {
+  const scheduler = new ThetaBurstScheduler({ ...ITBS, iti: 5 });
+  scheduler.update(2);
+  expect(scheduler.isInITI()).toBe(true);
+  scheduler.update(1);
+  expect(scheduler.getITIProgress().remaining).toBeCloseTo(4, 6);
+});
+
+test('cTBS never enters ITI', () => {
+  const scheduler = new ThetaBurstScheduler(CTBS);
+  scheduler.update(20);
+  expect(scheduler.isInITI()).toBe(false);
+});
+
+test('PulseScheduler delivers every standard pulse', () => {
+  const { delivered } = runToCompletion(new PulseScheduler({ ...STANDARD_10HZ, totalPulses: 200 }), 200, 1 / 60);
+  expect(delivered).toBe(200);
+});
+
+console.log('\nPulse Timeline:');
+
+test('timeline lists every pulse in time order', () => {
+  const timeline = generatePulseTimeline(ITBS);
+  expect(timeline.events.length).toBe(600);
+  for (let i = 1; i < timeline.events.length; i++) {
+    if (!(timeline.events[i].time > timeline.events[i - 1].time)) {
+      throw new Error(`Event ${i} is not after event ${i - 1}`);
+    }
+  }
+});
+
+test('timeline duration equals calculateSessionTiming for all examples', () => {
+  for (const protocol of [ITBS, CTBS, STANDARD_10HZ, { ...STANDARD_10HZ, totalPulses: 130 }]) {
+    const timeline = generatePulseTimeline(protocol);
+    expect(timeline.duration).toBeCloseTo(calculateSessionTiming(protocol).sessionDuration, 9);
+  }
+});
+
+test('timeline events carry train and burst indices', () => {
+  const { events } = generatePulseTimeline(ITBS);
+  expect(events[0].trainIndex).toBe(0);
+  expect(events[29].trainIndex).toBe(0);
+  expect(events[30].trainIndex).toBe(1);
+  expect(events[4].burstIndex).toBe(1);
+  expect(events[4].pulseInBurst).toBe(1);
+});
+
+test('timeline ITIs sit between trains', () => {
+  const { itis, trains } = generatePulseTimeline(ITBS);
+  expect(itis.length).toBe(19);
+  expect(itis[0].start).toBeCloseTo(2, 9);
+  expect(itis[0].end).toBeCloseTo(10, 9);
+  expect(trains[1].start).toBeCloseTo(10, 9);
+});
+
+test('timeline has no ITIs when iti is 0', () => {
+  expect(generatePulseTimeline(CTBS).itis.length).toBe(0);
+});
+
+test('standard first pulse fires one interval after start', () => {
+  const { events } = generatePulseTimeline(STANDARD_10HZ);
+  expect(events[0].time).toBeCloseTo(0.1, 9);
+  expect(events[40].time).toBeCloseTo(4 + 11 + 0.1, 9);
+});
+
+test('countPulsesAt and getTimelineStateAt locate session phase', () => {
+  const timeline = generatePulseTimeline(ITBS);
+  expect(countPulsesAt(timeline, 2)).toBe(30);
+  const state = getTimelineStateAt(timeline, 5);
+  expect(state.pulsesDelivered).toBe(30);
+  expect(state.trainIndex).toBe(0);
+  expect(state.iti.afterTrain).toBe(0);
+  expect(getTimelineStateAt(timeline, 10.5).trainIndex).toBe(1);
+  expect(getTimelineStateAt(timeline, 1000).complete).toBe(true);
+});
+
+test('incomplete protocol has no timeline', () => {
+  expect(generatePulseTimeline({ ...ITBS, frequency: null })).toBe(null);
+});
+
+test('schedulers emit exactly the timeline events', () => {
+  for (const protocol of [ITBS, { ...STANDARD_10HZ, totalPulses: 200 }]) {
+    const timeline = generatePulseTimeline(protocol);
+    const scheduler = new PulseScheduler(protocol);
+    const emitted = [];
+    while (emitted.length < timeline.events.length) {
+      const count = scheduler.update(1 / 37);
+      emitted.push(...scheduler.getRecentEvents(count));
+    }
+    for (let i = 0; i < emitted.length; i++) {
+      expect(emitted[i].index).toBe(timeline.events[i].index);
+      expect(emitted[i].time).toBe(timeline.events[i].time);
+    }
+  }
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,232 @@
+/**
+ * Random Engine Tests
+ * ===================
+ * Seeded random source, normal draws, seed codes and reproducible rMT
+ * trials.
+ *
+ * Run with: node src/engine/__tests__/random.test.js
+ */
+
+import {
+  MAX_SEED,
+  createRandom,
+  gaussian,
+  generateSeed,
+  drawSeed,
+  formatSeed,
+  parseSeed,
+} from '../random.js';
+import { formatTrialCode, parseTrialCode } from '../hotspotModel.js';
+import { useTMSStore } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeBetween(min, max) {
+      if (actual < min || actual > max) {
+        throw new Error(`Expected ${actual} to be between ${min} and ${max}`);
+      }
+    },
+  };
+}
+
+const take = (random, count) => Array.from({ length: count }, () => random());
+
+// ============================================================================
+// RANDOM SOURCE
+// ============================================================================
+
+console.log('\n=== Random Source ===\n');
+
+test('same seed gives the same sequence', () => {
+  expect(take(createRandom(42), 20).join()).toBe(take(createRandom(42), 20).join());
+  expect(take(createRandom(42), 20).join() === take(createRandom(43), 20).join()).toBe(false);
+});
+
+test('values are uniform in [0, 1)', () => {
+  const values = take(createRandom(7), 10000);
+  expect(Math.min(...values)).toBeBetween(0, 0.01);
+  expect(Math.max(...values)).toBeBetween(0.99, 0.9999999);
+  expect(values.reduce((sum, v) => sum + v, 0) / values.length).toBeBetween(0.48, 0.52);
+});
+
+test('saved state continues the sequence', () => {
+  const random = createRandom(123);
+  take(random, 5);
+  const resumed = createRandom(random.state());
+  expect(take(resumed, 10).join()).toBe(take(random, 10).join());
+});
+
+test('gaussian draws are standard normal and seeded', () => {
+  const random = createRandom(11);
+  const values = Array.from({ length: 10000 }, () => gaussian(random));
+  const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+  const variance = values.reduce((sum, v) => sum + (v - mean) ** 2, 0) / values.length;
+  expect(mean).toBeBetween(-0.05, 0.05);
+  expect(variance).toBeBetween(0.95, 1.05);
+  expect(gaussian(createRandom(5))).toBe(gaussian(createRandom(5)));
+});
+
+test('seeds are unsigned 32-bit integers', () => {
+  for (let i = 0; i < 20; i++) {
+    const seed = generateSeed();
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeBetween(0, MAX_SEED);
+  }
+  expect(drawSeed(() => 0)).toBe(0);
+  expect(drawSeed(() => 0.9999999999)).toBe(MAX_SEED);
+});
+
+// ============================================================================
+// CODES
+// ============================================================================
+
+console.log('\n=== Codes ===\n');
+
+test('seed codes round-trip', () => {
+  for (const seed of [0, 1, 35, 36, 123456789, MAX_SEED]) {
+    expect(parseSeed(formatSeed(seed))).toBe(seed);
+  }
+  expect(formatSeed(MAX_SEED)).toBe('1Z141Z3');
+  expect(parseSeed(' 1z141z3 ')).toBe(MAX_SEED);
+});
+
+test('invalid seed codes are rejected', () => {
+  expect(parseSeed('')).toBe(null);
+  expect(parseSeed('ABC-1')).toBe(null);
+  expect(parseSeed('1Z141Z4')).toBe(null);
+  expect(parseSeed('12345678')).toBe(null);
+  expect(parseSeed(null)).toBe(null);
+});
+
+test('trial codes carry difficulty and seed', () => {
+  const code = formatTrialCode({ seed: 987654, difficulty: 'hard' });
+  expect(code).toBe(`H-${formatSeed(987654)}`);
+  const parsed = parseTrialCode(code.toLowerCase());
+  expect(parsed.seed).toBe(987654);
+  expect(parsed.difficulty).toBe('hard');
+  expect(parseTrialCode(formatSeed(55)).difficulty).toBe(undefined);
+  expect(parseTrialCode('X-1234')).toBe(null);
+  expect(parseTrialCode('S-')).toBe(null);
+});
+
+test('trial codes carry the coil and a non-default MEP model', () => {
+  const code = formatTrialCode({ seed: 4321, difficulty: 'standard', coil: 'circular' });
+  expect(code).toBe(`SC-${formatSeed(4321)}`);
+  const parsed = parseTrialCode(code);
+  expect(parsed.coil).toBe('circular');
+  expect(parsed.mepModel.slope).toBe(7);
+
+  const custom = formatTrialCode({
+    seed: 4321, difficulty: 'easy', coil: 'hCoil', mepModel: { plateau: 1500, slope: 6, variability: 0.4 },
+  });
+  expect(custom).toBe(`EH-${formatSeed(4321)}-1500_6_0.4`);
+  const model = parseTrialCode(custom).mepModel;
+  expect(`${model.plateau}/${model.slope}/${model.variability}`).toBe('1500/6/0.4');
+  expect(parseTrialCode(`SX-${formatSeed(1)}`)).toBe(null);
+  expect(parseTrialCode(`SF-${formatSeed(1)}-1500_6`)).toBe(null);
+  expect(parseTrialCode(`S-${formatSeed(1)}-1500_6_0.4`)).toBe(null);
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+// Start a trial from a seed and run a fixed sequence of titration pulses
+// (a seed, or options as parsed from a trial code)
+function playTrial(trial) {
+  const store = useTMSStore.getState();
+  const options = typeof trial === 'number' ? { seed: trial } : trial;
+  const { trueMT } = store.startNewTrial([0.05, 0.12, 0.05], options);
+  useTMSStore.setState(state => ({
+    rmt: { ...state.rmt, phase: 'titration', hotspotProjected: true, intensity: Math.round(trueMT) },
+  }));
+  const pulses = [];
+  for (let i = 0; i < 3; i++) {
+    pulses.push(...useTMSStore.getState().runTenPulseTrial(0).results.map(r => `${r.amplitude}:${r.sweepSeed}`));
+  }
+  return { trueMT, pulses: pulses.join(), rmt: useTMSStore.getState().rmt };
+}
+
+test('the same seed replays the whole trial', () => {
+  const a = playTrial(2024);
+  const b = playTrial(2024);
+  expect(b.trueMT).toBe(a.trueMT);
+  expect(b.rmt.optimalTwist).toBe(a.rmt.optimalTwist);
+  expect(JSON.stringify(b.rmt.hotspotMap)).toBe(JSON.stringify(a.rmt.hotspotMap));
+  expect(b.pulses).toBe(a.pulses);
+});
+
+test('a different seed gives a different trial', () => {
+  expect(playTrial(2025).pulses === playTrial(2024).pulses).toBe(false);
+});
+
+test('a trial code replays on the coil and MEP model it was played with', () => {
+  useTMSStore.getState().resetRMT();
+  useTMSStore.getState().setCoil('circular');
+  useTMSStore.getState().setMEPModel({ slope: 5 });
+  const original = playTrial(77);
+  const code = formatTrialCode({ ...original.rmt.hotspotMap, coil: original.rmt.coil, mepModel: useTMSStore.getState().mepModel });
+
+  useTMSStore.getState().resetRMT();
+  useTMSStore.getState().setCoil('figure8');
+  useTMSStore.getState().setMEPModel({ slope: 7 });
+  const replay = playTrial(parseTrialCode(code));
+  expect(useTMSStore.getState().coilKey).toBe('circular');
+  expect(useTMSStore.getState().mepModel.slope).toBe(5);
+  expect(replay.trueMT).toBe(original.trueMT);
+  expect(replay.pulses).toBe(original.pulses);
+
+  useTMSStore.getState().resetRMT();
+  useTMSStore.getState().setCoil('figure8');
+  useTMSStore.getState().setMEPModel({ slope: 7 });
+});
+
+test('trial seed is kept and the random state advances', () => {
+  useTMSStore.getState().startNewTrial([0.05, 0.12, 0.05], { seed: 31 });
+  const { seed, rngState } = useTMSStore.getState().rmt;
+  expect(seed).toBe(31);
+  useTMSStore.setState(state => ({ rmt: { ...state.rmt, phase: 'titration', hotspotProjected: true } }));
+  useTMSStore.getState().runTenPulseTrial(0);
+  expect(useTMSStore.getState().rmt.rngState === rngState).toBe(false);
+  useTMSStore.getState().resetRMT();
+  expect(useTMSStore.getState().rmt.seed).toBe(null);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,308 @@
+/**
+ * rMT Scenario Tests
+ * ==================
+ * Scenario validation, map overrides, constraints, file format, the
+ * store's scenario trials and scenarios authored in the app.
+ *
+ * Run with: node src/engine/__tests__/rmtScenarios.test.js
+ */
+
+import {
+  SCENARIO_FORMAT,
+  BUILT_IN_SCENARIOS,
+  normalizeScenario,
+  getScenarioIssues,
+  applyScenarioToMap,
+  getScenarioPulseBlock,
+  serializeScenarios,
+  parseScenarioFile,
+} from '../rmtScenarios.js';
+import { generateHotspotMap } from '../hotspotModel.js';
+import { useTMSStore } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      if (diff > Math.pow(10, -precision)) {
+        throw new Error(`Expected ${expected}, got ${actual} (diff: ${diff})`);
+      }
+    },
+  };
+}
+
+const C3 = [0.05, 0.12, 0.05];
+
+const request = (changes = {}) => ({ phase: 'titration', kind: 'single', count: 1, pulsesUsed: 0, elapsedSec: 0, ...changes });
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+console.log('\n=== Validation ===\n');
+
+test('a bare name gives an unconstrained scenario', () => {
+  const scenario = normalizeScenario({ name: '  Case A ' });
+  expect(scenario.name).toBe('Case A');
+  expect(scenario.trueMT).toBe(null);
+  expect(scenario.pulseBudget).toBe(null);
+  expect(scenario.hotspot.offsetMm).toBe(null);
+  expect(scenario.methods.join()).toBe('single,block');
+});
+
+test('bad fields fall back to random / unconstrained', () => {
+  const scenario = normalizeScenario({
+    name: 'Bad',
+    trueMT: 120,
+    hotspot: { difficulty: 'extreme', offsetMm: [5], depthMm: 'deep', peaks: [{ alongMm: 0 }] },
+    pulseBudget: 12.5,
+    startIntensity: -5,
+    methods: ['guess'],
+  });
+  expect(scenario.trueMT).toBe(null);
+  expect(scenario.hotspot.difficulty).toBe(null);
+  expect(scenario.hotspot.offsetMm).toBe(null);
+  expect(scenario.hotspot.depthMm).toBe(null);
+  expect(scenario.hotspot.peaks).toBe(null);
+  expect(scenario.pulseBudget).toBe(null);
+  expect(scenario.startIntensity).toBe(null);
+  expect(scenario.methods.length).toBe(2);
+});
+
+test('a scenario needs a name', () => {
+  expect(normalizeScenario({ trueMT: 50 })).toBe(null);
+  expect(normalizeScenario(null)).toBe(null);
+});
+
+test('built-in scenarios are valid and read-only', () => {
+  expect(BUILT_IN_SCENARIOS.length >= 2).toBe(true);
+  expect(BUILT_IN_SCENARIOS.every(s => s.builtIn && s.id.startsWith('builtin:'))).toBe(true);
+  expect(BUILT_IN_SCENARIOS[0].trueMT).toBe(78);
+});
+
+// ============================================================================
+// MAP AND CONSTRAINTS
+// ============================================================================
+
+console.log('\n=== Map and Constraints ===\n');
+
+test('fixed hotspot fields override the generated map', () => {
+  const map = generateHotspotMap({ seed: 5, difficulty: 'hard' });
+  const peaks = [{ alongMm: 0, acrossMm: 0, spreadMm: [20, 12], thresholdOffset: 0 }];
+  const scenario = normalizeScenario({ name: 'X', hotspot: { offsetMm: [0, -30], depthMm: 20, optimalTwistDeg: -60, peaks } });
+  const fixed = applyScenarioToMap(map, scenario);
+  expect(fixed.offsetMm[1]).toBe(-30);
+  expect(fixed.depthMm).toBe(20);
+  expect(fixed.optimalTwist).toBeCloseTo(-Math.PI / 3, 9);
+  expect(fixed.sulcusAngle).toBeCloseTo(Math.PI / 3, 9);
+  expect(fixed.peaks.length).toBe(1);
+  expect(fixed.seed).toBe(5);
+  // Unset fields keep the generated map
+  const same = applyScenarioToMap(map, normalizeScenario({ name: 'Y' }));
+  expect(same.optimalTwist).toBe(map.optimalTwist);
+  expect(same.peaks.length).toBe(map.peaks.length);
+});
+
+test('pulse budget and time limit block pulses', () => {
+  const scenario = normalizeScenario({ name: 'Limits', pulseBudget: 20, timeLimitSec: 60 });
+  expect(getScenarioPulseBlock(scenario, request({ pulsesUsed: 19 }))).toBe(null);
+  expect(getScenarioPulseBlock(scenario, request({ pulsesUsed: 20 }))).toBe('Pulse budget used up - submit your answer');
+  expect(getScenarioPulseBlock(scenario, request({ kind: 'block', count: 10, pulsesUsed: 15 }))).toBe('Only 5 pulses left in the budget');
+  expect(getScenarioPulseBlock(scenario, request({ elapsedSec: 60 }))).toBe('Time limit reached - submit your answer');
+  expect(getScenarioPulseBlock(null, request({ pulsesUsed: 5000 }))).toBe(null);
+});
+
+test('disallowed methods are blocked only in titration', () => {
+  const scenario = normalizeScenario({ name: 'Blocks', methods: ['block'] });
+  expect(getScenarioPulseBlock(scenario, request()) !== null).toBe(true);
+  expect(getScenarioPulseBlock(scenario, request({ phase: 'hunt' }))).toBe(null);
+  expect(getScenarioPulseBlock(scenario, request({ kind: 'block', count: 10 }))).toBe(null);
+});
+
+// ============================================================================
+// FILES
+// ============================================================================
+
+console.log('\n=== Files ===\n');
+
+test('export round-trips and skips built-ins', () => {
+  const mine = normalizeScenario({ name: 'Mine', trueMT: 62, pulseBudget: 100 });
+  const text = serializeScenarios([mine, ...BUILT_IN_SCENARIOS]);
+  expect(JSON.parse(text).format).toBe(SCENARIO_FORMAT);
+  const { scenarios, errors } = parseScenarioFile(text, ['Mine']);
+  expect(errors.length).toBe(0);
+  expect(scenarios.length).toBe(1);
+  expect(scenarios[0].name).toBe('Mine (2)');
+  expect(scenarios[0].trueMT).toBe(62);
+  expect(scenarios[0].id === mine.id).toBe(false);
+});
+
+test('a bare hand-written scenario imports', () => {
+  const { scenarios } = parseScenarioFile(JSON.stringify({ name: 'Hand-written', trueMT: 45 }));
+  expect(scenarios.length).toBe(1);
+  expect(scenarios[0].trueMT).toBe(45);
+});
+
+test('bad files are reported', () => {
+  expect(parseScenarioFile('{').errors[0]).toBe('File is not valid JSON');
+  expect(parseScenarioFile('[1, 2]').errors[0]).toBe('Not an rMT scenario file');
+  expect(parseScenarioFile(JSON.stringify({ format: SCENARIO_FORMAT, version: 9, scenarios: [] })).scenarios.length).toBe(0);
+  const partial = parseScenarioFile(JSON.stringify({ format: SCENARIO_FORMAT, version: 1, scenarios: [{ name: 'Ok' }, {}] }));
+  expect(partial.scenarios.length).toBe(1);
+  expect(partial.errors.length).toBe(1);
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+test('a scenario fixes true MT, hotspot and start intensity', () => {
+  const scenario = normalizeScenario({ name: 'Fixed', trueMT: 72, startIntensity: 40, hotspot: { offsetMm: [0, -30] } });
+  const { trueMT, hotspotOffset } = useTMSStore.getState().startNewTrial(C3, { scenario });
+  const { rmt } = useTMSStore.getState();
+  expect(trueMT).toBe(72);
+  expect(rmt.intensity).toBe(40);
+  expect(hotspotOffset[2]).toBeCloseTo(C3[2] - 0.03, 9);
+  expect(rmt.scenario.name).toBe('Fixed');
+  expect(rmt.phase).toBe('hunt');
+});
+
+test('a fixed MT leaves the rest of the seeded trial unchanged', () => {
+  useTMSStore.getState().startNewTrial(C3, { seed: 99 });
+  const plain = useTMSStore.getState().rmt;
+  useTMSStore.getState().startNewTrial(C3, { scenario: normalizeScenario({ name: 'MT only', seed: 99, trueMT: 50 }) });
+  const fixed = useTMSStore.getState().rmt;
+  expect(fixed.seed).toBe(99);
+  expect(fixed.rngState).toBe(plain.rngState);
+  expect(JSON.stringify(fixed.hotspotMap)).toBe(JSON.stringify(plain.hotspotMap));
+});
+
+test('the store enforces budget and methods', () => {
+  const scenario = normalizeScenario({ name: 'Tight', pulseBudget: 15, methods: ['block'] });
+  useTMSStore.getState().startNewTrial(C3, { scenario });
+  useTMSStore.setState(state => ({ rmt: { ...state.rmt, phase: 'titration', hotspotProjected: true } }));
+  expect(useTMSStore.getState().getRMTPulseBlock('single') !== null).toBe(true);
+  expect(useTMSStore.getState().runTenPulseTrial(0) !== null).toBe(true);
+  expect(useTMSStore.getState().runTenPulseTrial(0)).toBe(null);
+  expect(useTMSStore.getState().rmt.pulseLog.length).toBe(10);
+});
+
+test('completed scenario trials are named in the results', () => {
+  const results = useTMSStore.getState().completeTrial(50, 3);
+  expect(results.scenario).toBe('Tight');
+  expect(useTMSStore.getState().rmtHistory.at(-1).scenario).toBe('Tight');
+  useTMSStore.getState().resetRMT();
+  expect(useTMSStore.getState().rmt.scenario).toBe(null);
+});
+
+test('imported scenarios are kept and can be deleted', () => {
+  const { scenarios } = useTMSStore.getState().importRMTScenarios(JSON.stringify({ name: 'Imported' }));
+  expect(useTMSStore.getState().rmtScenarios.length).toBe(1);
+  useTMSStore.getState().deleteRMTScenario(scenarios[0].id);
+  expect(useTMSStore.getState().rmtScenarios.length).toBe(0);
+});
+
+// ============================================================================
+// AUTHORING
+// ============================================================================
+
+console.log('\n=== Authoring ===\n');
+
+const authored = {
+  name: 'Authored',
+  notes: 'Fixed case',
+  trueMT: 58,
+  hotspot: { difficulty: 'hard', offsetMm: [6, -12], depthMm: 15.5, optimalTwistDeg: -30 },
+  pulseBudget: 120,
+  timeLimitSec: 600,
+  startIntensity: 35,
+  methods: ['single'],
+};
+
+test('editor entries that would be dropped are reported', () => {
+  expect(getScenarioIssues(authored).length).toBe(0);
+  expect(getScenarioIssues({ ...authored, name: ' ' })[0]).toBe('Name is required');
+  expect(getScenarioIssues({ ...authored, trueMT: 90 })[0]).toBe('True MT must be from 30 to 85 %MSO');
+  expect(getScenarioIssues({ ...authored, timeLimitSec: 10 })[0]).toBe('Time limit must be from 0.5 to 60 min');
+  expect(getScenarioIssues({ ...authored, pulseBudget: 50.5 })[0]).toBe('Pulse budget must be a whole number from 10 to 1000 pulses');
+  expect(getScenarioIssues({ ...authored, hotspot: { offsetMm: [6, null] } }).length).toBe(1);
+  expect(getScenarioIssues({ ...authored, methods: [] })[0]).toBe('Allow at least one titration method');
+  expect(getScenarioIssues({ name: 'Blank', trueMT: null, hotspot: { depthMm: null } }).length).toBe(0);
+});
+
+test('a saved scenario exports and imports with the same fields', () => {
+  useTMSStore.getState().setRMTScenarios([]);
+  const saved = useTMSStore.getState().saveRMTScenario(authored);
+  expect(useTMSStore.getState().rmtScenarios.length).toBe(1);
+  const { scenarios, errors } = parseScenarioFile(useTMSStore.getState().exportRMTScenarios());
+  expect(errors.length).toBe(0);
+  const { id, ...fields } = scenarios[0];
+  const { id: savedId, ...savedFields } = saved;
+  expect(JSON.stringify(fields)).toBe(JSON.stringify(savedFields));
+  expect(fields.trueMT).toBe(58);
+  expect(JSON.stringify(fields.hotspot)).toBe(JSON.stringify({ ...authored.hotspot, peaks: null }));
+  expect(fields.timeLimitSec).toBe(600);
+  expect(fields.methods.join()).toBe('single');
+});
+
+test('saving an edited scenario replaces it', () => {
+  const [saved] = useTMSStore.getState().rmtScenarios;
+  useTMSStore.getState().saveRMTScenario({ ...saved, trueMT: 61 });
+  const { rmtScenarios } = useTMSStore.getState();
+  expect(rmtScenarios.length).toBe(1);
+  expect(rmtScenarios[0].id).toBe(saved.id);
+  expect(rmtScenarios[0].name).toBe('Authored');
+  expect(rmtScenarios[0].trueMT).toBe(61);
+});
+
+test('a copied example saves as a new scenario', () => {
+  const example = BUILT_IN_SCENARIOS[0];
+  const copy = useTMSStore.getState().saveRMTScenario({ ...example, builtIn: undefined });
+  const second = useTMSStore.getState().saveRMTScenario({ ...example, builtIn: undefined });
+  expect(copy.id === example.id).toBe(false);
+  expect(copy.builtIn).toBe(undefined);
+  expect(second.name).toBe(`${example.name} (2)`);
+  expect(useTMSStore.getState().rmtScenarios.length).toBe(3);
+  expect(useTMSStore.getState().saveRMTScenario({ name: '' })).toBe(null);
+  expect(useTMSStore.getState().rmtScenarios.length).toBe(3);
+  useTMSStore.getState().setRMTScenarios([]);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,234 @@
+/**
+ * Session Clock Tests
+ * ===================
+ * Monotonic session time, pauses, stall catch-up and remaining time.
+ *
+ * Run with: node src/engine/__tests__/sessionClock.test.js
+ */
+
+import { SessionClock, MAX_FRAME_GAP, getRemainingTime } from '../sessionClock.js';
+import { PulseScheduler, calculateSessionTiming, getTimelineStateAt } from '../pulseScheduler.js';
+import { useTMSStore } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+  };
+}
+
+// Manually advanced time source (ms)
+function fakeTime() {
+  let t = 1000;
+  return {
+    now: () => t,
+    advance: (ms) => { t += ms; },
+  };
+}
+
+const PROTOCOL = {
+  frequency: 10,
+  stimType: 'standard',
+  intensity: 100,
+  pulsesPerTrain: 40,
+  iti: 11,
+  totalPulses: 3000,
+};
+
+// ============================================================================
+// CLOCK
+// ============================================================================
+
+console.log('\n=== Clock ===\n');
+
+test('elapsed tracks the time source while running', () => {
+  const time = fakeTime();
+  const clock = new SessionClock({ now: time.now });
+  expect(clock.elapsed()).toBe(0);
+  clock.start();
+  time.advance(2500);
+  expect(clock.elapsed()).toBeCloseTo(2.5, 9);
+});
+
+test('pauses are excluded', () => {
+  const time = fakeTime();
+  const clock = new SessionClock({ now: time.now });
+  clock.start();
+  time.advance(1000);
+  clock.pause();
+  time.advance(60000);
+  expect(clock.elapsed()).toBeCloseTo(1, 9);
+  clock.start();
+  time.advance(500);
+  expect(clock.elapsed()).toBeCloseTo(1.5, 9);
+});
+
+test('start and pause are idempotent', () => {
+  const time = fakeTime();
+  const clock = new SessionClock({ now: time.now });
+  clock.start();
+  time.advance(1000);
+  clock.start();
+  time.advance(1000);
+  clock.pause();
+  clock.pause();
+  expect(clock.elapsed()).toBeCloseTo(2, 9);
+});
+
+test('recovered sessions start from a saved time', () => {
+  const time = fakeTime();
+  const clock = new SessionClock({ startAt: 42, now: time.now });
+  clock.start();
+  time.advance(1000);
+  expect(clock.elapsed()).toBeCloseTo(43, 9);
+});
+
+test('rate changes keep time already elapsed', () => {
+  const time = fakeTime();
+  const clock = new SessionClock({ now: time.now });
+  clock.start();
+  time.advance(1000);
+  clock.setRate(5);
+  time.advance(1000);
+  expect(clock.elapsed()).toBeCloseTo(6, 9);
+  clock.pause();
+  clock.setRate(1);
+  clock.start();
+  time.advance(1000);
+  expect(clock.elapsed()).toBeCloseTo(7, 9);
+});
+
+test('skip jumps session time forward only', () => {
+  const clock = new SessionClock({ startAt: 10, now: fakeTime().now });
+  clock.skip(5);
+  clock.skip(-3);
+  expect(clock.elapsed()).toBe(15);
+});
+
+// ============================================================================
+// LOOP BEHAVIOUR
+// ============================================================================
+
+console.log('\n=== Loop Behaviour ===\n');
+
+test('scheduler catches up after a hidden-tab stall', () => {
+  const time = fakeTime();
+  const clock = new SessionClock({ now: time.now });
+  const scheduler = new PulseScheduler(PROTOCOL);
+  clock.start();
+
+  // Normal frames for 1s
+  for (let i = 0; i < 60; i++) {
+    time.advance(1000 / 60);
+    scheduler.update(clock.elapsed() - scheduler.clock);
+  }
+  expect(scheduler.totalPulseCount).toBe(10);
+
+  // Tab hidden for 20s: no frames, then one catch-up frame
+  time.advance(20000);
+  const delta = clock.elapsed() - scheduler.clock;
+  const pulses = scheduler.update(delta);
+  expect(delta > MAX_FRAME_GAP).toBe(true);
+  // 21s in: train 0 (40) done, train 1 starts at 15s -> 60 pulses by 21s
+  expect(scheduler.totalPulseCount).toBe(80);
+  expect(pulses).toBe(70);
+});
+
+test('accelerated playback delivers the same pulse timeline', () => {
+  const time = fakeTime();
+  const clock = new SessionClock({ rate: 10, now: time.now });
+  const scheduler = new PulseScheduler(PROTOCOL);
+  clock.start();
+
+  // 2 real seconds at 10x = 20 session seconds
+  for (let i = 0; i < 120; i++) {
+    time.advance(1000 / 60);
+    scheduler.update(clock.elapsed() - scheduler.clock);
+  }
+  expect(scheduler.clock).toBeCloseTo(20, 6);
+  // Trains 0 and 1 complete (train 1 runs 15-19s)
+  expect(scheduler.totalPulseCount).toBe(80);
+  expect(scheduler.lastEvent.time).toBeCloseTo(19, 6);
+});
+
+test('skipping the ITI lands on the next train without dropping pulses', () => {
+  const time = fakeTime();
+  const clock = new SessionClock({ now: time.now });
+  const scheduler = new PulseScheduler(PROTOCOL);
+  clock.start();
+  time.advance(6000);
+  scheduler.update(clock.elapsed() - scheduler.clock);
+
+  const { iti } = getTimelineStateAt(scheduler.timeline, clock.elapsed());
+  expect(iti.end).toBeCloseTo(15, 6);
+  clock.skip(iti.end - clock.elapsed());
+  expect(scheduler.update(clock.elapsed() - scheduler.clock)).toBe(0);
+
+  time.advance(100);
+  expect(scheduler.update(clock.elapsed() - scheduler.clock)).toBe(1);
+  expect(scheduler.lastEvent.index).toBe(40);
+});
+
+test('time scale and skips are recorded on the session', () => {
+  useTMSStore.setState({ protocol: { ...useTMSStore.getState().protocol, ...PROTOCOL } });
+  useTMSStore.getState().startSession();
+  const store = useTMSStore.getState();
+  store.setTimeScale(5);
+  store.setTimeScale(3); // not an offered speed
+  store.recordTimeSkip(6, 15);
+  const { session, sessionLog } = useTMSStore.getState();
+  expect(session.timeScale).toBe(5);
+  expect(session.skippedSeconds).toBe(9);
+  expect(sessionLog.map(entry => entry.type).join(',')).toBe('start,time-scale,skip');
+  expect(sessionLog[2].timeScale).toBe(5);
+});
+
+test('remaining time counts down against session duration', () => {
+  const timing = calculateSessionTiming(PROTOCOL);
+  expect(getRemainingTime(timing.sessionDuration, 0)).toBeCloseTo(timing.sessionDuration, 6);
+  expect(getRemainingTime(timing.sessionDuration, 100)).toBeCloseTo(timing.sessionDuration - 100, 6);
+  expect(getRemainingTime(timing.sessionDuration, 5000)).toBe(0);
+  expect(getRemainingTime(null, 10)).toBe(null);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
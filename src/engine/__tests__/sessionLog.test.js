@@ -0,0 +1,234 @@
+/**
+ * Session Log Tests
+ * =================
+ * Log entries, off-target hysteresis, exports and store event capture.
+ *
+ * Run with: node src/engine/__tests__/sessionLog.test.js
+ */
+
+import {
+  SESSION_EVENTS,
+  OFF_TARGET_MM,
+  isOffTarget,
+  distanceToTargetMm,
+  sessionLogToCSV,
+  sessionLogToJSON,
+  mergeSessionLog,
+} from '../sessionLog.js';
+import { PulseScheduler } from '../pulseScheduler.js';
+import { useTMSStore } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+  };
+}
+
+const PROTOCOL = {
+  frequency: 10,
+  stimType: 'standard',
+  intensity: 100,
+  pulsesPerTrain: 10,
+  iti: 10,
+  totalPulses: 30,
+};
+
+const F3 = { x: 0, y: 0.1, z: 0.05 };
+
+function startSessionOnF3() {
+  useTMSStore.setState({
+    protocol: { ...useTMSStore.getState().protocol, ...PROTOCOL },
+    targetPositions: { F3 },
+    coilPosition: [F3.x, F3.y, F3.z],
+    selectedTargetKey: 'F3',
+    lockedTarget: null,
+    isCoilLocked: false,
+  });
+  useTMSStore.getState().resetSession();
+  return useTMSStore.getState().startSession();
+}
+
+const types = () => useTMSStore.getState().sessionLog.map(entry => entry.type);
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+console.log('\n=== Helpers ===\n');
+
+test('distance is reported in mm', () => {
+  expect(distanceToTargetMm([0, 0.1, 0.06], F3)).toBeCloseTo(10, 6);
+  expect(distanceToTargetMm(null, F3)).toBe(null);
+});
+
+test('merged log slots events between pulses by pulse count', () => {
+  const events = [0, 2, 2, 5].map((pulsesDelivered, i) => ({ type: `e${i}`, pulsesDelivered }));
+  const pulses = [1, 2, 3].map(pulsesDelivered => ({ type: 'p', pulsesDelivered }));
+  expect(mergeSessionLog(events, pulses).map(entry => entry.type).join(','))
+    .toBe('e0,p,p,e1,e2,p,e3');
+  expect(mergeSessionLog(events, []).length).toBe(4);
+});
+
+test('off-target uses hysteresis', () => {
+  expect(isOffTarget(false, OFF_TARGET_MM - 1)).toBe(false);
+  expect(isOffTarget(false, OFF_TARGET_MM + 1)).toBe(true);
+  // Stays off until clearly back on target
+  expect(isOffTarget(true, OFF_TARGET_MM - 1)).toBe(true);
+  expect(isOffTarget(true, 5)).toBe(false);
+});
+
+// ============================================================================
+// STORE EVENTS
+// ============================================================================
+
+console.log('\n=== Store Events ===\n');
+
+test('start logs the treatment target', () => {
+  expect(startSessionOnF3()).toBe(true);
+  const [start] = useTMSStore.getState().sessionLog;
+  expect(start.type).toBe(SESSION_EVENTS.START);
+  expect(start.target).toBe('F3');
+  expect(start.targetDistanceMm).toBeCloseTo(0, 6);
+});
+
+test('pause, resume and stop are logged in order', () => {
+  startSessionOnF3();
+  const store = useTMSStore.getState();
+  store.pauseSession();
+  store.resumeSession();
+  store.stopSession();
+  expect(types().join(',')).toBe('start,pause,resume,stop');
+});
+
+test('pulses are counted and logged with timeline data', () => {
+  startSessionOnF3();
+  const scheduler = new PulseScheduler(PROTOCOL);
+  const count = scheduler.update(0.35);
+  useTMSStore.getState().recordPulses(scheduler.getRecentEvents(count));
+  const { session, sessionLog, sessionPulses: pulses } = useTMSStore.getState();
+  expect(session.pulsesDelivered).toBe(3);
+  expect(sessionLog.length).toBe(1); // Pulses are kept apart from the events
+  expect(pulses.length).toBe(3);
+  expect(pulses[2].pulsesDelivered).toBe(3);
+  expect(pulses[2].sessionTime).toBeCloseTo(0.3, 6);
+  expect(pulses[2].details.trainIndex).toBe(0);
+});
+
+test('exported log puts each event after the pulses before it', () => {
+  startSessionOnF3();
+  const scheduler = new PulseScheduler(PROTOCOL);
+  const store = useTMSStore.getState();
+  store.recordPulses(scheduler.getRecentEvents(scheduler.update(0.25)));
+  store.pauseSession();
+  store.resumeSession();
+  store.recordPulses(scheduler.getRecentEvents(scheduler.update(0.1)));
+  const { entries } = JSON.parse(store.exportSessionLog('json'));
+  expect(entries.map(entry => entry.type).join(','))
+    .toBe('start,pulse,pulse,pause,resume,pulse');
+});
+
+test('coil leaving and returning to the target is logged once each way', () => {
+  startSessionOnF3();
+  const store = useTMSStore.getState();
+  store.setCoilPosition([0, 0.1, 0.065]); // 15mm
+  store.setCoilPosition([0, 0.1, 0.068]); // still off
+  store.setCoilPosition([0, 0.1, 0.052]); // back
+  expect(types().join(',')).toBe('start,off-target,on-target');
+  const offEntry = useTMSStore.getState().sessionLog[1];
+  expect(offEntry.targetDistanceMm).toBeCloseTo(15, 6);
+});
+
+test('rapid intensity edits merge into one entry', () => {
+  startSessionOnF3();
+  const store = useTMSStore.getState();
+  store.setProtocolField('intensity', 1);
+  store.setProtocolField('intensity', 11);
+  store.setProtocolField('intensity', 110);
+  const entries = useTMSStore.getState().sessionLog.filter(e => e.type === SESSION_EVENTS.INTENSITY);
+  expect(entries.length).toBe(1);
+  expect(entries[0].details.from).toBe(100);
+  expect(entries[0].details.to).toBe(110);
+});
+
+test('lock and unlock are logged', () => {
+  startSessionOnF3();
+  const store = useTMSStore.getState();
+  store.lockCoil('F3');
+  store.unlockCoil();
+  expect(types().join(',')).toBe('start,lock,unlock');
+});
+
+test('nothing is logged outside a session', () => {
+  useTMSStore.getState().stopSession();
+  const before = useTMSStore.getState().sessionLog.length;
+  useTMSStore.getState().lockCoil('F3');
+  expect(useTMSStore.getState().sessionLog.length).toBe(before);
+  useTMSStore.getState().unlockCoil();
+});
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+console.log('\n=== Export ===\n');
+
+test('CSV has a header and one row per entry', () => {
+  startSessionOnF3();
+  useTMSStore.getState().setProtocolField('intensity', 120);
+  const csv = sessionLogToCSV(useTMSStore.getState().sessionLog).split('\n');
+  expect(csv.length).toBe(3);
+  expect(csv[0].startsWith('seq,timestamp,sessionTime,timeScale,type')).toBe(true);
+  // Details column is quoted JSON
+  expect(csv[2].includes('"{""from"":100,""to"":120}"')).toBe(true);
+});
+
+test('JSON export is versioned and includes the protocol', () => {
+  const data = JSON.parse(sessionLogToJSON(useTMSStore.getState().sessionLog, PROTOCOL));
+  expect(data.format).toBe('tms-session-log');
+  expect(data.version).toBe(1);
+  expect(data.protocol.frequency).toBe(10);
+  expect(data.entries.length).toBe(2);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
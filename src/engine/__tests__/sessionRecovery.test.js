@@ -0,0 +1,198 @@
+/**
+ * Session Recovery Tests
+ * ======================
+ * Snapshots, resume points and store-level recovery of interrupted sessions.
+ *
+ * Run with: node src/engine/__tests__/sessionRecovery.test.js
+ */
+
+import {
+  createSessionSnapshot,
+  normalizeSessionSnapshot,
+  getResumePoint,
+  createSessionGap,
+} from '../sessionRecovery.js';
+import { PulseScheduler, generatePulseTimeline } from '../pulseScheduler.js';
+import { STORAGE_KEYS } from '../../utils/storage.js';
+
+// In-memory localStorage so the store can persist under Node
+const memoryStorage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => (memoryStorage.has(key) ? memoryStorage.get(key) : null),
+  setItem: (key, value) => memoryStorage.set(key, String(value)),
+  removeItem: (key) => memoryStorage.delete(key),
+};
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+  };
+}
+
+// 10 Hz, 40-pulse trains (4s), 11s ITI
+const PROTOCOL = {
+  frequency: 10,
+  stimType: 'standard',
+  intensity: 100,
+  pulsesPerTrain: 40,
+  iti: 11,
+  totalPulses: 3000,
+};
+
+function snapshotAt(pulsesDelivered, clock, savedAt = 1_000_000) {
+  const session = { pulsesDelivered, isPaused: false, safetyOverride: false, gaps: [] };
+  return createSessionSnapshot({ protocol: PROTOCOL, session }, clock, savedAt);
+}
+
+// ============================================================================
+// SNAPSHOTS
+// ============================================================================
+
+console.log('\n=== Snapshots ===\n');
+
+test('snapshot round-trips through JSON', () => {
+  const snapshot = normalizeSessionSnapshot(JSON.parse(JSON.stringify(snapshotAt(100, 25))));
+  expect(snapshot.session.pulsesDelivered).toBe(100);
+  expect(snapshot.protocol.frequency).toBe(10);
+});
+
+test('unstarted, complete and foreign snapshots are rejected', () => {
+  expect(normalizeSessionSnapshot(snapshotAt(0, 0))).toBe(null);
+  expect(normalizeSessionSnapshot(snapshotAt(3000, 1114))).toBe(null);
+  expect(normalizeSessionSnapshot({ ...snapshotAt(100, 25), version: 99 })).toBe(null);
+  expect(normalizeSessionSnapshot(null)).toBe(null);
+});
+
+// ============================================================================
+// RESUME POINT
+// ============================================================================
+
+console.log('\n=== Resume Point ===\n');
+
+test('resume inside an ITI keeps the ITI phase', () => {
+  // Train 0 ends at 4s; ITI runs 4-15s
+  const point = getResumePoint(normalizeSessionSnapshot(snapshotAt(40, 9)));
+  expect(point.clock).toBeCloseTo(9, 6);
+  expect(point.trainIndex).toBe(0);
+  expect(point.inITI).toBe(true);
+});
+
+test('stale clock is clamped to the delivered pulse count', () => {
+  // 45 pulses delivered = 5 pulses into train 1 (starts at 15s)
+  const behind = getResumePoint(normalizeSessionSnapshot(snapshotAt(45, 3)));
+  expect(behind.clock).toBeCloseTo(15.5, 6);
+  expect(behind.trainIndex).toBe(1);
+
+  const ahead = getResumePoint(normalizeSessionSnapshot(snapshotAt(45, 20)));
+  const timeline = generatePulseTimeline(PROTOCOL);
+  expect(ahead.clock < timeline.events[45].time).toBe(true);
+});
+
+test('rebuilt scheduler continues with the next undelivered pulse', () => {
+  const point = getResumePoint(normalizeSessionSnapshot(snapshotAt(40, 9)));
+  const scheduler = new PulseScheduler(PROTOCOL);
+  scheduler.seek(point.clock);
+  expect(scheduler.totalPulseCount).toBe(40);
+  expect(scheduler.getITIProgress().inITI).toBe(true);
+  expect(scheduler.getITIProgress().remaining).toBeCloseTo(6, 6);
+
+  // Next pulse is the first of train 1 at 15.1s
+  expect(scheduler.update(6.05)).toBe(0);
+  expect(scheduler.update(0.1)).toBe(1);
+  expect(scheduler.lastEvent.index).toBe(40);
+});
+
+test('gap records wall-clock interruption length', () => {
+  const snapshot = normalizeSessionSnapshot(snapshotAt(40, 9, 1_000_000));
+  const gap = createSessionGap(snapshot, getResumePoint(snapshot), 1_090_000);
+  expect(gap.duration).toBe(90);
+  expect(gap.pulsesDelivered).toBe(40);
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+memoryStorage.set(STORAGE_KEYS.activeSession, JSON.stringify(snapshotAt(40, 9, Date.now() - 60_000)));
+const { useTMSStore } = await import('../../stores/tmsStore.js');
+
+test('interrupted session is offered on load', () => {
+  expect(useTMSStore.getState().interruptedSession.session.pulsesDelivered).toBe(40);
+});
+
+test('resuming restores a paused session and records the gap', () => {
+  expect(useTMSStore.getState().resumeInterruptedSession()).toBe(true);
+  const { session, protocol, interruptedSession } = useTMSStore.getState();
+  expect(session.isRunning).toBe(true);
+  expect(session.isPaused).toBe(true);
+  expect(session.pulsesDelivered).toBe(40);
+  expect(session.resumeClock).toBeCloseTo(9, 6);
+  expect(session.gaps.length).toBe(1);
+  expect(session.gaps[0].duration >= 60).toBe(true);
+  expect(protocol.totalPulses).toBe(3000);
+  expect(interruptedSession).toBe(null);
+});
+
+test('recovery is recorded in the session log', () => {
+  const { sessionLog } = useTMSStore.getState();
+  const last = sessionLog[sessionLog.length - 1];
+  expect(last.type).toBe('recover');
+  expect(last.details.gapSeconds >= 60).toBe(true);
+});
+
+test('snapshots carry earlier gaps forward', () => {
+  useTMSStore.getState().saveSessionSnapshot(9.5);
+  const stored = normalizeSessionSnapshot(JSON.parse(memoryStorage.get(STORAGE_KEYS.activeSession)));
+  expect(stored.session.gaps.length).toBe(1);
+  expect(stored.session.clock).toBe(9.5);
+});
+
+test('stopping clears the stored snapshot', () => {
+  useTMSStore.getState().stopSession();
+  expect(memoryStorage.has(STORAGE_KEYS.activeSession)).toBe(false);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
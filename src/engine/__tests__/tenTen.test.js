@@ -0,0 +1,227 @@
+/**
+ * 10-10 Electrode Tests
+ * =====================
+ * Electrode positions from the fiducials, checked against the 10-20 /
+ * 10-10 construction on a spherical head, and merging them with
+ * head-model target markers.
+ *
+ * Run with: node src/engine/__tests__/tenTen.test.js
+ */
+
+import { computeElectrodePositions, mergeTargetPositions } from '../tenTen.js';
+import { ELECTRODE_KEYS, ELECTRODES } from '../../constants/electrodes.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+    toBeBetween(min, max) {
+      if (actual < min || actual > max) {
+        throw new Error(`Expected ${actual} to be between ${min} and ${max}`);
+      }
+    },
+  };
+}
+
+// Spherical head: centre at the origin, vertex +Y, nose +Z, patient left +X
+const RADIUS = 0.09;
+const project = (p) => {
+  const length = Math.hypot(...p);
+  return length > 0 ? p.map(v => v * RADIUS / length) : null;
+};
+// Polar angle from the vertex, azimuth from the nose toward the left
+const onSphere = (theta, phi) => [
+  RADIUS * Math.sin(theta) * Math.sin(phi),
+  RADIUS * Math.cos(theta),
+  RADIUS * Math.sin(theta) * Math.cos(phi),
+];
+const distanceMm = (a, b) => Math.hypot(...a.map((v, i) => v - b[i])) * 1000;
+const degrees = (d) => d * Math.PI / 180;
+
+const FIDUCIALS = {
+  nasion: onSphere(Math.PI / 2, 0),
+  inion: onSphere(Math.PI / 2, Math.PI),
+  lpa: onSphere(Math.PI / 2, Math.PI / 2),
+  rpa: onSphere(Math.PI / 2, -Math.PI / 2),
+};
+const RING_THETA = degrees(72); // 10% of nasion-inion above the fiducials
+
+const electrodes = computeElectrodePositions(FIDUCIALS, project);
+
+// ============================================================================
+// ELECTRODE POSITIONS
+// ============================================================================
+
+console.log('\n=== Electrode Positions ===\n');
+
+test('builds every electrode in the layout', () => {
+  expect(Object.keys(electrodes).length).toBe(ELECTRODE_KEYS.length);
+  expect(ELECTRODE_KEYS.every(key => Array.isArray(electrodes[key]))).toBe(true);
+});
+
+test('every electrode lies on the scalp', () => {
+  const worst = Math.max(...Object.values(electrodes).map(p => Math.abs(Math.hypot(...p) - RADIUS) * 1000));
+  expect(worst).toBeBetween(0, 0.1);
+});
+
+test('midline at 10% steps of nasion-inion', () => {
+  ['Fpz', 'AFz', 'Fz', 'FCz', 'Cz', 'CPz', 'Pz', 'POz', 'Oz'].forEach((key, i) => {
+    const theta = degrees(72 - 18 * i);
+    const expected = theta >= 0 ? onSphere(theta, 0) : onSphere(-theta, Math.PI);
+    expect(distanceMm(electrodes[key], expected)).toBeBetween(0, 1);
+  });
+});
+
+test('central row at 10% steps of LPA-RPA', () => {
+  expect(distanceMm(electrodes.T7, onSphere(degrees(72), Math.PI / 2))).toBeBetween(0, 1);
+  expect(distanceMm(electrodes.C5, onSphere(degrees(54), Math.PI / 2))).toBeBetween(0, 1);
+  expect(distanceMm(electrodes.C3, onSphere(degrees(36), Math.PI / 2))).toBeBetween(0, 1);
+  expect(distanceMm(electrodes.C2, onSphere(degrees(18), -Math.PI / 2))).toBeBetween(0, 1);
+  expect(distanceMm(electrodes.T8, onSphere(degrees(72), -Math.PI / 2))).toBeBetween(0, 1);
+});
+
+test('circumference points at 5% steps round the ring', () => {
+  ['Fp1', 'AF7', 'F7', 'FT7', 'T7', 'TP7', 'P7', 'PO7', 'O1'].forEach((key, i) => {
+    expect(distanceMm(electrodes[key], onSphere(RING_THETA, degrees(18 * (i + 1))))).toBeBetween(0, 1);
+  });
+  expect(distanceMm(electrodes.F8, onSphere(RING_THETA, degrees(-54)))).toBeBetween(0, 1);
+});
+
+test('F3 lies on the F7-Fz-F8 curve halfway between Fz and F7', () => {
+  const { F3, F7, Fz, F8 } = electrodes;
+  const u = F7.map((v, i) => v - Fz[i]);
+  const w = F8.map((v, i) => v - Fz[i]);
+  const normal = [u[1] * w[2] - u[2] * w[1], u[2] * w[0] - u[0] * w[2], u[0] * w[1] - u[1] * w[0]];
+  const offPlane = Math.abs(normal.reduce((sum, n, i) => sum + n * (F3[i] - Fz[i]), 0)) / Math.hypot(...normal);
+  expect(offPlane * 1000).toBeBetween(0, 0.5);
+  expect(distanceMm(F3, Fz) - distanceMm(F3, F7)).toBeBetween(-0.5, 0.5);
+});
+
+test('left and right mirror each other', () => {
+  Object.values(ELECTRODES)
+    .filter(e => e.hemisphere === 'left')
+    .forEach(({ key }) => {
+      const mirror = key.replace(/\d+$/, n => String(Number(n) + 1));
+      const [x, y, z] = electrodes[mirror];
+      expect(distanceMm(electrodes[key], [-x, y, z])).toBeBetween(0, 0.5);
+    });
+});
+
+test('odd numbers on the patient left (+X), midline at X = 0', () => {
+  Object.values(ELECTRODES).forEach(({ key, hemisphere }) => {
+    const x = electrodes[key][0] * 1000;
+    if (hemisphere === 'left') expect(x).toBeBetween(1, 100);
+    else if (hemisphere === 'right') expect(x).toBeBetween(-100, -1);
+    else expect(x).toBeBetween(-0.5, 0.5);
+  });
+});
+
+test('follows the head wherever it sits', () => {
+  // Head turned 30 deg about its vertical axis and moved off the origin
+  const angle = degrees(30);
+  const shift = [0.01, 0.08, -0.02];
+  const place = ([x, y, z]) => [
+    x * Math.cos(angle) + z * Math.sin(angle) + shift[0],
+    y + shift[1],
+    -x * Math.sin(angle) + z * Math.cos(angle) + shift[2],
+  ];
+  const placedProject = (p) => {
+    const local = p.map((v, i) => v - shift[i]);
+    const length = Math.hypot(...local);
+    return length > 0 ? local.map((v, i) => v * RADIUS / length + shift[i]) : null;
+  };
+  const placed = computeElectrodePositions(
+    Object.fromEntries(Object.entries(FIDUCIALS).map(([key, p]) => [key, place(p)])),
+    placedProject
+  );
+  ['Cz', 'F3', 'C4', 'PO7', 'O2'].forEach(key => {
+    expect(distanceMm(placed[key], place(electrodes[key]))).toBeBetween(0, 1);
+  });
+});
+
+test('LPA/RPA labelled against the convention are swapped', () => {
+  const swapped = { ...FIDUCIALS, lpa: FIDUCIALS.rpa, rpa: FIDUCIALS.lpa };
+  const positions = computeElectrodePositions(swapped, project);
+  ['F3', 'C3', 'F4', 'O1'].forEach(key => {
+    expect(distanceMm(positions[key], electrodes[key])).toBeBetween(0, 0.1);
+  });
+});
+
+test('missing fiducials give null', () => {
+  expect(computeElectrodePositions({ ...FIDUCIALS, lpa: null }, project)).toBe(null);
+  expect(computeElectrodePositions(undefined, project)).toBe(null);
+});
+
+// ============================================================================
+// TARGET POSITIONS
+// ============================================================================
+
+console.log('\n=== Target Positions ===\n');
+
+test('head-model markers win over computed electrodes', () => {
+  const marker = [0.05, 0.06, 0.04];
+  const merged = mergeTargetPositions({ F3: marker }, electrodes);
+  expect(merged.F3).toBe(marker);
+});
+
+test('named targets without a marker fall back to their electrode', () => {
+  const merged = mergeTargetPositions({ F3: [0.05, 0.06, 0.04] }, electrodes);
+  expect(merged.FP2).toBe(electrodes.Fp2);
+  expect(merged.C3).toBe(electrodes.C3);
+  expect(merged.SMA === undefined).toBe(true);
+});
+
+test('electrodes that are named targets are not repeated', () => {
+  const merged = mergeTargetPositions(null, electrodes);
+  expect('Fp2' in merged).toBe(false);
+  expect(Object.keys(merged).length).toBe(ELECTRODE_KEYS.length);
+  expect(merged.AF3).toBe(electrodes.AF3);
+});
+
+test('markers alone pass through; nothing known gives null', () => {
+  const markers = { SMA: [0, 0.09, 0] };
+  expect(mergeTargetPositions(markers, null).SMA).toBe(markers.SMA);
+  expect(mergeTargetPositions(null, null)).toBe(null);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
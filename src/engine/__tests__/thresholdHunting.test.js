@@ -0,0 +1,241 @@
+/**
+ * Threshold Hunting Tests
+ * =======================
+ * Adaptive rMT estimation against simulated subjects with a known
+ * trueMT, using the simulator's twitch probability curve.
+ *
+ * Run with: node src/engine/__tests__/thresholdHunting.test.js
+ */
+
+import {
+  HUNT_METHODS,
+  createThresholdHunt,
+  recordHuntResponse,
+  runThresholdHunt,
+  getLikelihoodEstimate,
+} from '../thresholdHunting.js';
+import { useTMSStore, calculateTwitchProbability, MT_CONSTANTS } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+    toBeBetween(min, max) {
+      if (actual < min || actual > max) {
+        throw new Error(`Expected ${actual} to be between ${min} and ${max}`);
+      }
+    },
+  };
+}
+
+// Deterministic random source (mulberry32) so hunts are reproducible
+function seededRandom(seed) {
+  let a = seed;
+  return () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Simulated subject at the hotspot
+function subject(trueMT, seed) {
+  const random = seededRandom(seed);
+  return (intensity) => random() < calculateTwitchProbability(intensity, trueMT);
+}
+
+const OPTIONS = { slope: MT_CONSTANTS.k };
+const SUBJECTS = [38, 45, 52, 58, 66];
+
+function huntErrors(method) {
+  return SUBJECTS.flatMap((trueMT, i) => [1, 2, 3, 4].map(seed => {
+    const hunt = runThresholdHunt(method, subject(trueMT, seed * 100 + i), OPTIONS);
+    return { error: Math.abs(hunt.estimate - trueMT), covered: trueMT >= hunt.ci[0] && trueMT <= hunt.ci[1], hunt };
+  }));
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+// ============================================================================
+// ACCURACY
+// ============================================================================
+
+console.log('\n=== Accuracy ===\n');
+
+for (const method of Object.values(HUNT_METHODS)) {
+  test(`${method} converges near the true MT`, () => {
+    const runs = huntErrors(method);
+    expect(runs.every(run => run.hunt.done)).toBe(true);
+    expect(mean(runs.map(run => run.error))).toBeBetween(0, 2.5);
+    expect(Math.max(...runs.map(run => run.error))).toBeBetween(0, 6);
+    // 95% intervals should nearly always contain the true MT
+    expect(runs.filter(run => run.covered).length).toBeBetween(runs.length - 3, runs.length);
+  });
+}
+
+test('likelihood methods use fewer pulses than Rossini-Rothwell', () => {
+  const pulses = (method) => mean(huntErrors(method).map(run => run.hunt.trials.length));
+  const rr = pulses(HUNT_METHODS.ROSSINI_ROTHWELL);
+  expect(pulses(HUNT_METHODS.ML_PEST) < rr).toBe(true);
+  expect(pulses(HUNT_METHODS.PEST) < rr).toBe(true);
+});
+
+// ============================================================================
+// STEPPING RULES
+// ============================================================================
+
+console.log('\n=== Stepping Rules ===\n');
+
+test('Rossini-Rothwell holds an intensity until 5/10 is decided', () => {
+  let hunt = createThresholdHunt(HUNT_METHODS.ROSSINI_ROTHWELL, { startIntensity: 60 });
+  for (let i = 0; i < 4; i++) hunt = recordHuntResponse(hunt, true);
+  expect(hunt.nextIntensity).toBe(60);
+  hunt = recordHuntResponse(hunt, true);
+  expect(hunt.estimate).toBe(60);
+  expect(hunt.nextIntensity).toBe(58);
+  // Six misses fail 58; 59 is then tested in 1% steps
+  for (let i = 0; i < 6; i++) hunt = recordHuntResponse(hunt, false);
+  expect(hunt.nextIntensity).toBe(59);
+  for (let i = 0; i < 6; i++) hunt = recordHuntResponse(hunt, false);
+  expect(hunt.done).toBe(true);
+  expect(hunt.estimate).toBe(60);
+});
+
+test('Rossini-Rothwell steps up from a subthreshold start', () => {
+  let hunt = createThresholdHunt(HUNT_METHODS.ROSSINI_ROTHWELL, { startIntensity: 40 });
+  for (let i = 0; i < 6; i++) hunt = recordHuntResponse(hunt, false);
+  expect(hunt.estimate).toBe(null);
+  expect(hunt.nextIntensity).toBe(42);
+});
+
+test('PEST halves its step on reversals', () => {
+  let hunt = createThresholdHunt(HUNT_METHODS.PEST, { startIntensity: 60, pestStep: 8 });
+  hunt = recordHuntResponse(hunt, true);   // down 8
+  expect(hunt.nextIntensity).toBe(52);
+  hunt = recordHuntResponse(hunt, false);  // reversal: up 4
+  expect(hunt.nextIntensity).toBe(56);
+  hunt = recordHuntResponse(hunt, true);   // reversal: down 2
+  expect(hunt.nextIntensity).toBe(54);
+  hunt = recordHuntResponse(hunt, false);  // reversal: up 1
+  expect(hunt.nextIntensity).toBe(55);
+  hunt = recordHuntResponse(hunt, true);   // step would be 0.5
+  expect(hunt.done).toBe(true);
+  expect(hunt.estimate).toBe(55);
+});
+
+test('ML-PEST tests at the maximum-likelihood threshold', () => {
+  let hunt = createThresholdHunt(HUNT_METHODS.ML_PEST, { startIntensity: 60, range: [20, 100] });
+  hunt = recordHuntResponse(hunt, true);
+  // A single twitch is most likely with the lowest threshold in range
+  expect(hunt.nextIntensity).toBe(20);
+  hunt = recordHuntResponse(hunt, false);
+  expect(hunt.nextIntensity).toBe(40);
+  expect(hunt.estimate).toBeCloseTo(40, 6);
+});
+
+test('unknown methods and finished hunts are rejected', () => {
+  const warn = console.warn;
+  console.warn = () => {};
+  expect(createThresholdHunt('staircase')).toBe(null);
+  console.warn = warn;
+  const hunt = { ...createThresholdHunt(HUNT_METHODS.PEST), done: true };
+  expect(recordHuntResponse(hunt, true)).toBe(hunt);
+});
+
+test('maxTrials ends a hunt', () => {
+  const hunt = runThresholdHunt(HUNT_METHODS.ROSSINI_ROTHWELL, subject(50, 7), { ...OPTIONS, maxTrials: 12 });
+  expect(hunt.done).toBe(true);
+  expect(hunt.trials.length).toBe(12);
+});
+
+// ============================================================================
+// LIKELIHOOD
+// ============================================================================
+
+console.log('\n=== Likelihood ===\n');
+
+test('fits a trainee\'s own pulses', () => {
+  const trials = [];
+  const respond = subject(47, 11);
+  for (const intensity of [55, 50, 47, 45, 48, 46, 47, 47, 49, 44]) {
+    for (let i = 0; i < 5; i++) trials.push({ intensity, twitch: respond(intensity) });
+  }
+  const fit = getLikelihoodEstimate(trials, OPTIONS);
+  expect(fit.estimate).toBeBetween(45, 49);
+  expect(fit.ci[0] <= fit.estimate && fit.estimate <= fit.ci[1]).toBe(true);
+  expect(getLikelihoodEstimate([])).toBe(null);
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+test('completed trials can be compared with every method', () => {
+  useTMSStore.setState(state => ({
+    rmt: {
+      ...state.rmt,
+      phase: 'complete',
+      trueMT: 50,
+      titrationLog: [{ pulse: 1, hit: true, intensity: 52 }, { pulse: 2, hit: false, intensity: 48 }],
+      completionResults: { userMT: 50, trueMT: 50, distance: 0, trialNumber: 1 },
+    },
+  }));
+  const results = useTMSStore.getState().compareThresholdMethods();
+  expect(results.methods.length).toBe(3);
+  expect(results.trainee.estimate).toBeCloseTo(50, 6);
+  expect(useTMSStore.getState().rmt.algorithmResults).toBe(results);
+  for (const result of results.methods) {
+    expect(result.estimate).toBeBetween(40, 60);
+  }
+});
+
+test('comparison needs a completed trial', () => {
+  useTMSStore.getState().resetRMT();
+  expect(useTMSStore.getState().compareThresholdMethods()).toBe(null);
+  expect(useTMSStore.getState().rmt.algorithmResults).toBe(null);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
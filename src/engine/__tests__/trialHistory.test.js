@@ -0,0 +1,194 @@
+/**
+ * Trial History Tests
+ * ===================
+ * Completed rMT trial records, dashboard statistics and CSV export.
+ *
+ * Run with: node src/engine/__tests__/trialHistory.test.js
+ */
+
+import {
+  MAX_HISTORY,
+  TREND_WINDOW,
+  createTrialRecord,
+  normalizeTrialHistory,
+  appendTrialRecord,
+  getHistoryStats,
+  trialHistoryToCSV,
+} from '../trialHistory.js';
+import { useTMSStore } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toBeCloseTo(expected, precision = 2) {
+      const diff = Math.abs(actual - expected);
+      const epsilon = Math.pow(10, -precision) / 2;
+      if (diff > epsilon) {
+        throw new Error(`Expected ${expected} ± ${epsilon}, got ${actual} (diff: ${diff})`);
+      }
+    },
+  };
+}
+
+const results = (percentDiff, grade = 'A') => ({
+  trueMT: 50, userMT: 50 + percentDiff / 2, percentDiff, grade, distance: 3.2, seed: 99, trialNumber: 1,
+});
+
+const history = (errors) => errors.map((e, i) => createTrialRecord(results(e), { pulses: 20 + i, durationSec: 60 }));
+
+// ============================================================================
+// RECORDS
+// ============================================================================
+
+console.log('\n=== Records ===\n');
+
+test('record holds the trial outcome', () => {
+  const record = createTrialRecord(results(4, 'B'), { pulses: 37, durationSec: 95.5, difficulty: 'hard' });
+  expect(record.trueMT).toBe(50);
+  expect(record.userMT).toBe(52);
+  expect(record.percentDiff).toBe(4);
+  expect(record.grade).toBe('B');
+  expect(record.pulses).toBe(37);
+  expect(record.durationSec).toBe(95.5);
+  expect(record.distance).toBe(3.2);
+  expect(record.seed).toBe(99);
+  expect(record.difficulty).toBe('hard');
+  expect(typeof record.completedAt).toBe('string');
+});
+
+test('records need true and claimed MT', () => {
+  expect(createTrialRecord(null)).toBe(null);
+  expect(createTrialRecord({ trueMT: 50 })).toBe(null);
+});
+
+test('stored history is checked and keeps timestamps', () => {
+  const stored = [
+    { ...createTrialRecord(results(2)), completedAt: '2026-01-02T10:00:00.000Z' },
+    { trueMT: 'x' },
+    null,
+    { trueMT: 40, userMT: 44, grade: 'Z', pulses: -5 },
+  ];
+  const loaded = normalizeTrialHistory(stored);
+  expect(loaded.length).toBe(2);
+  expect(loaded[0].completedAt).toBe('2026-01-02T10:00:00.000Z');
+  expect(loaded[1].grade).toBe('F');
+  expect(loaded[1].pulses).toBe(0);
+  expect(normalizeTrialHistory('nope').length).toBe(0);
+});
+
+test('history is capped, oldest dropped', () => {
+  let list = [];
+  for (let i = 0; i < MAX_HISTORY + 3; i++) {
+    list = appendTrialRecord(list, createTrialRecord({ ...results(1), trialNumber: i }));
+  }
+  expect(list.length).toBe(MAX_HISTORY);
+  expect(list[0].trialNumber).toBe(3);
+});
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+console.log('\n=== Statistics ===\n');
+
+test('empty history has no averages', () => {
+  const stats = getHistoryStats([]);
+  expect(stats.count).toBe(0);
+  expect(stats.meanError).toBe(null);
+  expect(stats.improvement).toBe(null);
+});
+
+test('means, grade counts and moving average', () => {
+  const list = history([10, 8, 6]);
+  list[0].grade = 'C';
+  const stats = getHistoryStats(list);
+  expect(stats.meanError).toBeCloseTo(8, 9);
+  expect(stats.meanPulses).toBeCloseTo(21, 9);
+  expect(stats.meanDurationSec).toBe(60);
+  expect(stats.gradeCounts.A).toBe(2);
+  expect(stats.gradeCounts.C).toBe(1);
+  expect(stats.trend[2].average).toBeCloseTo(8, 9);
+  expect(stats.trend[1].pulses).toBe(21);
+});
+
+test('improvement compares first and latest trials', () => {
+  const errors = [...Array(TREND_WINDOW).fill(12), ...Array(TREND_WINDOW).fill(4)];
+  expect(getHistoryStats(history(errors)).improvement).toBeCloseTo(8, 9);
+  expect(getHistoryStats(history(errors.slice(1))).improvement).toBe(null);
+});
+
+test('CSV has one row per trial', () => {
+  const csv = trialHistoryToCSV(history([3, 7])).split('\n');
+  expect(csv.length).toBe(3);
+  expect(csv[0].startsWith('completed_at,')).toBe(true);
+  expect(csv[1].split(',').length).toBe(csv[0].split(',').length);
+  expect(csv[1].includes(',2R,')).toBe(true); // seed 99 as a code
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+test('completed trials are recorded once with pulses used', () => {
+  const store = useTMSStore.getState();
+  store.clearRMTHistory();
+  store.startNewTrial([0.05, 0.12, 0.05], { seed: 8 });
+  useTMSStore.setState(state => ({ rmt: { ...state.rmt, phase: 'titration', hotspotProjected: true } }));
+  useTMSStore.getState().runTenPulseTrial(0);
+  useTMSStore.getState().runTenPulseTrial(0);
+  const { completeTrial } = useTMSStore.getState();
+  completeTrial(55, 2);
+  completeTrial(55, 2);
+  const { rmtHistory } = useTMSStore.getState();
+  expect(rmtHistory.length).toBe(1);
+  expect(rmtHistory[0].pulses).toBe(20);
+  expect(rmtHistory[0].seed).toBe(8);
+  expect(rmtHistory[0].userMT).toBe(55);
+  expect(rmtHistory[0].difficulty).toBe('standard');
+  expect(useTMSStore.getState().exportRMTHistory().split('\n').length).toBe(2);
+});
+
+test('reset keeps the history', () => {
+  useTMSStore.getState().resetRMT();
+  expect(useTMSStore.getState().rmtHistory.length).toBe(1);
+  useTMSStore.getState().clearRMTHistory();
+  expect(useTMSStore.getState().rmtHistory.length).toBe(0);
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
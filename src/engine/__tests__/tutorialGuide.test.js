@@ -0,0 +1,228 @@
+/**
+ * Tutorial Guide Tests
+ * ====================
+ * Coil-move prompts, titration advice, checkpoints and debrief.
+ *
+ * Run with: node src/engine/__tests__/tutorialGuide.test.js
+ */
+
+import {
+  TUTORIAL_CONSTANTS,
+  describeCoilMove,
+  getTitrationAdvice,
+  getTutorialGuidance,
+  isStalled,
+  getTutorialDebrief,
+} from '../tutorialGuide.js';
+import { scoreTrial } from '../gradingRubric.js';
+import { useTMSStore } from '../../stores/tmsStore.js';
+
+// Simple test runner
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (err) {
+    console.error(`✗ ${name}`);
+    console.error(`  ${err.message}`);
+    failed++;
+  }
+}
+
+function expect(actual) {
+  return {
+    toBe(expected) {
+      if (actual !== expected) {
+        throw new Error(`Expected ${expected}, got ${actual}`);
+      }
+    },
+    toContain(text) {
+      if (!String(actual).includes(text)) {
+        throw new Error(`Expected "${actual}" to contain "${text}"`);
+      }
+    },
+  };
+}
+
+// count titration pulses at intensity, the first hits of them MEPs
+const block = (intensity, count, hits) => Array.from({ length: count }, (_, i) => ({
+  phase: 'titration', intensity, hit: i < hits, amplitude: i < hits ? 80 : 10, preActivated: false,
+}));
+
+const huntPulse = (hit) => ({ phase: 'hunt', intensity: 60, hit, amplitude: hit ? 400 : 10, preActivated: false });
+
+const rmtState = (changes = {}) => ({
+  phase: 'hunt',
+  hotspotProjected: true,
+  intensity: 50,
+  distanceToHotspot: null,
+  lastPulseTime: 0,
+  pulseLog: [],
+  ...changes,
+});
+
+const stepOf = (ctx) => getTutorialGuidance({ ready: true, displacementMm: [0, 0, 0], ...ctx }).step?.id ?? null;
+
+// ============================================================================
+// PROMPTS
+// ============================================================================
+
+console.log('\n=== Prompts ===\n');
+
+test('coil move names the larger direction first', () => {
+  // Coil 10 mm posterior and 5 mm right of the hotspot
+  expect(describeCoilMove([-5, 0, -10])).toBe('Move about 1 cm anterior and 0.5 cm left');
+  expect(describeCoilMove([12, 3, 0])).toBe('Move about 1 cm right');
+  expect(describeCoilMove([3, 0, 0])).toBe('Move about 3 mm right');
+});
+
+test('no move when on target or unknown', () => {
+  expect(describeCoilMove([1, 5, -1])).toBe(null);
+  expect(describeCoilMove(null)).toBe(null);
+});
+
+// ============================================================================
+// TITRATION ADVICE
+// ============================================================================
+
+console.log('\n=== Titration Advice ===\n');
+
+test('untested intensity: run 10 pulses', () => {
+  expect(getTitrationAdvice([], 55).action).toBe('run');
+  expect(getTitrationAdvice(block(55, 4, 2), 55).text).toContain('4 of 10');
+});
+
+test('passing intensity: drop by 2%', () => {
+  const advice = getTitrationAdvice(block(55, 10, 7), 55);
+  expect(advice.action).toBe('lower');
+  expect(advice.target).toBe(53);
+  expect(advice.text).toContain('drop intensity by 2%');
+});
+
+test('steps 1% once a fail sits 2% below a pass', () => {
+  const advice = getTitrationAdvice([...block(55, 10, 7), ...block(53, 10, 2)], 53);
+  expect(advice.action).toBe('raise');
+  expect(advice.target).toBe(54);
+});
+
+test('failing without any pass: raise by 2%', () => {
+  const advice = getTitrationAdvice(block(50, 10, 1), 50);
+  expect(advice.action).toBe('raise');
+  expect(advice.target).toBe(52);
+});
+
+test('pass 1% above a fail is the answer', () => {
+  const advice = getTitrationAdvice([...block(55, 10, 7), ...block(54, 10, 5), ...block(53, 10, 4)], 53);
+  expect(advice.action).toBe('submit');
+  expect(advice.target).toBe(54);
+});
+
+// ============================================================================
+// CHECKPOINTS
+// ============================================================================
+
+console.log('\n=== Checkpoints ===\n');
+
+test('waits for calibration, then the first MEP', () => {
+  expect(stepOf({ rmt: rmtState(), ready: false })).toBe('ready');
+  expect(stepOf({ rmt: rmtState() })).toBe('response');
+  expect(stepOf({ rmt: rmtState({ pulseLog: [huntPulse(false)] }) })).toBe('response');
+});
+
+test('an MEP far from the hotspot moves on to locating it', () => {
+  const rmt = rmtState({ pulseLog: [huntPulse(true)], distanceToHotspot: 20 });
+  const guidance = getTutorialGuidance({ rmt, ready: true, displacementMm: [0, 0, -20] });
+  expect(guidance.step.id).toBe('locate');
+  expect(guidance.prompt).toContain('2 cm anterior');
+});
+
+test('an MEP on the hotspot asks to advance', () => {
+  const rmt = rmtState({ pulseLog: [huntPulse(true)], distanceToHotspot: TUTORIAL_CONSTANTS.locateMm - 1 });
+  expect(stepOf({ rmt })).toBe('advance');
+});
+
+test('titration steps follow the pulse log', () => {
+  expect(stepOf({ rmt: rmtState({ phase: 'titration' }) })).toBe('titrate');
+  const pulseLog = [...block(55, 10, 7), ...block(54, 10, 3)];
+  const guidance = getTutorialGuidance({ rmt: rmtState({ phase: 'titration', pulseLog, intensity: 54 }), ready: true, displacementMm: [0, 0, 0] });
+  expect(guidance.step.id).toBe('submit');
+  expect(guidance.prompt).toContain('Enter 55');
+});
+
+test('coil drift during titration is flagged', () => {
+  const guidance = getTutorialGuidance({ rmt: rmtState({ phase: 'titration' }), ready: true, displacementMm: [0, 0, 15] });
+  expect(guidance.warning).toContain('15 mm');
+  expect(guidance.warning).toContain('1.5 cm posterior');
+});
+
+test('a completed trial ticks every checkpoint', () => {
+  const guidance = getTutorialGuidance({ rmt: rmtState({ phase: 'complete' }), ready: true, displacementMm: null });
+  expect(guidance.step).toBe(null);
+  expect(guidance.steps.every(s => s.done)).toBe(true);
+});
+
+test('hints wait for a stall', () => {
+  const delay = TUTORIAL_CONSTANTS.hintDelaySec * 1000;
+  expect(isStalled(1000, 1000 + delay - 1)).toBe(false);
+  expect(isStalled(1000, 1000 + delay)).toBe(true);
+});
+
+// ============================================================================
+// DEBRIEF
+// ============================================================================
+
+console.log('\n=== Debrief ===\n');
+
+test('debrief summarises pulses and targets the weakest criterion', () => {
+  const pulseLog = [huntPulse(false), huntPulse(true), ...block(55, 10, 7), ...block(54, 10, 3)];
+  const rubric = scoreTrial({
+    percentDiff: 0, userMT: 55, trueMT: 55, distanceMm: 3, pulseLog,
+    orientation: { total: 8, twistError: 1.2 }, tilt: 0,
+  });
+  const debrief = getTutorialDebrief({ ...rubric }, pulseLog, { hintsShown: 1 });
+  expect(debrief.summary).toContain('2 hunt and 20 titration pulses, 1 hint used');
+  expect(debrief.items.length).toBe(5);
+  expect(debrief.items.find(i => i.label === 'Coil orientation').ok).toBe(false);
+  expect(debrief.tip).toContain('45°');
+});
+
+// ============================================================================
+// STORE
+// ============================================================================
+
+console.log('\n=== Store ===\n');
+
+test('hotspot displacement needs a projected hotspot and coil position', () => {
+  useTMSStore.getState().startNewTrial([0.05, 0.12, 0.05], { seed: 3 });
+  expect(useTMSStore.getState().getHotspotDisplacementMm()).toBe(null);
+  useTMSStore.setState(state => ({
+    rmt: { ...state.rmt, hotspotProjected: true, hotspotPosition: [0.05, 0.12, 0.05] },
+    currentCoilWorldPos: [0.04, 0.12, 0.07],
+  }));
+  const d = useTMSStore.getState().getHotspotDisplacementMm();
+  expect(Math.round(d[0])).toBe(-10);
+  expect(Math.round(d[2])).toBe(20);
+  expect(describeCoilMove(d)).toBe('Move about 2 cm posterior and 1 cm left');
+  useTMSStore.getState().resetRMT();
+  useTMSStore.setState({ currentCoilWorldPos: null });
+});
+
+// ============================================================================
+// RESULTS
+// ============================================================================
+
+console.log('\n=== Results ===');
+console.log(`Passed: ${passed}`);
+console.log(`Failed: ${failed}`);
+
+if (failed > 0) {
+  console.log('\n⚠️  Some tests failed!');
+  process.exit(1);
+} else {
+  console.log('\n✓ All tests passed!');
+  process.exit(0);
+}
@@ -0,0 +1,173 @@
+/**
+ * Beam F3 Engine
+ * ==============
+ * Tape-measure targeting of F3 (left DLPFC) from three head measurements,
+ * after Beam et al. (2009): nasion-inion and tragus-tragus over the
+ * vertex, and the head circumference through Fpz.
+ *
+ * F3 comes from the 10-20 construction on a sphere - midway between Fz
+ * (30% of nasion-inion) and F7 (15% of the circumference from Fpz) - and
+ * is given the way the method marks it on a patient:
+ *   X - along the circumference from Fpz toward the left
+ *   Y - from the vertex (Cz) toward that circumference point
+ * X scales with the circumference, Y with the vertex-to-rim arc in that
+ * direction, interpolated between the nasion-inion and tragus-tragus
+ * halves.
+ *
+ * Tapes are scalp paths as laid by engine/scalpPaths.js.
+ */
+
+import { pathLength, pointAlongPath, traceSurfacePath } from './scalpPaths.js';
+
+// 10-20 positions as fractions of the measurements
+export const TEN_TWENTY = {
+  fpzFraction: 0.1,  // Fpz above the nasion, of nasion-inion
+  fzFraction: 0.3,   // Fz above the nasion, of nasion-inion
+  f7Fraction: 0.15,  // F7 from Fpz, of the circumference
+};
+
+// The three tape measurements, in the order they are taken
+export const BEAM_TAPES = {
+  nasionInion: {
+    color: '#f472b6',
+    label: 'Nasion – inion',
+    hint: 'Start at the nasion, run over the top of the head and end at the inion.',
+    closed: false,
+    minPoints: 2,
+  },
+  tragusTragus: {
+    color: '#facc15',
+    label: 'Tragus – tragus',
+    hint: 'From one tragus over the top of the head to the other.',
+    closed: false,
+    minPoints: 2,
+  },
+  circumference: {
+    color: '#34d399',
+    label: 'Circumference',
+    hint: 'Around the head just above the eyebrows and over the inion; the loop closes on its first point.',
+    closed: true,
+    minPoints: 3,
+  },
+};
+
+// F3 on the unit sphere, vertex at the pole and Fpz at azimuth 0:
+// polar angle theta and azimuth phi (radians)
+const F3_ANGLES = (() => {
+  // Half of nasion-inion spans a quarter circle from Cz
+  const polar = (fraction) => (0.5 - fraction) * Math.PI;
+  const unit = (theta, phi) => [Math.sin(theta) * Math.cos(phi), Math.sin(theta) * Math.sin(phi), Math.cos(theta)];
+  const fz = unit(polar(TEN_TWENTY.fzFraction), 0);
+  const f7 = unit(polar(TEN_TWENTY.fpzFraction), TEN_TWENTY.f7Fraction * 2 * Math.PI);
+  const [x, y, z] = fz.map((v, i) => v + f7[i]);
+  return { theta: Math.atan2(Math.hypot(x, y), z), phi: Math.atan2(y, x) };
+})();
+
+const sub = (a, b) => a.map((v, i) => v - b[i]);
+const lerp = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+const distance = (a, b) => Math.hypot(...sub(a, b));
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const isPoint = (p) => Array.isArray(p) && p.length === 3;
+
+/**
+ * Fiducials with LPA and RPA on the sides the radiologic convention puts
+ * them. With the vertex up (+Y) and the nose forward, front x (LPA - RPA)
+ * points up when LPA is on the patient's left (+X for a face toward +Z),
+ * so head models labelled the other way round come back swapped.
+ * @param {{ nasion: number[], inion: number[], lpa: number[], rpa: number[] }} fiducials
+ * @returns {{ nasion: number[], inion: number[], lpa: number[], rpa: number[],
+ *   swapped: boolean } | null} swapped when LPA and RPA were exchanged;
+ *   null when one is missing
+ */
+export function orientFiducials({ nasion, inion, lpa, rpa } = {}) {
+  if (![nasion, inion, lpa, rpa].every(isPoint)) return null;
+  if (cross(sub(nasion, inion), sub(lpa, rpa))[1] >= 0) return { nasion, inion, lpa, rpa, swapped: false };
+  return { nasion, inion, lpa: rpa, rpa: lpa, swapped: true };
+}
+
+/**
+ * Beam F3 distances from the three measurements (any one length unit)
+ * @param {{ nasionInion: number, tragusTragus: number, circumference: number }} measurements
+ * @returns {{ x: number, y: number } | null} X along the circumference
+ *   from Fpz, Y from the vertex; null for missing or non-positive input
+ */
+export function calculateBeamF3({ nasionInion, tragusTragus, circumference } = {}) {
+  const valid = [nasionInion, tragusTragus, circumference].every(v => Number.isFinite(v) && v > 0);
+  if (!valid) return null;
+  const { theta, phi } = F3_ANGLES;
+  const meridian = (nasionInion / 2) * Math.cos(phi) ** 2 + (tragusTragus / 2) * Math.sin(phi) ** 2;
+  return {
+    x: circumference * phi / (2 * Math.PI),
+    y: meridian * theta / (Math.PI / 2),
+  };
+}
+
+// Index of the path point nearest a position
+function nearestIndex(points, position) {
+  let best = 0;
+  points.forEach((p, i) => {
+    if (distance(p, position) < distance(points[best], position)) best = i;
+  });
+  return best;
+}
+
+/**
+ * Mark F3 from laid tapes as the method does on a patient: the vertex
+ * halfway along both over-the-top tapes, Fpz at 10% of nasion-inion, X
+ * from Fpz along the circumference toward the left, then Y from the
+ * vertex toward that point.
+ * @param {{ nasionInion: number[][], tragusTragus: number[][], circumference: number[][] }} tapes -
+ *   Traced paths (traceSurfacePath); the circumference as a loop
+ * @param {(point: number[]) => number[] | null} project
+ * @param {{ nasion?: number[], left?: number[] }} [landmarks] - Nasion,
+ *   to tell the ends of nasion-inion apart (else it starts at the
+ *   nasion), and a point on the patient's left, to pick the direction
+ *   around the circumference (else the direction it was laid)
+ * @returns {{ lengths: Object, x: number, y: number, vertex: number[],
+ *   fpz: number[], circumferencePoint: number[], point: number[] } | null}
+ *   Lengths, X and Y in metres; null until every tape is laid
+ */
+export function locateBeamF3(tapes, project, { nasion = null, left = null } = {}) {
+  const ready = Object.entries(BEAM_TAPES).every(([key, tape]) => (tapes[key]?.length ?? 0) >= tape.minPoints);
+  if (!ready) return null;
+
+  let nasionInion = tapes.nasionInion;
+  if (nasion && distance(nasionInion[nasionInion.length - 1], nasion) < distance(nasionInion[0], nasion)) {
+    nasionInion = [...nasionInion].reverse();
+  }
+  const { tragusTragus, circumference } = tapes;
+  const lengths = {
+    nasionInion: pathLength(nasionInion),
+    tragusTragus: pathLength(tragusTragus),
+    circumference: pathLength(circumference, true),
+  };
+  const { x, y } = calculateBeamF3(lengths);
+
+  const midpoint = lerp(
+    pointAlongPath(nasionInion, lengths.nasionInion / 2),
+    pointAlongPath(tragusTragus, lengths.tragusTragus / 2),
+    0.5
+  );
+  const vertex = project(midpoint) ?? midpoint;
+  const fpz = pointAlongPath(nasionInion, TEN_TWENTY.fpzFraction * lengths.nasionInion);
+
+  // Walk X both ways round the loop from the point level with Fpz
+  const start = nearestIndex(circumference, fpz);
+  const forward = [...circumference.slice(start), ...circumference.slice(0, start)];
+  const backward = [forward[0], ...forward.slice(1).reverse()];
+  const candidates = [pointAlongPath(forward, x, true), pointAlongPath(backward, x, true)];
+  const circumferencePoint = left && distance(candidates[1], left) < distance(candidates[0], left)
+    ? candidates[1]
+    : candidates[0];
+
+  const toCircumference = traceSurfacePath([vertex, circumferencePoint], project);
+  return {
+    lengths,
+    x,
+    y,
+    vertex,
+    fpz,
+    circumferencePoint,
+    point: pointAlongPath(toCircumference, y),
+  };
+}
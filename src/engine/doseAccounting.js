@@ -0,0 +1,123 @@
+/**
+ * Dose Accounting Engine
+ * ======================
+ * Links protocol intensity to a measured motor threshold (MT).
+ *
+ * protocol.intensity is % of resting motor threshold (%MT) - the unit
+ * the safety tables use. The motor threshold itself is an absolute
+ * machine setting in %MSO (percent of maximum stimulator output), as
+ * found in an rMT trial. The machine setting for a protocol is
+ *   %MSO = intensity (%MT) × MT (%MSO) / 100
+ * rounded to a whole %MSO, as on stimulator consoles.
+ *
+ * A setting above MAX_MSO cannot be delivered, so such sessions are
+ * refused outright (not overridable like safety-table limits).
+ */
+
+// Stimulator output ceiling (%MSO)
+export const MAX_MSO = 100;
+
+/**
+ * Check a motor threshold value
+ * @param {*} value - %MSO
+ * @returns {number | null} The value, or null when not a usable threshold
+ */
+export function normalizeMotorThreshold(value) {
+  return typeof value === 'number' && value > 0 && value <= MAX_MSO ? value : null;
+}
+
+/**
+ * Build the stored motor threshold record
+ * @param {number} value - %MSO
+ * @param {{ source?: 'manual' | 'rmt', trialNumber?: number }} [details]
+ * @returns {{ value: number, source: string, trialNumber: number | null, measuredAt: string } | null}
+ */
+export function createMotorThreshold(value, { source = 'manual', trialNumber = null } = {}) {
+  const mt = normalizeMotorThreshold(value);
+  if (mt === null) return null;
+  return {
+    value: mt,
+    source: source === 'rmt' ? 'rmt' : 'manual',
+    trialNumber: Number.isInteger(trialNumber) ? trialNumber : null,
+    measuredAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Check a stored/persisted motor threshold record
+ * @param {Object} raw
+ * @returns {Object | null}
+ */
+export function normalizeMotorThresholdRecord(raw) {
+  if (!raw || normalizeMotorThreshold(raw.value) === null) return null;
+  return {
+    ...createMotorThreshold(raw.value, raw),
+    measuredAt: typeof raw.measuredAt === 'string' ? raw.measuredAt : new Date().toISOString(),
+  };
+}
+
+/**
+ * Convert %MT to the machine setting
+ * @param {number | null} percentMT - Protocol intensity
+ * @param {number | null} motorThreshold - %MSO
+ * @returns {number | null} Whole %MSO, or null without both values
+ */
+export function toMSO(percentMT, motorThreshold) {
+  if (!(percentMT > 0) || normalizeMotorThreshold(motorThreshold) === null) return null;
+  return Math.round(percentMT * motorThreshold / 100);
+}
+
+/**
+ * Convert a machine setting to %MT
+ * @param {number | null} mso - %MSO
+ * @param {number | null} motorThreshold - %MSO
+ * @returns {number | null} %MT to one decimal, or null without both values
+ */
+export function toPercentMT(mso, motorThreshold) {
+  if (!(mso > 0) || normalizeMotorThreshold(motorThreshold) === null) return null;
+  return Math.round(mso / motorThreshold * 1000) / 10;
+}
+
+/**
+ * Machine settings for every block a session would deliver
+ * @param {Object[]} blocks - getProtocolBlocks(protocol)
+ * @param {number | null} motorThreshold - %MSO
+ * @returns {{
+ *   motorThreshold: number | null,
+ *   blocks: Array<{ index: number, target: string | null, intensity: number, mso: number | null }>,
+ *   maxMSO: number | null,
+ *   exceedsMax: boolean,
+ * }}
+ */
+export function getSessionDose(blocks, motorThreshold) {
+  const mt = normalizeMotorThreshold(motorThreshold);
+  const doses = blocks.map((block, index) => ({
+    index,
+    target: block.target ?? null,
+    intensity: block.intensity,
+    mso: toMSO(block.intensity, mt),
+  }));
+  const settings = doses.map(dose => dose.mso).filter(mso => mso !== null);
+  const maxMSO = settings.length > 0 ? Math.max(...settings) : null;
+  return { motorThreshold: mt, blocks: doses, maxMSO, exceedsMax: maxMSO !== null && maxMSO > MAX_MSO };
+}
+
+/**
+ * Validation issues for machine settings above MAX_MSO
+ * @param {Object[]} blocks - getProtocolBlocks(protocol)
+ * @param {number | null} motorThreshold - %MSO
+ * @returns {Array<{ field: string, severity: 'error', code: string, block?: number, message: string }>}
+ */
+export function getDoseIssues(blocks, motorThreshold) {
+  const dose = getSessionDose(blocks, motorThreshold);
+  const multiBlock = dose.blocks.length > 1;
+  return dose.blocks
+    .filter(block => block.mso !== null && block.mso > MAX_MSO)
+    .map(block => ({
+      field: 'intensity',
+      severity: 'error',
+      code: 'mso-max',
+      ...(multiBlock && { block: block.index }),
+      message: `${multiBlock ? `Block ${block.index + 1}: ` : ''}${block.intensity}% MT with MT at ${dose.motorThreshold}% MSO needs ${block.mso}% MSO - above the ${MAX_MSO}% stimulator maximum`,
+    }));
+}
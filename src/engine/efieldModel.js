@@ -0,0 +1,317 @@
+/**
+ * E-field Model Engine
+ * ====================
+ * Approximate electric field induced in the cortex by a TMS coil.
+ *
+ * The coil is a set of magnetic dipoles normal to its windings, laid out
+ * from the coil catalogue (constants/coils.js): one flat wing for a
+ * circular coil, two opposed wings side by side along local X for a
+ * figure-8 - the induced current under the centre then runs along the
+ * handle axis (local Y) - with the wings folded toward the head for a
+ * double-cone or H-coil. The head is a spherically symmetric conductor;
+ * the field inside follows the closed form for magnetic dipoles outside
+ * a sphere (Heller & van Hulsteyn 1992, by reciprocity from Sarvas 1987):
+ *
+ *   E(r) = -(μ0 / 4πF²) [F (r × ṁ) - (ṁ·∇F)(r × r0)]
+ *
+ * with r the field point and r0 the dipole, both from the sphere centre.
+ * This needs only the centre, not a radius or conductivity, and the
+ * field has no radial component. The ṁ and μ0/4π factors are absorbed
+ * into a per-coil calibration so 100% MSO gives the coil's
+ * peakAtMaxOutput V/m as the strongest field at cortical depth under a
+ * coil resting on the reference sphere; the field is linear in
+ * stimulator output.
+ *
+ * Positions are [x, y, z] world metres, quaternions [x, y, z, w] as the
+ * coilPosition/coilRotation store fields. Coil frame as TMSCoil: local
+ * +Z is the scalp normal, the handle lies along local -Y.
+ */
+
+import { getCoil, DEFAULT_COIL_KEY } from '../constants/coils.js';
+
+export const EFIELD_CONSTANTS = {
+  cortexDepthMm: 15,      // Scalp to cortex, where the map is sampled
+  referenceRadius: 0.085, // m, scalp radius of the calibration sphere
+  scaleMax: 200,          // V/m at the top of the colour scale
+  range: 0.1,             // m from the coil beyond which the field is ignored
+};
+
+// Field layout of the default coil
+const DEFAULT_FIELD = getCoil(DEFAULT_COIL_KEY).field;
+
+// Dipoles per annulus of each wing, centre outward
+const WING_RINGS = [1, 6, 12];
+
+// Colour scale: [fraction of scaleMax, [r, g, b]]
+export const EFIELD_COLOR_STOPS = [
+  [0, [0.10, 0.15, 0.60]],
+  [0.25, [0.00, 0.55, 0.95]],
+  [0.5, [0.10, 0.85, 0.45]],
+  [0.75, [1.00, 0.85, 0.10]],
+  [1, [0.95, 0.15, 0.10]],
+];
+
+// Below this fraction of scaleMax the map fades out to the bare scalp
+const FADE_FRACTION = 0.15;
+
+function rotate([qx, qy, qz, qw], [vx, vy, vz]) {
+  // v' = v + 2w(q × v) + 2q × (q × v)
+  const tx = 2 * (qy * vz - qz * vy);
+  const ty = 2 * (qz * vx - qx * vz);
+  const tz = 2 * (qx * vy - qy * vx);
+  return [
+    vx + qw * tx + (qy * tz - qz * ty),
+    vy + qw * ty + (qz * tx - qx * tz),
+    vz + qw * tz + (qx * ty - qy * tx),
+  ];
+}
+
+/**
+ * Dipoles of a coil in its local frame
+ * @param {typeof DEFAULT_FIELD} [field] - Catalogue field layout
+ * @returns {Array<{ position: number[], moment: number[] }>} Area-weighted
+ *   so each wing's moments sum to 1; a single wing is centred
+ */
+export function buildCoilDipoles(field = DEFAULT_FIELD) {
+  const { wings, wingRadius, wingOffset, wingAngleDeg, windingHeight } = field;
+  const dipoles = [];
+  const rings = WING_RINGS.length;
+  const sides = wings === 1 ? [1] : [1, -1];
+  const fold = wingAngleDeg * Math.PI / 180;
+
+  sides.forEach(side => {
+    // Folding turns the wing about the centre line, outer edge down
+    const cos = Math.cos(side * fold);
+    const sin = Math.sin(side * fold);
+    const centre = wings === 1 ? 0 : side * wingOffset;
+    WING_RINGS.forEach((count, ring) => {
+      // Each dipole stands for an equal share of its annulus
+      const inner = wingRadius * ring / rings;
+      const outer = wingRadius * (ring + 1) / rings;
+      const weight = (outer * outer - inner * inner) / (wingRadius * wingRadius) / count;
+      const radius = ring === 0 ? 0 : (inner + outer) / 2;
+      for (let i = 0; i < count; i++) {
+        const angle = 2 * Math.PI * i / count;
+        const x = centre + radius * Math.cos(angle);
+        dipoles.push({
+          position: [x * cos, radius * Math.sin(angle), windingHeight - x * sin],
+          moment: [side * weight * sin, 0, side * weight * cos],
+        });
+      }
+    });
+  });
+  return dipoles;
+}
+
+const localDipoles = new WeakMap();
+
+function getLocalDipoles(field) {
+  if (!localDipoles.has(field)) localDipoles.set(field, buildCoilDipoles(field));
+  return localDipoles.get(field);
+}
+
+/**
+ * Place a coil in the world
+ * @param {number[]} position - Coil contact point
+ * @param {number[]} quaternion - Coil rotation
+ * @param {number[] | null} [center] - Head sphere centre. With it the coil
+ *   rests on the scalp sphere through the contact point: tilting lifts
+ *   it on its lowest windings instead of pushing them into the head, and
+ *   folded wings clear the curve of the head.
+ * @param {typeof DEFAULT_FIELD} [field] - Catalogue field layout
+ * @returns {{ field: Object, dipoles: Array<{ position: number[], moment: number[] }> }}
+ */
+export function createCoil(position, quaternion, center = null, field = DEFAULT_FIELD) {
+  let dipoles = getLocalDipoles(field).map(d => {
+    const offset = rotate(quaternion, d.position);
+    return {
+      position: offset.map((v, i) => v + position[i]),
+      moment: rotate(quaternion, d.moment),
+    };
+  });
+
+  if (center) {
+    const radial = position.map((v, i) => v - center[i]);
+    const scalpRadius = Math.hypot(...radial);
+    const normal = radial.map(v => v / scalpRadius);
+    const clearance = scalpRadius + field.windingHeight;
+    // Smallest lift along the normal that puts every dipole on or
+    // outside the clearance sphere; dipoles wider than the sphere never
+    // meet it
+    const lift = Math.max(0, ...dipoles.map(({ position: p }) => {
+      const rel = p.map((v, i) => v - center[i]);
+      const along = rel.reduce((sum, v, i) => sum + v * normal[i], 0);
+      const reach = along * along - rel.reduce((sum, v) => sum + v * v, 0) + clearance * clearance;
+      return reach > 0 ? Math.sqrt(reach) - along : 0;
+    }));
+    if (lift > 0) {
+      dipoles = dipoles.map(d => ({ ...d, position: d.position.map((v, i) => v + normal[i] * lift) }));
+    }
+  }
+
+  return { field, dipoles };
+}
+
+// Uncalibrated field of the dipoles at a point, both relative to the
+// sphere centre. Points level with or outside a dipole are skipped.
+function rawField(px, py, pz, dipoles, center) {
+  let ex = 0;
+  let ey = 0;
+  let ez = 0;
+  const pp = px * px + py * py + pz * pz;
+
+  for (const { position, moment } of dipoles) {
+    const rx = position[0] - center[0];
+    const ry = position[1] - center[1];
+    const rz = position[2] - center[2];
+    const rr = rx * rx + ry * ry + rz * rz;
+    if (pp >= rr) continue;
+
+    const ax = rx - px;
+    const ay = ry - py;
+    const az = rz - pz;
+    const a = Math.sqrt(ax * ax + ay * ay + az * az);
+    const r = Math.sqrt(rr);
+    const aDotR = ax * rx + ay * ry + az * rz;
+    const F = a * (r * a + rr - (px * rx + py * ry + pz * rz));
+    if (F <= 0) continue;
+
+    const c1 = a * a / r + aDotR / a + 2 * a + 2 * r;
+    const c2 = a + 2 * r + aDotR / a;
+    const [mx, my, mz] = moment;
+    const mDotGradF = c1 * (mx * rx + my * ry + mz * rz) - c2 * (mx * px + my * py + mz * pz);
+
+    // -[F (p × m) - (m·∇F)(p × r)] / F²
+    const f2 = F * F;
+    ex -= (F * (py * mz - pz * my) - mDotGradF * (py * rz - pz * ry)) / f2;
+    ey -= (F * (pz * mx - px * mz) - mDotGradF * (pz * rx - px * rz)) / f2;
+    ez -= (F * (px * my - py * mx) - mDotGradF * (px * ry - py * rx)) / f2;
+  }
+  return [ex, ey, ez];
+}
+
+const calibrations = new WeakMap();
+
+// Calibration samples: distances from under the coil centre (m) along
+// each of CALIBRATION_DIRECTIONS directions
+const CALIBRATION_STEPS = Array.from({ length: 21 }, (_, i) => i * 0.003);
+const CALIBRATION_DIRECTIONS = 8;
+
+/**
+ * V/m per unit raw field at 100% MSO for a coil layout
+ * @param {typeof DEFAULT_FIELD} [field]
+ * @returns {number}
+ */
+export function getCalibration(field = DEFAULT_FIELD) {
+  if (!calibrations.has(field)) {
+    const { referenceRadius, cortexDepthMm } = EFIELD_CONSTANTS;
+    const origin = [0, 0, 0];
+    const { dipoles } = createCoil([0, 0, referenceRadius], [0, 0, 0, 1], origin, field);
+    const depthRadius = referenceRadius - cortexDepthMm / 1000;
+    let strongest = 0;
+    CALIBRATION_STEPS.forEach(step => {
+      for (let k = 0; k < CALIBRATION_DIRECTIONS; k++) {
+        const angle = step / depthRadius;
+        const azimuth = 2 * Math.PI * k / CALIBRATION_DIRECTIONS;
+        const [ex, ey, ez] = rawField(
+          depthRadius * Math.sin(angle) * Math.cos(azimuth),
+          depthRadius * Math.sin(angle) * Math.sin(azimuth),
+          depthRadius * Math.cos(angle),
+          dipoles,
+          origin
+        );
+        strongest = Math.max(strongest, Math.hypot(ex, ey, ez));
+        if (step === 0) break;
+      }
+    });
+    calibrations.set(field, field.peakAtMaxOutput / strongest);
+  }
+  return calibrations.get(field);
+}
+
+/**
+ * Induced field at a point
+ * @param {number[]} point
+ * @param {ReturnType<typeof createCoil>} coil
+ * @param {number[]} center - Head sphere centre
+ * @param {number} intensity - %MSO
+ * @returns {number[]} [Ex, Ey, Ez] in V/m
+ */
+export function computeEField(point, coil, center, intensity) {
+  const scale = getCalibration(coil.field) * Math.max(0, intensity) / 100;
+  const field = rawField(point[0] - center[0], point[1] - center[1], point[2] - center[2], coil.dipoles, center);
+  return field.map(v => v * scale);
+}
+
+/**
+ * Field strength at a point
+ * @param {number[]} point
+ * @param {ReturnType<typeof createCoil>} coil
+ * @param {number[]} center - Head sphere centre
+ * @param {number} intensity - %MSO
+ * @returns {number} V/m
+ */
+export function getEFieldStrength(point, coil, center, intensity) {
+  const [ex, ey, ez] = computeEField(point, coil, center, intensity);
+  return Math.hypot(ex, ey, ez);
+}
+
+/**
+ * Field strength at cortical depth under a set of scalp points
+ * @param {ArrayLike<number>} positions - Flat xyz scalp points
+ * @param {ArrayLike<number>} normals - Flat xyz outward unit normals
+ * @param {{ position: number[], quaternion: number[], center: number[], intensity: number, depthMm?: number, field?: Object }} options
+ *   depthMm is measured from each point along its normal; field is the
+ *   catalogue layout of the coil in use
+ * @param {Float32Array} [out] - Reused for the result
+ * @returns {{ values: Float32Array, peak: number }} V/m per point; zero
+ *   beyond EFIELD_CONSTANTS.range from the coil
+ */
+export function sampleCorticalField(positions, normals, options, out) {
+  const { position, quaternion, center, intensity, depthMm = EFIELD_CONSTANTS.cortexDepthMm, field = DEFAULT_FIELD } = options;
+  const count = positions.length / 3;
+  const values = out && out.length === count ? out : new Float32Array(count);
+  const { dipoles } = createCoil(position, quaternion, center, field);
+  const scale = getCalibration(field) * Math.max(0, intensity) / 100;
+  const depth = depthMm / 1000;
+  const range2 = EFIELD_CONSTANTS.range * EFIELD_CONSTANTS.range;
+  let peak = 0;
+
+  for (let i = 0; i < count; i++) {
+    const j = i * 3;
+    const dx = positions[j] - position[0];
+    const dy = positions[j + 1] - position[1];
+    const dz = positions[j + 2] - position[2];
+    if (scale === 0 || dx * dx + dy * dy + dz * dz > range2) {
+      values[i] = 0;
+      continue;
+    }
+    const [ex, ey, ez] = rawField(
+      positions[j] - normals[j] * depth - center[0],
+      positions[j + 1] - normals[j + 1] * depth - center[1],
+      positions[j + 2] - normals[j + 2] * depth - center[2],
+      dipoles,
+      center
+    );
+    values[i] = Math.hypot(ex, ey, ez) * scale;
+    if (values[i] > peak) peak = values[i];
+  }
+  return { values, peak };
+}
+
+/**
+ * Heat-map colour for a field strength
+ * @param {number} strength - V/m
+ * @param {number} [scaleMax=EFIELD_CONSTANTS.scaleMax]
+ * @returns {number[]} [r, g, b, a], 0-1; transparent at weak fields
+ */
+export function getEFieldColor(strength, scaleMax = EFIELD_CONSTANTS.scaleMax) {
+  const t = Math.max(0, Math.min(1, strength / scaleMax));
+  let i = 1;
+  while (i < EFIELD_COLOR_STOPS.length - 1 && t > EFIELD_COLOR_STOPS[i][0]) i++;
+  const [t0, c0] = EFIELD_COLOR_STOPS[i - 1];
+  const [t1, c1] = EFIELD_COLOR_STOPS[i];
+  const k = (t - t0) / (t1 - t0);
+  const alpha = Math.min(1, t / FADE_FRACTION) * 0.85;
+  return [...c0.map((c, n) => c + (c1[n] - c) * k), alpha];
+}
@@ -0,0 +1,119 @@
+/**
+ * EMG Trace Engine
+ * ================
+ * Simulated single-sweep surface EMG from the first dorsal interosseous
+ * (FDI) for one rMT pulse, as shown on an EMG amplifier:
+ *   - stimulus artifact at t = 0
+ *   - MEP at ~22 ms latency, biphasic, scaled to the pulse's
+ *     peak-to-peak amplitude (µV)
+ *   - baseline noise
+ *   - optional pre-activation: voluntary motor unit firing through the
+ *     sweep, which invalidates the pulse for rMT
+ *
+ * Times are in ms relative to the pulse, values in µV.
+ */
+
+import { gaussian } from './random.js';
+
+export const EMG_SWEEP = {
+  preStimMs: 20,
+  postStimMs: 80,
+  sampleRateHz: 5000,
+};
+
+export const EMG_DEFAULTS = {
+  latencyMs: 22,     // FDI MEP onset
+  noiseUV: 2,        // Baseline noise RMS
+  artifactUV: 600,   // Stimulus artifact peak
+};
+
+// Window the MEP is read from (ms after the pulse)
+export const MEP_WINDOW_MS = [15, 50];
+
+// Share of pulses with a pre-activated muscle when pre-activation is enabled
+export const PRE_ACTIVATION_CHANCE = 0.3;
+
+// Pre-activation: motor unit potentials per second and their size (µV)
+const MUAP_RATE = 300;
+const MUAP_UV = [20, 70];
+
+// Biphasic potential: first derivative of a Gaussian, peak-to-peak ≈ 1.21
+function biphasic(t, center, width) {
+  const x = (t - center) / width;
+  return -x * Math.exp(-x * x / 2);
+}
+
+/**
+ * Generate one EMG sweep
+ * @param {{ amplitude: number, preActivated?: boolean }} response - Pulse result (µV)
+ * @param {Partial<typeof EMG_DEFAULTS>} [options]
+ * @param {() => number} [random=Math.random] - Uniform [0, 1) source
+ * @returns {{ times: number[], values: number[], latencyMs: number, preActivated: boolean }}
+ */
+export function generateEMGSweep({ amplitude = 0, preActivated = false }, options = {}, random = Math.random) {
+  const { latencyMs, noiseUV, artifactUV } = { ...EMG_DEFAULTS, ...options };
+  const { preStimMs, postStimMs, sampleRateHz } = EMG_SWEEP;
+  const dt = 1000 / sampleRateHz;
+  const count = Math.round((preStimMs + postStimMs) / dt) + 1;
+  const times = Array.from({ length: count }, (_, i) => -preStimMs + i * dt);
+
+  // Larger MEPs recruit faster-conducting units: slightly shorter latency
+  const latency = latencyMs - 1.5 * Math.min(1, amplitude / 2000) + 0.4 * gaussian(random);
+  // MEP: main biphasic wave plus a smaller late phase, ~12 ms in all
+  const width = 2.2 * (1 + 0.1 * gaussian(random));
+  const mepShape = times.map(t =>
+    biphasic(t, latency + 2.5 * width, width) + 0.25 * biphasic(t, latency + 6 * width, 1.5 * width));
+  const shapeP2P = Math.max(...mepShape) - Math.min(...mepShape);
+  const mepScale = amplitude > 0 ? amplitude / shapeP2P : 0;
+
+  // Motor unit potentials through the whole sweep
+  const muaps = [];
+  if (preActivated) {
+    // Poisson firing times
+    let t = -preStimMs;
+    while ((t += -Math.log(1 - random()) * 1000 / MUAP_RATE) < postStimMs) {
+      muaps.push({ t, size: MUAP_UV[0] + random() * (MUAP_UV[1] - MUAP_UV[0]), sign: random() < 0.5 ? -1 : 1 });
+    }
+  }
+
+  const values = times.map((t, i) => {
+    let v = noiseUV * gaussian(random) + mepScale * mepShape[i];
+    if (t >= 0) {
+      // Decaying ringing artifact, gone within ~3 ms
+      v += artifactUV * Math.exp(-t / 0.5) * Math.cos(2 * Math.PI * t / 0.9);
+    }
+    for (const muap of muaps) {
+      if (Math.abs(t - muap.t) < 4) v += muap.sign * muap.size / 1.21 * biphasic(t, muap.t, 0.8);
+    }
+    return v;
+  });
+
+  return { times, values, latencyMs: latency, preActivated };
+}
+
+/**
+ * Peak-to-peak amplitude within a time window
+ * @param {{ times: number[], values: number[] }} sweep
+ * @param {[number, number]} [windowMs=MEP_WINDOW_MS]
+ * @returns {number} µV
+ */
+export function measurePeakToPeak({ times, values }, [from, to] = MEP_WINDOW_MS) {
+  let min = Infinity;
+  let max = -Infinity;
+  times.forEach((t, i) => {
+    if (t < from || t > to) return;
+    min = Math.min(min, values[i]);
+    max = Math.max(max, values[i]);
+  });
+  return max > min ? max - min : 0;
+}
+
+/**
+ * RMS of the pre-stimulus baseline - raised by pre-activation
+ * @param {{ times: number[], values: number[] }} sweep
+ * @returns {number} µV
+ */
+export function measureBaselineRMS({ times, values }) {
+  const baseline = values.filter((_, i) => times[i] < 0);
+  return Math.sqrt(baseline.reduce((sum, v) => sum + v * v, 0) / baseline.length);
+}
@@ -0,0 +1,227 @@
+/**
+ * Grading Rubric Engine
+ * =====================
+ * Multi-criterion score for a completed rMT trial. Threshold accuracy
+ * alone can be brute-forced; the rubric also scores:
+ *   - localisation: final coil distance from the FDI hotspot
+ *   - efficiency: pulses fired over the whole trial
+ *   - method: relative-frequency titration (Rossini-Rothwell 5/10) -
+ *     the claimed intensity gives at least 5 MEPs in 10 pulses and 1%
+ *     below gives fewer. Pulses with a pre-activated muscle don't count.
+ *   - orientation: threshold penalty of the coil twist/tilt
+ *
+ * Each criterion scores 0-100; linear between full marks and zero at
+ * RUBRIC_LIMITS. The trial score is the weighted mean, graded against
+ * RUBRIC_GRADES. Weights are relative and need not sum to 100.
+ */
+
+export const RUBRIC_CRITERIA = {
+  accuracy: 'Threshold accuracy',
+  localisation: 'Hotspot localisation',
+  efficiency: 'Pulse efficiency',
+  method: 'Titration method',
+  orientation: 'Coil orientation',
+};
+
+export const DEFAULT_RUBRIC_WEIGHTS = {
+  accuracy: 40,
+  localisation: 20,
+  efficiency: 15,
+  method: 15,
+  orientation: 10,
+};
+
+// [full marks, zero] for the linear criteria
+export const RUBRIC_LIMITS = {
+  accuracy: [0, 20],      // % error from true MT
+  localisation: [5, 25],  // mm from the FDI hotspot
+  efficiency: [80, 250],  // Pulses fired
+  orientation: [1, 8],    // %MSO orientation penalty
+};
+
+// Minimum trial score per grade
+export const RUBRIC_GRADES = { A: 90, B: 80, C: 70, D: 60 };
+
+// Relative-frequency rule
+export const RF_PULSES = 10;
+const RF_HIT_RATE = 0.5;
+
+// Method scores
+const METHOD_SCORES = {
+  bracketed: 100,  // Claimed intensity passes, 1% below fails
+  confirmed: 60,   // Claimed intensity passes, 1% below not shown to fail
+  tested: 30,      // Claimed intensity tried without passing 5/10
+  untested: 0,
+};
+
+/**
+ * Check rubric weights
+ * @param {Object} [weights]
+ * @returns {typeof DEFAULT_RUBRIC_WEIGHTS} Defaults for missing or
+ *   negative values; all defaults if every weight is zero
+ */
+export function normalizeRubricWeights(weights = {}) {
+  const normalized = Object.fromEntries(Object.keys(DEFAULT_RUBRIC_WEIGHTS).map(key => {
+    const value = weights?.[key];
+    return [key, typeof value === 'number' && Number.isFinite(value) && value >= 0 ? value : DEFAULT_RUBRIC_WEIGHTS[key]];
+  }));
+  return Object.values(normalized).some(v => v > 0) ? normalized : { ...DEFAULT_RUBRIC_WEIGHTS };
+}
+
+/**
+ * Linear score
+ * @param {number} value
+ * @param {[number, number]} limits - [full marks, zero]
+ * @returns {number} 0-100
+ */
+export function scaleScore(value, [full, zero]) {
+  if (value <= full) return 100;
+  if (value >= zero) return 0;
+  return 100 * (zero - value) / (zero - full);
+}
+
+/**
+ * @param {number} score - 0-100
+ * @returns {'A' | 'B' | 'C' | 'D' | 'F'}
+ */
+export function getRubricGrade(score) {
+  if (score >= RUBRIC_GRADES.A) return 'A';
+  if (score >= RUBRIC_GRADES.B) return 'B';
+  if (score >= RUBRIC_GRADES.C) return 'C';
+  if (score >= RUBRIC_GRADES.D) return 'D';
+  return 'F';
+}
+
+/**
+ * Valid titration pulses per intensity
+ * @param {Array<{ phase: string, intensity: number, hit: boolean, preActivated?: boolean }>} pulseLog
+ * @returns {{ tallies: Record<number, { count: number, hits: number }>, discarded: number }}
+ *   discarded counts pre-activated titration pulses
+ */
+export function tallyTitrationPulses(pulseLog) {
+  const tallies = {};
+  let discarded = 0;
+  pulseLog.forEach(p => {
+    if (p.phase !== 'titration') return;
+    if (p.preActivated) {
+      discarded++;
+      return;
+    }
+    const tally = tallies[p.intensity] ?? (tallies[p.intensity] = { count: 0, hits: 0 });
+    tally.count++;
+    if (p.hit) tally.hits++;
+  });
+  return { tallies, discarded };
+}
+
+/**
+ * Relative-frequency verdict for one intensity
+ * @param {{ count: number, hits: number } | null | undefined} tally
+ * @returns {'pass' | 'fail' | null} null until RF_PULSES valid pulses
+ */
+export function getRelativeFrequencyResult(tally) {
+  if (!tally || tally.count < RF_PULSES) return null;
+  return tally.hits / tally.count >= RF_HIT_RATE ? 'pass' : 'fail';
+}
+
+/**
+ * Check the titration pulses against the relative-frequency rule
+ * @param {Array<{ phase: string, intensity: number, hit: boolean, preActivated?: boolean }>} pulseLog
+ * @param {number} claimedMT - %MSO
+ * @returns {{ score: number, feedback: string, atClaim: Object | null, below: Object | null, discarded: number }}
+ *   atClaim/below are { count, hits } of valid titration pulses
+ */
+export function assessTitrationMethod(pulseLog, claimedMT) {
+  const { tallies, discarded } = tallyTitrationPulses(pulseLog);
+  const atClaim = tallies[claimedMT] ?? null;
+  const below = tallies[claimedMT - 1] ?? null;
+  const passes = (t) => getRelativeFrequencyResult(t) === 'pass';
+  const fails = (t) => getRelativeFrequencyResult(t) === 'fail';
+
+  let score;
+  let feedback;
+  if (passes(atClaim) && fails(below)) {
+    score = METHOD_SCORES.bracketed;
+    feedback = `${atClaim.hits}/${atClaim.count} MEPs at ${claimedMT}% and ${below.hits}/${below.count} at ${claimedMT - 1}% - threshold bracketed`;
+  } else if (passes(atClaim)) {
+    score = METHOD_SCORES.confirmed;
+    feedback = `${atClaim.hits}/${atClaim.count} MEPs at ${claimedMT}%; show that ${claimedMT - 1}% gives fewer than 5 in 10`;
+  } else if (atClaim) {
+    score = METHOD_SCORES.tested;
+    feedback = `${atClaim.hits}/${atClaim.count} MEPs at ${claimedMT}% - needs at least 5 in 10 pulses`;
+  } else {
+    score = METHOD_SCORES.untested;
+    feedback = `No titration pulses at ${claimedMT}%`;
+  }
+
+  if (discarded > 0) feedback += ` (${discarded} pre-activated pulse${discarded === 1 ? '' : 's'} ignored)`;
+  return { score, feedback, atClaim, below, discarded };
+}
+
+/**
+ * Score a completed trial
+ * @param {{
+ *   percentDiff: number,
+ *   userMT: number,
+ *   trueMT: number,
+ *   distanceMm: number,
+ *   hotspotPeak?: number,
+ *   pulseLog: Array<Object>,
+ *   orientation: { total: number, twistError: number },
+ *   tilt?: number
+ * }} trial - hotspotPeak 0 is the FDI hotspot; twistError and tilt in radians
+ * @param {Object} [weights=DEFAULT_RUBRIC_WEIGHTS]
+ * @returns {{
+ *   score: number,
+ *   grade: string,
+ *   criteria: Array<{ key: string, label: string, score: number, weight: number, feedback: string }>
+ * }} weight is the criterion's share of the score (0-1)
+ */
+export function scoreTrial(trial, weights = DEFAULT_RUBRIC_WEIGHTS) {
+  const { percentDiff, userMT, trueMT, distanceMm, hotspotPeak = 0, pulseLog, orientation, tilt = 0 } = trial;
+  const normalized = normalizeRubricWeights(weights);
+  const totalWeight = Object.values(normalized).reduce((sum, w) => sum + w, 0);
+  const toDeg = (rad) => Math.round(Math.abs(rad) * 180 / Math.PI);
+
+  const method = assessTitrationMethod(pulseLog, userMT);
+  const pulses = pulseLog.length;
+
+  const results = {
+    accuracy: {
+      score: scaleScore(percentDiff, RUBRIC_LIMITS.accuracy),
+      feedback: `${userMT}% claimed vs ${trueMT}% true (${percentDiff.toFixed(1)}% error)`,
+    },
+    localisation: {
+      // Only the FDI hotspot counts; a neighbouring muscle's peak scores zero
+      score: hotspotPeak > 0 ? 0 : scaleScore(distanceMm, RUBRIC_LIMITS.localisation),
+      feedback: hotspotPeak > 0
+        ? 'Coil ended on a neighbouring muscle\'s peak, not the FDI hotspot'
+        : `Coil ${distanceMm.toFixed(0)} mm from the FDI hotspot`,
+    },
+    efficiency: {
+      score: scaleScore(pulses, RUBRIC_LIMITS.efficiency),
+      feedback: pulses <= RUBRIC_LIMITS.efficiency[0]
+        ? `${pulses} pulses`
+        : `${pulses} pulses - aim for ${RUBRIC_LIMITS.efficiency[0]} or fewer`,
+    },
+    method: {
+      score: method.score,
+      feedback: method.feedback,
+    },
+    orientation: {
+      score: scaleScore(orientation.total, RUBRIC_LIMITS.orientation),
+      feedback: `Handle ${toDeg(orientation.twistError)}° from optimal, tilt ${toDeg(tilt)}° (+${orientation.total.toFixed(1)}% threshold)`,
+    },
+  };
+
+  const criteria = Object.keys(RUBRIC_CRITERIA).map(key => ({
+    key,
+    label: RUBRIC_CRITERIA[key],
+    score: Math.round(results[key].score),
+    weight: normalized[key] / totalWeight,
+    feedback: results[key].feedback,
+  }));
+  const score = Math.round(criteria.reduce((sum, c) => sum + results[c.key].score * c.weight, 0));
+
+  return { score, grade: getRubricGrade(score), criteria };
+}
@@ -0,0 +1,270 @@
+/**
+ * Head Library Engine
+ * ===================
+ * Pure helpers for head models imported from GLB/OBJ/STL files: the
+ * landmarks a user marks on them, checks on those marks, the pose that
+ * puts the head in the simulator's frame and stored-entry records.
+ *
+ * Landmarks are [x, y, z] points in the model's own (unscaled) frame, so
+ * they survive re-normalisation. The four fiducials are required; named
+ * targets are optional - without a marker F3/F4/FP2/C3 fall back to
+ * their 10-20 electrodes (engine/tenTen.js).
+ *
+ * The pose follows the radiologic convention of the bundled head: nose
+ * toward +Z, vertex toward +Y, LPA (patient's left) toward +X.
+ *
+ * Persistence lives in the store; nothing here touches storage.
+ */
+
+import { TARGETS, TARGET_KEYS } from '../constants/targets.js';
+import { createLibraryId } from './protocolLibrary.js';
+
+// Accepted file formats by extension
+export const HEAD_FILE_FORMATS = {
+  glb: { label: 'GLB', binary: true },
+  obj: { label: 'OBJ', binary: false },
+  stl: { label: 'STL', binary: true },
+};
+
+export const HEAD_FILE_ACCEPT = Object.keys(HEAD_FILE_FORMATS).map(ext => `.${ext}`).join(',');
+
+// Required landmarks, in the order they are marked
+export const HEAD_FIDUCIALS = {
+  Nasion: { label: 'Nasion', hint: 'Bridge of the nose, between the eyes.' },
+  Inion: { label: 'Inion', hint: 'Bump at the back of the skull.' },
+  LPA: { label: 'LPA', hint: "In front of the patient's left ear." },
+  RPA: { label: 'RPA', hint: "In front of the patient's right ear." },
+};
+
+export const HEAD_FIDUCIAL_KEYS = Object.keys(HEAD_FIDUCIALS);
+export const HEAD_LANDMARK_KEYS = [...HEAD_FIDUCIAL_KEYS, ...TARGET_KEYS];
+
+// World position of the fiducial centre, as on the bundled head
+export const HEAD_ORIGIN = [0, 0.03, -0.035];
+
+// Fiducial spans (nasion-inion against LPA-RPA) beyond this ratio are
+// not a head
+const MAX_SPAN_RATIO = 2.5;
+
+// Fiducials closer than this fraction of the larger span are a misclick
+const MIN_SEPARATION = 0.2;
+
+const sub = (a, b) => a.map((v, i) => v - b[i]);
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const length = (a) => Math.hypot(...a);
+const normalize = (a) => a.map(v => v / length(a));
+
+const isPoint = (p) => Array.isArray(p) && p.length === 3 && p.every(Number.isFinite);
+
+/**
+ * File format from a file name
+ * @param {string} fileName
+ * @returns {'glb' | 'obj' | 'stl' | null}
+ */
+export function headFormatOf(fileName) {
+  const ext = typeof fileName === 'string' ? fileName.split('.').pop().toLowerCase() : '';
+  return HEAD_FILE_FORMATS[ext] ? ext : null;
+}
+
+/**
+ * Display label of a landmark
+ * @param {string} key - HEAD_LANDMARK_KEYS entry
+ * @returns {string}
+ */
+export function getLandmarkLabel(key) {
+  return HEAD_FIDUCIALS[key]?.label ?? TARGETS[key]?.label ?? key;
+}
+
+/**
+ * Keep only known landmarks with finite [x, y, z] points
+ * @param {Object} landmarks
+ * @returns {Object<string, number[]>}
+ */
+export function pickLandmarks(landmarks) {
+  const picked = {};
+  if (!landmarks || typeof landmarks !== 'object') return picked;
+  for (const key of HEAD_LANDMARK_KEYS) {
+    if (isPoint(landmarks[key])) picked[key] = [...landmarks[key]];
+  }
+  return picked;
+}
+
+/**
+ * @param {Object} landmarks
+ * @returns {boolean} True once all four fiducials are marked
+ */
+export function hasAllFiducials(landmarks) {
+  return HEAD_FIDUCIAL_KEYS.every(key => isPoint(landmarks?.[key]));
+}
+
+/**
+ * The landmark to mark next: the first missing fiducial
+ * @param {Object} landmarks
+ * @returns {string | null} null once the fiducials are all marked
+ */
+export function nextLandmarkKey(landmarks) {
+  return HEAD_FIDUCIAL_KEYS.find(key => !isPoint(landmarks?.[key])) ?? null;
+}
+
+/**
+ * Frame of the head from its fiducials, in the model's own coordinates
+ * @param {Object} landmarks
+ * @returns {{ centre: number[], left: number[], up: number[], forward: number[],
+ *   size: number } | null} Orthonormal axes; null while a fiducial is
+ *   missing or they are degenerate
+ */
+export function computeHeadFrame(landmarks) {
+  if (!hasAllFiducials(landmarks)) return null;
+  const { Nasion, Inion, LPA, RPA } = landmarks;
+
+  const front = sub(Nasion, Inion);
+  const across = sub(LPA, RPA);
+  const normal = cross(front, across);
+  if (length(front) === 0 || length(normal) === 0) return null;
+
+  const forward = normalize(front);
+  const up = normalize(normal);
+  const left = cross(up, forward);
+  const centre = [Nasion, Inion, LPA, RPA]
+    .reduce((sum, p) => sum.map((v, i) => v + p[i]), [0, 0, 0])
+    .map(v => v / 4);
+
+  return { centre, left, up, forward, size: Math.max(length(front), length(across)) };
+}
+
+/**
+ * Check marked landmarks before saving
+ * @param {Object} landmarks
+ * @param {{ bodyCentre?: number[] }} [options] - Centre of the model's
+ *   bounds (model frame), to catch LPA and RPA marked on the wrong sides
+ * @returns {{ valid: boolean, issues: Array<{ severity: 'error' | 'warning', code: string, message: string }> }}
+ *   valid is true when nothing blocks saving (warnings allowed)
+ */
+export function validateHeadLandmarks(landmarks, { bodyCentre = null } = {}) {
+  const issues = [];
+  const addIssue = (severity, code, message) => issues.push({ severity, code, message });
+
+  const missing = HEAD_FIDUCIAL_KEYS.filter(key => !isPoint(landmarks?.[key]));
+  if (missing.length > 0) {
+    addIssue('error', 'missing', `Mark ${missing.map(getLandmarkLabel).join(', ')}`);
+    return { valid: false, issues };
+  }
+
+  const frame = computeHeadFrame(landmarks);
+  if (!frame) {
+    addIssue('error', 'degenerate', 'Fiducials are in a line - re-mark them');
+    return { valid: false, issues };
+  }
+
+  const { Nasion, Inion, LPA, RPA } = landmarks;
+  const points = [Nasion, Inion, LPA, RPA];
+  const tooClose = points.some((p, i) => points.slice(i + 1).some(q => (
+    length(sub(p, q)) < MIN_SEPARATION * frame.size
+  )));
+  if (tooClose) {
+    addIssue('error', 'too-close', 'Two fiducials are almost on top of each other');
+  }
+
+  const spans = [length(sub(Nasion, Inion)), length(sub(LPA, RPA))];
+  if (Math.max(...spans) > MAX_SPAN_RATIO * Math.min(...spans)) {
+    addIssue('error', 'proportions', 'Nasion-inion and LPA-RPA are too different for a head');
+  }
+
+  if (isPoint(bodyCentre) && dot(sub(bodyCentre, frame.centre), frame.up) < 0) {
+    addIssue('warning', 'mirrored',
+      "The head sits below the fiducials - LPA and RPA may be on the wrong sides (LPA is the patient's left)");
+  }
+
+  return { valid: !issues.some(issue => issue.severity === 'error'), issues };
+}
+
+/**
+ * Rotation taking the rows of an orthonormal matrix onto X, Y, Z, as a
+ * quaternion (three.js Quaternion.setFromRotationMatrix)
+ */
+function quaternionFromRows([x, y, z]) {
+  const [m11, m12, m13] = x;
+  const [m21, m22, m23] = y;
+  const [m31, m32, m33] = z;
+  const trace = m11 + m22 + m33;
+
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    return [(m32 - m23) * s, (m13 - m31) * s, (m21 - m12) * s, 0.25 / s];
+  }
+  if (m11 > m22 && m11 > m33) {
+    const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+    return [0.25 * s, (m12 + m21) / s, (m13 + m31) / s, (m32 - m23) / s];
+  }
+  if (m22 > m33) {
+    const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+    return [(m12 + m21) / s, 0.25 * s, (m23 + m32) / s, (m13 - m31) / s];
+  }
+  const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+  return [(m13 + m31) / s, (m23 + m32) / s, 0.25 * s, (m21 - m12) / s];
+}
+
+/**
+ * Pose of an imported head: rotate its fiducial frame onto the world
+ * axes and move the fiducial centre to HEAD_ORIGIN
+ * @param {Object} landmarks - Model frame
+ * @param {number} scale - Uniform scale applied before the rotation
+ * @returns {{ quaternion: number[], position: number[] } | null}
+ *   quaternion as [x, y, z, w]; null while the fiducials are incomplete
+ *   or degenerate
+ */
+export function computeHeadAlignment(landmarks, scale) {
+  const frame = computeHeadFrame(landmarks);
+  if (!frame) return null;
+
+  const rows = [frame.left, frame.up, frame.forward];
+  const rotated = rows.map(row => dot(row, frame.centre) * scale);
+  return {
+    quaternion: quaternionFromRows(rows),
+    position: HEAD_ORIGIN.map((v, i) => v - rotated[i]),
+  };
+}
+
+/**
+ * Create a library entry for an imported head
+ * @param {{ name: string, format: string, landmarks: Object }} details
+ * @returns {Object} Entry { id, name, format, landmarks, createdAt, updatedAt }
+ */
+export function createHeadEntry({ name, format, landmarks }) {
+  const now = new Date().toISOString();
+  return {
+    id: createLibraryId('h'),
+    name: name.trim(),
+    format,
+    landmarks: pickLandmarks(landmarks),
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Check and normalize a stored entry
+ * @param {Object} raw
+ * @returns {Object | null} Entry, or null if unusable (no name, unknown
+ *   format or a fiducial missing)
+ */
+export function normalizeHeadEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (typeof raw.id !== 'string' || !raw.id) return null;
+  if (typeof raw.name !== 'string' || !raw.name.trim()) return null;
+  if (!HEAD_FILE_FORMATS[raw.format]) return null;
+
+  const landmarks = pickLandmarks(raw.landmarks);
+  if (!hasAllFiducials(landmarks)) return null;
+
+  const now = new Date().toISOString();
+  return {
+    id: raw.id,
+    name: raw.name.trim(),
+    format: raw.format,
+    landmarks,
+    createdAt: typeof raw.createdAt === 'string' ? raw.createdAt : now,
+    updatedAt: typeof raw.updatedAt === 'string' ? raw.updatedAt : now,
+  };
+}
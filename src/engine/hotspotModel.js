@@ -0,0 +1,308 @@
+/**
+ * Hotspot Model Engine
+ * ====================
+ * Coil orientation terms of the rMT apparent threshold.
+ *
+ * The hand knob responds best to a posterior-anterior (PA) induced
+ * current: handle pointing ~45° back and out from the midline. Each trial
+ * draws its own optimal handle direction around that. Rotating the coil
+ * away from it (twist, Q/E) or tilting it off the scalp tangent (tilt,
+ * R/F) raises the apparent MT on top of the distance penalty.
+ *
+ * Angles are the coil controls in TMSCoil, in radians:
+ *   twist - rotation about the scalp normal; 0 = handle straight back,
+ *           negative turns the handle toward +X (subject's left)
+ *   tilt  - rotation off the tangent plane
+ *
+ * Each trial also gets a seeded excitability map (generateHotspotMap):
+ * an elliptical FDI hotspot elongated along the central sulcus, optional
+ * secondary peaks where neighbouring muscle representations overlap, and
+ * a scalp-to-cortex depth that shifts the true MT. Difficulty presets
+ * set how far the hotspot lies from C3, how sharp it is, how competitive
+ * the secondary peaks are and how deep the cortex sits.
+ *
+ * Map positions are in mm in the world XZ plane (+X left, +Z anterior),
+ * relative to the primary hotspot; height differences count as distance
+ * along the sulcus.
+ */
+
+import { createRandom, generateSeed, formatSeed, parseSeed } from './random.js';
+import { MEP_DEFAULTS, normalizeMEPModel } from './mepModel.js';
+import { COILS } from '../constants/coils.js';
+
+export const ORIENTATION_CONSTANTS = {
+  optimalTwist: -Math.PI / 4, // Handle 45° posterolateral over the left hemisphere
+  twistJitter: Math.PI / 12,  // Per-trial optimum varies ±15°
+  twistPenalty: 14,           // %MSO added with the coil reversed (AP current)
+  tiltPenalty: 60,            // %MSO per (1 - cos tilt); ~8 %MSO at 30°
+};
+
+/**
+ * @param {number} angle - Radians
+ * @returns {number} Equivalent angle in (-π, π]
+ */
+export function wrapAngle(angle) {
+  const wrapped = angle - 2 * Math.PI * Math.floor((angle + Math.PI) / (2 * Math.PI));
+  return wrapped === -Math.PI ? Math.PI : wrapped;
+}
+
+/**
+ * Draw a trial's optimal twist
+ * @param {() => number} [random=Math.random]
+ * @returns {number} Radians
+ */
+export function generateOptimalTwist(random = Math.random) {
+  const { optimalTwist, twistJitter } = ORIENTATION_CONSTANTS;
+  return optimalTwist + (random() * 2 - 1) * twistJitter;
+}
+
+/**
+ * Threshold increase from handle direction error. Follows the induced
+ * current's component along the optimal direction: 0 on target, half
+ * the maximum at 90° (latero-medial), the maximum when reversed.
+ * @param {number} twist - Radians
+ * @param {number} optimalTwist - Radians
+ * @returns {number} %MSO
+ */
+export function calculateTwistPenalty(twist, optimalTwist) {
+  const error = wrapAngle(twist - optimalTwist);
+  return ORIENTATION_CONSTANTS.twistPenalty * (1 - Math.cos(error)) / 2;
+}
+
+/**
+ * Threshold increase from tilting the coil off the scalp: the far wing
+ * lifts away and the field at the cortex drops
+ * @param {number} tilt - Radians
+ * @returns {number} %MSO
+ */
+export function calculateTiltPenalty(tilt) {
+  return ORIENTATION_CONSTANTS.tiltPenalty * (1 - Math.cos(tilt));
+}
+
+/**
+ * Combined orientation penalty
+ * @param {{ twist: number, tilt: number }} orientation - Coil controls (radians)
+ * @param {number} [optimalTwist=ORIENTATION_CONSTANTS.optimalTwist] - Trial optimum
+ * @param {{ twistSensitivity?: number, tiltSensitivity?: number }} [sensitivity] -
+ *   Coil-specific scaling of each penalty (constants/coils.js hotspot);
+ *   1 for the figure-8
+ * @returns {{ twist: number, tilt: number, total: number, twistError: number }}
+ *   Penalties in %MSO; twistError in radians
+ */
+export function calculateOrientationPenalty(
+  { twist = 0, tilt = 0 } = {},
+  optimalTwist = ORIENTATION_CONSTANTS.optimalTwist,
+  { twistSensitivity = 1, tiltSensitivity = 1 } = {}
+) {
+  const twistPenalty = calculateTwistPenalty(twist, optimalTwist) * twistSensitivity;
+  const tiltPenalty = calculateTiltPenalty(tilt) * tiltSensitivity;
+  return {
+    twist: twistPenalty,
+    tilt: tiltPenalty,
+    total: twistPenalty + tiltPenalty,
+    twistError: wrapAngle(twist - optimalTwist),
+  };
+}
+
+// ============================================================================
+// HOTSPOT MAP
+// ============================================================================
+
+export const HOTSPOT_DIFFICULTY = {
+  easy: {
+    label: 'Easy',
+    radiusMm: 10,           // Max primary hotspot offset from C3
+    spreadMm: [24, 18],     // Gaussian width along / across the sulcus
+    secondaryPeaks: 0,
+    secondaryGap: [8, 12],  // Extra %MSO needed at a secondary peak
+    depthMm: [12, 14],      // Scalp-to-cortex distance
+  },
+  standard: {
+    label: 'Standard',
+    radiusMm: 20,
+    spreadMm: [20, 12],
+    secondaryPeaks: 1,
+    secondaryGap: [5, 9],
+    depthMm: [12, 16],
+  },
+  hard: {
+    label: 'Hard',
+    radiusMm: 25,
+    spreadMm: [16, 8],
+    secondaryPeaks: 2,
+    secondaryGap: [2, 5],
+    depthMm: [14, 18],
+  },
+};
+
+export const DEFAULT_HOTSPOT_DIFFICULTY = 'standard';
+
+export const DEPTH_CONSTANTS = {
+  referenceMm: 14,  // Depth with no MT shift
+  msoPerMm: 2.8,    // MT rise per mm of scalp-to-cortex distance (Stokes et al. 2005)
+};
+
+// Secondary peaks sit along the sulcus, this far from the primary (mm)
+const SECONDARY_DISTANCE_MM = [12, 22];
+const SECONDARY_ACROSS_MM = 3;
+const SECONDARY_SPREAD_SCALE = 0.8;
+
+const uniform = (random, [min, max]) => min + random() * (max - min);
+
+/**
+ * Generate a trial's excitability map
+ * @param {{ seed?: number, difficulty?: string }} [options]
+ * @param {() => number} [random] - Source to draw from; defaults to a
+ *   fresh one seeded with seed, so the map depends on the seed alone
+ * @returns {{
+ *   seed: number,
+ *   difficulty: string,
+ *   optimalTwist: number,
+ *   sulcusAngle: number,
+ *   offsetMm: [number, number],
+ *   depthMm: number,
+ *   peaks: Array<{ alongMm: number, acrossMm: number, spreadMm: [number, number], thresholdOffset: number }>
+ * }} sulcusAngle is radians from +X toward +Z; offsetMm is the primary
+ *   hotspot's [x, z] offset from C3; peaks[0] is the primary hotspot
+ */
+export function generateHotspotMap({ seed = generateSeed(), difficulty = DEFAULT_HOTSPOT_DIFFICULTY } = {}, random = createRandom(seed)) {
+  let key = difficulty;
+  if (!HOTSPOT_DIFFICULTY[key]) {
+    console.warn(`[HotspotModel] Unknown difficulty "${difficulty}", using ${DEFAULT_HOTSPOT_DIFFICULTY}`);
+    key = DEFAULT_HOTSPOT_DIFFICULTY;
+  }
+  const preset = HOTSPOT_DIFFICULTY[key];
+
+  const optimalTwist = generateOptimalTwist(random);
+  // The sulcus runs perpendicular to the optimal (PA) current direction
+  const sulcusAngle = -optimalTwist;
+
+  // Uniform over the disc around C3
+  const angle = random() * 2 * Math.PI;
+  const r = Math.sqrt(random()) * preset.radiusMm;
+  const offsetMm = [r * Math.cos(angle), r * Math.sin(angle)];
+
+  const depthMm = uniform(random, preset.depthMm);
+
+  const peaks = [{ alongMm: 0, acrossMm: 0, spreadMm: [...preset.spreadMm], thresholdOffset: 0 }];
+  // First secondary peak on a random side, the next on the other
+  const side = random() < 0.5 ? -1 : 1;
+  for (let i = 0; i < preset.secondaryPeaks; i++) {
+    peaks.push({
+      alongMm: (i % 2 === 0 ? side : -side) * uniform(random, SECONDARY_DISTANCE_MM),
+      acrossMm: uniform(random, [-SECONDARY_ACROSS_MM, SECONDARY_ACROSS_MM]),
+      spreadMm: preset.spreadMm.map(s => s * SECONDARY_SPREAD_SCALE),
+      thresholdOffset: uniform(random, preset.secondaryGap),
+    });
+  }
+
+  return { seed, difficulty: key, optimalTwist, sulcusAngle, offsetMm, depthMm, peaks };
+}
+
+const MEP_MODEL_FIELDS = ['plateau', 'slope', 'variability'];
+
+// Key of a lookup table by its initial (difficulties and coils have distinct ones)
+const keyByInitial = (table, initial) => Object.keys(table)
+  .find(key => key.charAt(0) === initial.toLowerCase());
+
+/**
+ * Shareable trial code: difficulty and coil initials, seed, and the MEP
+ * model when it is not the default - e.g. "HF-1Z141Z3" or
+ * "SC-2B9-1500_6_0.4". The coil and model matter as much as the seed:
+ * the coil scales the true MT and the model shapes every response.
+ * @param {{ seed: number, difficulty: string, coil?: string, mepModel?: Object }} trial
+ * @returns {string} Without a coil, the difficulty-and-seed form "H-1Z141Z3"
+ */
+export function formatTrialCode({ seed, difficulty, coil, mepModel }) {
+  const prefix = difficulty.charAt(0).toUpperCase() + (coil ? coil.charAt(0).toUpperCase() : '');
+  const model = mepModel ? normalizeMEPModel(mepModel) : MEP_DEFAULTS;
+  const custom = coil && MEP_MODEL_FIELDS.some(field => model[field] !== MEP_DEFAULTS[field]);
+  const suffix = custom ? `-${MEP_MODEL_FIELDS.map(field => model[field]).join('_')}` : '';
+  return `${prefix}-${formatSeed(seed)}${suffix}`;
+}
+
+/**
+ * @param {string} code - As produced by formatTrialCode; a bare seed code
+ *   keeps the caller's difficulty, a code without a coil the caller's
+ *   coil and MEP model
+ * @returns {{ seed: number, difficulty?: string, coil?: string,
+ *   mepModel?: Object }|null} null if not valid
+ */
+export function parseTrialCode(code) {
+  const match = /^(?:([a-z])([a-z])?-)?([0-9a-z]+)(?:-([\d._]+))?$/i.exec(String(code ?? '').trim());
+  if (!match) return null;
+  const [, difficultyInitial, coilInitial, seedCode, modelCode] = match;
+  const seed = parseSeed(seedCode);
+  if (seed === null) return null;
+  if (!difficultyInitial) return modelCode ? null : { seed };
+  const difficulty = keyByInitial(HOTSPOT_DIFFICULTY, difficultyInitial);
+  if (!difficulty) return null;
+  if (!coilInitial) return modelCode ? null : { seed, difficulty };
+
+  const coil = keyByInitial(COILS, coilInitial);
+  if (!coil) return null;
+  if (!modelCode) return { seed, difficulty, coil, mepModel: { ...MEP_DEFAULTS } };
+  const values = modelCode.split('_').map(Number);
+  if (values.length !== MEP_MODEL_FIELDS.length || !values.every(v => Number.isFinite(v) && v > 0)) return null;
+  return {
+    seed,
+    difficulty,
+    coil,
+    mepModel: normalizeMEPModel(Object.fromEntries(MEP_MODEL_FIELDS.map((field, i) => [field, values[i]]))),
+  };
+}
+
+/**
+ * MT shift from the map's scalp-to-cortex depth
+ * @param {number} depthMm
+ * @returns {number} %MSO, negative for shallow cortex
+ */
+export function getDepthThresholdShift(depthMm) {
+  return (depthMm - DEPTH_CONSTANTS.referenceMm) * DEPTH_CONSTANTS.msoPerMm;
+}
+
+/**
+ * World XZ position of a peak relative to the primary hotspot
+ * @param {{ sulcusAngle: number }} map
+ * @param {{ alongMm: number, acrossMm: number }} peak
+ * @returns {[number, number]} [x, z] mm
+ */
+export function getPeakOffsetMm({ sulcusAngle }, { alongMm, acrossMm }) {
+  const cos = Math.cos(sulcusAngle);
+  const sin = Math.sin(sulcusAngle);
+  return [alongMm * cos - acrossMm * sin, alongMm * sin + acrossMm * cos];
+}
+
+/**
+ * Threshold increase at a coil position on the map. The best peak wins;
+ * each peak adds its threshold offset to an elliptical Gaussian penalty
+ *   offset + Pmax * (1 - exp(-((along/spreadAlong)² + (across/spreadAcross)²)))
+ * @param {ReturnType<typeof generateHotspotMap>} map
+ * @param {[number, number, number]} displacementMm - Coil minus primary hotspot (mm)
+ * @param {{ Pmax: number, sigma: number }} constants - Distance penalty constants
+ * @returns {{ penalty: number, peakIndex: number, effectiveDistanceMm: number }}
+ *   effectiveDistanceMm is the isotropic distance (sigma) with the same penalty
+ */
+export function calculateMapPenalty(map, [dx, dy, dz], { Pmax, sigma }) {
+  const cos = Math.cos(map.sulcusAngle);
+  const sin = Math.sin(map.sulcusAngle);
+  let penalty = Infinity;
+  let peakIndex = 0;
+
+  map.peaks.forEach((peak, index) => {
+    const [px, pz] = getPeakOffsetMm(map, peak);
+    const rx = dx - px;
+    const rz = dz - pz;
+    const across = -rx * sin + rz * cos;
+    const along = Math.sqrt(Math.max(0, rx * rx + dy * dy + rz * rz - across * across));
+    const q = (along / peak.spreadMm[0]) ** 2 + (across / peak.spreadMm[1]) ** 2;
+    const peakPenalty = peak.thresholdOffset + Pmax * (1 - Math.exp(-q));
+    if (peakPenalty < penalty) {
+      penalty = peakPenalty;
+      peakIndex = index;
+    }
+  });
+
+  const fraction = Math.min(penalty / Pmax, 1 - 1e-9);
+  return { penalty, peakIndex, effectiveDistanceMm: sigma * Math.sqrt(-Math.log(1 - fraction)) };
+}
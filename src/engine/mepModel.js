@@ -0,0 +1,114 @@
+/**
+ * MEP Model Engine
+ * ================
+ * Motor-evoked potential (MEP) peak-to-peak amplitude for a single pulse.
+ *
+ * Median amplitude follows a sigmoidal recruitment curve
+ *   A(I) = plateau / (1 + exp((I50 - I) / slope))
+ * with I50 placed so that A(MT) equals the 50 µV criterion. Trial-to-trial
+ * variability is log-normal around that median:
+ *   amplitude = A(I) × exp(variability × z),  z ~ N(0, 1)
+ * so exactly half of the pulses at MT reach 50 µV - the clinical rMT
+ * definition. A pulse counts as a response when its MEP reaches
+ * MEP_CRITERION_UV.
+ *
+ * Near threshold the response probability is close to a logistic with
+ * spread slope × variability / 1.7 (≈ 2 %MSO with the defaults).
+ */
+
+import { gaussian } from './random.js';
+
+// Clinical rMT criterion: peak-to-peak MEP (µV)
+export const MEP_CRITERION_UV = 50;
+
+export const MEP_DEFAULTS = {
+  plateau: 2000,     // MEPmax (µV)
+  slope: 7,          // Recruitment curve slope (%MSO)
+  variability: 0.5,  // SD of ln(amplitude)
+};
+
+// Amplitude buckets for the pulse result label (µV)
+const CATEGORY_LIMITS = { small: 200, medium: 1000 };
+
+/**
+ * Check recruitment curve parameters
+ * @param {Object} [model]
+ * @returns {typeof MEP_DEFAULTS} Defaults for missing or invalid values;
+ *   the plateau must stay above the criterion
+ */
+export function normalizeMEPModel(model = {}) {
+  const positive = (value, fallback) => (typeof value === 'number' && value > 0 ? value : fallback);
+  const plateau = positive(model.plateau, MEP_DEFAULTS.plateau);
+  return {
+    plateau: plateau > MEP_CRITERION_UV ? plateau : MEP_DEFAULTS.plateau,
+    slope: positive(model.slope, MEP_DEFAULTS.slope),
+    variability: positive(model.variability, MEP_DEFAULTS.variability),
+  };
+}
+
+/**
+ * Median MEP amplitude on the recruitment curve
+ * @param {number} intensity - %MSO
+ * @param {number} motorThreshold - %MSO (apparent MT at the coil position)
+ * @param {Partial<typeof MEP_DEFAULTS>} [model]
+ * @returns {number} µV
+ */
+export function getMEPMedian(intensity, motorThreshold, model) {
+  const { plateau, slope } = normalizeMEPModel(model);
+  const i50 = motorThreshold + slope * Math.log(plateau / MEP_CRITERION_UV - 1);
+  return plateau / (1 + Math.exp((i50 - intensity) / slope));
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26)
+function normalCDF(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Probability that a pulse produces an MEP of at least MEP_CRITERION_UV
+ * @param {number} intensity - %MSO
+ * @param {number} motorThreshold - %MSO
+ * @param {Partial<typeof MEP_DEFAULTS>} [model]
+ * @returns {number} 0-1, 0.5 at motorThreshold
+ */
+export function getMEPProbability(intensity, motorThreshold, model) {
+  const { variability } = normalizeMEPModel(model);
+  const median = getMEPMedian(intensity, motorThreshold, model);
+  return normalCDF(Math.log(median / MEP_CRITERION_UV) / variability);
+}
+
+/**
+ * Draw one MEP amplitude
+ * @param {number} intensity - %MSO
+ * @param {number} motorThreshold - %MSO
+ * @param {Partial<typeof MEP_DEFAULTS>} [model]
+ * @param {() => number} [random=Math.random] - Uniform [0, 1) source
+ * @returns {number} Peak-to-peak amplitude (µV)
+ */
+export function sampleMEPAmplitude(intensity, motorThreshold, model, random = Math.random) {
+  const { variability } = normalizeMEPModel(model);
+  return getMEPMedian(intensity, motorThreshold, model) * Math.exp(variability * gaussian(random));
+}
+
+/**
+ * @param {number} amplitude - µV
+ * @returns {boolean} Whether the amplitude meets the rMT criterion
+ */
+export function isMEP(amplitude) {
+  return amplitude >= MEP_CRITERION_UV;
+}
+
+/**
+ * @param {number} amplitude - µV
+ * @returns {'none' | 'small' | 'medium' | 'large'}
+ */
+export function getMEPCategory(amplitude) {
+  if (!isMEP(amplitude)) return 'none';
+  if (amplitude < CATEGORY_LIMITS.small) return 'small';
+  if (amplitude < CATEGORY_LIMITS.medium) return 'medium';
+  return 'large';
+}
@@ -0,0 +1,124 @@
+/**
+ * Protocol Blocks Engine
+ * ======================
+ * Multi-target (sequential) protocols: an ordered list of blocks, each
+ * with its own target and stimulation parameters, delivered one after
+ * another with a coil repositioning step in between.
+ *
+ * A protocol with an empty `blocks` list is an ordinary single-block
+ * protocol. With blocks, the top-level protocol fields mirror the block
+ * being edited or delivered, so the parameter grid, validation and the
+ * pulse schedulers keep working on plain protocol fields.
+ *
+ * Session pulse counts and session time run across the whole sequence.
+ * Each block's scheduler runs its own timeline from 0; a block's
+ * firstPulse/startTime offset it into the session. Time spent
+ * repositioning the coil is not session time.
+ */
+
+import { calculateSessionTiming } from './pulseScheduler.js';
+import { pickBlockFields } from './protocolLibrary.js';
+import { distanceToTargetMm, OFF_TARGET_MM } from './sessionLog.js';
+
+// Coil must be within this distance of the next block's target to start it (mm)
+export const REPOSITION_TOLERANCE_MM = OFF_TARGET_MM;
+
+/**
+ * @param {Object} protocol
+ * @returns {boolean} Whether the protocol is a multi-target block sequence
+ */
+export function hasBlocks(protocol) {
+  return Array.isArray(protocol?.blocks) && protocol.blocks.length > 0;
+}
+
+/**
+ * Blocks to deliver, in order
+ * @param {Object} protocol
+ * @returns {Object[]} A single-block protocol yields one untargeted block
+ */
+export function getProtocolBlocks(protocol) {
+  if (hasBlocks(protocol)) return protocol.blocks;
+  return [{ ...pickBlockFields(protocol), target: null }];
+}
+
+/**
+ * Copy a block's parameters into the top-level protocol fields
+ * @param {Object} protocol - Protocol with blocks
+ * @param {number} index - Block to make active
+ * @returns {Object} Protocol
+ */
+export function withActiveBlock(protocol, index) {
+  const block = protocol.blocks?.[index];
+  if (!block) return protocol;
+  const { target, ...fields } = block;
+  return { ...protocol, ...fields };
+}
+
+/**
+ * Replace the active protocol, e.g. from a library entry or snapshot.
+ * Blocks not present in `fields` are cleared rather than kept from the
+ * previous protocol.
+ * @param {Object} current - Protocol in the store
+ * @param {Object} fields - Picked protocol fields (see pickProtocolFields)
+ * @param {number} [blockIndex=0] - Block to make active
+ * @returns {Object} Protocol
+ */
+export function applyProtocol(current, fields, blockIndex = 0) {
+  const next = { ...current, ...fields, blocks: fields.blocks || [] };
+  return hasBlocks(next) ? withActiveBlock(next, blockIndex) : next;
+}
+
+/**
+ * Lay the blocks out end to end
+ * @param {Object} protocol
+ * @returns {{
+ *   blocks: Array<{ index: number, target: string | null, protocol: Object, timing: Object,
+ *     firstPulse: number, startTime: number }>,
+ *   totalPulses: number,
+ *   sessionDuration: number,
+ * } | null} null when any block's timing cannot be computed
+ */
+export function getBlockPlan(protocol) {
+  const blocks = [];
+  let firstPulse = 0;
+  let startTime = 0;
+
+  for (const [index, block] of getProtocolBlocks(protocol).entries()) {
+    const timing = calculateSessionTiming(block);
+    if (!timing) return null;
+    blocks.push({ index, target: block.target ?? null, protocol: block, timing, firstPulse, startTime });
+    firstPulse += block.totalPulses;
+    startTime += timing.sessionDuration;
+  }
+
+  return { blocks, totalPulses: firstPulse, sessionDuration: startTime };
+}
+
+/**
+ * Block the next undelivered pulse belongs to
+ * @param {Object} plan - From getBlockPlan
+ * @param {number} pulsesDelivered - Session pulse count
+ * @returns {number}
+ */
+export function getBlockIndexAt(plan, pulsesDelivered) {
+  const index = plan.blocks.findIndex(block => pulsesDelivered < block.firstPulse + block.protocol.totalPulses);
+  return index === -1 ? plan.blocks.length - 1 : index;
+}
+
+/**
+ * Check the coil against a block's target before the block starts
+ * @param {{ target: string | null }} block - Plan block
+ * @param {number[]} coilPosition - [x, y, z] in metres
+ * @param {Object<string, { x: number, y: number, z: number }> | null} targetPositions
+ * @returns {{ target: string | null, distanceMm: number | null, onTarget: boolean }}
+ *   Untargeted blocks are always on target; unknown positions never are
+ */
+export function checkBlockPosition(block, coilPosition, targetPositions) {
+  if (!block?.target) return { target: null, distanceMm: null, onTarget: true };
+  const distanceMm = distanceToTargetMm(coilPosition, targetPositions?.[block.target]);
+  return {
+    target: block.target,
+    distanceMm,
+    onTarget: distanceMm !== null && distanceMm <= REPOSITION_TOLERANCE_MM,
+  };
+}
@@ -0,0 +1,228 @@
+/**
+ * Protocol Library Engine
+ * =======================
+ * Pure helpers for the user protocol library: entry creation, naming,
+ * built-in templates and versioned JSON import/export.
+ *
+ * Persistence lives in the store; nothing here touches storage.
+ *
+ * Export file format:
+ *   { format: 'tms-protocol-library', version: 1, exportedAt, entries: [...] }
+ */
+
+import { isTargetKey } from '../constants/targets.js';
+
+export const LIBRARY_FORMAT = 'tms-protocol-library';
+export const LIBRARY_VERSION = 1;
+
+// Protocol fields stored with each entry
+export const PROTOCOL_FIELDS = [
+  'frequency',
+  'stimType',
+  'intensity',
+  'pulsesPerTrain',
+  'iti',
+  'totalPulses',
+  'pulsesPerBurst',
+  'burstFrequency',
+];
+
+const STIM_TYPES = ['standard', 'iTBS', 'cTBS'];
+const BUILT_IN_PREFIX = 'builtin:';
+
+/**
+ * Generate a library entry id; the head and scenario libraries share it
+ * @param {string} [prefix] - Entry kind, 'p' for protocols
+ * @returns {string}
+ */
+export function createLibraryId(prefix = 'p') {
+  return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function pickFields(source) {
+  const picked = {};
+  for (const field of PROTOCOL_FIELDS) {
+    const value = source[field];
+    if (field === 'stimType') {
+      picked.stimType = STIM_TYPES.includes(value) ? value : 'standard';
+    } else if (value === undefined) {
+      continue;
+    } else {
+      picked[field] = typeof value === 'number' && Number.isFinite(value) ? value : null;
+    }
+  }
+  return picked;
+}
+
+/**
+ * Copy the fields of one block of a multi-target protocol
+ * @param {Object} block
+ * @returns {Object} Protocol fields plus target (a target or electrode key, or null)
+ */
+export function pickBlockFields(block) {
+  const source = block && typeof block === 'object' ? block : {};
+  return { ...pickFields(source), target: isTargetKey(source.target) ? source.target : null };
+}
+
+/**
+ * Copy only known protocol fields, coercing bad values to null.
+ * Blocks of a multi-target protocol are kept (see protocolBlocks).
+ * @param {Object} protocol
+ * @returns {Object}
+ */
+export function pickProtocolFields(protocol = {}) {
+  const picked = pickFields(protocol);
+  if (Array.isArray(protocol.blocks) && protocol.blocks.length > 0) {
+    picked.blocks = protocol.blocks.map(pickBlockFields);
+  }
+  return picked;
+}
+
+/**
+ * Make a name unique among existing names by appending " (2)", " (3)", ...
+ * @param {string} name
+ * @param {string[]} existingNames
+ * @returns {string}
+ */
+export function getUniqueName(name, existingNames) {
+  const taken = new Set(existingNames);
+  if (!taken.has(name)) return name;
+
+  const base = name.replace(/ \(\d+\)$/, '');
+  let n = 2;
+  while (taken.has(`${base} (${n})`)) n++;
+  return `${base} (${n})`;
+}
+
+/**
+ * Create a user library entry from a protocol
+ * @param {Object} protocol - Current protocol
+ * @param {{ name: string, notes?: string, target?: string | null }} details
+ * @returns {Object} Library entry
+ */
+export function createLibraryEntry(protocol, { name, notes = '', target = null }) {
+  const now = new Date().toISOString();
+  return {
+    id: createLibraryId(),
+    name: name.trim(),
+    notes,
+    target: isTargetKey(target) ? target : null,
+    protocol: pickProtocolFields(protocol),
+    createdAt: now,
+    updatedAt: now,
+  };
+}
+
+/**
+ * Copy an entry (user or built-in) into a new editable user entry
+ * @param {Object} entry
+ * @param {string[]} existingNames - Names already in the user library
+ * @returns {Object} Library entry
+ */
+export function copyLibraryEntry(entry, existingNames) {
+  const name = getUniqueName(entry.builtIn ? entry.name : `${entry.name} copy`, existingNames);
+  return createLibraryEntry(entry.protocol, { name, notes: entry.notes, target: entry.target });
+}
+
+/**
+ * Wrap the built-in example protocols as read-only library entries
+ * @param {Object<string, Object>} examples - EXAMPLE_PROTOCOLS
+ * @returns {Object[]}
+ */
+export function getBuiltInTemplates(examples) {
+  return Object.entries(examples).map(([name, protocol]) => ({
+    id: `${BUILT_IN_PREFIX}${name}`,
+    name,
+    notes: '',
+    target: null,
+    protocol: pickProtocolFields(protocol),
+    builtIn: true,
+  }));
+}
+
+export function isBuiltInId(id) {
+  return typeof id === 'string' && id.startsWith(BUILT_IN_PREFIX);
+}
+
+/**
+ * Check and normalize a stored/imported entry
+ * @param {Object} raw
+ * @returns {Object | null} Entry, or null if unusable
+ */
+export function normalizeLibraryEntry(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (typeof raw.name !== 'string' || !raw.name.trim()) return null;
+  if (!raw.protocol || typeof raw.protocol !== 'object') return null;
+
+  const now = new Date().toISOString();
+  return {
+    id: typeof raw.id === 'string' && !isBuiltInId(raw.id) ? raw.id : createLibraryId(),
+    name: raw.name.trim(),
+    notes: typeof raw.notes === 'string' ? raw.notes : '',
+    target: isTargetKey(raw.target) ? raw.target : null,
+    protocol: pickProtocolFields(raw.protocol),
+    createdAt: typeof raw.createdAt === 'string' ? raw.createdAt : now,
+    updatedAt: typeof raw.updatedAt === 'string' ? raw.updatedAt : now,
+  };
+}
+
+/**
+ * Serialize user entries to the versioned export format
+ * @param {Object[]} entries
+ * @returns {string} JSON text
+ */
+export function serializeLibrary(entries) {
+  return JSON.stringify({
+    format: LIBRARY_FORMAT,
+    version: LIBRARY_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: entries.filter(entry => !entry.builtIn),
+  }, null, 2);
+}
+
+/**
+ * Parse an exported library file
+ *
+ * Imported entries get fresh ids so re-importing never overwrites, and
+ * names are de-duplicated against the existing library.
+ *
+ * @param {string} text - File contents
+ * @param {string[]} [existingNames] - Names already in the user library
+ * @returns {{ entries: Object[], errors: string[] }}
+ */
+export function parseLibraryFile(text, existingNames = []) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { entries: [], errors: ['File is not valid JSON'] };
+  }
+
+  if (!data || data.format !== LIBRARY_FORMAT) {
+    return { entries: [], errors: ['Not a protocol library file'] };
+  }
+  if (!(data.version >= 1) || data.version > LIBRARY_VERSION) {
+    return { entries: [], errors: [`Unsupported library version ${data.version} (expected ${LIBRARY_VERSION})`] };
+  }
+  if (!Array.isArray(data.entries)) {
+    return { entries: [], errors: ['Library file has no entries'] };
+  }
+
+  const entries = [];
+  const errors = [];
+  const names = [...existingNames];
+
+  data.entries.forEach((raw, i) => {
+    const entry = normalizeLibraryEntry(raw);
+    if (!entry) {
+      errors.push(`Entry ${i + 1} skipped - missing name or protocol`);
+      return;
+    }
+    entry.id = createLibraryId();
+    entry.name = getUniqueName(entry.name, names);
+    names.push(entry.name);
+    entries.push(entry);
+  });
+
+  return { entries, errors };
+}
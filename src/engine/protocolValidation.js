@@ -0,0 +1,286 @@
+/**
+ * Protocol Validation Engine
+ * ==========================
+ * Scores a stimulation protocol against published rTMS safety tables.
+ *
+ * Sources:
+ * - Wassermann 1998 (EEG Clin Neurophysiol 108:1-16), Table 4:
+ *   maximum safe single-train duration by frequency and intensity (%MT)
+ * - Chen et al. 1997 / Rossi et al. 2009: inter-train intervals below ~5s
+ *   at >1 Hz add risk; 1s or less produced spread of excitation
+ * - Rossi et al. 2009 / Oberman 2011: theta burst safety data exist up to
+ *   ~100% MT; higher intensities are largely unexplored
+ *
+ * Lookups are conservative: a frequency between table rows uses the next
+ * higher row, an intensity between columns uses the next higher column.
+ *
+ * Intensity is interpreted as % of resting motor threshold.
+ */
+
+import { calculateSessionTiming, getBurstParameters, isThetaBurst } from './pulseScheduler.js';
+import { hasBlocks, getProtocolBlocks } from './protocolBlocks.js';
+import { getDoseIssues } from './doseAccounting.js';
+
+// Intensity columns (% MT) for SAFETY_TABLE rows
+export const SAFETY_INTENSITIES = [90, 100, 110, 120, 130, 140, 150, 160, 170, 180, 190, 200, 210, 220];
+
+// Maximum safe train duration (s) per frequency (Hz), Wassermann 1998 Table 4.
+// ">" entries from the paper (no adverse effect at the longest duration
+// tested) are stored as that tested duration.
+export const SAFETY_TABLE = {
+  1:  [1800, 1800, 360, 50, 50, 50, 50, 50, 50, 50, 50, 50, 50, 50],
+  5:  [10, 10, 10, 10, 10, 7.6, 5.2, 3.6, 2.6, 2.4, 1.6, 1.4, 1.6, 1.2],
+  10: [5, 5, 5, 4.2, 2.9, 1.3, 0.8, 0.9, 0.8, 0.5, 0.6, 0.4, 0.3, 0.3],
+  20: [2.05, 2.05, 1.6, 1.0, 0.55, 0.35, 0.25, 0.25, 0.15, 0.2, 0.25, 0.2, 0.1, 0.1],
+  25: [1.28, 1.28, 0.84, 0.4, 0.24, 0.2, 0.24, 0.2, 0.12, 0.08, 0.12, 0.12, 0.08, 0.08],
+};
+
+// Issue codes that come from safety tables (overridable by an instructor),
+// as opposed to malformed input which can never start a session
+export const SAFETY_ISSUE_CODES = ['train-duration', 'iti-short', 'tbs-intensity', 'outside-table'];
+
+export const SAFETY_LIMITS = {
+  // Train duration as a fraction of the table limit that triggers a warning
+  trainWarningRatio: 0.9,
+
+  // Inter-train interval (s) for trains above 1 Hz
+  itiWarning: 5,
+  itiMinimum: 1,
+
+  // Theta burst intensity (% MT)
+  tbsIntensityWarning: 100,
+  tbsIntensityMaximum: 120,
+
+  // Field ranges
+  maxFrequency: 50,
+  maxIntensity: 150,
+  maxPulsesPerTrain: 10000,
+  maxTotalPulses: 10000,
+};
+
+/**
+ * Look up the maximum safe single-train duration
+ * @param {number} frequency - Hz
+ * @param {number} intensity - % MT
+ * @returns {{ maxDuration: number, tableFrequency: number, tableIntensity: number } | null}
+ *   null when the frequency or intensity is beyond the table
+ */
+export function getMaxSafeTrainDuration(frequency, intensity) {
+  const frequencies = Object.keys(SAFETY_TABLE).map(Number).sort((a, b) => a - b);
+  const tableFrequency = frequencies.find(f => frequency <= f);
+  const intensityIndex = SAFETY_INTENSITIES.findIndex(i => intensity <= i);
+
+  if (tableFrequency === undefined || intensityIndex === -1) {
+    return null;
+  }
+
+  return {
+    maxDuration: SAFETY_TABLE[tableFrequency][intensityIndex],
+    tableFrequency,
+    tableIntensity: SAFETY_INTENSITIES[intensityIndex],
+  };
+}
+
+/**
+ * Validate a protocol
+ *
+ * @param {Object} protocol - Protocol object (see calculateSessionTiming)
+ * @returns {{
+ *   status: 'incomplete' | 'invalid' | 'unsafe' | 'warning' | 'ok',
+ *   valid: boolean,
+ *   errors: Object<string, string[]>,
+ *   warnings: Object<string, string[]>,
+ *   issues: Array<{ field: string, severity: 'error' | 'warning', code: string, message: string }>,
+ *   safety: { trainDuration: number, maxTrainDuration: number, ratio: number } | null,
+ * }}
+ *   valid is true when nothing blocks a session (warnings allowed);
+ *   'unsafe' means the only errors are safety-table violations
+ */
+export function validateProtocol(protocol) {
+  const issues = [];
+  const addIssue = (field, severity, code, message) => {
+    issues.push({ field, severity, code, message });
+  };
+
+  const { frequency, intensity, pulsesPerTrain, iti, totalPulses, stimType } = protocol;
+  const tbs = isThetaBurst(stimType);
+  let incomplete = false;
+
+  // --- Required fields and ranges ---
+  const requirePositive = (field, value, max, label) => {
+    if (value === null || value === undefined || value === '') {
+      incomplete = true;
+      addIssue(field, 'error', 'required', `${label} is required`);
+    } else if (!(value > 0)) {
+      addIssue(field, 'error', 'range', `${label} must be greater than 0`);
+    } else if (value > max) {
+      addIssue(field, 'error', 'range', `${label} must be at most ${max}`);
+    }
+  };
+
+  requirePositive('frequency', frequency, SAFETY_LIMITS.maxFrequency, 'Frequency');
+  requirePositive('intensity', intensity, SAFETY_LIMITS.maxIntensity, 'Intensity');
+  requirePositive('pulsesPerTrain', pulsesPerTrain, SAFETY_LIMITS.maxPulsesPerTrain, 'Pulses per train');
+  requirePositive('totalPulses', totalPulses, SAFETY_LIMITS.maxTotalPulses, 'Total pulses');
+
+  if (iti === null || iti === undefined || iti === '') {
+    incomplete = true;
+    addIssue('iti', 'error', 'required', 'Inter-train interval is required');
+  } else if (iti < 0) {
+    addIssue('iti', 'error', 'range', 'Inter-train interval cannot be negative');
+  }
+
+  if (pulsesPerTrain > 0 && totalPulses > 0 && pulsesPerTrain > totalPulses) {
+    addIssue('pulsesPerTrain', 'warning', 'train-exceeds-total',
+      'Pulses per train exceeds total pulses - session is a single short train');
+  }
+
+  // --- Theta burst structure ---
+  if (tbs && frequency > 0) {
+    const burst = getBurstParameters(protocol);
+    const burstSpan = (burst.pulsesPerBurst - 1) / burst.intraBurstFrequency;
+    if (!(burst.pulsesPerBurst >= 1)) {
+      addIssue('pulsesPerBurst', 'error', 'range', 'Pulses per burst must be at least 1');
+    } else if (!(burst.burstFrequency > 0)) {
+      addIssue('burstFrequency', 'error', 'range', 'Burst rate must be greater than 0');
+    } else if (burstSpan >= 1 / burst.burstFrequency) {
+      addIssue('burstFrequency', 'error', 'burst-overlap',
+        `Bursts overlap: ${burst.pulsesPerBurst} pulses at ${burst.intraBurstFrequency} Hz do not fit in a ${(1000 / burst.burstFrequency).toFixed(0)}ms burst slot`);
+    }
+
+    if (intensity > SAFETY_LIMITS.tbsIntensityMaximum) {
+      addIssue('intensity', 'error', 'tbs-intensity',
+        `Theta burst above ${SAFETY_LIMITS.tbsIntensityMaximum}% MT is outside published safety data`);
+    } else if (intensity > SAFETY_LIMITS.tbsIntensityWarning) {
+      addIssue('intensity', 'warning', 'tbs-intensity',
+        `Theta burst above ${SAFETY_LIMITS.tbsIntensityWarning}% MT has limited safety data`);
+    }
+  }
+
+  // --- Safety table: single-train duration ---
+  let safety = null;
+  const timing = incomplete ? null : calculateSessionTiming(protocol);
+
+  if (timing && !tbs && frequency > 0 && intensity > 0) {
+    const limit = getMaxSafeTrainDuration(frequency, intensity);
+
+    if (!limit) {
+      addIssue('frequency', 'error', 'outside-table',
+        `${frequency} Hz at ${intensity}% MT is beyond the safety table (max 25 Hz, 220% MT)`);
+    } else {
+      const ratio = timing.trainDuration / limit.maxDuration;
+      safety = { trainDuration: timing.trainDuration, maxTrainDuration: limit.maxDuration, ratio };
+
+      const detail = `${timing.trainDuration.toFixed(2)}s train vs ${limit.maxDuration}s limit at ${limit.tableFrequency} Hz / ${limit.tableIntensity}% MT`;
+      if (ratio > 1) {
+        addIssue('pulsesPerTrain', 'error', 'train-duration', `Train too long: ${detail}`);
+      } else if (ratio > SAFETY_LIMITS.trainWarningRatio) {
+        addIssue('pulsesPerTrain', 'warning', 'train-duration', `Train near safety limit: ${detail}`);
+      }
+    }
+  }
+
+  // --- Inter-train interval ---
+  // cTBS is continuous by design, so back-to-back trains are not a concern
+  if (timing && timing.totalTrains > 1 && frequency > 1 && iti >= 0 && stimType !== 'cTBS') {
+    if (iti < SAFETY_LIMITS.itiMinimum) {
+      addIssue('iti', 'error', 'iti-short',
+        `ITI under ${SAFETY_LIMITS.itiMinimum}s between trains above 1 Hz risks spread of excitation`);
+    } else if (iti < SAFETY_LIMITS.itiWarning) {
+      addIssue('iti', 'warning', 'iti-short',
+        `ITI under ${SAFETY_LIMITS.itiWarning}s between trains above 1 Hz is below recommended spacing`);
+    }
+  }
+
+  // --- Collate ---
+  const { errors, warnings } = groupIssues(issues);
+
+  const errorIssues = issues.filter(issue => issue.severity === 'error');
+  const hasErrors = errorIssues.length > 0;
+  let status = 'ok';
+  if (incomplete) status = 'incomplete';
+  else if (errorIssues.some(issue => !SAFETY_ISSUE_CODES.includes(issue.code))) status = 'invalid';
+  else if (hasErrors) status = 'unsafe';
+  else if (Object.keys(warnings).length > 0) status = 'warning';
+
+  return {
+    status,
+    valid: !hasErrors,
+    errors,
+    warnings,
+    issues,
+    safety,
+  };
+}
+
+// Most to least severe
+const STATUS_ORDER = ['incomplete', 'invalid', 'unsafe', 'warning', 'ok'];
+
+// Messages keyed by field, split by severity
+function groupIssues(issues) {
+  const errors = {};
+  const warnings = {};
+  for (const issue of issues) {
+    const bucket = issue.severity === 'error' ? errors : warnings;
+    (bucket[issue.field] = bucket[issue.field] || []).push(issue.message);
+  }
+  return { errors, warnings };
+}
+
+/**
+ * Validate everything a session would deliver
+ *
+ * Single-block protocols validate exactly as validateProtocol. For a
+ * multi-target protocol every block is validated and must have a
+ * target; issues carry their block index and a "Block n:" prefix, and
+ * the status is the worst block's.
+ *
+ * With a motor threshold, any block whose machine setting exceeds 100%
+ * MSO makes the protocol invalid (see doseAccounting).
+ *
+ * @param {Object} protocol
+ * @param {{ motorThreshold?: number | null }} [options] - MT in %MSO
+ * @returns {Object} Same shape as validateProtocol (safety is null for sequences)
+ */
+export function validateSessionProtocol(protocol, { motorThreshold = null } = {}) {
+  const result = hasBlocks(protocol) ? validateBlocks(protocol) : validateProtocol(protocol);
+  const doseIssues = getDoseIssues(getProtocolBlocks(protocol), motorThreshold);
+  if (doseIssues.length === 0) return result;
+
+  const issues = [...result.issues, ...doseIssues];
+  return {
+    ...result,
+    ...groupIssues(issues),
+    status: result.status === 'incomplete' ? 'incomplete' : 'invalid',
+    valid: false,
+    issues,
+  };
+}
+
+function validateBlocks(protocol) {
+  const issues = [];
+  const statuses = [];
+  protocol.blocks.forEach((block, index) => {
+    const result = validateProtocol(block);
+    statuses.push(result.status);
+    for (const issue of result.issues) {
+      issues.push({ ...issue, block: index, message: `Block ${index + 1}: ${issue.message}` });
+    }
+    if (!block.target) {
+      statuses.push('incomplete');
+      issues.push({ field: 'target', severity: 'error', code: 'block-target', block: index,
+        message: `Block ${index + 1}: Target is required` });
+    }
+  });
+
+  const { errors, warnings } = groupIssues(issues);
+  const status = STATUS_ORDER.find(candidate => statuses.includes(candidate)) || 'ok';
+  return {
+    status,
+    valid: !issues.some(issue => issue.severity === 'error'),
+    errors,
+    warnings,
+    issues,
+    safety: null,
+  };
+}
@@ -6,64 +6,245 @@
  * Timing math:
  * - trainDuration = pulsesPerTrain / frequency
  * - totalTrains = ceil(totalPulses / pulsesPerTrain)
- * - sessionDuration = trains * trainDuration + (trains-1) * ITI
+ * - sessionDuration = (trains-1) * (trainDuration + ITI) + lastTrainDuration
  * 
  * Example: 10 Hz, 40/train, 11s ITI, 3000 total
  * - trainDuration = 40/10 = 4s
  * - totalTrains = 3000/40 = 75
  * - sessionDuration = 75*4 + 74*11 = 300 + 814 = 1114s = 18.6 min
+ * 
+ * Theta burst (iTBS/cTBS):
+ * - frequency is the intra-burst rate (50 Hz), burstFrequency the theta rate (5 Hz)
+ * - each burst owns a 1/burstFrequency slot; its pulses end on the slot boundary
+ * - trainDuration = ceil(pulsesPerTrain / pulsesPerBurst) / burstFrequency
+ * - iTBS 600: 3/burst, 30/train, 8s ITI -> 20 * 2s + 19 * 8s = 192s
+ * 
+ * A standard rTMS train is the degenerate case: 1 pulse per burst at
+ * burstFrequency = frequency, so both schedulers share the same slot math.
+ */
+
+// Theta-burst parameters used when a protocol does not specify its own
+export const TBS_DEFAULTS = {
+  pulsesPerBurst: 3,  // Classic Huang et al. 2005 triplet
+  burstFrequency: 5,  // Theta rate (Hz) - 200ms between burst onsets
+};
+
+// Tolerance for floating-point comparisons of pulse times (seconds)
+const TIME_EPSILON = 1e-9;
+
+/**
+ * Check whether a stimulation type uses theta-burst patterning
+ * @param {string} stimType
+ * @returns {boolean}
+ */
+export function isThetaBurst(stimType) {
+  return stimType === 'iTBS' || stimType === 'cTBS';
+}
+
+/**
+ * Resolve the burst structure of a protocol.
+ * Standard rTMS maps to single-pulse bursts at the stimulation frequency.
+ * @param {Object} protocol - Protocol object
+ * @returns {{ pulsesPerBurst: number, burstFrequency: number, intraBurstFrequency: number }}
+ */
+export function getBurstParameters(protocol) {
+  const { frequency, stimType } = protocol;
+  
+  if (isThetaBurst(stimType)) {
+    return {
+      pulsesPerBurst: protocol.pulsesPerBurst || TBS_DEFAULTS.pulsesPerBurst,
+      burstFrequency: protocol.burstFrequency || TBS_DEFAULTS.burstFrequency,
+      intraBurstFrequency: frequency,
+    };
+  }
+  
+  return {
+    pulsesPerBurst: 1,
+    burstFrequency: frequency,
+    intraBurstFrequency: frequency,
+  };
+}
+
+/**
+ * Time of a pulse relative to the start of its train.
+ * Bursts are right-aligned in their slot so the last pulse of burst b
+ * fires at (b + 1) / burstFrequency.
+ * 
+ * @param {number} pulseIndex - Zero-based pulse index within the train
+ * @param {{ pulsesPerBurst: number, burstFrequency: number, intraBurstFrequency: number }} burst
+ * @param {number} pulsesInTrain - Pulses in this train (last train may be short)
+ * @returns {number} Offset in seconds
  */
+export function getPulseOffsetInTrain(pulseIndex, burst, pulsesInTrain) {
+  const { pulsesPerBurst, burstFrequency, intraBurstFrequency } = burst;
+  const burstIndex = Math.floor(pulseIndex / pulsesPerBurst);
+  const pulseInBurst = pulseIndex % pulsesPerBurst;
+  
+  // Final burst of a short train holds fewer pulses
+  const pulsesInBurst = Math.min(pulsesPerBurst, pulsesInTrain - burstIndex * pulsesPerBurst);
+  const burstEnd = (burstIndex + 1) / burstFrequency;
+  
+  return burstEnd - (pulsesInBurst - 1 - pulseInBurst) / intraBurstFrequency;
+}
+
+/**
+ * Duration of a train holding the given number of pulses
+ * @param {number} pulseCount
+ * @param {{ pulsesPerBurst: number, burstFrequency: number }} burst
+ * @returns {number} Seconds
+ */
+function getTrainDuration(pulseCount, burst) {
+  return Math.ceil(pulseCount / burst.pulsesPerBurst) / burst.burstFrequency;
+}
 
 /**
  * Calculate session timing parameters
  * @param {Object} protocol - Protocol object with frequency, pulsesPerTrain, iti, totalPulses, stimType
- * @returns {{ pulseInterval, trainDuration, totalTrains, sessionDuration, pulsesInLastTrain } | null}
+ *   and optional pulsesPerBurst / burstFrequency for theta burst
+ * @returns {{ pulseInterval, burstInterval, pulsesPerBurst, burstsPerTrain, trainDuration,
+ *   lastTrainDuration, totalTrains, sessionDuration, pulsesInLastTrain } | null}
  */
 export function calculateSessionTiming(protocol) {
-  const { frequency, pulsesPerTrain, iti, totalPulses, stimType } = protocol;
+  const { frequency, pulsesPerTrain, iti, totalPulses } = protocol;
   
-  if (!frequency || !pulsesPerTrain || totalPulses === null) {
+  if (!frequency || !pulsesPerTrain || !totalPulses) {
     return null;
   }
   
-  let pulseInterval;
-  let trainDuration;
-  
-  if (stimType === 'iTBS' || stimType === 'cTBS') {
-    // Theta burst: 50 Hz bursts (3 pulses at 20ms intervals within burst)
-    // iTBS: 2s on, 8s off
-    // cTBS: continuous
-    pulseInterval = 1 / 50; // 50 Hz within bursts
-    
-    if (stimType === 'iTBS') {
-      // 10 bursts per 2s train (5 Hz burst rate)
-      const burstsPerTrain = Math.ceil(pulsesPerTrain / 3);
-      trainDuration = burstsPerTrain / 5; // 5 Hz burst rate = 200ms per burst
-    } else {
-      // cTBS: continuous bursts at 5 Hz
-      const burstsPerTrain = Math.ceil(pulsesPerTrain / 3);
-      trainDuration = burstsPerTrain / 5;
-    }
-  } else {
-    // Standard rTMS
-    pulseInterval = 1 / frequency;
-    trainDuration = pulsesPerTrain / frequency;
-  }
+  const burst = getBurstParameters(protocol);
+  const pulseInterval = 1 / burst.intraBurstFrequency;
+  const trainDuration = getTrainDuration(pulsesPerTrain, burst);
   
   const totalTrains = Math.ceil(totalPulses / pulsesPerTrain);
+  const pulsesInLastTrain = totalPulses % pulsesPerTrain || pulsesPerTrain;
+  const lastTrainDuration = getTrainDuration(pulsesInLastTrain, burst);
   
-  // Total time = all train durations + all ITIs
-  const sessionDuration = totalTrains * trainDuration + Math.max(0, totalTrains - 1) * (iti || 0);
+  // Session ends on the last pulse of the (possibly short) final train
+  const sessionDuration = (totalTrains - 1) * (trainDuration + (iti || 0)) + lastTrainDuration;
   
   return {
     pulseInterval,
+    burstInterval: 1 / burst.burstFrequency,
+    pulsesPerBurst: burst.pulsesPerBurst,
+    burstsPerTrain: Math.ceil(pulsesPerTrain / burst.pulsesPerBurst),
     trainDuration,
+    lastTrainDuration,
     totalTrains,
     sessionDuration,
-    pulsesInLastTrain: totalPulses % pulsesPerTrain || pulsesPerTrain,
+    pulsesInLastTrain,
+  };
+}
+
+/**
+ * Expand a protocol into its full, ordered pulse timeline.
+ * Pure and deterministic - the live schedulers replay this same list,
+ * so anything computed from it (previews, tests, logs) matches a session.
+ * 
+ * Times are absolute seconds from session start. A pulse fires at the end
+ * of its slot, so event[0].time is one pulse/burst interval after start and
+ * the final event's time equals calculateSessionTiming().sessionDuration.
+ * 
+ * @param {Object} protocol - Protocol object (see calculateSessionTiming)
+ * @returns {{
+ *   events: Array<{ index: number, time: number, trainIndex: number, burstIndex: number,
+ *     pulseInTrain: number, pulseInBurst: number }>,
+ *   trains: Array<{ index: number, start: number, end: number, pulseCount: number, firstPulse: number }>,
+ *   itis: Array<{ afterTrain: number, start: number, end: number }>,
+ *   duration: number,
+ *   timing: Object,
+ * } | null}
+ */
+export function generatePulseTimeline(protocol) {
+  const timing = calculateSessionTiming(protocol);
+  if (!timing) return null;
+  
+  const { pulsesPerTrain, totalPulses } = protocol;
+  const iti = protocol.iti || 0;
+  const burst = getBurstParameters(protocol);
+  
+  const events = [];
+  const trains = [];
+  const itis = [];
+  let trainStart = 0;
+  
+  for (let trainIndex = 0; trainIndex < timing.totalTrains; trainIndex++) {
+    const pulseCount = Math.min(pulsesPerTrain, totalPulses - trainIndex * pulsesPerTrain);
+    const firstPulse = events.length;
+    
+    for (let p = 0; p < pulseCount; p++) {
+      events.push({
+        index: events.length,
+        time: trainStart + getPulseOffsetInTrain(p, burst, pulseCount),
+        trainIndex,
+        burstIndex: Math.floor(p / burst.pulsesPerBurst),
+        pulseInTrain: p,
+        pulseInBurst: p % burst.pulsesPerBurst,
+      });
+    }
+    
+    const trainEnd = trainStart + getTrainDuration(pulseCount, burst);
+    trains.push({ index: trainIndex, start: trainStart, end: trainEnd, pulseCount, firstPulse });
+    
+    // ITIs only separate trains - none after the final one
+    if (trainIndex < timing.totalTrains - 1 && iti > 0) {
+      itis.push({ afterTrain: trainIndex, start: trainEnd, end: trainEnd + iti });
+    }
+    trainStart = trainEnd + iti;
+  }
+  
+  return {
+    events,
+    trains,
+    itis,
+    duration: events.length > 0 ? events[events.length - 1].time : 0,
+    timing,
   };
 }
 
+/**
+ * Number of timeline pulses fired at or before a given time (binary search)
+ * @param {Object} timeline - Result of generatePulseTimeline
+ * @param {number} time - Seconds from session start
+ * @returns {number}
+ */
+export function countPulsesAt(timeline, time) {
+  const { events } = timeline;
+  let lo = 0;
+  let hi = events.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (events[mid].time <= time + TIME_EPSILON) {
+      lo = mid + 1;
+    } else {
+      hi = mid;
+    }
+  }
+  return lo;
+}
+
+/**
+ * Describe where a session is at a given time
+ * @param {Object} timeline - Result of generatePulseTimeline
+ * @param {number} time - Seconds from session start
+ * @returns {{ pulsesDelivered: number, trainIndex: number, iti: Object | null, complete: boolean }}
+ */
+export function getTimelineStateAt(timeline, time) {
+  const pulsesDelivered = countPulsesAt(timeline, time);
+  const complete = pulsesDelivered >= timeline.events.length;
+  
+  const iti = complete ? null : timeline.itis.find(
+    gap => time >= gap.start - TIME_EPSILON && time < gap.end - TIME_EPSILON
+  ) || null;
+  
+  // Train currently running, or the one just finished when inside an ITI
+  let trainIndex = 0;
+  for (const train of timeline.trains) {
+    if (train.start <= time + TIME_EPSILON) trainIndex = train.index;
+  }
+  
+  return { pulsesDelivered, trainIndex, iti, complete };
+}
+
 /**
  * Format duration as MM:SS
  * @param {number} seconds 
@@ -89,6 +270,8 @@ export function calculateProgress(currentPulse, totalPulses) {
 
 /**
  * PulseScheduler class for managing pulse timing in animation loop
+ * Replays the protocol's pulse timeline against an accumulated clock, so
+ * it is frame-rate independent and always agrees with generatePulseTimeline.
  * 
  * Usage:
  *   const scheduler = new PulseScheduler(protocol);
@@ -102,20 +285,26 @@ export class PulseScheduler {
    */
   constructor(protocol) {
     this.protocol = protocol;
-    this.timing = calculateSessionTiming(protocol);
-    this.pulseAccumulator = 0;
-    this.trainPulseCount = 0; // Pulses in current train
-    this.totalPulseCount = 0;
-    this.itiAccumulator = 0;
-    this.inITI = false;
+    this.timeline = generatePulseTimeline(protocol);
+    this.timing = this.timeline ? this.timeline.timing : null;
+    this.reset();
   }
   
   reset() {
-    this.pulseAccumulator = 0;
-    this.trainPulseCount = 0;
-    this.totalPulseCount = 0;
-    this.itiAccumulator = 0;
-    this.inITI = false;
+    this.clock = 0;           // Seconds since session start (excluding pauses)
+    this.totalPulseCount = 0; // Index of the next timeline event
+    this.lastEvent = null;    // Most recently emitted timeline event
+  }
+  
+  /**
+   * Jump to a point in the session without emitting pulses
+   * (used to rebuild a scheduler for a recovered session)
+   * @param {number} time - Seconds from session start
+   */
+  seek(time) {
+    this.clock = Math.max(0, time);
+    this.totalPulseCount = this.timeline ? countPulsesAt(this.timeline, this.clock) : 0;
+    this.lastEvent = this.totalPulseCount > 0 ? this.timeline.events[this.totalPulseCount - 1] : null;
   }
   
   /**
@@ -124,61 +313,43 @@ export class PulseScheduler {
    * @returns {number} Number of pulses to emit this frame
    */
   update(deltaTime) {
-    if (!this.timing) return 0;
+    if (!this.timeline) return 0;
     
-    const { pulseInterval } = this.timing;
-    const { pulsesPerTrain, iti, totalPulses } = this.protocol;
-    
-    // Check if session complete
-    if (this.totalPulseCount >= totalPulses) {
+    const { events } = this.timeline;
+    if (this.totalPulseCount >= events.length) {
       return 0;
     }
     
-    // Handle ITI (inter-train interval)
-    if (this.inITI) {
-      this.itiAccumulator += deltaTime;
-      if (this.itiAccumulator >= (iti || 0)) {
-        this.inITI = false;
-        this.itiAccumulator = 0;
-        this.trainPulseCount = 0;
-      }
-      return 0;
-    }
+    this.clock += deltaTime;
     
-    // Count pulses during train
-    this.pulseAccumulator += deltaTime;
     let pulsesThisFrame = 0;
-    
-    // Emit pulses based on pulse interval
-    while (this.pulseAccumulator >= pulseInterval && this.totalPulseCount < totalPulses) {
-      pulsesThisFrame++;
+    while (this.totalPulseCount < events.length &&
+           events[this.totalPulseCount].time <= this.clock + TIME_EPSILON) {
+      this.lastEvent = events[this.totalPulseCount];
       this.totalPulseCount++;
-      this.trainPulseCount++;
-      this.pulseAccumulator -= pulseInterval;
-      
-      // Check if train complete
-      if (this.trainPulseCount >= pulsesPerTrain) {
-        // Check if more trains needed
-        if (this.totalPulseCount < totalPulses && (iti || 0) > 0) {
-          this.inITI = true;
-          this.itiAccumulator = 0;
-          this.pulseAccumulator = 0;
-          break;
-        } else {
-          this.trainPulseCount = 0;
-        }
-      }
+      pulsesThisFrame++;
     }
     
     return pulsesThisFrame;
   }
   
+  /**
+   * Timeline events emitted by the most recent update() call
+   * @param {number} count - Value returned by update()
+   * @returns {Array<Object>}
+   */
+  getRecentEvents(count) {
+    if (!this.timeline || count <= 0) return [];
+    return this.timeline.events.slice(this.totalPulseCount - count, this.totalPulseCount);
+  }
+  
   /**
    * Check if currently in ITI
    * @returns {boolean}
    */
   isInITI() {
-    return this.inITI;
+    if (!this.timeline) return false;
+    return getTimelineStateAt(this.timeline, this.clock).iti !== null;
   }
   
   /**
@@ -186,130 +357,22 @@ export class PulseScheduler {
    * @returns {{ inITI: boolean, progress: number, remaining: number, elapsed: number }}
    */
   getITIProgress() {
-    const iti = this.protocol.iti || 0;
-    if (!this.inITI || iti <= 0) {
+    const gap = this.timeline ? getTimelineStateAt(this.timeline, this.clock).iti : null;
+    if (!gap) {
       return { inITI: false, progress: 0, remaining: 0, elapsed: 0 };
     }
-    const elapsed = this.itiAccumulator;
+    const iti = gap.end - gap.start;
+    const elapsed = this.clock - gap.start;
     const progress = Math.min(1, elapsed / iti);
-    const remaining = Math.max(0, iti - elapsed);
+    const remaining = Math.max(0, gap.end - this.clock);
     return { inITI: true, progress, remaining, elapsed };
   }
 }
 
 /**
  * ThetaBurstScheduler for iTBS/cTBS patterns
- * iTBS: 2s train, 8s ITI, bursts at 5Hz (3 pulses per burst at 50Hz)
- * cTBS: continuous bursts at 5Hz
+ * Burst structure, train length and ITI all come from the protocol
+ * (see getBurstParameters); the timeline already encodes the burst
+ * pattern, so this only differs from PulseScheduler by name.
  */
-export class ThetaBurstScheduler {
-  /**
-   * @param {Object} protocol - Protocol with stimType, totalPulses
-   */
-  constructor(protocol) {
-    this.protocol = protocol;
-    this.burstAccumulator = 0;
-    this.pulseInBurst = 0;
-    this.trainAccumulator = 0;
-    this.totalPulseCount = 0;
-    this.itiAccumulator = 0;
-    this.inITI = false;
-  }
-  
-  reset() {
-    this.burstAccumulator = 0;
-    this.pulseInBurst = 0;
-    this.trainAccumulator = 0;
-    this.totalPulseCount = 0;
-    this.itiAccumulator = 0;
-    this.inITI = false;
-  }
-  
-  /**
-   * Update scheduler with delta time
-   * @param {number} deltaTime - Time since last frame in seconds
-   * @returns {number} Number of pulses to emit this frame
-   */
-  update(deltaTime) {
-    const { stimType, totalPulses } = this.protocol;
-    
-    // Check session complete
-    if (this.totalPulseCount >= totalPulses) {
-      return 0;
-    }
-    
-    // iTBS ITI handling
-    if (stimType === 'iTBS' && this.inITI) {
-      this.itiAccumulator += deltaTime;
-      if (this.itiAccumulator >= 8) { // 8s ITI for iTBS
-        this.inITI = false;
-        this.itiAccumulator = 0;
-        this.trainAccumulator = 0;
-      }
-      return 0;
-    }
-    
-    this.burstAccumulator += deltaTime;
-    this.trainAccumulator += deltaTime;
-    
-    let pulsesThisFrame = 0;
-    
-    // Burst rate: 5 Hz (200ms between bursts)
-    const burstInterval = 0.2;
-    // Pulse interval within burst: 50 Hz (20ms)
-    const pulseInterval = 0.02;
-    
-    // Within a burst, emit 3 pulses rapidly
-    if (this.pulseInBurst > 0 && this.pulseInBurst < 3) {
-      if (this.burstAccumulator >= pulseInterval) {
-        pulsesThisFrame++;
-        this.totalPulseCount++;
-        this.pulseInBurst++;
-        this.burstAccumulator -= pulseInterval;
-        
-        if (this.pulseInBurst >= 3) {
-          this.pulseInBurst = 0;
-        }
-      }
-    }
-    
-    // Start new burst
-    if (this.pulseInBurst === 0 && this.burstAccumulator >= burstInterval) {
-      pulsesThisFrame++;
-      this.totalPulseCount++;
-      this.pulseInBurst = 1;
-      this.burstAccumulator = 0;
-    }
-    
-    // iTBS train timing: 2s on
-    if (stimType === 'iTBS' && this.trainAccumulator >= 2) {
-      this.inITI = true;
-      this.itiAccumulator = 0;
-    }
-    
-    return pulsesThisFrame;
-  }
-  
-  /**
-   * Check if currently in ITI
-   * @returns {boolean}
-   */
-  isInITI() {
-    return this.inITI;
-  }
-  
-  /**
-   * Get ITI progress information (iTBS uses 8s ITI)
-   * @returns {{ inITI: boolean, progress: number, remaining: number, elapsed: number }}
-   */
-  getITIProgress() {
-    const iti = this.protocol.stimType === 'iTBS' ? 8 : 0;
-    if (!this.inITI || iti <= 0) {
-      return { inITI: false, progress: 0, remaining: 0, elapsed: 0 };
-    }
-    const elapsed = this.itiAccumulator;
-    const progress = Math.min(1, elapsed / iti);
-    const remaining = Math.max(0, iti - elapsed);
-    return { inITI: true, progress, remaining, elapsed };
-  }
-}
+export class ThetaBurstScheduler extends PulseScheduler {}
@@ -0,0 +1,81 @@
+/**
+ * Random Engine
+ * =============
+ * Seeded uniform random source for reproducible rMT trials, and a
+ * standard normal draw from any uniform source.
+ *
+ * mulberry32: 32-bit state, fast, good enough for simulation. The same
+ * seed always gives the same sequence, and the state is a plain number,
+ * so a trial can keep it in the store and pick up where it left off:
+ * createRandom(random.state()) continues the sequence of random.
+ */
+
+// Seeds are unsigned 32-bit integers
+export const MAX_SEED = 0xFFFFFFFF;
+
+// Shareable seed codes: base 36, upper case
+const SEED_CODE_RADIX = 36;
+
+/**
+ * @param {number} seed - Unsigned 32-bit integer (or a saved state)
+ * @returns {(() => number) & { state: () => number }} Uniform [0, 1) source;
+ *   state() returns the current state
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  const random = () => {
+    a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  random.state = () => a >>> 0;
+  return random;
+}
+
+/**
+ * Standard normal draw (Box-Muller)
+ * @param {() => number} [random=Math.random] - Uniform [0, 1) source
+ * @returns {number} z ~ N(0, 1)
+ */
+export function gaussian(random = Math.random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+/**
+ * Fresh seed for a new trial
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function generateSeed() {
+  return drawSeed(Math.random);
+}
+
+/**
+ * Seed drawn from a random source, e.g. for a sub-sequence such as one
+ * EMG sweep
+ * @param {() => number} random
+ * @returns {number} Unsigned 32-bit integer
+ */
+export function drawSeed(random) {
+  return Math.floor(random() * (MAX_SEED + 1));
+}
+
+/**
+ * @param {number} seed
+ * @returns {string} Short code, e.g. "1Z141Z3"
+ */
+export function formatSeed(seed) {
+  return (seed >>> 0).toString(SEED_CODE_RADIX).toUpperCase();
+}
+
+/**
+ * @param {string} code - As produced by formatSeed (case-insensitive)
+ * @returns {number|null} Seed, or null if the code is not valid
+ */
+export function parseSeed(code) {
+  const text = String(code ?? '').trim();
+  if (!/^[0-9a-z]{1,7}$/i.test(text)) return null;
+  const seed = parseInt(text, SEED_CODE_RADIX);
+  return seed <= MAX_SEED ? seed : null;
+}
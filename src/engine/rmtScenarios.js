@@ -0,0 +1,324 @@
+/**
+ * rMT Scenario Engine
+ * ===================
+ * Instructor-authored rMT cases: a fixed subject (true MT, hotspot
+ * location and map) plus trial constraints (pulse budget, time limit,
+ * start intensity, allowed titration methods). Anything left null is
+ * drawn at random as in a normal trial, from the scenario seed if set.
+ *
+ * Scenario (all fields but name optional):
+ *   {
+ *     name, notes,
+ *     seed,             // Fixes the remaining randomness
+ *     trueMT,           // %MSO; used as is, the map depth does not shift it
+ *     hotspot: {
+ *       difficulty,     // HOTSPOT_DIFFICULTY key for the generated map
+ *       offsetMm,       // [x, z] from C3: +x patient left, +z anterior
+ *       depthMm,
+ *       optimalTwistDeg,// Best handle direction, -45 = 45° posterolateral
+ *       peaks,          // Full peak list (see hotspotModel), FDI first
+ *     },
+ *     pulseBudget,      // Pulses for the whole trial
+ *     timeLimitSec,
+ *     startIntensity,   // %MSO
+ *     methods,          // Allowed titration methods, keys of SCENARIO_METHODS
+ *   }
+ *
+ * Export file format:
+ *   { format: 'tms-rmt-scenarios', version: 1, exportedAt, scenarios: [...] }
+ */
+
+import { HOTSPOT_DIFFICULTY, wrapAngle } from './hotspotModel.js';
+import { MAX_SEED } from './random.js';
+import { createLibraryId, getUniqueName } from './protocolLibrary.js';
+
+export const SCENARIO_FORMAT = 'tms-rmt-scenarios';
+export const SCENARIO_VERSION = 1;
+
+// Titration methods a scenario can allow
+export const SCENARIO_METHODS = {
+  single: 'Single pulses',
+  block: '10-pulse trials',
+};
+
+// Accepted ranges
+export const SCENARIO_LIMITS = {
+  trueMT: [30, 85], // As MT_CONSTANTS.mtLimits
+  offsetMm: [-40, 40],
+  optimalTwistDeg: [-180, 180],
+  depthMm: [8, 24],
+  pulseBudget: [10, 1000],
+  timeLimitSec: [30, 3600],
+  startIntensity: [0, 100],
+};
+
+const BUILT_IN_PREFIX = 'builtin:';
+
+export function isBuiltInScenarioId(id) {
+  return typeof id === 'string' && id.startsWith(BUILT_IN_PREFIX);
+}
+
+const inRange = (value, [min, max]) => typeof value === 'number' && Number.isFinite(value) && value >= min && value <= max;
+const rangeOrNull = (value, limits) => (inRange(value, limits) ? value : null);
+
+function normalizePeak(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  const { alongMm, acrossMm, spreadMm, thresholdOffset } = raw;
+  const finite = [alongMm, acrossMm, thresholdOffset].every(v => typeof v === 'number' && Number.isFinite(v));
+  const spread = Array.isArray(spreadMm) && spreadMm.length === 2 && spreadMm.every(v => inRange(v, [1, 60]));
+  return finite && spread ? { alongMm, acrossMm, spreadMm: [...spreadMm], thresholdOffset } : null;
+}
+
+function normalizeHotspot(raw) {
+  const source = raw && typeof raw === 'object' ? raw : {};
+  const offset = Array.isArray(source.offsetMm) && source.offsetMm.length === 2
+    && source.offsetMm.every(v => inRange(v, SCENARIO_LIMITS.offsetMm));
+  const peaks = Array.isArray(source.peaks) ? source.peaks.map(normalizePeak) : null;
+  return {
+    difficulty: HOTSPOT_DIFFICULTY[source.difficulty] ? source.difficulty : null,
+    offsetMm: offset ? [...source.offsetMm] : null,
+    depthMm: rangeOrNull(source.depthMm, SCENARIO_LIMITS.depthMm),
+    optimalTwistDeg: rangeOrNull(source.optimalTwistDeg, SCENARIO_LIMITS.optimalTwistDeg),
+    // The whole list or nothing: a dropped peak would change the case
+    peaks: peaks && peaks.length > 0 && peaks.every(Boolean) ? peaks : null,
+  };
+}
+
+/**
+ * Check and normalize a stored/imported scenario
+ * @param {Object} raw
+ * @returns {Object | null} Scenario, or null without a name; bad or
+ *   out-of-range fields become null (random / unconstrained)
+ */
+export function normalizeScenario(raw) {
+  if (!raw || typeof raw !== 'object') return null;
+  if (typeof raw.name !== 'string' || !raw.name.trim()) return null;
+
+  const methods = Array.isArray(raw.methods) ? raw.methods.filter(m => SCENARIO_METHODS[m]) : [];
+  return {
+    id: typeof raw.id === 'string' && !isBuiltInScenarioId(raw.id) ? raw.id : createLibraryId('s'),
+    name: raw.name.trim(),
+    notes: typeof raw.notes === 'string' ? raw.notes : '',
+    seed: Number.isInteger(raw.seed) && raw.seed >= 0 && raw.seed <= MAX_SEED ? raw.seed : null,
+    trueMT: rangeOrNull(raw.trueMT, SCENARIO_LIMITS.trueMT),
+    hotspot: normalizeHotspot(raw.hotspot),
+    pulseBudget: Number.isInteger(raw.pulseBudget) ? rangeOrNull(raw.pulseBudget, SCENARIO_LIMITS.pulseBudget) : null,
+    timeLimitSec: rangeOrNull(raw.timeLimitSec, SCENARIO_LIMITS.timeLimitSec),
+    startIntensity: Number.isInteger(raw.startIntensity) ? rangeOrNull(raw.startIntensity, SCENARIO_LIMITS.startIntensity) : null,
+    methods: methods.length > 0 ? [...new Set(methods)] : Object.keys(SCENARIO_METHODS),
+  };
+}
+
+// Range-checked fields as the editor shows them (time limit in minutes)
+const EDITOR_FIELDS = {
+  trueMT: { label: 'True MT', unit: '%MSO' },
+  depthMm: { label: 'Cortex depth', unit: 'mm' },
+  optimalTwistDeg: { label: 'Best handle angle', unit: '°' },
+  pulseBudget: { label: 'Pulse budget', unit: 'pulses', integer: true },
+  timeLimitSec: { label: 'Time limit', unit: 'min', perUnit: 60 },
+  startIntensity: { label: 'Start intensity', unit: '%MSO', integer: true },
+};
+
+/**
+ * Fields of an authored scenario that normalizeScenario would drop
+ * @param {Object} raw - Scenario as entered in the editor
+ * @returns {string[]} Messages; empty when the scenario saves as entered
+ */
+export function getScenarioIssues(raw) {
+  const issues = [];
+  if (typeof raw?.name !== 'string' || !raw.name.trim()) issues.push('Name is required');
+  const normalized = normalizeScenario({ ...raw, name: 'check' });
+  if (!normalized) return issues;
+
+  const entered = {
+    trueMT: raw.trueMT,
+    depthMm: raw.hotspot?.depthMm,
+    optimalTwistDeg: raw.hotspot?.optimalTwistDeg,
+    pulseBudget: raw.pulseBudget,
+    timeLimitSec: raw.timeLimitSec,
+    startIntensity: raw.startIntensity,
+  };
+  const kept = { ...normalized, ...normalized.hotspot };
+  Object.entries(entered).forEach(([field, value]) => {
+    if (value === null || value === undefined || kept[field] !== null) return;
+    const { label, unit, integer = false, perUnit = 1 } = EDITOR_FIELDS[field];
+    const [min, max] = SCENARIO_LIMITS[field];
+    issues.push(`${label} must be ${integer ? 'a whole number ' : ''}from ${min / perUnit} to ${max / perUnit} ${unit}`);
+  });
+  const offset = raw.hotspot?.offsetMm;
+  if (offset && !normalized.hotspot.offsetMm) {
+    const [min, max] = SCENARIO_LIMITS.offsetMm;
+    issues.push(`Hotspot position needs both distances, each from ${min} to ${max} mm`);
+  }
+  // An empty list would silently allow every method
+  if (Array.isArray(raw.methods) && !raw.methods.some(m => SCENARIO_METHODS[m])) {
+    issues.push('Allow at least one titration method');
+  }
+  return issues;
+}
+
+/**
+ * Saveable scenario from the editor (or a copy of another scenario)
+ * @param {Object} raw - Scenario fields; a user scenario's id is kept so
+ *   saving replaces it
+ * @param {string[]} [existingNames] - Names of the other saved scenarios
+ * @returns {Object | null} Normalized scenario with a unique name; null without a name
+ */
+export function createScenarioEntry(raw, existingNames = []) {
+  const scenario = normalizeScenario(raw);
+  if (!scenario) return null;
+  scenario.name = getUniqueName(scenario.name, existingNames);
+  return scenario;
+}
+
+/**
+ * Example cases, read-only
+ */
+export const BUILT_IN_SCENARIOS = [
+  {
+    id: `${BUILT_IN_PREFIX}high-threshold`,
+    name: 'High-threshold patient',
+    notes: 'Deep cortex and an MT near 78% - expect no MEPs at the usual starting intensities.',
+    trueMT: 78,
+    hotspot: { difficulty: 'standard', depthMm: 18 },
+    startIntensity: 50,
+  },
+  {
+    id: `${BUILT_IN_PREFIX}far-posterior`,
+    name: 'Hotspot far posterior to C3',
+    notes: 'The FDI hotspot sits 3 cm behind C3; searching only around C3 will not find it.',
+    hotspot: { difficulty: 'standard', offsetMm: [-4, -30] },
+  },
+  {
+    id: `${BUILT_IN_PREFIX}time-pressure`,
+    name: 'Busy clinic: 150 pulses, 5 minutes',
+    notes: 'Limited pulses and time, 10-pulse trials only during titration.',
+    hotspot: { difficulty: 'easy' },
+    pulseBudget: 150,
+    timeLimitSec: 300,
+    startIntensity: 60,
+    methods: ['block'],
+  },
+].map(scenario => ({ ...normalizeScenario(scenario), id: scenario.id, builtIn: true }));
+
+/**
+ * Apply a scenario's fixed hotspot fields to a generated map
+ * @param {Object} map - From generateHotspotMap
+ * @param {Object} scenario - Normalized scenario
+ * @returns {Object} New map
+ */
+export function applyScenarioToMap(map, scenario) {
+  const { offsetMm, depthMm, optimalTwistDeg, peaks } = scenario.hotspot;
+  const optimalTwist = optimalTwistDeg === null ? map.optimalTwist : wrapAngle(optimalTwistDeg * Math.PI / 180);
+  return {
+    ...map,
+    optimalTwist,
+    sulcusAngle: -optimalTwist,
+    offsetMm: offsetMm ? [...offsetMm] : map.offsetMm,
+    depthMm: depthMm ?? map.depthMm,
+    peaks: peaks ? peaks.map(p => ({ ...p, spreadMm: [...p.spreadMm] })) : map.peaks,
+  };
+}
+
+/**
+ * Why a scenario forbids the next pulse(s)
+ * @param {Object | null} scenario - The running trial's scenario
+ * @param {{ phase: string, kind: 'single' | 'block', count: number, pulsesUsed: number, elapsedSec: number }} request
+ *   kind is the titration method; hunt pulses are always single
+ * @returns {string | null} Reason, or null if allowed
+ */
+export function getScenarioPulseBlock(scenario, { phase, kind, count, pulsesUsed, elapsedSec }) {
+  if (!scenario) return null;
+  if (scenario.timeLimitSec !== null && elapsedSec >= scenario.timeLimitSec) {
+    return 'Time limit reached - submit your answer';
+  }
+  if (scenario.pulseBudget !== null && pulsesUsed + count > scenario.pulseBudget) {
+    const left = Math.max(0, scenario.pulseBudget - pulsesUsed);
+    return left === 0 ? 'Pulse budget used up - submit your answer' : `Only ${left} pulse${left === 1 ? '' : 's'} left in the budget`;
+  }
+  if (phase === 'titration' && !scenario.methods.includes(kind)) {
+    return `${SCENARIO_METHODS[kind]} are not allowed in this scenario`;
+  }
+  return null;
+}
+
+/**
+ * Short description of a scenario's constraints for the picker
+ * @param {Object} scenario
+ * @returns {string[]}
+ */
+export function describeScenario(scenario) {
+  const tags = [];
+  if (scenario.trueMT !== null) tags.push(`MT ${scenario.trueMT}%`);
+  if (scenario.hotspot.offsetMm) tags.push('Fixed hotspot');
+  if (scenario.pulseBudget !== null) tags.push(`${scenario.pulseBudget} pulses`);
+  if (scenario.timeLimitSec !== null) tags.push(`${Math.round(scenario.timeLimitSec / 60)} min`);
+  if (scenario.methods.length < Object.keys(SCENARIO_METHODS).length) {
+    tags.push(scenario.methods.map(m => SCENARIO_METHODS[m]).join(', '));
+  }
+  return tags;
+}
+
+/**
+ * Serialize user scenarios to the versioned export format
+ * @param {Object[]} scenarios
+ * @returns {string} JSON text
+ */
+export function serializeScenarios(scenarios) {
+  return JSON.stringify({
+    format: SCENARIO_FORMAT,
+    version: SCENARIO_VERSION,
+    exportedAt: new Date().toISOString(),
+    scenarios: scenarios.filter(s => !s.builtIn).map(({ builtIn, ...s }) => s),
+  }, null, 2);
+}
+
+/**
+ * Parse a scenario file. Accepts the export format or a bare scenario
+ * object, so an instructor can hand-write a single case.
+ * Imported scenarios get fresh ids and de-duplicated names.
+ * @param {string} text - File contents
+ * @param {string[]} [existingNames] - Names already saved
+ * @returns {{ scenarios: Object[], errors: string[] }}
+ */
+export function parseScenarioFile(text, existingNames = []) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { scenarios: [], errors: ['File is not valid JSON'] };
+  }
+
+  let list;
+  if (data && data.format === SCENARIO_FORMAT) {
+    if (!(data.version >= 1) || data.version > SCENARIO_VERSION) {
+      return { scenarios: [], errors: [`Unsupported scenario version ${data.version} (expected ${SCENARIO_VERSION})`] };
+    }
+    if (!Array.isArray(data.scenarios)) {
+      return { scenarios: [], errors: ['Scenario file has no scenarios'] };
+    }
+    list = data.scenarios;
+  } else if (data && typeof data === 'object' && typeof data.name === 'string') {
+    list = [data];
+  } else {
+    return { scenarios: [], errors: ['Not an rMT scenario file'] };
+  }
+
+  const scenarios = [];
+  const errors = [];
+  const names = [...existingNames];
+
+  list.forEach((raw, i) => {
+    const scenario = normalizeScenario(raw);
+    if (!scenario) {
+      errors.push(`Scenario ${i + 1} skipped - missing name`);
+      return;
+    }
+    scenario.id = createLibraryId('s');
+    scenario.name = getUniqueName(scenario.name, names);
+    names.push(scenario.name);
+    scenarios.push(scenario);
+  });
+
+  return { scenarios, errors };
+}
@@ -0,0 +1,131 @@
+/**
+ * Scalp Paths
+ * ===========
+ * Paths over the scalp for tape measurements (engine/beamF3.js) and the
+ * 10-10 electrode construction (engine/tenTen.js).
+ *
+ * Paths are arrays of [x, y, z] points in world metres. Functions that
+ * need the scalp take project(point) -> point | null, which drops a
+ * point onto it.
+ */
+
+// Spacing of scalp samples along a path (m)
+const PATH_STEP = 0.002;
+
+const sub = (a, b) => a.map((v, i) => v - b[i]);
+const lerp = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+const distance = (a, b) => Math.hypot(...sub(a, b));
+
+/**
+ * @param {number[][]} points
+ * @param {boolean} [closed=false] - Count the segment back to the start
+ * @returns {number} Length in the points' unit
+ */
+export function pathLength(points, closed = false) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) length += distance(points[i - 1], points[i]);
+  if (closed && points.length > 2) length += distance(points[points.length - 1], points[0]);
+  return length;
+}
+
+/**
+ * Point a given distance along a path
+ * @param {number[][]} points
+ * @param {number} along - Distance from the first point
+ * @param {boolean} [closed=false] - Wrap around a loop
+ * @returns {number[] | null} Clamped to the ends of an open path; null
+ *   for an empty path
+ */
+export function pointAlongPath(points, along, closed = false) {
+  if (points.length === 0) return null;
+  const loop = closed && points.length > 2 ? [...points, points[0]] : points;
+  const total = pathLength(points, closed);
+  let remaining = closed && total > 0 ? ((along % total) + total) % total : Math.max(0, along);
+
+  for (let i = 1; i < loop.length; i++) {
+    const segment = distance(loop[i - 1], loop[i]);
+    if (remaining <= segment) return lerp(loop[i - 1], loop[i], segment > 0 ? remaining / segment : 0);
+    remaining -= segment;
+  }
+  return [...loop[loop.length - 1]];
+}
+
+/**
+ * Lay a path over the scalp through waypoints: straight segments
+ * between them, sampled every PATH_STEP and dropped onto the scalp.
+ * Samples that miss the scalp are left out.
+ * @param {number[][]} waypoints - Points on the scalp
+ * @param {(point: number[]) => number[] | null} project
+ * @param {{ closed?: boolean, step?: number }} [options] - closed adds
+ *   the segment back to the first waypoint
+ * @returns {number[][]}
+ */
+export function traceSurfacePath(waypoints, project, { closed = false, step = PATH_STEP } = {}) {
+  if (waypoints.length < 2) return waypoints.map(p => [...p]);
+  const ends = closed && waypoints.length > 2 ? [...waypoints, waypoints[0]] : waypoints;
+  const path = [];
+
+  for (let i = 1; i < ends.length; i++) {
+    const a = ends[i - 1];
+    const b = ends[i];
+    path.push([...a]);
+    const samples = Math.ceil(distance(a, b) / step);
+    for (let s = 1; s < samples; s++) {
+      const point = project(lerp(a, b, s / samples));
+      if (point) path.push(point);
+    }
+  }
+  if (!closed || waypoints.length < 3) path.push([...ends[ends.length - 1]]);
+  return path;
+}
+
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+/**
+ * Lay a path over the scalp along the plane curve through three points:
+ * the circle through them, from a through via to b, sampled every
+ * PATH_STEP and dropped onto the scalp. The three points are kept;
+ * samples that miss the scalp are left out. Falls back to
+ * traceSurfacePath when the points are in line.
+ * @param {number[]} a
+ * @param {number[]} via
+ * @param {number[]} b
+ * @param {(point: number[]) => number[] | null} project
+ * @param {{ step?: number }} [options]
+ * @returns {number[][]}
+ */
+export function traceSurfaceArc(a, via, b, project, { step = PATH_STEP } = {}) {
+  const ab = sub(b, a);
+  const av = sub(via, a);
+  const normal = cross(ab, av);
+  const normalSq = dot(normal, normal);
+  if (normalSq < 1e-12) return traceSurfacePath([a, via, b], project, { step });
+
+  // Circumcentre of the three points
+  const offset = cross(normal, ab).map((v, i) => v * dot(av, av) + cross(av, normal)[i] * dot(ab, ab));
+  const center = a.map((v, i) => v + offset[i] / (2 * normalSq));
+  const radius = distance(a, center);
+
+  // In-plane basis from the centre toward a, turning toward via
+  const e1 = sub(a, center).map(v => v / radius);
+  const e2 = cross(e1, normal).map(v => v / Math.sqrt(normalSq));
+  const angleOf = (p) => {
+    const d = sub(p, center);
+    const angle = Math.atan2(dot(d, e2), dot(d, e1));
+    return angle < 0 ? angle + 2 * Math.PI : angle;
+  };
+  const pointAt = (angle) => center.map((v, i) => v + radius * (Math.cos(angle) * e1[i] + Math.sin(angle) * e2[i]));
+
+  const path = [];
+  [[0, angleOf(via), a], [angleOf(via), angleOf(b), via]].forEach(([from, to, start]) => {
+    path.push([...start]);
+    const samples = Math.ceil(radius * (to - from) / step);
+    for (let s = 1; s < samples; s++) {
+      const point = project(pointAt(from + (to - from) * s / samples));
+      if (point) path.push(point);
+    }
+  });
+  path.push([...b]);
+  return path;
+}
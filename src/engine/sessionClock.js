@@ -0,0 +1,106 @@
+/**
+ * Session Clock
+ * =============
+ * Monotonic session timer for the simulator loop.
+ *
+ * Session time is measured from performance.now() timestamps rather than
+ * summed requestAnimationFrame deltas, so it stays correct when frames
+ * are dropped or the tab is hidden (rAF stops entirely in background
+ * tabs). Time only advances while the clock is running; pauses are
+ * excluded.
+ *
+ * The loop drives the scheduler to clock.elapsed() every frame. A step
+ * larger than MAX_FRAME_GAP means the loop stalled (usually a hidden tab):
+ * the scheduler catches up by emitting the missed pulses at once, and the
+ * stall is flagged so the session record shows pulses were delivered late.
+ *
+ * For classroom demos the clock can run faster than real time (rate) and
+ * jump forward (skip). Session time - and so pulse timing, ITI progress
+ * and log sessionTime - stays on the protocol's own time base.
+ */
+
+// Largest step (s) treated as normal frame jitter; anything longer is a stall
+export const MAX_FRAME_GAP = 0.25;
+
+// How often the loop publishes elapsed time to the store (ms)
+export const CLOCK_PUBLISH_INTERVAL_MS = 250;
+
+// Playback speeds offered in the UI (session seconds per real second)
+export const TIME_SCALES = [1, 2, 5, 10];
+
+function defaultNow() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+export class SessionClock {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.startAt=0] - Initial session time (s), e.g. a recovered session
+   * @param {number} [options.rate=1] - Session seconds per real second
+   * @param {() => number} [options.now] - Monotonic time source in ms
+   */
+  constructor({ startAt = 0, rate = 1, now = defaultNow } = {}) {
+    this.now = now;
+    this.rate = rate;
+    this.accumulated = startAt; // Session seconds banked before the current run
+    this.runningSince = null;   // Timestamp (ms) of the current run, null when paused
+  }
+
+  get isRunning() {
+    return this.runningSince !== null;
+  }
+
+  start() {
+    if (this.runningSince === null) {
+      this.runningSince = this.now();
+    }
+  }
+
+  pause() {
+    if (this.runningSince === null) return;
+    this.accumulated += this.rate * (this.now() - this.runningSince) / 1000;
+    this.runningSince = null;
+  }
+
+  /**
+   * Change playback speed; time already elapsed keeps its old rate
+   * @param {number} rate - Session seconds per real second
+   */
+  setRate(rate) {
+    if (rate === this.rate) return;
+    if (this.runningSince !== null) {
+      const now = this.now();
+      this.accumulated += this.rate * (now - this.runningSince) / 1000;
+      this.runningSince = now;
+    }
+    this.rate = rate;
+  }
+
+  /**
+   * Jump session time forward
+   * @param {number} seconds
+   */
+  skip(seconds) {
+    this.accumulated += Math.max(0, seconds);
+  }
+
+  /**
+   * Session time in seconds, excluding pauses
+   * @returns {number}
+   */
+  elapsed() {
+    if (this.runningSince === null) return this.accumulated;
+    return this.accumulated + this.rate * (this.now() - this.runningSince) / 1000;
+  }
+}
+
+/**
+ * Remaining session time
+ * @param {number | null} sessionDuration - From calculateSessionTiming
+ * @param {number} elapsed - Session seconds elapsed
+ * @returns {number | null}
+ */
+export function getRemainingTime(sessionDuration, elapsed) {
+  if (sessionDuration === null || sessionDuration === undefined) return null;
+  return Math.max(0, sessionDuration - elapsed);
+}
@@ -0,0 +1,182 @@
+/**
+ * Session Log Engine
+ * ==================
+ * Structured treatment record for simulator sessions: one entry per
+ * pulse and per operator/coil event, each stamped with wall-clock time,
+ * session time, intensity (%MT and, with a motor threshold, %MSO), coil
+ * pose and target distances.
+ *
+ * Exported as CSV (one row per entry) or versioned JSON:
+ *   { format: 'tms-session-log', version: 1, exportedAt, protocol, motorThreshold, entries }
+ */
+
+import { toMSO } from './doseAccounting.js';
+
+export const SESSION_LOG_FORMAT = 'tms-session-log';
+export const SESSION_LOG_VERSION = 1;
+
+export const SESSION_EVENTS = {
+  START: 'start',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  STOP: 'stop',
+  COMPLETE: 'complete',
+  RECOVER: 'recover',
+  TIMING_GAP: 'timing-gap',
+  TIME_SCALE: 'time-scale',
+  SKIP: 'skip',
+  BLOCK_COMPLETE: 'block-complete',
+  BLOCK_START: 'block-start',
+  PULSE: 'pulse',
+  INTENSITY: 'intensity-change',
+  OFF_TARGET: 'off-target',
+  ON_TARGET: 'on-target',
+  LOCK: 'lock',
+  UNLOCK: 'unlock',
+};
+
+// Coil-to-target distance (mm) for off-target events; the lower
+// return threshold stops flicker at the boundary
+export const OFF_TARGET_MM = 10;
+export const ON_TARGET_MM = 7;
+
+// Intensity edits closer together than this (ms) are merged into one entry
+export const INTENSITY_COALESCE_MS = 2000;
+
+/**
+ * Distance between a coil position array and a target point, in mm
+ * @param {number[]} position - [x, y, z] in metres
+ * @param {{ x: number, y: number, z: number }} target - Vector3-like, metres
+ * @returns {number | null}
+ */
+export function distanceToTargetMm(position, target) {
+  if (!position || !target) return null;
+  return Math.hypot(position[0] - target.x, position[1] - target.y, position[2] - target.z) * 1000;
+}
+
+/**
+ * Decide whether the coil crossed the off-target boundary
+ * @param {boolean} wasOffTarget
+ * @param {number | null} distanceMm
+ * @returns {boolean} New off-target state
+ */
+export function isOffTarget(wasOffTarget, distanceMm) {
+  if (distanceMm === null) return wasOffTarget;
+  return wasOffTarget ? distanceMm > ON_TARGET_MM : distanceMm > OFF_TARGET_MM;
+}
+
+/**
+ * Build a log entry from store state
+ * @param {string} type - One of SESSION_EVENTS
+ * @param {Object} state - Store state (protocol, session, coil, targets)
+ * @param {Object} [details] - Event-specific fields
+ * @param {number} [sessionTime] - Seconds from session start (defaults to session.elapsedTime)
+ * @returns {Object}
+ */
+export function createLogEntry(type, state, details = {}, sessionTime) {
+  const { protocol, session, coilPosition, coilRotation, nearestTarget, targetPositions } = state;
+  const targetKey = session.targetKey || null;
+
+  return {
+    type,
+    timestamp: new Date().toISOString(),
+    sessionTime: sessionTime ?? session.elapsedTime,
+    timeScale: session.timeScale ?? 1,
+    pulsesDelivered: session.pulsesDelivered,
+    intensity: protocol.intensity,
+    intensityMSO: toMSO(protocol.intensity, session.motorThreshold),
+    coil: {
+      position: coilPosition ? [...coilPosition] : null,
+      rotation: coilRotation ? [...coilRotation] : null,
+    },
+    nearestTarget: nearestTarget?.name
+      ? { name: nearestTarget.name, distanceMm: nearestTarget.distance }
+      : null,
+    target: targetKey,
+    targetDistanceMm: targetKey ? distanceToTargetMm(coilPosition, targetPositions?.[targetKey]) : null,
+    details,
+  };
+}
+
+/**
+ * The whole log in order from events and pulses kept apart (the store
+ * appends a session's thousands of pulses without copying the log).
+ * Each event goes after the pulse its pulsesDelivered count reached.
+ * @param {Object[]} events - Entries other than pulses, in order
+ * @param {Object[]} pulses - Pulse entries, in order
+ * @returns {Object[]}
+ */
+export function mergeSessionLog(events, pulses) {
+  const merged = [];
+  let next = 0;
+  for (const pulse of pulses) {
+    while (next < events.length && events[next].pulsesDelivered < pulse.pulsesDelivered) {
+      merged.push(events[next++]);
+    }
+    merged.push(pulse);
+  }
+  return merged.concat(events.slice(next));
+}
+
+const CSV_COLUMNS = [
+  'seq', 'timestamp', 'sessionTime', 'timeScale', 'type', 'pulsesDelivered', 'pulseIndex', 'trainIndex',
+  'intensity', 'intensityMSO', 'coilX', 'coilY', 'coilZ', 'coilQx', 'coilQy', 'coilQz', 'coilQw',
+  'nearestTarget', 'nearestDistanceMm', 'target', 'targetDistanceMm', 'details',
+];
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'number' ? String(Number(value.toFixed(6))) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize entries as CSV, one row per entry
+ * @param {Object[]} entries
+ * @returns {string}
+ */
+export function sessionLogToCSV(entries) {
+  const rows = entries.map((entry, i) => {
+    const { pulseIndex, trainIndex, ...rest } = entry.details || {};
+    const position = entry.coil?.position || [];
+    const rotation = entry.coil?.rotation || [];
+    return [
+      i + 1,
+      entry.timestamp,
+      entry.sessionTime,
+      entry.timeScale,
+      entry.type,
+      entry.pulsesDelivered,
+      pulseIndex,
+      trainIndex,
+      entry.intensity,
+      entry.intensityMSO,
+      ...[0, 1, 2].map(k => position[k]),
+      ...[0, 1, 2, 3].map(k => rotation[k]),
+      entry.nearestTarget?.name,
+      entry.nearestTarget?.distanceMm,
+      entry.target,
+      entry.targetDistanceMm,
+      Object.keys(rest).length > 0 ? JSON.stringify(rest) : '',
+    ].map(csvCell).join(',');
+  });
+  return [CSV_COLUMNS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Serialize entries as versioned JSON
+ * @param {Object[]} entries
+ * @param {Object} protocol - Protocol the session ran
+ * @param {number | null} [motorThreshold=null] - MT (%MSO) the session was dosed against
+ * @returns {string}
+ */
+export function sessionLogToJSON(entries, protocol, motorThreshold = null) {
+  return JSON.stringify({
+    format: SESSION_LOG_FORMAT,
+    version: SESSION_LOG_VERSION,
+    exportedAt: new Date().toISOString(),
+    protocol,
+    motorThreshold,
+    entries,
+  }, null, 2);
+}
@@ -0,0 +1,147 @@
+/**
+ * Session Recovery Engine
+ * =======================
+ * Snapshots of a running session so it can be resumed after a reload
+ * or crash.
+ *
+ * A snapshot holds the protocol, the pulse count and the scheduler
+ * clock. On resume the clock is clamped to the delivered pulse count
+ * (the count is authoritative - the clock may be up to one save
+ * interval stale) and the scheduler is rebuilt at that point of the
+ * pulse timeline, inside the correct train or ITI.
+ *
+ * The wall-clock time between the last snapshot and the resume is
+ * recorded as a gap in the session.
+ *
+ * Multi-target protocols snapshot the current block; the clock is that
+ * block's scheduler clock. A session cut off while waiting for coil
+ * repositioning resumes still waiting.
+ *
+ * Only operator/coil events from the session log are kept in the
+ * snapshot; per-pulse entries are too large to rewrite every second.
+ */
+
+import { generatePulseTimeline, getTimelineStateAt } from './pulseScheduler.js';
+import { pickProtocolFields } from './protocolLibrary.js';
+import { getBlockPlan } from './protocolBlocks.js';
+import { SESSION_EVENTS } from './sessionLog.js';
+
+export const SESSION_SNAPSHOT_VERSION = 1;
+
+// Minimum time between snapshots written from the session loop (ms)
+export const SNAPSHOT_INTERVAL_MS = 1000;
+
+// Keeps a resumed clock strictly before the next undelivered pulse (s)
+const RESUME_MARGIN = 1e-6;
+
+/**
+ * Build a snapshot of a running session
+ * @param {{ protocol: Object, session: Object, sessionLog?: Object[] }} state - Store state
+ * @param {number} clock - Scheduler clock (seconds from the current block's start)
+ * @param {number} [now=Date.now()] - Wall-clock time (ms)
+ * @returns {Object}
+ */
+export function createSessionSnapshot({ protocol, session, sessionLog = [] }, clock, now = Date.now()) {
+  return {
+    version: SESSION_SNAPSHOT_VERSION,
+    savedAt: now,
+    protocol: pickProtocolFields(protocol),
+    session: {
+      pulsesDelivered: session.pulsesDelivered,
+      clock,
+      isPaused: session.isPaused,
+      safetyOverride: session.safetyOverride,
+      gaps: session.gaps || [],
+      targetKey: session.targetKey || null,
+      blockIndex: session.blockIndex || 0,
+      awaitingReposition: session.awaitingReposition === true,
+      motorThreshold: session.motorThreshold ?? null,
+    },
+    log: sessionLog.filter(entry => entry.type !== SESSION_EVENTS.PULSE),
+  };
+}
+
+/**
+ * Check a stored snapshot is resumable
+ * @param {Object} raw - Parsed storage value
+ * @returns {Object | null} Snapshot, or null if unusable or already complete
+ */
+export function normalizeSessionSnapshot(raw) {
+  if (!raw || raw.version !== SESSION_SNAPSHOT_VERSION) return null;
+  if (!raw.protocol || !raw.session || !(raw.savedAt > 0)) return null;
+
+  const plan = getBlockPlan(raw.protocol);
+  const { pulsesDelivered, clock } = raw.session;
+  const blockIndex = raw.session.blockIndex ?? 0;
+  const block = plan?.blocks[blockIndex];
+  if (!block || !Number.isInteger(pulsesDelivered) || !(clock >= 0)) return null;
+  if (pulsesDelivered <= 0 || pulsesDelivered >= plan.totalPulses) return null;
+
+  // Pulse count must fall inside the snapshot's block (at its start while repositioning)
+  const blockPulses = pulsesDelivered - block.firstPulse;
+  if (blockPulses < 0 || blockPulses >= block.protocol.totalPulses) return null;
+  if (raw.session.awaitingReposition && blockPulses !== 0) return null;
+
+  return {
+    ...raw,
+    session: {
+      ...raw.session,
+      blockIndex,
+      awaitingReposition: raw.session.awaitingReposition === true,
+      gaps: Array.isArray(raw.session.gaps) ? raw.session.gaps : [],
+    },
+    log: Array.isArray(raw.log) ? raw.log : [],
+  };
+}
+
+/**
+ * Work out where to restart a recovered session
+ * @param {Object} snapshot - Normalized snapshot
+ * @returns {{ clock: number, pulsesDelivered: number, blockIndex: number, blockStartTime: number,
+ *   awaitingReposition: boolean, trainIndex: number, inITI: boolean, totalTrains: number }}
+ *   clock is relative to the block's start; blockStartTime offsets it into the session
+ */
+export function getResumePoint(snapshot) {
+  const { pulsesDelivered, blockIndex, awaitingReposition } = snapshot.session;
+  const block = getBlockPlan(snapshot.protocol).blocks[blockIndex];
+  const timeline = generatePulseTimeline(block.protocol);
+  const { events } = timeline;
+  const blockPulses = pulsesDelivered - block.firstPulse;
+
+  // Clock must sit after the last delivered pulse and before the next one
+  const lastPulse = blockPulses > 0 ? events[blockPulses - 1].time : 0;
+  const nextPulse = events[blockPulses].time;
+  const clock = awaitingReposition
+    ? 0
+    : Math.min(Math.max(snapshot.session.clock, lastPulse), nextPulse - RESUME_MARGIN);
+
+  const state = getTimelineStateAt(timeline, clock);
+  return {
+    clock,
+    pulsesDelivered,
+    blockIndex,
+    blockStartTime: block.startTime,
+    awaitingReposition,
+    trainIndex: state.trainIndex,
+    inITI: state.iti !== null,
+    totalTrains: timeline.timing.totalTrains,
+  };
+}
+
+/**
+ * Describe the interruption for the session record
+ * @param {Object} snapshot - Normalized snapshot
+ * @param {Object} resumePoint - Result of getResumePoint
+ * @param {number} [now=Date.now()] - Wall-clock time (ms)
+ * @returns {{ clock: number, pulsesDelivered: number, trainIndex: number, interruptedAt: string, resumedAt: string, duration: number }}
+ */
+export function createSessionGap(snapshot, resumePoint, now = Date.now()) {
+  return {
+    clock: resumePoint.clock,
+    pulsesDelivered: resumePoint.pulsesDelivered,
+    trainIndex: resumePoint.trainIndex,
+    interruptedAt: new Date(snapshot.savedAt).toISOString(),
+    resumedAt: new Date(now).toISOString(),
+    duration: Math.max(0, (now - snapshot.savedAt) / 1000),
+  };
+}
@@ -0,0 +1,136 @@
+/**
+ * 10-10 Electrode Engine
+ * ======================
+ * 10-20 and 10-10 electrode positions from the four fiducials (nasion,
+ * inion, left and right preauricular points), by proportional distances
+ * along curves over the scalp. Each curve is the scalp under the plane
+ * through three points, as a tape laid between two of them over the
+ * third:
+ *   1. Cz halfway along both nasion-Cz-inion and LPA-Cz-RPA
+ *   2. Midline points at 10% steps of nasion-inion; T7/T8 at 10% of
+ *      LPA-RPA from each end
+ *   3. The circumference Fpz-T7-Oz (and -T8-) split in 10% steps
+ *   4. Each row from ring to ring over its midline point, split as
+ *      constants/electrodes.js lays out
+ *
+ * Works on [x, y, z] points in world metres with a project(point) that
+ * drops a point onto the scalp (see engine/scalpPaths.js).
+ */
+
+import { ELECTRODE_ROWS } from '../constants/electrodes.js';
+import { TARGETS } from '../constants/targets.js';
+import { pathLength, pointAlongPath, traceSurfaceArc } from './scalpPaths.js';
+import { orientFiducials } from './beamF3.js';
+
+// Refinements of Cz; each re-lays both arcs through the last estimate
+const CZ_ITERATIONS = 3;
+
+// Sample spacing of the construction curves (m) - coarser than a tape,
+// the positions are projected onto the scalp at the end
+const CURVE_STEP = 0.004;
+
+const add = (a, b) => a.map((v, i) => v + b[i]);
+const sub = (a, b) => a.map((v, i) => v - b[i]);
+const scale = (a, s) => a.map(v => v * s);
+const lerp = (a, b, t) => a.map((v, i) => v + (b[i] - v) * t);
+const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+const normalize = (a) => scale(a, 1 / Math.hypot(...a));
+const distance = (a, b) => Math.hypot(...sub(a, b));
+
+// Point a fraction of the way along a path
+const atFraction = (path, fraction) => pointAlongPath(path, fraction * pathLength(path));
+
+// A path split at its point nearest a position, both halves starting there
+function splitAt(path, position) {
+  let index = 0;
+  path.forEach((p, i) => {
+    if (distance(p, position) < distance(path[index], position)) index = i;
+  });
+  return [path.slice(0, index + 1).reverse(), path.slice(index)];
+}
+
+/**
+ * @param {{ nasion: number[], inion: number[], lpa: number[], rpa: number[] }} fiducials -
+ *   LPA and RPA in either order, see orientFiducials
+ * @param {(point: number[]) => number[] | null} project
+ * @param {{ step?: number }} [options] - Sample spacing of the curves
+ * @returns {Object<string, number[]> | null} Position per electrode key;
+ *   null when a fiducial is missing or the vertex misses the scalp
+ */
+export function computeElectrodePositions(fiducials, project, { step = CURVE_STEP } = {}) {
+  const oriented = orientFiducials(fiducials);
+  if (!oriented) return null;
+  const { nasion, inion, lpa, rpa } = oriented;
+
+  const curve = (a, via, b) => traceSurfaceArc(a, via, b, project, { step });
+  const onScalp = (point) => project(point) ?? point;
+
+  // Start Cz above the fiducial plane: front x left points up
+  const centre = scale([nasion, inion, lpa, rpa].reduce(add), 0.25);
+  const up = normalize(cross(sub(nasion, inion), sub(lpa, rpa)));
+  const size = Math.max(Math.hypot(...sub(nasion, inion)), Math.hypot(...sub(lpa, rpa)));
+  let cz = project(add(centre, scale(up, size / 2)));
+  if (!cz) {
+    console.warn('[TenTen] Vertex not found on the scalp');
+    return null;
+  }
+
+  let midline;
+  let coronal;
+  for (let i = 0; i <= CZ_ITERATIONS; i++) {
+    midline = curve(nasion, cz, inion);
+    coronal = curve(lpa, cz, rpa);
+    if (i < CZ_ITERATIONS) cz = onScalp(lerp(atFraction(midline, 0.5), atFraction(coronal, 0.5), 0.5));
+  }
+
+  const fpz = atFraction(midline, 0.1);
+  const oz = atFraction(midline, 0.9);
+  const leftRing = curve(fpz, atFraction(coronal, 0.1), oz);
+  const rightRing = curve(fpz, atFraction(coronal, 0.9), oz);
+
+  const positions = {};
+  ELECTRODE_ROWS.forEach(({ row, ring, ringNumber, columns }, index) => {
+    const fraction = (index + 1) / 10;
+    const middle = atFraction(midline, fraction);
+    const left = atFraction(leftRing, fraction);
+    const right = atFraction(rightRing, fraction);
+
+    positions[`${row}z`] = middle;
+    positions[`${ring}${ringNumber}`] = left;
+    positions[`${ring}${ringNumber + 1}`] = right;
+
+    if (columns.length === 0) return;
+    const [toLeft, toRight] = splitAt(curve(left, middle, right), middle);
+    columns.forEach(c => {
+      positions[`${row}${c}`] = atFraction(toLeft, (c + 1) / 8);
+      positions[`${row}${c + 1}`] = atFraction(toRight, (c + 1) / 8);
+    });
+  });
+
+  return Object.fromEntries(Object.entries(positions).map(([key, point]) => [key, onScalp(point)]));
+}
+
+/**
+ * Target positions from head-model markers and computed electrodes.
+ * Markers win; a named target without one falls back to its electrode
+ * (FP2 -> Fp2), and electrodes that are named targets are not repeated.
+ * @param {Object | null} markers - Named targets found in the head model
+ * @param {Object | null} electrodes - computeElectrodePositions output
+ * @returns {Object | null} Position per TARGETS or electrode key; null
+ *   when neither is known
+ */
+export function mergeTargetPositions(markers, electrodes) {
+  if (!markers && !electrodes) return null;
+  const merged = {};
+  const named = new Set();
+
+  for (const [key, target] of Object.entries(TARGETS)) {
+    const position = markers?.[key] ?? (target.electrode ? electrodes?.[target.electrode] : null);
+    if (position) merged[key] = position;
+    if (target.electrode) named.add(target.electrode);
+  }
+  for (const [key, position] of Object.entries(electrodes ?? {})) {
+    if (!named.has(key)) merged[key] = position;
+  }
+  return merged;
+}
@@ -0,0 +1,261 @@
+/**
+ * Threshold Hunting Engine
+ * ========================
+ * Adaptive resting motor threshold (rMT) estimation.
+ *
+ * Methods:
+ *   - Rossini-Rothwell: relative frequency 5/10. Step down from a
+ *     suprathreshold intensity; an intensity passes with 5 twitches in
+ *     up to 10 pulses and fails with 6 misses. rMT is the lowest passing
+ *     intensity with the next 1% MSO below failing.
+ *   - PEST: parameter estimation by sequential testing, one pulse per
+ *     intensity as used for TMS by Awiszus. Twitch steps down, no
+ *     twitch steps up; the step halves on every reversal and doubles
+ *     from the third step in one direction (Taylor & Creelman rules).
+ *     Stops once the step would drop below 1% MSO.
+ *   - ML-PEST: Awiszus' maximum-likelihood PEST. Each pulse is given at
+ *     the current maximum-likelihood threshold; stops once the
+ *     confidence interval is narrow enough.
+ *
+ * All methods share a logistic response model
+ *   p(twitch) = 1 / (1 + exp(-(I - MT) / slope))
+ * with MT the 50% point, as in the simulator's twitch curve. The
+ * confidence interval reported for every method is the 95% likelihood
+ * ratio interval of MT given all responses so far.
+ *
+ * Hunts are plain objects: recordHuntResponse returns a new hunt with
+ * nextIntensity, estimate, ci and done updated.
+ */
+
+export const HUNT_METHODS = {
+  ROSSINI_ROTHWELL: 'rossini-rothwell',
+  PEST: 'pest',
+  ML_PEST: 'ml-pest',
+};
+
+export const HUNT_METHOD_LABELS = {
+  [HUNT_METHODS.ROSSINI_ROTHWELL]: 'Rossini-Rothwell 5/10',
+  [HUNT_METHODS.PEST]: 'PEST',
+  [HUNT_METHODS.ML_PEST]: 'ML-PEST',
+};
+
+export const HUNT_DEFAULTS = {
+  startIntensity: 60, // %MSO
+  range: [20, 100],   // Plausible rMT range (%MSO)
+  slope: 2,           // Logistic slope (%MSO)
+  maxTrials: 100,
+  pestStep: 8,        // Initial PEST step (%MSO)
+  ciWidth: 4,         // ML-PEST stops at this 95% CI width (%MSO)
+};
+
+// Rossini-Rothwell: 5 of 10 pulses
+const RR_PULSES = 10;
+const RR_HITS = 5;
+const RR_STEP = 2; // %MSO, until the first failing intensity
+
+// Likelihood grid resolution (%MSO)
+const GRID_STEP = 0.25;
+
+// Half the 95% chi-square(1) quantile - likelihood ratio interval
+const LR_CUTOFF = 3.841 / 2;
+
+const clamp = (value, [min, max]) => Math.max(min, Math.min(max, value));
+
+// log(1 + e^x) without overflow
+function softplus(x) {
+  return x > 0 ? x + Math.log1p(Math.exp(-x)) : Math.log1p(Math.exp(x));
+}
+
+function createGrid([min, max]) {
+  const grid = [];
+  for (let t = min; t <= max + 1e-9; t += GRID_STEP) grid.push(t);
+  return grid;
+}
+
+/**
+ * Add one response to a log-likelihood over candidate thresholds
+ * @param {number[]} logL - Per grid point, updated in place
+ * @param {number[]} grid - Candidate thresholds (%MSO)
+ * @param {{ intensity: number, twitch: boolean }} trial
+ * @param {number} slope
+ */
+function addResponse(logL, grid, { intensity, twitch }, slope) {
+  for (let i = 0; i < grid.length; i++) {
+    const x = (intensity - grid[i]) / slope;
+    logL[i] -= twitch ? softplus(-x) : softplus(x);
+  }
+}
+
+/**
+ * Maximum-likelihood threshold and 95% likelihood ratio interval
+ * @param {number[]} logL
+ * @param {number[]} grid
+ * @returns {{ estimate: number, ci: [number, number] }} A flat maximum
+ *   (e.g. no data) gives the middle of the plateau
+ */
+function summarizeLikelihood(logL, grid) {
+  const max = Math.max(...logL);
+  const best = grid.filter((_, i) => logL[i] >= max - 1e-9);
+  const inside = grid.filter((_, i) => logL[i] >= max - LR_CUTOFF);
+  return {
+    estimate: Math.round((best[0] + best[best.length - 1]) / 2 * 10) / 10,
+    ci: [inside[0], inside[inside.length - 1]],
+  };
+}
+
+/**
+ * Threshold estimate from any set of responses, e.g. a trainee's own
+ * titration pulses
+ * @param {Array<{ intensity: number, twitch: boolean }>} trials
+ * @param {{ slope?: number, range?: [number, number] }} [options]
+ * @returns {{ estimate: number, ci: [number, number] } | null} null without trials
+ */
+export function getLikelihoodEstimate(trials, { slope = HUNT_DEFAULTS.slope, range = HUNT_DEFAULTS.range } = {}) {
+  if (!trials?.length) return null;
+  const grid = createGrid(range);
+  const logL = grid.map(() => 0);
+  for (const trial of trials) addResponse(logL, grid, trial, slope);
+  return summarizeLikelihood(logL, grid);
+}
+
+/**
+ * Start a threshold hunt
+ * @param {string} method - HUNT_METHODS value
+ * @param {Partial<typeof HUNT_DEFAULTS>} [options]
+ * @returns {{
+ *   method: string,
+ *   options: Object,
+ *   trials: Array<{ intensity: number, twitch: boolean }>,
+ *   nextIntensity: number | null,
+ *   estimate: number | null,
+ *   ci: [number, number] | null,
+ *   done: boolean,
+ * } | null} null for an unknown method
+ */
+export function createThresholdHunt(method, options = {}) {
+  if (!Object.values(HUNT_METHODS).includes(method)) {
+    console.warn('[ThresholdHunting] Unknown method:', method);
+    return null;
+  }
+  const opts = { ...HUNT_DEFAULTS, ...options };
+  const grid = createGrid(opts.range);
+  return {
+    method,
+    options: opts,
+    trials: [],
+    nextIntensity: clamp(Math.round(opts.startIntensity), opts.range),
+    estimate: null,
+    ci: null,
+    done: false,
+    // Method bookkeeping
+    grid,
+    logL: grid.map(() => 0),
+    level: { hits: 0, misses: 0 },      // Rossini-Rothwell: current intensity
+    lowestPass: null,
+    highestFail: null,
+    step: opts.pestStep,                 // PEST
+    direction: 0,
+    runLength: 0,
+  };
+}
+
+function nextRossiniRothwell(hunt, { intensity, twitch }) {
+  const { range } = hunt.options;
+  const level = {
+    hits: hunt.level.hits + (twitch ? 1 : 0),
+    misses: hunt.level.misses + (twitch ? 0 : 1),
+  };
+  const passed = level.hits >= RR_HITS;
+  const failed = level.misses > RR_PULSES - RR_HITS;
+  if (!passed && !failed) {
+    return { level, nextIntensity: intensity, done: false };
+  }
+
+  const lowestPass = passed ? Math.min(intensity, hunt.lowestPass ?? Infinity) : hunt.lowestPass;
+  const highestFail = failed ? Math.max(intensity, hunt.highestFail ?? -Infinity) : hunt.highestFail;
+  const result = { level: { hits: 0, misses: 0 }, lowestPass, highestFail, estimate: lowestPass };
+
+  if (lowestPass === null) {
+    // Started below threshold - step up until an intensity passes
+    if (highestFail >= range[1]) return { ...result, nextIntensity: null, done: true };
+    return { ...result, nextIntensity: Math.min(range[1], highestFail + RR_STEP), done: false };
+  }
+  if (lowestPass <= range[0] || (highestFail !== null && lowestPass - highestFail <= 1)) {
+    return { ...result, nextIntensity: null, done: true };
+  }
+  const step = highestFail === null ? RR_STEP : 1;
+  return { ...result, nextIntensity: Math.max(range[0], lowestPass - step), done: false };
+}
+
+function nextPEST(hunt, { intensity, twitch }) {
+  const { range } = hunt.options;
+  const direction = twitch ? -1 : 1;
+  let step = hunt.step;
+  const runLength = direction === hunt.direction ? hunt.runLength + 1 : 1;
+
+  if (hunt.direction !== 0 && direction !== hunt.direction) {
+    step /= 2;
+  } else if (runLength >= 3) {
+    step = Math.min(step * 2, hunt.options.pestStep * 2);
+  }
+
+  if (step < 1) {
+    return { step, direction, runLength, estimate: intensity, nextIntensity: null, done: true };
+  }
+  const nextIntensity = clamp(Math.round(intensity + direction * step), range);
+  return { step, direction, runLength, estimate: nextIntensity, nextIntensity, done: false };
+}
+
+function nextMLPEST(hunt, { estimate, ci }) {
+  const done = ci[1] - ci[0] <= hunt.options.ciWidth;
+  return { estimate, nextIntensity: done ? null : clamp(Math.round(estimate), hunt.options.range), done };
+}
+
+/**
+ * Record the response to a pulse at hunt.nextIntensity
+ * @param {Object} hunt - From createThresholdHunt
+ * @param {boolean} twitch - Whether the pulse produced a twitch
+ * @returns {Object} Updated hunt (the same hunt once done)
+ */
+export function recordHuntResponse(hunt, twitch) {
+  if (!hunt || hunt.done) return hunt;
+
+  const trial = { intensity: hunt.nextIntensity, twitch: !!twitch };
+  const trials = [...hunt.trials, trial];
+  const logL = [...hunt.logL];
+  addResponse(logL, hunt.grid, trial, hunt.options.slope);
+  const likelihood = summarizeLikelihood(logL, hunt.grid);
+
+  let update;
+  switch (hunt.method) {
+    case HUNT_METHODS.ROSSINI_ROTHWELL:
+      update = nextRossiniRothwell(hunt, trial);
+      break;
+    case HUNT_METHODS.PEST:
+      update = nextPEST(hunt, trial);
+      break;
+    default:
+      update = nextMLPEST(hunt, likelihood);
+  }
+
+  const next = { ...hunt, ...update, trials, logL, ci: likelihood.ci };
+  if (!next.done && trials.length >= hunt.options.maxTrials) {
+    return { ...next, nextIntensity: null, done: true };
+  }
+  return next;
+}
+
+/**
+ * Run a hunt to completion
+ * @param {string} method - HUNT_METHODS value
+ * @param {(intensity: number) => boolean} respond - Twitch for a pulse at this intensity
+ * @param {Partial<typeof HUNT_DEFAULTS>} [options]
+ * @returns {Object | null} Finished hunt
+ */
+export function runThresholdHunt(method, respond, options) {
+  let hunt = createThresholdHunt(method, options);
+  while (hunt && !hunt.done) {
+    hunt = recordHuntResponse(hunt, respond(hunt.nextIntensity));
+  }
+  return hunt;
+}
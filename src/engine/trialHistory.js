@@ -0,0 +1,158 @@
+/**
+ * Trial History Engine
+ * ====================
+ * Records of completed rMT trials and the statistics shown on the
+ * learning-curve dashboard.
+ *
+ * A record is a plain JSON object so the history can live in
+ * localStorage and be exported for supervisors. Records are kept oldest
+ * first and capped at MAX_HISTORY; the oldest drop off.
+ */
+
+import { formatSeed } from './random.js';
+
+// Most records kept in storage
+export const MAX_HISTORY = 500;
+
+// Trials in the moving average on the accuracy trend
+export const TREND_WINDOW = 5;
+
+export const GRADES = ['A', 'B', 'C', 'D', 'F'];
+
+const finiteOr = (value, fallback) => (typeof value === 'number' && Number.isFinite(value) ? value : fallback);
+
+/**
+ * Build a history record from a trial's completion results
+ * @param {Object} results - rmt.completionResults
+ * @param {{ pulses?: number, durationSec?: number, difficulty?: string }} [details]
+ * @returns {Object | null} null without usable results
+ */
+export function createTrialRecord(results, { pulses = 0, durationSec = null, difficulty = null } = {}) {
+  if (!results || typeof results.trueMT !== 'number' || typeof results.userMT !== 'number') return null;
+  return {
+    completedAt: new Date().toISOString(),
+    trialNumber: Number.isInteger(results.trialNumber) ? results.trialNumber : null,
+    trueMT: results.trueMT,
+    userMT: results.userMT,
+    percentDiff: finiteOr(results.percentDiff, 0),
+    grade: GRADES.includes(results.grade) ? results.grade : 'F',
+    score: finiteOr(results.score, null), // Rubric score, 0-100
+    pulses: Math.max(0, Math.round(finiteOr(pulses, 0))),
+    durationSec: durationSec === null ? null : Math.max(0, finiteOr(durationSec, 0)),
+    distance: finiteOr(results.distance, null),
+    seed: Number.isInteger(results.seed) ? results.seed : null,
+    difficulty: typeof difficulty === 'string' ? difficulty : null,
+    scenario: typeof results.scenario === 'string' ? results.scenario : null, // Scenario name
+    coil: typeof results.coil === 'string' ? results.coil : null, // Coil label
+  };
+}
+
+/**
+ * Check a stored record
+ * @param {Object} raw
+ * @returns {Object | null}
+ */
+export function normalizeTrialRecord(raw) {
+  const record = createTrialRecord(raw, raw ?? {});
+  if (!record) return null;
+  return {
+    ...record,
+    completedAt: typeof raw.completedAt === 'string' ? raw.completedAt : record.completedAt,
+  };
+}
+
+/**
+ * Check a stored history
+ * @param {*} raw
+ * @returns {Object[]}
+ */
+export function normalizeTrialHistory(raw) {
+  return Array.isArray(raw) ? raw.map(normalizeTrialRecord).filter(Boolean).slice(-MAX_HISTORY) : [];
+}
+
+/**
+ * Append a record, dropping the oldest past MAX_HISTORY
+ * @param {Object[]} history
+ * @param {Object} record
+ * @returns {Object[]}
+ */
+export function appendTrialRecord(history, record) {
+  return [...history, record].slice(-MAX_HISTORY);
+}
+
+const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Dashboard statistics
+ * @param {Object[]} history - Oldest first
+ * @returns {{
+ *   count: number,
+ *   meanError: number | null,
+ *   meanPulses: number | null,
+ *   meanDurationSec: number | null,
+ *   gradeCounts: Record<string, number>,
+ *   trend: Array<{ index: number, percentDiff: number, average: number, pulses: number }>,
+ *   improvement: number | null
+ * }} trend has TREND_WINDOW moving averages of percent error;
+ *   improvement is how much lower the error of the latest TREND_WINDOW
+ *   trials is than the first TREND_WINDOW (percentage points), once there
+ *   are enough trials for both
+ */
+export function getHistoryStats(history) {
+  const gradeCounts = Object.fromEntries(GRADES.map(grade => [grade, 0]));
+  history.forEach(record => { gradeCounts[record.grade]++; });
+
+  const trend = history.map((record, index) => {
+    const window = history.slice(Math.max(0, index - TREND_WINDOW + 1), index + 1);
+    return {
+      index,
+      percentDiff: record.percentDiff,
+      average: mean(window.map(r => r.percentDiff)),
+      pulses: record.pulses,
+    };
+  });
+
+  const errors = history.map(r => r.percentDiff);
+  const improvement = history.length >= 2 * TREND_WINDOW
+    ? mean(errors.slice(0, TREND_WINDOW)) - mean(errors.slice(-TREND_WINDOW))
+    : null;
+
+  return {
+    count: history.length,
+    meanError: mean(errors),
+    meanPulses: mean(history.map(r => r.pulses)),
+    meanDurationSec: mean(history.map(r => r.durationSec).filter(v => v !== null)),
+    gradeCounts,
+    trend,
+    improvement,
+  };
+}
+
+// Quote a CSV field if it holds a comma, quote or newline
+const csvField = (value) => (/[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+/**
+ * History as CSV for supervisors
+ * @param {Object[]} history
+ * @returns {string}
+ */
+export function trialHistoryToCSV(history) {
+  const header = 'completed_at,trial,scenario,coil,difficulty,seed,true_mt,user_mt,percent_error,grade,score,pulses,duration_s,distance_mm';
+  const rows = history.map(r => [
+    r.completedAt,
+    r.trialNumber ?? '',
+    csvField(r.scenario ?? ''),
+    csvField(r.coil ?? ''),
+    r.difficulty ?? '',
+    r.seed === null ? '' : formatSeed(r.seed),
+    r.trueMT,
+    r.userMT,
+    r.percentDiff.toFixed(2),
+    r.grade,
+    r.score ?? '',
+    r.pulses,
+    r.durationSec === null ? '' : r.durationSec.toFixed(0),
+    r.distance === null ? '' : r.distance.toFixed(1),
+  ].join(','));
+  return [header, ...rows].join('\n');
+}
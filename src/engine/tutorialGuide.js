@@ -0,0 +1,266 @@
+/**
+ * Tutorial Guide Engine
+ * =====================
+ * Step-by-step guidance for a guided rMT trial, derived from the live
+ * trial state - nothing is scripted. Each checkpoint is complete when
+ * the store shows the trainee has done it, so the current step is simply
+ * the first one not yet complete.
+ *
+ * Prompts use the coil-to-hotspot displacement (mm, world axes:
+ * +X patient left, +Z anterior) and the titration pulse log. Hints are
+ * for when the trainee stalls; the UI decides when (isStalled).
+ */
+
+import {
+  RF_PULSES,
+  tallyTitrationPulses,
+  getRelativeFrequencyResult,
+} from './gradingRubric.js';
+
+export const TUTORIAL_CONSTANTS = {
+  huntStep: 5,        // %MSO raise while no MEPs in the hunt
+  locateMm: 10,       // Hunt pulse this close counts as on the hotspot
+  driftMm: 10,        // Warn if the coil leaves the hotspot during titration
+  moveToleranceMm: 2, // Ignore displacement components below this
+  titrationStep: 2,   // %MSO steps down from a passing intensity
+  hintDelaySec: 20,   // Inactivity before a hint
+};
+
+export const TUTORIAL_STEPS = [
+  { id: 'ready', title: 'Get ready' },
+  { id: 'response', title: 'Evoke an MEP' },
+  { id: 'locate', title: 'Find the hotspot' },
+  { id: 'advance', title: 'Start titration' },
+  { id: 'titrate', title: 'Bracket the threshold' },
+  { id: 'submit', title: 'Submit your rMT' },
+];
+
+const PHASE_ORDER = ['idle', 'hunt', 'titration', 'complete'];
+
+// Debrief tip for the weakest rubric criterion
+const CRITERION_TIPS = {
+  accuracy: 'Submit the lowest intensity that gave 5 of 10 MEPs - not the first one that worked.',
+  localisation: 'Fire a few pulses around the best spot and keep the coil where MEPs are largest.',
+  efficiency: 'Make bigger moves early in the hunt and use 10-pulse trials once titrating.',
+  method: `Finish with ${RF_PULSES} pulses at your answer and ${RF_PULSES} pulses 1% below it.`,
+  orientation: 'Hold the handle about 45° posterolateral, flat on the scalp.',
+};
+
+/**
+ * Distance as spoken in a prompt: nearest half centimetre, mm below 5 mm
+ * @param {number} mm
+ * @returns {string}
+ */
+function formatMove(mm) {
+  return mm < 5 ? `${Math.round(mm)} mm` : `${Math.round(mm / 5) / 2} cm`;
+}
+
+/**
+ * Where to move the coil to reach the hotspot
+ * @param {number[] | null} displacementMm - Coil minus hotspot [x, y, z]
+ * @returns {string | null} e.g. "Move about 1 cm anterior and 0.5 cm left";
+ *   null when on target or unknown
+ */
+export function describeCoilMove(displacementMm) {
+  if (!displacementMm) return null;
+  const { moveToleranceMm } = TUTORIAL_CONSTANTS;
+  const moves = [
+    { mm: -displacementMm[2], positive: 'anterior', negative: 'posterior' },
+    { mm: -displacementMm[0], positive: 'left', negative: 'right' },
+  ]
+    .filter(m => Math.abs(m.mm) >= moveToleranceMm)
+    .sort((a, b) => Math.abs(b.mm) - Math.abs(a.mm))
+    .map(m => `${formatMove(Math.abs(m.mm))} ${m.mm > 0 ? m.positive : m.negative}`);
+  return moves.length ? `Move about ${moves.join(' and ')}` : null;
+}
+
+/**
+ * Next titration action under the relative-frequency method: run
+ * RF_PULSES at an intensity, step down from a passing intensity, step
+ * up from a failing one, until a pass sits 1% above a fail.
+ * @param {Array<Object>} pulseLog - rmt.pulseLog
+ * @param {number} intensity - Current %MSO
+ * @returns {{ action: 'run' | 'lower' | 'raise' | 'submit', target: number, text: string }}
+ */
+export function getTitrationAdvice(pulseLog, intensity) {
+  const { titrationStep } = TUTORIAL_CONSTANTS;
+  const { tallies } = tallyTitrationPulses(pulseLog);
+  const result = (i) => getRelativeFrequencyResult(tallies[i]);
+  const ratio = (i) => `${tallies[i].hits}/${tallies[i].count}`;
+  const tested = Object.keys(tallies).map(Number);
+  const passing = tested.filter(i => result(i) === 'pass');
+  const lowestPass = passing.length ? Math.min(...passing) : null;
+
+  if (lowestPass !== null && result(lowestPass - 1) === 'fail') {
+    return {
+      action: 'submit',
+      target: lowestPass,
+      text: `${lowestPass}% gave ${ratio(lowestPass)} MEPs and ${lowestPass - 1}% gave ${ratio(lowestPass - 1)} - your rMT is ${lowestPass}%`,
+    };
+  }
+
+  const runText = () => {
+    const count = tallies[intensity]?.count ?? 0;
+    return count
+      ? `Keep going at ${intensity}%: ${count} of ${RF_PULSES} pulses so far`
+      : `Run ${RF_PULSES} pulses at ${intensity}% - count how many give an MEP`;
+  };
+  if (!result(intensity)) return { action: 'run', target: intensity, text: runText() };
+
+  const failing = tested.filter(i => result(i) === 'fail' && (lowestPass === null || i < lowestPass));
+  const highestFail = failing.length ? Math.max(...failing) : null;
+  let target;
+  if (lowestPass === null) target = Math.max(intensity, highestFail) + titrationStep;
+  else if (highestFail === null) target = lowestPass - titrationStep;
+  else target = Math.max(lowestPass - titrationStep, highestFail + 1);
+  target = Math.max(0, Math.min(100, target));
+  if (target === intensity) return { action: 'run', target, text: runText() };
+
+  const action = target < intensity ? 'lower' : 'raise';
+  return {
+    action,
+    target,
+    text: `${intensity}% gave ${ratio(intensity)} MEPs - now ${action === 'lower' ? 'drop' : 'raise'} intensity by ${Math.abs(target - intensity)}% to ${target}%`,
+  };
+}
+
+/**
+ * Step checks and prompts
+ * ctx: { rmt, ready, displacementMm } - ready when the hotspot is
+ * projected and the coil position is known
+ */
+const phaseAfter = (rmt, phase) => PHASE_ORDER.indexOf(rmt.phase) > PHASE_ORDER.indexOf(phase);
+const huntPulses = (rmt) => rmt.pulseLog.filter(p => p.phase === 'hunt');
+const distanceOf = (displacementMm) => (displacementMm ? Math.hypot(...displacementMm) : null);
+
+const STEP_LOGIC = {
+  ready: {
+    done: (ctx) => ctx.ready || phaseAfter(ctx.rmt, 'hunt'),
+    prompt: () => 'The coil starts over C3. Wait for calibration to finish before firing.',
+    hint: () => 'If it stays on "Calibrating", use Reset to C3 to place the coil on the scalp.',
+  },
+  response: {
+    done: (ctx) => huntPulses(ctx.rmt).some(p => p.hit) || phaseAfter(ctx.rmt, 'hunt'),
+    prompt: ({ rmt }) => {
+      const last = huntPulses(rmt).at(-1);
+      if (!last) return `Fire a pulse at ${rmt.intensity}% MSO and watch the EMG for an MEP.`;
+      return `No MEP at ${last.intensity}% - raise intensity by ${TUTORIAL_CONSTANTS.huntStep}% and fire again.`;
+    },
+    hint: (ctx) => {
+      const move = describeCoilMove(ctx.displacementMm);
+      return move
+        ? `The hand hotspot is usually 1-3 cm from C3. ${move} while you raise the intensity.`
+        : 'You are close to the hotspot - keep raising the intensity until an MEP appears.';
+    },
+  },
+  locate: {
+    done: (ctx) => {
+      const last = huntPulses(ctx.rmt).at(-1);
+      return (last?.hit && ctx.rmt.distanceToHotspot !== null && ctx.rmt.distanceToHotspot <= TUTORIAL_CONSTANTS.locateMm)
+        || phaseAfter(ctx.rmt, 'hunt');
+    },
+    prompt: (ctx) => {
+      const move = describeCoilMove(ctx.displacementMm);
+      const distance = distanceOf(ctx.displacementMm);
+      if (distance !== null && distance <= TUTORIAL_CONSTANTS.locateMm) {
+        return 'You are over the hotspot - fire a pulse here to confirm the MEP.';
+      }
+      return move ? `${move}, then fire to see whether the MEP grows.` : 'Fire a pulse to confirm the MEP here.';
+    },
+    hint: () => 'MEPs are largest over the hotspot. Hold the handle about 45° posterolateral - a bad angle raises the threshold.',
+  },
+  advance: {
+    done: (ctx) => phaseAfter(ctx.rmt, 'hunt'),
+    prompt: () => 'Hotspot found. Hold the coil still here and press Advance to Titration.',
+    hint: () => 'Moving the coil during titration changes the threshold you are measuring.',
+  },
+  titrate: {
+    done: (ctx) => getTitrationAdvice(ctx.rmt.pulseLog, ctx.rmt.intensity).action === 'submit'
+      || phaseAfter(ctx.rmt, 'titration'),
+    prompt: (ctx) => `${getTitrationAdvice(ctx.rmt.pulseLog, ctx.rmt.intensity).text}.`,
+    hint: () => `rMT is the lowest intensity giving an MEP in at least 5 of ${RF_PULSES} pulses. Use Run 10-Pulse Trial to test an intensity in one go.`,
+  },
+  submit: {
+    done: (ctx) => phaseAfter(ctx.rmt, 'titration'),
+    prompt: (ctx) => {
+      const advice = getTitrationAdvice(ctx.rmt.pulseLog, ctx.rmt.intensity);
+      return `${advice.text}. Enter ${advice.target} as your MT and press Complete.`;
+    },
+    hint: () => 'Submit the lower edge of the bracket - the intensity that still passed 5/10.',
+  },
+};
+
+/**
+ * Current guidance for a guided trial
+ * @param {{ rmt: Object, ready: boolean, displacementMm: number[] | null }} ctx
+ * @returns {{
+ *   steps: Array<{ id: string, title: string, done: boolean }>,
+ *   stepIndex: number,
+ *   step: { id: string, title: string } | null,
+ *   prompt: string | null,
+ *   hint: string | null,
+ *   warning: string | null
+ * }} step is null once every checkpoint is complete; warning flags a
+ *   problem to fix first (coil drift, pre-activated pulse)
+ */
+export function getTutorialGuidance(ctx) {
+  // Checkpoints stay ticked once a later phase is reached
+  const steps = TUTORIAL_STEPS.map(step => ({ ...step, done: STEP_LOGIC[step.id].done(ctx) }));
+  const stepIndex = steps.findIndex(step => !step.done);
+  const step = stepIndex === -1 ? null : TUTORIAL_STEPS[stepIndex];
+
+  let warning = null;
+  const distance = distanceOf(ctx.displacementMm);
+  if (ctx.rmt.phase === 'titration' && distance !== null && distance > TUTORIAL_CONSTANTS.driftMm) {
+    const move = describeCoilMove(ctx.displacementMm);
+    warning = `The coil has drifted ${Math.round(distance)} mm from the hotspot.${move ? ` ${move} before the next pulse.` : ''}`;
+  } else if (ctx.rmt.phase === 'titration' && ctx.rmt.pulseLog.at(-1)?.preActivated) {
+    warning = 'That pulse came with a pre-activated muscle and does not count - ask the subject to relax their hand.';
+  }
+
+  return {
+    steps,
+    stepIndex,
+    step,
+    prompt: step ? STEP_LOGIC[step.id].prompt(ctx) : null,
+    hint: step ? STEP_LOGIC[step.id].hint(ctx) : null,
+    warning,
+  };
+}
+
+/**
+ * Whether the trainee has stalled long enough for a hint
+ * @param {number} lastActivityAt - ms timestamp of the last step change or pulse
+ * @param {number} now - ms timestamp
+ * @returns {boolean}
+ */
+export function isStalled(lastActivityAt, now) {
+  return now - lastActivityAt >= TUTORIAL_CONSTANTS.hintDelaySec * 1000;
+}
+
+/**
+ * Debrief after a guided trial
+ * @param {Object} results - rmt.completionResults
+ * @param {Array<Object>} pulseLog - rmt.pulseLog
+ * @param {{ hintsShown?: number }} [details]
+ * @returns {{ summary: string, items: Array<{ label: string, text: string, ok: boolean }>, tip: string | null }}
+ *   items are the rubric criteria (ok at 70 or more); tip targets the
+ *   weakest weighted criterion
+ */
+export function getTutorialDebrief(results, pulseLog, { hintsShown = 0 } = {}) {
+  const hunt = pulseLog.filter(p => p.phase === 'hunt').length;
+  const titration = pulseLog.length - hunt;
+  const criteria = results.criteria ?? [];
+  const items = criteria.map(c => ({ label: c.label, text: c.feedback, ok: c.score >= 70 }));
+
+  // Points lost to each criterion
+  const weakest = criteria
+    .map(c => ({ key: c.key, lost: (100 - c.score) * c.weight }))
+    .sort((a, b) => b.lost - a.lost)[0];
+
+  return {
+    summary: `Grade ${results.grade} - ${hunt} hunt and ${titration} titration pulses, ${hintsShown} hint${hintsShown === 1 ? '' : 's'} used.`,
+    items,
+    tip: weakest && weakest.lost > 0 ? CRITERION_TIPS[weakest.key] : null,
+  };
+}
@@ -8,6 +8,107 @@
  */
 
 import { create } from 'zustand';
+import { TBS_DEFAULTS } from '../engine/pulseScheduler.js';
+import { validateProtocol, validateSessionProtocol, SAFETY_ISSUE_CODES } from '../engine/protocolValidation.js';
+import {
+  hasBlocks,
+  withActiveBlock,
+  applyProtocol,
+  getBlockPlan,
+  checkBlockPosition,
+} from '../engine/protocolBlocks.js';
+import {
+  pickBlockFields,
+  createLibraryEntry,
+  copyLibraryEntry,
+  getBuiltInTemplates,
+  isBuiltInId,
+  normalizeLibraryEntry,
+  parseLibraryFile,
+  serializeLibrary,
+} from '../engine/protocolLibrary.js';
+import {
+  createSessionSnapshot,
+  normalizeSessionSnapshot,
+  getResumePoint,
+  createSessionGap,
+} from '../engine/sessionRecovery.js';
+import {
+  SESSION_EVENTS,
+  INTENSITY_COALESCE_MS,
+  createLogEntry,
+  distanceToTargetMm,
+  isOffTarget,
+  sessionLogToCSV,
+  sessionLogToJSON,
+  mergeSessionLog,
+} from '../engine/sessionLog.js';
+import { TIME_SCALES } from '../engine/sessionClock.js';
+import {
+  MAX_MSO,
+  toMSO,
+  createMotorThreshold,
+  normalizeMotorThreshold,
+  normalizeMotorThresholdRecord,
+} from '../engine/doseAccounting.js';
+import {
+  STORAGE_KEYS,
+  loadFromStorage,
+  saveToStorage,
+  removeFromStorage,
+  saveFileToDatabase,
+  loadFileFromDatabase,
+  removeFileFromDatabase,
+} from '../utils/storage.js';
+import { isTargetKey } from '../constants/targets.js';
+import { COILS, getCoil } from '../constants/coils.js';
+import { HUNT_METHODS, runThresholdHunt, getLikelihoodEstimate } from '../engine/thresholdHunting.js';
+import {
+  MEP_DEFAULTS,
+  normalizeMEPModel,
+  getMEPProbability,
+  sampleMEPAmplitude,
+  isMEP,
+  getMEPCategory,
+} from '../engine/mepModel.js';
+import { PRE_ACTIVATION_CHANCE } from '../engine/emgTrace.js';
+import {
+  ORIENTATION_CONSTANTS,
+  HOTSPOT_DIFFICULTY,
+  DEFAULT_HOTSPOT_DIFFICULTY,
+  calculateOrientationPenalty,
+  generateHotspotMap,
+  getDepthThresholdShift,
+  calculateMapPenalty,
+} from '../engine/hotspotModel.js';
+import { createRandom, generateSeed, drawSeed } from '../engine/random.js';
+import { DEFAULT_RUBRIC_WEIGHTS, normalizeRubricWeights, scoreTrial } from '../engine/gradingRubric.js';
+import {
+  normalizeScenario,
+  applyScenarioToMap,
+  getScenarioPulseBlock,
+  serializeScenarios,
+  parseScenarioFile,
+  createScenarioEntry,
+} from '../engine/rmtScenarios.js';
+import {
+  createTrialRecord,
+  normalizeTrialHistory,
+  appendTrialRecord,
+  trialHistoryToCSV,
+} from '../engine/trialHistory.js';
+import { BEAM_TAPES } from '../engine/beamF3.js';
+import { mergeTargetPositions } from '../engine/tenTen.js';
+import {
+  HEAD_FILE_FORMATS,
+  HEAD_FIDUCIALS,
+  HEAD_LANDMARK_KEYS,
+  createHeadEntry,
+  normalizeHeadEntry,
+  pickLandmarks,
+  nextLandmarkKey,
+  validateHeadLandmarks,
+} from '../engine/headLibrary.js';
 
 // ============================================================================
 // MOTOR THRESHOLD TRAINING CONSTANTS
@@ -18,14 +119,18 @@ export const MT_CONSTANTS = {
   Pmax: 18,      // Maximum penalty in % MSO
   sigma: 18,     // Distance falloff in mm
   
-  // Twitch probability: p = 1 / (1 + exp(-(I - apparentMT) / k))
-  k: 2.0,        // Steepness of logistic curve
+  // Logistic spread of the MEP response probability near threshold,
+  // p ≈ 1 / (1 + exp(-(I - apparentMT) / k)) - used by threshold hunting
+  k: 2.0,
   
-  // True MT generation range
+  // True MT generation range, before the hotspot map's depth shift
   minMT: 35,
   maxMT: 70,
+  // Limits after the depth shift
+  mtLimits: [30, 85],
   
   // Hotspot generation radius from C3 (mm) - reduced by 1/3 for tighter clustering
+  // (fallback without a hotspot map; maps use their difficulty preset)
   maxHotspotRadius: 20,
 };
 
@@ -64,6 +169,8 @@ export const EXAMPLE_PROTOCOLS = {
     stimType: 'iTBS',
     intensity: 80,
     pulsesPerTrain: 30,
+    pulsesPerBurst: 3,
+    burstFrequency: 5,
     iti: 8,
     totalPulses: 600,
   },
@@ -72,6 +179,8 @@ export const EXAMPLE_PROTOCOLS = {
     stimType: 'cTBS',
     intensity: 80,
     pulsesPerTrain: 600,
+    pulsesPerBurst: 3,
+    burstFrequency: 5,
     iti: 0,
     totalPulses: 600,
   },
@@ -83,8 +192,118 @@ export const EXAMPLE_PROTOCOLS = {
     iti: 25,
     totalPulses: 1200,
   },
+  // Sequential bilateral: low-frequency right DLPFC, then high-frequency left
+  'Bilateral DLPFC': {
+    frequency: 1,
+    stimType: 'standard',
+    intensity: 110,
+    pulsesPerTrain: 60,
+    iti: 30,
+    totalPulses: 600,
+    blocks: [
+      { target: 'F4', frequency: 1, stimType: 'standard', intensity: 110, pulsesPerTrain: 60, iti: 30, totalPulses: 600 },
+      { target: 'F3', frequency: 10, stimType: 'standard', intensity: 120, pulsesPerTrain: 40, iti: 11, totalPulses: 1500 },
+    ],
+  },
 };
 
+// Built-in examples as read-only library templates
+export const PROTOCOL_TEMPLATES = getBuiltInTemplates(EXAMPLE_PROTOCOLS);
+
+function loadProtocolLibrary() {
+  const stored = loadFromStorage(STORAGE_KEYS.protocolLibrary, []);
+  return Array.isArray(stored) ? stored.map(normalizeLibraryEntry).filter(Boolean) : [];
+}
+
+function loadMotorThreshold() {
+  return normalizeMotorThresholdRecord(loadFromStorage(STORAGE_KEYS.motorThreshold));
+}
+
+function loadRMTScenarios() {
+  const stored = loadFromStorage(STORAGE_KEYS.rmtScenarios, []);
+  return Array.isArray(stored) ? stored.map(normalizeScenario).filter(Boolean) : [];
+}
+
+function loadRubricWeights() {
+  return normalizeRubricWeights(loadFromStorage(STORAGE_KEYS.rubricWeights, DEFAULT_RUBRIC_WEIGHTS));
+}
+
+function loadRMTHistory() {
+  return normalizeTrialHistory(loadFromStorage(STORAGE_KEYS.rmtHistory, []));
+}
+
+function loadCoilKey() {
+  return getCoil(loadFromStorage(STORAGE_KEYS.coil)).key;
+}
+
+function loadHeadLibrary() {
+  const stored = loadFromStorage(STORAGE_KEYS.headLibrary, []);
+  return Array.isArray(stored) ? stored.map(normalizeHeadEntry).filter(Boolean) : [];
+}
+
+function loadActiveHeadId() {
+  const id = loadFromStorage(STORAGE_KEYS.activeHead);
+  return loadHeadLibrary().some(entry => entry.id === id) ? id : null;
+}
+
+// IndexedDB key of an imported head's file
+function headFileKey(id) {
+  return `head:${id}`;
+}
+
+function loadInterruptedSession() {
+  return normalizeSessionSnapshot(loadFromStorage(STORAGE_KEYS.activeSession));
+}
+
+function createSessionState(overrides = {}) {
+  return {
+    isRunning: false,
+    isPaused: false,
+    pulsesDelivered: 0,
+    elapsedTime: 0,
+    currentTrain: 0,
+    safetyOverride: false, // Started despite safety-table errors
+    gaps: [],              // Interruptions recovered from (see sessionRecovery)
+    resumeClock: null,     // Scheduler clock to seek to when rebuilding after recovery
+    targetKey: null,       // Treatment target the coil is checked against
+    offTarget: false,      // Coil currently beyond OFF_TARGET_MM from targetKey
+    driftSeconds: 0,       // Time the loop stalled (hidden tab) and caught up late
+    timeScale: 1,          // Playback speed - session seconds per real second
+    skippedSeconds: 0,     // Session time jumped over with "skip to next train"
+    blockIndex: 0,         // Block of a multi-target protocol being delivered
+    blockStartTime: 0,     // Session time at which the current block started
+    awaitingReposition: false, // Block not started until the coil is on its target
+    motorThreshold: null,  // MT (%MSO) the session is dosed against, fixed at start
+    ...overrides,
+  };
+}
+
+function createBeamF3State() {
+  return {
+    activeTape: null, // BEAM_TAPES key being laid, or null
+    waypoints: Object.fromEntries(Object.keys(BEAM_TAPES).map(key => [key, []])), // Scalp points per tape
+    measurement: null, // From the traced tapes (TapeMeasure): { lengths, f3, errorMm }
+  };
+}
+
+// Safety-table errors an edit adds to a protocol (codes already failing don't count)
+function addedSafetyErrors(before, after) {
+  const safetyErrors = (protocol) => validateProtocol(protocol).issues
+    .filter(issue => issue.severity === 'error' && SAFETY_ISSUE_CODES.includes(issue.code));
+  const existing = new Set(safetyErrors(before).map(issue => issue.code));
+  return safetyErrors(after).filter(issue => !existing.has(issue.code));
+}
+
+// Head and coil stay put while a session or rMT trial is running
+function isStimulationBusy({ session, rmt }) {
+  return session.isRunning || rmt.phase === 'hunt' || rmt.phase === 'titration';
+}
+
+// Reset on a head change: tapes and coil locks belong to the old scalp
+function createHeadChangeState() {
+  return { beamF3: createBeamF3State(), isCoilLocked: false, lockedTarget: null };
+}
+
 // ============================================================================
 // MT MATH FUNCTIONS
 // ============================================================================
@@ -94,32 +313,20 @@ export function calculateDistancePenalty(distanceMm) {
   return Pmax * (1 - Math.exp(-Math.pow(distanceMm / sigma, 2)));
 }
 
-export function calculateApparentMT(trueMT, distanceMm) {
-  return trueMT + calculateDistancePenalty(distanceMm);
-}
-
-export function calculateTwitchProbability(intensity, apparentMT) {
-  const { k } = MT_CONSTANTS;
-  return 1 / (1 + Math.exp(-(intensity - apparentMT) / k));
+// orientationPenalty: %MSO from coil twist/tilt (see engine/hotspotModel.js)
+export function calculateApparentMT(trueMT, distanceMm, orientationPenalty = 0) {
+  return trueMT + calculateDistancePenalty(distanceMm) + orientationPenalty;
 }
 
-export function sampleTwitch(probability) {
-  return Math.random() < probability;
+// Probability of an MEP reaching the 50 µV criterion (see engine/mepModel.js)
+export function calculateTwitchProbability(intensity, apparentMT, mepModel = MEP_DEFAULTS) {
+  return getMEPProbability(intensity, apparentMT, mepModel);
 }
 
-export function calculateTwitchAmplitude(intensity, apparentMT) {
-  const x = intensity - apparentMT;
-  const amp = Math.max(0, Math.min(1, x / 12));
-  // Add small noise
-  const noisy = amp + (Math.random() - 0.5) * 0.1;
-  return Math.max(0, Math.min(1, noisy));
-}
-
-export function getAmplitudeCategory(amplitude) {
-  if (amplitude < 0.1) return 'none';
-  if (amplitude < 0.4) return 'small';
-  if (amplitude < 0.8) return 'medium';
-  return 'large';
+// One pulse: MEP amplitude in µV; a twitch is an MEP of at least 50 µV
+export function sampleMEPResponse(intensity, apparentMT, mepModel = MEP_DEFAULTS, random = Math.random) {
+  const amplitude = sampleMEPAmplitude(intensity, apparentMT, mepModel, random);
+  return { twitch: isMEP(amplitude), amplitude, category: getMEPCategory(amplitude) };
 }
 
 export function calculateGrade(percentDiff) {
@@ -131,35 +338,53 @@ export function calculateGrade(percentDiff) {
 }
 
 /**
- * Generate a random offset from C3 for hotspot placement.
+ * Generate an offset from C3 for hotspot placement.
+ * Uses the hotspot map's offset when given, otherwise a random one.
  * Returns UNPROJECTED position - MUST be projected to surface by caller!
  * This is just the target direction, not the final surface position.
  */
-export function generateHotspotOffset(c3Position) {
+export function generateHotspotOffset(c3Position, hotspotMap = null, random = Math.random) {
   if (!c3Position) {
     // Default position if C3 not available
     return [0.05, 0.12, 0.05];
   }
   
-  // Random offset within radius (in XZ plane)
-  const radius = MT_CONSTANTS.maxHotspotRadius / 1000; // Convert mm to world units
-  const angle = Math.random() * 2 * Math.PI;
-  const r = Math.sqrt(Math.random()) * radius;
+  // Offset within radius (in XZ plane), in world units
+  let offsetX;
+  let offsetZ;
+  if (hotspotMap) {
+    offsetX = hotspotMap.offsetMm[0] / 1000;
+    offsetZ = hotspotMap.offsetMm[1] / 1000;
+  } else {
+    const radius = MT_CONSTANTS.maxHotspotRadius / 1000; // Convert mm to world units
+    const angle = random() * 2 * Math.PI;
+    const r = Math.sqrt(random()) * radius;
+    offsetX = r * Math.cos(angle);
+    offsetZ = r * Math.sin(angle);
+  }
   
   // NOTE: This is NOT on the scalp surface yet!
   // The 3D scene must project this onto the actual surface mesh.
   // We keep C3's Y as an approximation for the raycast target direction.
   return [
-    c3Position[0] + r * Math.cos(angle),
+    c3Position[0] + offsetX,
     c3Position[1],
-    c3Position[2] + r * Math.sin(angle),
+    c3Position[2] + offsetZ,
   ];
 }
 
-// Generate random true MT
-function generateTrueMT() {
-  const { minMT, maxMT } = MT_CONSTANTS;
-  return minMT + Math.random() * (maxMT - minMT);
+// Generate random true MT, shifted by the hotspot map's cortical depth
+function generateTrueMT(depthMm = null, random = Math.random) {
+  const { minMT, maxMT, mtLimits } = MT_CONSTANTS;
+  const baseMT = minMT + random() * (maxMT - minMT);
+  if (depthMm === null) return baseMT;
+  return Math.max(mtLimits[0], Math.min(mtLimits[1], baseMT + getDepthThresholdShift(depthMm)));
+}
+
+// Trial random source, continuing from the stored state - every rMT draw
+// goes through it; save random.state() back to rmt.rngState afterwards
+function getTrialRandom(rmt) {
+  return createRandom(rmt.rngState ?? generateSeed());
 }
 
 // ============================================================================
@@ -183,23 +408,276 @@ export const useTMSStore = create((set, get) => ({
     pulsesPerTrain: null,
     iti: null,
     totalPulses: null,
+    // Theta-burst structure (ignored for standard rTMS)
+    pulsesPerBurst: TBS_DEFAULTS.pulsesPerBurst,
+    burstFrequency: TBS_DEFAULTS.burstFrequency,
+    // Multi-target sequence (see engine/protocolBlocks) - empty for a single block
+    blocks: [],
   },
   
-  setProtocolField: (field, value) => set(state => ({
-    protocol: { ...state.protocol, [field]: value }
-  })),
+  // Block whose parameters the top-level protocol fields mirror
+  activeBlockIndex: 0,
+  
+  setProtocolField: (field, value) => {
+    const { protocol, session, sessionLog, activeBlockIndex } = get();
+    if (field === 'intensity' && session.isRunning && toMSO(value, session.motorThreshold) > MAX_MSO) {
+      console.warn(`[Store] Intensity ${value}% MT exceeds ${MAX_MSO}% MSO at MT ${session.motorThreshold}% - not applied`);
+      return;
+    }
+    // Mid-session changes stay within the safety table unless the session
+    // was started under the instructor override
+    if (field === 'intensity' && session.isRunning && !session.safetyOverride) {
+      const added = addedSafetyErrors(protocol, { ...protocol, intensity: value });
+      if (added.length > 0) {
+        console.warn(`[Store] Intensity ${value}% MT exceeds safety limits mid-session - not applied`,
+          added.map(issue => issue.message));
+        return;
+      }
+    }
+    const updated = { ...protocol, [field]: value };
+    if (hasBlocks(protocol)) {
+      updated.blocks = protocol.blocks.map((block, i) =>
+        i === activeBlockIndex ? { ...block, [field]: value } : block
+      );
+    }
+    set({ protocol: updated });
+    
+    // Intensity can be adjusted mid-session; merge rapid edits (typing) into one entry
+    if (field === 'intensity' && session.isRunning && value !== protocol.intensity) {
+      const last = sessionLog[sessionLog.length - 1];
+      const merge = last?.type === SESSION_EVENTS.INTENSITY &&
+        Date.now() - Date.parse(last.timestamp) < INTENSITY_COALESCE_MS;
+      const from = merge ? last.details.from : protocol.intensity;
+      if (merge) set({ sessionLog: sessionLog.slice(0, -1) });
+      if (from !== value) get().logSessionEvent(SESSION_EVENTS.INTENSITY, { from, to: value });
+    }
+  },
   
   // ============================================================================
-  // SESSION STATE - Grouped object
+  // MOTOR THRESHOLD - Patient/trainee MT in %MSO, persisted to localStorage
   // ============================================================================
-  session: {
-    isRunning: false,
-    isPaused: false,
-    pulsesDelivered: 0,
-    elapsedTime: 0,
-    currentTrain: 0,
+  motorThreshold: loadMotorThreshold(), // { value, source, trialNumber, measuredAt } | null
+  
+  /**
+   * Set or clear the motor threshold used to convert %MT to %MSO
+   * @param {number | null} value - %MSO; null clears
+   * @param {{ source?: 'manual' | 'rmt', trialNumber?: number }} [details]
+   * @returns {Object | null} The stored record
+   */
+  setMotorThreshold: (value, details) => {
+    const record = value === null ? null : createMotorThreshold(value, details);
+    if (value !== null && !record) {
+      console.warn('[Store] Ignoring invalid motor threshold', value);
+      return get().motorThreshold;
+    }
+    set({ motorThreshold: record });
+    if (record) saveToStorage(STORAGE_KEYS.motorThreshold, record);
+    else removeFromStorage(STORAGE_KEYS.motorThreshold);
+    return record;
+  },
+
+  /**
+   * Stimulator output the coil would fire at now
+   * @returns {number | null} %MSO: the rMT trial intensity, or the protocol
+   *   intensity at the session's (else the saved) motor threshold; null
+   *   without a threshold
+   */
+  getStimulatorOutput: () => {
+    const { mode, rmt, protocol, session, motorThreshold } = get();
+    if (mode === 'rmt') return rmt.intensity;
+    return toMSO(protocol.intensity, session.isRunning ? session.motorThreshold : motorThreshold?.value);
+  },
+
+  /**
+   * Use the MT found in the last completed rMT trial
+   * @returns {Object | null} The stored record, or null without a result
+   */
+  setMotorThresholdFromRMT: () => {
+    const results = get().rmt.completionResults;
+    if (!results) return null;
+    return get().setMotorThreshold(results.userMT, { source: 'rmt', trialNumber: results.trialNumber });
+  },
+  
+  // ============================================================================
+  // PROTOCOL BLOCKS - Multi-target sequences, edited while no session runs
+  // ============================================================================
+  
+  /**
+   * Append a block copied from the active one. The first call turns the
+   * current protocol into block 1 (on the selected target) and adds block 2.
+   */
+  addProtocolBlock: () => {
+    const { protocol, session, activeBlockIndex, selectedTargetKey } = get();
+    if (session.isRunning) return;
+    const blocks = hasBlocks(protocol)
+      ? [...protocol.blocks, { ...protocol.blocks[activeBlockIndex], target: null }]
+      : [
+          { ...pickBlockFields(protocol), target: isTargetKey(selectedTargetKey) ? selectedTargetKey : null },
+          { ...pickBlockFields(protocol), target: null },
+        ];
+    set({ protocol: { ...protocol, blocks }, activeBlockIndex: blocks.length - 1 });
+  },
+  
+  /**
+   * Make a block editable in the parameter fields
+   * @param {number} index
+   */
+  selectProtocolBlock: (index) => {
+    const { protocol, session } = get();
+    if (session.isRunning || !protocol.blocks[index]) return;
+    set({ protocol: withActiveBlock(protocol, index), activeBlockIndex: index });
+  },
+  
+  /**
+   * @param {number} index
+   * @param {string | null} target - Target or electrode key
+   */
+  setBlockTarget: (index, target) => {
+    const { protocol, session } = get();
+    if (session.isRunning || !protocol.blocks[index]) return;
+    set({
+      protocol: {
+        ...protocol,
+        blocks: protocol.blocks.map((block, i) =>
+          i === index ? { ...block, target: isTargetKey(target) ? target : null } : block
+        ),
+      },
+    });
+  },
+  
+  /**
+   * Move a block one place earlier (-1) or later (+1); selection follows it
+   * @param {number} index
+   * @param {-1 | 1} direction
+   */
+  moveProtocolBlock: (index, direction) => {
+    const { protocol, session } = get();
+    const to = index + direction;
+    if (session.isRunning || !protocol.blocks[index] || !protocol.blocks[to]) return;
+    const blocks = [...protocol.blocks];
+    [blocks[index], blocks[to]] = [blocks[to], blocks[index]];
+    set({ protocol: { ...protocol, blocks }, activeBlockIndex: to });
+  },
+  
+  /**
+   * Remove a block; removing down to one block makes it a plain protocol again
+   * @param {number} index
+   */
+  removeProtocolBlock: (index) => {
+    const { protocol, session, activeBlockIndex } = get();
+    if (session.isRunning || !protocol.blocks[index]) return;
+    const blocks = protocol.blocks.filter((_, i) => i !== index);
+    if (blocks.length === 1) {
+      set({ protocol: { ...withActiveBlock({ ...protocol, blocks }, 0), blocks: [] }, activeBlockIndex: 0 });
+      return;
+    }
+    const selected = Math.min(activeBlockIndex > index ? activeBlockIndex - 1 : activeBlockIndex, blocks.length - 1);
+    set({ protocol: withActiveBlock({ ...protocol, blocks }, selected), activeBlockIndex: selected });
+  },
+  
+  // ============================================================================
+  // PROTOCOL LIBRARY - User entries persisted to localStorage
+  // ============================================================================
+  protocolLibrary: loadProtocolLibrary(),
+  
+  /** Replace user entries and persist them */
+  setProtocolLibrary: (entries) => {
+    set({ protocolLibrary: entries });
+    saveToStorage(STORAGE_KEYS.protocolLibrary, entries);
+  },
+  
+  /**
+   * Save the current protocol as a new library entry
+   * @param {{ name: string, notes?: string, target?: string | null }} details
+   * @returns {Object | null} The new entry, or null without a name
+   */
+  saveProtocolToLibrary: (details) => {
+    if (!details?.name?.trim()) {
+      console.warn('[Store] Cannot save protocol without a name');
+      return null;
+    }
+    const { protocol, protocolLibrary, setProtocolLibrary } = get();
+    const entry = createLibraryEntry(protocol, details);
+    setProtocolLibrary([...protocolLibrary, entry]);
+    return entry;
+  },
+  
+  /**
+   * Update name, notes or target of a user entry (built-ins are read-only)
+   * @param {string} id
+   * @param {{ name?: string, notes?: string, target?: string | null }} changes
+   */
+  updateLibraryEntry: (id, changes) => {
+    if (isBuiltInId(id)) return;
+    const { protocolLibrary, setProtocolLibrary } = get();
+    setProtocolLibrary(protocolLibrary.map(entry => {
+      if (entry.id !== id) return entry;
+      const updated = normalizeLibraryEntry({ ...entry, ...changes });
+      return updated ? { ...updated, id, updatedAt: new Date().toISOString() } : entry;
+    }));
+  },
+  
+  /**
+   * Copy a user entry or built-in template into a new user entry
+   * @param {string} id
+   * @returns {Object | null} The copy
+   */
+  duplicateLibraryEntry: (id) => {
+    const { protocolLibrary, setProtocolLibrary } = get();
+    const source = [...PROTOCOL_TEMPLATES, ...protocolLibrary].find(entry => entry.id === id);
+    if (!source) return null;
+    const copy = copyLibraryEntry(source, protocolLibrary.map(entry => entry.name));
+    setProtocolLibrary([...protocolLibrary, copy]);
+    return copy;
+  },
+  
+  deleteLibraryEntry: (id) => {
+    const { protocolLibrary, setProtocolLibrary } = get();
+    setProtocolLibrary(protocolLibrary.filter(entry => entry.id !== id));
+  },
+  
+  /**
+   * Load a user entry or built-in template into the active protocol
+   * @param {string} id
+   * @returns {Object | null} The loaded entry
+   */
+  loadLibraryEntry: (id) => {
+    const { protocolLibrary, session } = get();
+    if (session.isRunning) return null;
+    const entry = [...PROTOCOL_TEMPLATES, ...protocolLibrary].find(e => e.id === id);
+    if (!entry) return null;
+    set(state => ({ protocol: applyProtocol(state.protocol, entry.protocol), activeBlockIndex: 0 }));
+    return entry;
+  },
+  
+  /** @returns {string} Versioned JSON of all user entries */
+  exportProtocolLibrary: () => serializeLibrary(get().protocolLibrary),
+  
+  /**
+   * Append entries from an exported library file
+   * @param {string} text - File contents
+   * @returns {{ entries: Object[], errors: string[] }}
+   */
+  importProtocolLibrary: (text) => {
+    const { protocolLibrary, setProtocolLibrary } = get();
+    const result = parseLibraryFile(text, protocolLibrary.map(entry => entry.name));
+    if (result.errors.length > 0) {
+      console.warn('[Store] Protocol library import issues:', result.errors);
+    }
+    if (result.entries.length > 0) {
+      setProtocolLibrary([...protocolLibrary, ...result.entries]);
+    }
+    return result;
   },
   
+  // ============================================================================
+  // SESSION STATE - Grouped object
+  // ============================================================================
+  session: createSessionState(),
+  
+  // Snapshot of a session cut short by a reload/crash, offered for resume
+  interruptedSession: loadInterruptedSession(),
+  
   // Pulse animation state (separate for performance - updates frequently)
   isPulsing: false,
   pulseIntensity: 0, // 0-1 for animation intensity
@@ -209,46 +687,260 @@ export const useTMSStore = create((set, get) => ({
     pulseIntensity: intensity 
   }),
   
-  startSession: () => {
+  /**
+   * Start a session if the protocol passes validation.
+   * Protocols that only fail safety-table checks can be started with
+   * an instructor override; malformed protocols never start.
+   * Multi-target protocols wait for the coil on block 1's target.
+   * @param {{ instructorOverride?: boolean }} [options]
+   * @returns {boolean} Whether the session started
+   */
+  startSession: (options = {}) => {
     const { protocol } = get();
-    if (!protocol.frequency || !protocol.pulsesPerTrain || 
-        !protocol.totalPulses || protocol.iti === null) {
-      console.warn('[Store] Cannot start - protocol not valid');
+    const motorThreshold = normalizeMotorThreshold(get().motorThreshold?.value);
+    const validation = validateSessionProtocol(protocol, { motorThreshold });
+    
+    if (validation.status === 'incomplete' || validation.status === 'invalid') {
+      console.warn('[Store] Cannot start - protocol not valid', validation.errors);
       return false;
     }
+    if (validation.status === 'unsafe' && !options.instructorOverride) {
+      console.warn('[Store] Cannot start - protocol exceeds safety limits', validation.errors);
+      return false;
+    }
+    if (validation.status === 'unsafe') {
+      console.warn('[Store] Starting unsafe protocol under instructor override', validation.errors);
+    }
+    
+    // Treatment target: block 1's target, else locked target, else selected
+    // target, else the one the coil sits on
+    const { lockedTarget, selectedTargetKey, nearestTarget, coilPosition, targetPositions } = get();
+    const multiBlock = hasBlocks(protocol);
+    const firstBlock = multiBlock ? getBlockPlan(protocol).blocks[0] : null;
+    const targetKey = multiBlock ? firstBlock.target : lockedTarget || selectedTargetKey ||
+      (nearestTarget?.distance < 20 ? nearestTarget.name : null);
+    
+    removeFromStorage(STORAGE_KEYS.activeSession);
     set({
-      session: {
+      protocol: multiBlock ? withActiveBlock(protocol, 0) : protocol,
+      activeBlockIndex: 0,
+      session: createSessionState({
         isRunning: true,
-        isPaused: false,
-        pulsesDelivered: 0,
-        elapsedTime: 0,
+        safetyOverride: validation.status === 'unsafe',
+        targetKey,
+        awaitingReposition: multiBlock,
+        motorThreshold,
+      }),
+      interruptedSession: null,
+      sessionLog: [],
+      sessionPulses: [],
+    });
+    get().logSessionEvent(SESSION_EVENTS.START, {
+      safetyOverride: validation.status === 'unsafe',
+      validationStatus: validation.status,
+      motorThreshold,
+      coil: get().coilKey,
+      ...(multiBlock && { blocks: protocol.blocks.length }),
+    });
+    if (multiBlock && checkBlockPosition(firstBlock, coilPosition, targetPositions).onTarget) {
+      get().confirmBlockPosition();
+    }
+    return true;
+  },
+  
+  /**
+   * Finish the current block of a multi-target protocol and wait for the
+   * coil to be moved to the next block's target
+   */
+  completeBlock: () => {
+    const { protocol, session } = get();
+    const next = getBlockPlan(protocol)?.blocks[session.blockIndex + 1];
+    if (!session.isRunning || !next) return;
+    
+    get().logSessionEvent(SESSION_EVENTS.BLOCK_COMPLETE, {
+      block: session.blockIndex,
+      target: session.targetKey,
+    });
+    set(state => ({
+      protocol: withActiveBlock(state.protocol, next.index),
+      activeBlockIndex: next.index,
+      session: {
+        ...state.session,
+        blockIndex: next.index,
+        blockStartTime: next.startTime,
+        elapsedTime: next.startTime,
         currentTrain: 0,
-      }
+        targetKey: next.target,
+        offTarget: false,
+        awaitingReposition: true,
+        resumeClock: null, // A recovered block's clock must not carry into the next
+      },
+    }));
+    get().saveSessionSnapshot(0);
+  },
+  
+  /**
+   * Start the waiting block once the coil is within
+   * REPOSITION_TOLERANCE_MM of its target
+   * @returns {boolean} Whether the block started
+   */
+  confirmBlockPosition: () => {
+    const { protocol, session, coilPosition, targetPositions } = get();
+    if (!session.isRunning || !session.awaitingReposition) return false;
+    
+    const block = getBlockPlan(protocol).blocks[session.blockIndex];
+    const position = checkBlockPosition(block, coilPosition, targetPositions);
+    if (!position.onTarget) {
+      console.warn(`[Store] Cannot start block ${session.blockIndex + 1} - coil not on ${block.target}`, position.distanceMm);
+      return false;
+    }
+    
+    set(state => ({ session: { ...state.session, awaitingReposition: false } }));
+    get().logSessionEvent(SESSION_EVENTS.BLOCK_START, {
+      block: session.blockIndex,
+      target: block.target,
+      distanceMm: position.distanceMm,
     });
     return true;
   },
   
-  pauseSession: () => set(state => ({
-    session: { ...state.session, isPaused: true }
-  })),
+  pauseSession: () => {
+    set(state => ({
+      session: { ...state.session, isPaused: true }
+    }));
+    get().logSessionEvent(SESSION_EVENTS.PAUSE);
+  },
   
-  resumeSession: () => set(state => ({
-    session: { ...state.session, isPaused: false }
-  })),
+  resumeSession: () => {
+    set(state => ({
+      session: { ...state.session, isPaused: false }
+    }));
+    get().logSessionEvent(SESSION_EVENTS.RESUME);
+  },
+  
+  /**
+   * End the running session
+   * @param {'stop' | 'complete'} [reason='stop'] - Operator stop or protocol finished
+   */
+  stopSession: (reason = 'stop') => {
+    removeFromStorage(STORAGE_KEYS.activeSession);
+    get().logSessionEvent(reason === 'complete' ? SESSION_EVENTS.COMPLETE : SESSION_EVENTS.STOP);
+    set(state => ({
+      session: { ...state.session, isRunning: false, isPaused: false }
+    }));
+  },
+  
+  // The log of the last session is kept so it can still be exported
+  resetSession: () => {
+    removeFromStorage(STORAGE_KEYS.activeSession);
+    set({ session: createSessionState() });
+  },
+  
+  /**
+   * Persist the running session so it can be recovered after a reload
+   * @param {number} clock - Scheduler clock (seconds from the current block's start)
+   */
+  saveSessionSnapshot: (clock) => {
+    const state = get();
+    if (!state.session.isRunning) return;
+    saveToStorage(STORAGE_KEYS.activeSession, createSessionSnapshot(state, clock));
+  },
+  
+  /**
+   * Restore an interrupted session, paused, at the point it was cut off.
+   * The interruption is appended to session.gaps.
+   * @returns {boolean} Whether a session was restored
+   */
+  resumeInterruptedSession: () => {
+    const { interruptedSession, session } = get();
+    if (!interruptedSession || session.isRunning) return false;
+    
+    const resumePoint = getResumePoint(interruptedSession);
+    const gap = createSessionGap(interruptedSession, resumePoint);
+    console.log(`[Store] Resuming session at pulse ${resumePoint.pulsesDelivered} after ${gap.duration.toFixed(0)}s gap`);
+    
+    set(state => ({
+      protocol: applyProtocol(state.protocol, interruptedSession.protocol, resumePoint.blockIndex),
+      activeBlockIndex: resumePoint.blockIndex,
+      session: createSessionState({
+        isRunning: true,
+        isPaused: true, // Operator re-checks coil placement before continuing
+        pulsesDelivered: resumePoint.pulsesDelivered,
+        elapsedTime: resumePoint.blockStartTime + resumePoint.clock,
+        currentTrain: resumePoint.trainIndex,
+        safetyOverride: interruptedSession.session.safetyOverride === true,
+        gaps: [...interruptedSession.session.gaps, gap],
+        resumeClock: resumePoint.awaitingReposition ? null : resumePoint.clock,
+        targetKey: interruptedSession.session.targetKey || null,
+        blockIndex: resumePoint.blockIndex,
+        blockStartTime: resumePoint.blockStartTime,
+        awaitingReposition: resumePoint.awaitingReposition,
+        motorThreshold: normalizeMotorThreshold(interruptedSession.session.motorThreshold),
+      }),
+      interruptedSession: null,
+      sessionLog: interruptedSession.log,
+      sessionPulses: [],
+    }));
+    get().logSessionEvent(SESSION_EVENTS.RECOVER, {
+      gapSeconds: gap.duration,
+      interruptedAt: gap.interruptedAt,
+      trainIndex: gap.trainIndex,
+    });
+    get().saveSessionSnapshot(resumePoint.clock);
+    return true;
+  },
+  
+  discardInterruptedSession: () => {
+    removeFromStorage(STORAGE_KEYS.activeSession);
+    set({ interruptedSession: null });
+  },
   
-  stopSession: () => set(state => ({
-    session: { ...state.session, isRunning: false, isPaused: false }
+  /**
+   * Publish session time from the session clock
+   * @param {number} seconds - Session seconds elapsed, excluding pauses
+   */
+  setSessionElapsed: (seconds) => set(state => ({
+    session: { ...state.session, elapsedTime: seconds }
   })),
   
-  resetSession: () => set({
-    session: {
-      isRunning: false,
-      isPaused: false,
-      pulsesDelivered: 0,
-      elapsedTime: 0,
-      currentTrain: 0,
-    }
-  }),
+  /**
+   * Flag a loop stall (hidden tab, long frame) that the scheduler caught up on
+   * @param {number} seconds - Length of the stall
+   * @param {number} pulsesCaughtUp - Pulses emitted late in the catch-up frame
+   */
+  recordTimingGap: (seconds, pulsesCaughtUp) => {
+    set(state => ({
+      session: { ...state.session, driftSeconds: state.session.driftSeconds + seconds }
+    }));
+    get().logSessionEvent(SESSION_EVENTS.TIMING_GAP, { seconds, pulsesCaughtUp });
+  },
+  
+  /**
+   * Change playback speed of the running session
+   * @param {number} timeScale - One of TIME_SCALES
+   */
+  setTimeScale: (timeScale) => {
+    const { session } = get();
+    if (!TIME_SCALES.includes(timeScale) || timeScale === session.timeScale) return;
+    get().logSessionEvent(SESSION_EVENTS.TIME_SCALE, { from: session.timeScale, to: timeScale });
+    set(state => ({ session: { ...state.session, timeScale } }));
+  },
+  
+  /**
+   * Record a jump in session time (no pulses fall inside a skip)
+   * @param {number} from - Session time before the jump (s)
+   * @param {number} to - Session time after the jump (s)
+   */
+  recordTimeSkip: (from, to) => {
+    set(state => ({
+      session: {
+        ...state.session,
+        elapsedTime: to,
+        skippedSeconds: state.session.skippedSeconds + (to - from),
+      }
+    }));
+    get().logSessionEvent(SESSION_EVENTS.SKIP, { from, to, seconds: to - from });
+  },
   
   incrementPulse: () => set(state => ({
     session: { 
@@ -257,6 +949,59 @@ export const useTMSStore = create((set, get) => ({
     }
   })),
   
+  /**
+   * Count and log pulses emitted by the scheduler in one frame
+   * @param {Object[]} events - Timeline events of the current block (PulseScheduler.getRecentEvents)
+   */
+  recordPulses: (events) => {
+    if (events.length === 0) return;
+    const state = get();
+    const block = hasBlocks(state.protocol) ? { blockIndex: state.session.blockIndex } : {};
+    const entries = events.map((event, i) => createLogEntry(
+      SESSION_EVENTS.PULSE,
+      { ...state, session: { ...state.session, pulsesDelivered: state.session.pulsesDelivered + i + 1 } },
+      { pulseIndex: event.index, trainIndex: event.trainIndex, burstIndex: event.burstIndex, ...block },
+      state.session.blockStartTime + event.time
+    ));
+    set({
+      session: {
+        ...state.session,
+        pulsesDelivered: state.session.pulsesDelivered + events.length,
+        currentTrain: events[events.length - 1].trainIndex,
+      },
+      sessionPulses: [...state.sessionPulses, ...entries],
+    });
+  },
+  
+  // ============================================================================
+  // SESSION LOG - Treatment record (see engine/sessionLog)
+  // ============================================================================
+  sessionLog: [],    // Operator/coil events
+  sessionPulses: [], // Pulse entries, kept apart so event updates don't copy them
+  
+  /**
+   * Append an event to the session log (ignored when no session is running)
+   * @param {string} type - One of SESSION_EVENTS
+   * @param {Object} [details]
+   */
+  logSessionEvent: (type, details = {}) => {
+    const state = get();
+    if (!state.session.isRunning) return;
+    set({ sessionLog: [...state.sessionLog, createLogEntry(type, state, details)] });
+  },
+  
+  /**
+   * @param {'csv' | 'json'} format
+   * @returns {string}
+   */
+  exportSessionLog: (format) => {
+    const { sessionLog, sessionPulses, protocol, session } = get();
+    const entries = mergeSessionLog(sessionLog, sessionPulses);
+    return format === 'csv'
+      ? sessionLogToCSV(entries)
+      : sessionLogToJSON(entries, protocol, session.motorThreshold);
+  },
+  
   // ============================================================================
   // COIL STATE
   // ============================================================================
@@ -264,17 +1009,272 @@ export const useTMSStore = create((set, get) => ({
   coilRotation: [0, 0, 0, 1], // Quaternion
   isCoilLocked: false,
   lockedTarget: null,
+  coilKey: loadCoilKey(), // Catalogue entry in constants/coils.js, persisted
+  
+  /** @returns {typeof COILS.figure8} The selected coil */
+  getCoil: () => getCoil(get().coilKey),
+  
+  /**
+   * Switch coils. Not allowed mid-session or mid-trial: the dose and the
+   * trial's threshold depend on the coil.
+   * @param {string} key - COILS key
+   * @returns {boolean} Whether the coil was changed
+   */
+  setCoil: (key) => {
+    const { coilKey } = get();
+    if (!COILS[key]) {
+      console.warn('[Store] Unknown coil ignored:', key);
+      return false;
+    }
+    if (isStimulationBusy(get())) {
+      console.warn('[Store] Cannot change coil during a session or rMT trial');
+      return false;
+    }
+    if (key !== coilKey) {
+      set({ coilKey: key });
+      saveToStorage(STORAGE_KEYS.coil, key);
+    }
+    return true;
+  },
   
-  setCoilPosition: (pos) => set({ coilPosition: pos }),
+  setCoilPosition: (pos) => {
+    set({ coilPosition: pos });
+    
+    // Track coil leaving/returning to the treatment target during a session
+    // (moving between block targets is expected, not an excursion)
+    const { session, targetPositions } = get();
+    if (!session.isRunning || !session.targetKey || session.awaitingReposition) return;
+    const distance = distanceToTargetMm(pos, targetPositions?.[session.targetKey]);
+    const offTarget = isOffTarget(session.offTarget, distance);
+    if (offTarget !== session.offTarget) {
+      set(state => ({ session: { ...state.session, offTarget } }));
+      get().logSessionEvent(offTarget ? SESSION_EVENTS.OFF_TARGET : SESSION_EVENTS.ON_TARGET);
+    }
+  },
   setCoilRotation: (rot) => set({ coilRotation: rot }),
   
-  lockCoil: (targetName) => set({ isCoilLocked: true, lockedTarget: targetName }),
-  unlockCoil: () => set({ isCoilLocked: false, lockedTarget: null }),
+  lockCoil: (targetName) => {
+    set({ isCoilLocked: true, lockedTarget: targetName });
+    get().logSessionEvent(SESSION_EVENTS.LOCK, { lockedTarget: targetName });
+  },
+  unlockCoil: () => {
+    const { lockedTarget } = get();
+    set({ isCoilLocked: false, lockedTarget: null });
+    get().logSessionEvent(SESSION_EVENTS.UNLOCK, { lockedTarget });
+  },
+  
+  // ============================================================================
+  // HEAD MODEL - Imported heads (engine/headLibrary.js); entries persisted
+  // to localStorage, their files to IndexedDB
+  // ============================================================================
+  headLibrary: loadHeadLibrary(),
+  activeHeadId: loadActiveHeadId(), // headLibrary entry shown, or null for the bundled head
+  headDraft: null, // Head being marked: { id, name, format, buffer, landmarks, activeKey, bodyCentre }
+  headLoadError: null, // Why the last head file could not be shown
+  
+  /**
+   * Show a saved head, or the bundled one with null. Not allowed
+   * mid-session or mid-trial: targets move with the head.
+   * @param {string | null} id
+   * @returns {boolean} Whether the head was changed
+   */
+  setActiveHead: (id) => {
+    const { headLibrary, activeHeadId, headDraft } = get();
+    if (id !== null && !headLibrary.some(entry => entry.id === id)) {
+      console.warn('[Store] Unknown head ignored:', id);
+      return false;
+    }
+    if (isStimulationBusy(get())) {
+      console.warn('[Store] Cannot change head during a session or rMT trial');
+      return false;
+    }
+    if (id !== activeHeadId || headDraft) {
+      set({ activeHeadId: id, headDraft: null, headLoadError: null, ...createHeadChangeState() });
+      saveToStorage(STORAGE_KEYS.activeHead, id);
+    }
+    return true;
+  },
+  
+  /**
+   * Show a head file for marking. With an id, re-marks that saved head.
+   * @param {{ name: string, format: string, buffer: ArrayBuffer, id?: string | null, landmarks?: Object }} file
+   * @returns {boolean} Whether marking started
+   */
+  startHeadImport: ({ name, format, buffer, id = null, landmarks = {} }) => {
+    if (!HEAD_FILE_FORMATS[format]) {
+      console.warn('[Store] Unsupported head format ignored:', format);
+      return false;
+    }
+    if (isStimulationBusy(get())) {
+      console.warn('[Store] Cannot change head during a session or rMT trial');
+      return false;
+    }
+    const picked = pickLandmarks(landmarks);
+    set({
+      headDraft: { id, name, format, buffer, landmarks: picked, activeKey: nextLandmarkKey(picked), bodyCentre: null },
+      headLoadError: null,
+      ...createHeadChangeState(),
+    });
+    return true;
+  },
+  
+  /**
+   * Fall back to the bundled head when a head file cannot be shown
+   * @param {string} message
+   */
+  failHeadLoad: (message) => {
+    console.warn('[Store] Head not loaded:', message);
+    set({ activeHeadId: null, headDraft: null, headLoadError: message, ...createHeadChangeState() });
+    saveToStorage(STORAGE_KEYS.activeHead, null);
+  },
+  
+  /**
+   * Centre of the marked model's bounds, to check LPA/RPA against
+   * @param {number[]} point - Model frame
+   */
+  setHeadDraftBodyCentre: (point) => set(state => (
+    state.headDraft ? { headDraft: { ...state.headDraft, bodyCentre: point } } : {}
+  )),
+  
+  setHeadDraftName: (name) => set(state => (
+    state.headDraft ? { headDraft: { ...state.headDraft, name } } : {}
+  )),
+  
+  /**
+   * Choose the landmark the next click on the head marks
+   * @param {string | null} key - HEAD_LANDMARK_KEYS entry
+   */
+  setHeadDraftKey: (key) => {
+    if (key !== null && !HEAD_LANDMARK_KEYS.includes(key)) {
+      console.warn('[Store] Unknown landmark ignored:', key);
+      return;
+    }
+    set(state => (state.headDraft ? { headDraft: { ...state.headDraft, activeKey: key } } : {}));
+  },
+  
+  /**
+   * Mark the active landmark. Fiducials move on to the next missing one;
+   * a target is marked once.
+   * @param {number[]} point - [x, y, z] in the model's own frame
+   */
+  markHeadLandmark: (point) => {
+    const { headDraft } = get();
+    if (!headDraft?.activeKey) return;
+    const landmarks = { ...headDraft.landmarks, [headDraft.activeKey]: point };
+    const activeKey = HEAD_FIDUCIALS[headDraft.activeKey] ? nextLandmarkKey(landmarks) : null;
+    set({ headDraft: { ...headDraft, landmarks, activeKey } });
+  },
+  
+  clearHeadLandmark: (key) => {
+    const { headDraft } = get();
+    if (!headDraft?.landmarks[key]) return;
+    const { [key]: removed, ...landmarks } = headDraft.landmarks;
+    set({ headDraft: { ...headDraft, landmarks, activeKey: key } });
+  },
+  
+  cancelHeadImport: () => {
+    if (!get().headDraft) return;
+    set({ headDraft: null, ...createHeadChangeState() });
+  },
+  
+  /**
+   * Save the head being marked and show it. A new head's file goes to
+   * IndexedDB first; nothing is saved if that fails.
+   * @returns {Promise<Object | null>} The entry, or null when unsaved
+   */
+  saveHeadDraft: async () => {
+    const { headDraft } = get();
+    if (!headDraft) return null;
+    if (!headDraft.name?.trim()) {
+      console.warn('[Store] Cannot save head without a name');
+      return null;
+    }
+    const check = validateHeadLandmarks(headDraft.landmarks, { bodyCentre: headDraft.bodyCentre });
+    if (!check.valid) {
+      console.warn('[Store] Cannot save head:', check.issues
+        .filter(issue => issue.severity === 'error')
+        .map(issue => issue.message));
+      return null;
+    }
+    
+    const existing = get().headLibrary.find(entry => entry.id === headDraft.id);
+    let entry;
+    if (existing) {
+      entry = {
+        ...existing,
+        name: headDraft.name.trim(),
+        landmarks: pickLandmarks(headDraft.landmarks),
+        updatedAt: new Date().toISOString(),
+      };
+    } else {
+      entry = createHeadEntry(headDraft);
+      if (!await saveFileToDatabase(headFileKey(entry.id), headDraft.buffer)) {
+        console.warn('[Store] Head file could not be stored - head not saved');
+        return null;
+      }
+    }
+    
+    const { headLibrary } = get();
+    const entries = existing
+      ? headLibrary.map(e => (e.id === entry.id ? entry : e))
+      : [...headLibrary, entry];
+    set(state => ({
+      headLibrary: entries,
+      activeHeadId: entry.id,
+      headDraft: state.headDraft === headDraft ? null : state.headDraft,
+    }));
+    saveToStorage(STORAGE_KEYS.headLibrary, entries);
+    saveToStorage(STORAGE_KEYS.activeHead, entry.id);
+    return entry;
+  },
+  
+  /**
+   * File of a saved head
+   * @param {string} id
+   * @returns {Promise<ArrayBuffer | null>} null when missing
+   */
+  loadHeadFile: (id) => loadFileFromDatabase(headFileKey(id)),
+  
+  /**
+   * Re-mark a saved head, loading its file from IndexedDB
+   * @param {string} id
+   * @returns {Promise<boolean>} Whether marking started
+   */
+  editHead: async (id) => {
+    const entry = get().headLibrary.find(e => e.id === id);
+    if (!entry) return false;
+    const buffer = await get().loadHeadFile(id);
+    if (!buffer) {
+      console.warn('[Store] Head file missing from browser storage:', entry.name);
+      return false;
+    }
+    return get().startHeadImport({ ...entry, buffer });
+  },
+  
+  /**
+   * Delete a saved head and its file. The shown head can only be deleted
+   * when it could be changed.
+   * @param {string} id
+   * @returns {boolean} Whether it was deleted
+   */
+  deleteHead: (id) => {
+    const { headLibrary, activeHeadId } = get();
+    if (!headLibrary.some(entry => entry.id === id)) return false;
+    if (id === activeHeadId && !get().setActiveHead(null)) return false;
+    
+    const entries = headLibrary.filter(entry => entry.id !== id);
+    set({ headLibrary: entries });
+    saveToStorage(STORAGE_KEYS.headLibrary, entries);
+    removeFileFromDatabase(headFileKey(id));
+    return true;
+  },
   
   // ============================================================================
   // TARGET STATE
   // ============================================================================
-  targetPositions: null, // Will be set when head model loads
+  targetPositions: null, // Markers merged with electrodes (mergeTargetPositions)
+  markerPositions: null, // Named targets found in the head model
+  electrodePositions: null, // 10-10 electrodes computed from the fiducials
   nearestTarget: null,
   selectedTargetKey: null, // Currently selected EEG target for UI highlight
   coilResetTrigger: 0, // Increment to trigger coil reset
@@ -286,7 +1286,14 @@ export const useTMSStore = create((set, get) => ({
   // Proximity hover state (for educational indicator)
   hoverTargetKey: null,
   
-  setTargetPositions: (positions) => set({ targetPositions: positions }),
+  setTargetPositions: (positions) => set(state => ({
+    markerPositions: positions,
+    targetPositions: mergeTargetPositions(positions, state.electrodePositions),
+  })),
+  setElectrodePositions: (positions) => set(state => ({
+    electrodePositions: positions,
+    targetPositions: mergeTargetPositions(state.markerPositions, positions),
+  })),
   setNearestTarget: (target) => set({ nearestTarget: target }),
   setSelectedTargetKey: (key) => set({ selectedTargetKey: key }),
   resetCoilPosition: () => set(state => ({ coilResetTrigger: state.coilResetTrigger + 1 })),
@@ -300,6 +1307,51 @@ export const useTMSStore = create((set, get) => ({
   // Set hover target (proximity indicator)
   setHoverTargetKey: (key) => set({ hoverTargetKey: key }),
   
+  // ============================================================================
+  // BEAM F3 MEASUREMENT - Virtual tapes on the scalp (see engine/beamF3.js)
+  // ============================================================================
+  beamF3: createBeamF3State(),
+  
+  /**
+   * Start laying a tape, or stop with null
+   * @param {string | null} key - BEAM_TAPES key
+   */
+  setActiveTape: (key) => {
+    if (key !== null && !BEAM_TAPES[key]) {
+      console.warn('[Store] Unknown tape ignored:', key);
+      return;
+    }
+    set(state => ({ beamF3: { ...state.beamF3, activeTape: key } }));
+  },
+  
+  /**
+   * Add a waypoint to the tape being laid
+   * @param {number[]} point - [x, y, z] on the scalp
+   */
+  addTapePoint: (point) => {
+    const { activeTape, waypoints } = get().beamF3;
+    if (!activeTape) return;
+    set(state => ({
+      beamF3: { ...state.beamF3, waypoints: { ...waypoints, [activeTape]: [...waypoints[activeTape], point] } },
+    }));
+  },
+  
+  undoTapePoint: () => {
+    const { activeTape, waypoints } = get().beamF3;
+    if (!activeTape || waypoints[activeTape].length === 0) return;
+    set(state => ({
+      beamF3: { ...state.beamF3, waypoints: { ...waypoints, [activeTape]: waypoints[activeTape].slice(0, -1) } },
+    }));
+  },
+  
+  clearTape: (key) => set(state => ({
+    beamF3: { ...state.beamF3, waypoints: { ...state.beamF3.waypoints, [key]: [] } },
+  })),
+  
+  setBeamF3Measurement: (measurement) => set(state => ({ beamF3: { ...state.beamF3, measurement } })),
+  
+  resetBeamF3: () => set({ beamF3: createBeamF3State() }),
+  
   // ============================================================================
   // RMT TRAINING STATE - Grouped object
   // ============================================================================
@@ -309,6 +1361,14 @@ export const useTMSStore = create((set, get) => ({
     hotspotPosition: null, // MUST be on scalp surface!
     hotspotProjected: false, // CRITICAL: Whether hotspot has been projected to surface
     trueMT: null,
+    optimalTwist: null, // Radians - per-trial best handle direction
+    hotspotMap: null, // Seeded excitability map (see engine/hotspotModel.js)
+    scenario: null, // Instructor scenario of this trial (see engine/rmtScenarios.js)
+    coil: null, // COILS key the trial is run with
+    seed: null, // Trial seed - replays the whole trial
+    rngState: null, // Trial random state (see engine/random.js)
+    pulseLog: [], // All pulses this trial, hunt and titration: { phase, intensity, hit, amplitude, preActivated }
+    startedAt: null, // Date.now() at trial start
     hotspotRevealed: false,
     intensity: 50,
     distanceToHotspot: null,
@@ -317,23 +1377,185 @@ export const useTMSStore = create((set, get) => ({
     titrationHits: 0,
     titrationLog: [],
     completionResults: null,
+    algorithmResults: null,
     lastPulseTime: 0,
     // Debug data for dev overlay
     debugData: null,
   },
   
+  // Completed rMT trials, oldest first, persisted to localStorage
+  // (see engine/trialHistory.js)
+  rmtHistory: loadRMTHistory(),
+  
+  clearRMTHistory: () => {
+    set({ rmtHistory: [] });
+    removeFromStorage(STORAGE_KEYS.rmtHistory);
+  },
+  
+  /** @returns {string} History as CSV */
+  exportRMTHistory: () => trialHistoryToCSV(get().rmtHistory),
+  
+  // Instructor scenarios saved by the user (built-ins: BUILT_IN_SCENARIOS)
+  rmtScenarios: loadRMTScenarios(),
+  
+  setRMTScenarios: (scenarios) => {
+    set({ rmtScenarios: scenarios });
+    saveToStorage(STORAGE_KEYS.rmtScenarios, scenarios);
+  },
+  
+  deleteRMTScenario: (id) => {
+    const { rmtScenarios, setRMTScenarios } = get();
+    setRMTScenarios(rmtScenarios.filter(scenario => scenario.id !== id));
+  },
+  
+  /**
+   * Save a scenario authored in the editor; one with a saved id replaces it
+   * @param {Object} raw - Scenario fields
+   * @returns {Object | null} The saved scenario, or null without a name
+   */
+  saveRMTScenario: (raw) => {
+    const { rmtScenarios, setRMTScenarios } = get();
+    const others = rmtScenarios.filter(scenario => scenario.id !== raw?.id);
+    const scenario = createScenarioEntry(raw, others.map(entry => entry.name));
+    if (!scenario) {
+      console.warn('[Store] Cannot save a scenario without a name');
+      return null;
+    }
+    const replaced = others.length < rmtScenarios.length;
+    setRMTScenarios(replaced
+      ? rmtScenarios.map(entry => (entry.id === scenario.id ? scenario : entry))
+      : [...rmtScenarios, scenario]);
+    return scenario;
+  },
+  
+  /** @returns {string} Versioned JSON of the user's scenarios */
+  exportRMTScenarios: () => serializeScenarios(get().rmtScenarios),
+  
+  /**
+   * Add scenarios from a file (export format or one bare scenario)
+   * @param {string} text - File contents
+   * @returns {{ scenarios: Object[], errors: string[] }}
+   */
+  importRMTScenarios: (text) => {
+    const { rmtScenarios, setRMTScenarios } = get();
+    const result = parseScenarioFile(text, rmtScenarios.map(scenario => scenario.name));
+    if (result.errors.length > 0) {
+      console.warn('[Store] rMT scenario import issues:', result.errors);
+    }
+    if (result.scenarios.length > 0) {
+      setRMTScenarios([...rmtScenarios, ...result.scenarios]);
+    }
+    return result;
+  },
+  
+  // Grading rubric weights, persisted to localStorage (see engine/gradingRubric.js)
+  rubricWeights: loadRubricWeights(),
+  
+  /**
+   * Change rubric weights; relative, need not sum to 100
+   * @param {Partial<typeof DEFAULT_RUBRIC_WEIGHTS>} changes
+   */
+  setRubricWeights: (changes) => {
+    const rubricWeights = normalizeRubricWeights({ ...get().rubricWeights, ...changes });
+    set({ rubricWeights });
+    saveToStorage(STORAGE_KEYS.rubricWeights, rubricWeights);
+  },
+  
+  resetRubricWeights: () => {
+    set({ rubricWeights: { ...DEFAULT_RUBRIC_WEIGHTS } });
+    removeFromStorage(STORAGE_KEYS.rubricWeights);
+  },
+  
+  // Difficulty preset for new trials' hotspot maps
+  hotspotDifficulty: DEFAULT_HOTSPOT_DIFFICULTY,
+  setHotspotDifficulty: (difficulty) => {
+    if (!HOTSPOT_DIFFICULTY[difficulty]) {
+      console.warn('[Store] Unknown hotspot difficulty:', difficulty);
+      return;
+    }
+    set({ hotspotDifficulty: difficulty });
+  },
+  
+  // MEP recruitment curve for rMT trials (see engine/mepModel.js)
+  mepModel: { ...MEP_DEFAULTS },
+  
+  /**
+   * Configure the MEP recruitment curve
+   * @param {Partial<{ plateau: number, slope: number, variability: number }>} changes
+   */
+  setMEPModel: (changes) => set(state => ({
+    mepModel: normalizeMEPModel({ ...state.mepModel, ...changes }),
+  })),
+  
+  // When on, some rMT pulses land on a pre-activated (not fully relaxed)
+  // muscle; the EMG trace shows it and the trainee should discard them
+  emgPreActivation: false,
+  setEMGPreActivation: (enabled) => set({ emgPreActivation: !!enabled }),
+  
+  // Current coil twist/tilt controls in radians (updated by TMSCoil)
+  currentCoilOrientation: { twist: 0, tilt: 0 },
+  setCurrentCoilOrientation: (twist, tilt) => set(state => (
+    state.currentCoilOrientation.twist === twist && state.currentCoilOrientation.tilt === tilt
+      ? state
+      : { currentCoilOrientation: { twist, tilt } }
+  )),
+  
+  /**
+   * Orientation penalty for the current coil twist/tilt against the
+   * trial's optimal handle direction, scaled for the trial's coil
+   * @returns {{ twist: number, tilt: number, total: number, twistError: number }}
+   */
+  getCurrentOrientationPenalty: () => {
+    const { rmt, currentCoilOrientation } = get();
+    return calculateOrientationPenalty(
+      currentCoilOrientation,
+      rmt.optimalTwist ?? ORIENTATION_CONSTANTS.optimalTwist,
+      getCoil(rmt.coil).hotspot
+    );
+  },
+  
   // Current coil world position (updated by TMSCoil every frame)
   // Used for real-time distance computation
   currentCoilWorldPos: null,
   setCurrentCoilWorldPos: (pos) => set({ currentCoilWorldPos: pos }),
   
   /**
-   * Start new trial - generates trueMT but requires surface-projected hotspot
+   * Start new trial - generates the hotspot map and trueMT but requires
+   * surface-projected hotspot
    * The scene component must call setHotspotPosition with the projected position
+   * @param {number[]|null} c3Position
+   * @param {{ seed?: number, difficulty?: string, coil?: string, mepModel?: Object,
+   *   scenario?: Object }} [options] - Seed to replay a trial; difficulty
+   *   defaults to hotspotDifficulty. A coil and MEP model (from a trial
+   *   code) replace the selected ones. A scenario fixes what it sets and
+   *   constrains the trial; its seed and difficulty apply unless given here.
    */
-  startNewTrial: (c3Position) => {
-    const hotspotOffset = generateHotspotOffset(c3Position);
-    const trueMT = generateTrueMT();
+  startNewTrial: (c3Position, options = {}) => {
+    const scenario = options.scenario ? normalizeScenario(options.scenario) : null;
+    if (options.scenario && !scenario) {
+      console.warn('[RMT] Invalid scenario ignored:', options.scenario);
+    }
+    // A replayed code brings its coil and MEP model - the same seed on
+    // another coil or curve is a different case. The new trial replaces
+    // any running one, so the mid-trial coil lock does not apply.
+    if (options.coil && COILS[options.coil] && options.coil !== get().coilKey) {
+      set({ coilKey: options.coil });
+      saveToStorage(STORAGE_KEYS.coil, options.coil);
+    }
+    if (options.mepModel) set({ mepModel: normalizeMEPModel(options.mepModel) });
+    const seed = options.seed ?? scenario?.seed ?? generateSeed();
+    const random = createRandom(seed);
+    let hotspotMap = generateHotspotMap({
+      seed,
+      difficulty: options.difficulty ?? scenario?.hotspot.difficulty ?? get().hotspotDifficulty,
+    }, random);
+    if (scenario) hotspotMap = applyScenarioToMap(hotspotMap, scenario);
+    const hotspotOffset = generateHotspotOffset(c3Position, hotspotMap, random);
+    // Always drawn, so a scenario's fixed MT leaves the rest of the trial's random stream unchanged
+    const drawnMT = generateTrueMT(hotspotMap.depthMm, random);
+    const { key: coil, hotspot } = get().getCoil();
+    const { mtLimits } = MT_CONSTANTS;
+    const trueMT = scenario?.trueMT ?? Math.max(mtLimits[0], Math.min(mtLimits[1], drawnMT * hotspot.mtScale));
     
     set(state => ({
       rmt: {
@@ -342,14 +1564,23 @@ export const useTMSStore = create((set, get) => ({
         hotspotPosition: hotspotOffset, // Temporary - will be overwritten by scene projection
         hotspotProjected: false, // CRITICAL: Not yet projected to surface!
         trueMT,
+        optimalTwist: hotspotMap.optimalTwist,
+        hotspotMap,
+        scenario,
+        coil,
+        seed,
+        rngState: random.state(),
+        pulseLog: [],
+        startedAt: Date.now(),
         hotspotRevealed: false,
-        intensity: 50,
+        intensity: scenario?.startIntensity ?? 50,
         distanceToHotspot: null,
         lastPulseResult: null,
         titrationCount: 0,
         titrationHits: 0,
         titrationLog: [],
         completionResults: null,
+        algorithmResults: null,
         lastPulseTime: 0,
         debugData: null,
       }
@@ -358,6 +1589,10 @@ export const useTMSStore = create((set, get) => ({
     console.log('[RMT] New trial started:', { 
       trialNumber: get().rmt.trialNumber,
       hotspotOffset,
+      difficulty: hotspotMap.difficulty,
+      seed: hotspotMap.seed,
+      scenario: scenario?.name ?? null,
+      coil,
       trueMT: Math.round(trueMT),
       note: 'Hotspot needs surface projection!'
     });
@@ -407,6 +1642,52 @@ export const useTMSStore = create((set, get) => ({
     return distWorld * 1000; // Convert to mm
   },
   
+  /**
+   * Coil position relative to the projected hotspot
+   * @returns {number[] | null} Coil minus hotspot [x, y, z] in mm; null
+   *   until the hotspot is projected and the coil position is known
+   */
+  getHotspotDisplacementMm: () => {
+    const { rmt, currentCoilWorldPos } = get();
+    if (!rmt.hotspotProjected || !rmt.hotspotPosition || !currentCoilWorldPos) return null;
+    return currentCoilWorldPos.map((v, i) => (v - rmt.hotspotPosition[i]) * 1000);
+  },
+  
+  /**
+   * Threshold increase from coil position. With a hotspot map and a live
+   * coil position the map decides (anisotropic, multi-peak); otherwise
+   * the isotropic distance penalty for distanceMm. Broader coils reach
+   * the hotspot from further away (hotspot.spreadScale).
+   * @param {number} distanceMm - Coil to hotspot distance (fallback)
+   * @returns {{ penalty: number, peakIndex: number, effectiveDistanceMm: number }}
+   */
+  getSpatialPenalty: (distanceMm) => {
+    const { rmt, getHotspotDisplacementMm } = get();
+    const { spreadScale } = getCoil(rmt.coil).hotspot;
+    const displacementMm = getHotspotDisplacementMm();
+    if (rmt.hotspotMap && displacementMm) {
+      return calculateMapPenalty(rmt.hotspotMap, displacementMm.map(v => v / spreadScale), MT_CONSTANTS);
+    }
+    const effectiveDistanceMm = distanceMm / spreadScale;
+    return { penalty: calculateDistancePenalty(effectiveDistanceMm), peakIndex: 0, effectiveDistanceMm };
+  },
+  
+  /**
+   * Why the running trial's scenario forbids the next pulse(s)
+   * @param {'single' | 'block'} kind - Single pulse or 10-pulse trial
+   * @returns {string | null} Reason, or null if allowed (always without a scenario)
+   */
+  getRMTPulseBlock: (kind) => {
+    const { rmt } = get();
+    return getScenarioPulseBlock(rmt.scenario, {
+      phase: rmt.phase,
+      kind,
+      count: kind === 'block' ? 10 : 1,
+      pulsesUsed: rmt.pulseLog.length,
+      elapsedSec: rmt.startedAt ? (Date.now() - rmt.startedAt) / 1000 : 0,
+    });
+  },
+  
   setRMTIntensity: (intensity) => set(state => ({
     rmt: { ...state.rmt, intensity: Math.max(0, Math.min(100, intensity)) }
   })),
@@ -438,25 +1719,29 @@ export const useTMSStore = create((set, get) => ({
       return null;
     }
     
+    const blocked = state.getRMTPulseBlock('single');
+    if (blocked) {
+      console.warn(`[RMT] Pulse blocked by scenario: ${blocked}`);
+      return null;
+    }
+    
     const trueMT = rmt.trueMT || 50;
     const intensity = rmt.intensity;
-    const penalty = calculateDistancePenalty(distanceToHotspotMm);
-    const apparentMT = calculateApparentMT(trueMT, distanceToHotspotMm);
-    const probability = calculateTwitchProbability(intensity, apparentMT);
-    const randomDraw = Math.random();
-    const twitch = randomDraw < probability;
-    
-    let amplitude = 0;
-    let category = 'none';
-    if (twitch) {
-      amplitude = calculateTwitchAmplitude(intensity, apparentMT);
-      category = getAmplitudeCategory(amplitude);
-    }
+    const spatial = state.getSpatialPenalty(distanceToHotspotMm);
+    const penalty = spatial.penalty;
+    const orientationPenalty = state.getCurrentOrientationPenalty();
+    const apparentMT = calculateApparentMT(trueMT, spatial.effectiveDistanceMm, orientationPenalty.total);
+    const probability = calculateTwitchProbability(intensity, apparentMT, state.mepModel);
+    const random = getTrialRandom(rmt);
+    const { twitch, amplitude, category } = sampleMEPResponse(intensity, apparentMT, state.mepModel, random);
+    const preActivated = state.emgPreActivation && random() < PRE_ACTIVATION_CHANCE;
     
     const pulseResult = {
       twitch,
       amplitude,
       category,
+      preActivated,
+      sweepSeed: drawSeed(random), // EMG sweep noise
       probability,
       intensity,
       apparentMT,
@@ -472,9 +1757,11 @@ export const useTMSStore = create((set, get) => ({
       hotspotPos: rmt.hotspotPosition,
       distanceMm: distanceToHotspotMm,
       penalty,
+      peakIndex: spatial.peakIndex,
+      orientationPenalty,
       apparentMT,
       probability,
-      randomDraw,
+      amplitude,
       twitch,
     };
     
@@ -489,6 +1776,8 @@ export const useTMSStore = create((set, get) => ({
           lastPulseResult: pulseResult,
           distanceToHotspot: distanceToHotspotMm,
           lastPulseTime: now,
+          rngState: random.state(),
+          pulseLog: [...rmt.pulseLog, { phase: rmt.phase, intensity, hit: twitch, amplitude, preActivated }],
           debugData,
         }
       });
@@ -502,9 +1791,11 @@ export const useTMSStore = create((set, get) => ({
           lastPulseResult: pulseResult,
           titrationCount: newCount,
           titrationHits: newHits,
-          titrationLog: [...rmt.titrationLog, { pulse: newCount, hit: twitch }],
+          titrationLog: [...rmt.titrationLog, { pulse: newCount, hit: twitch, intensity, preActivated }],
           distanceToHotspot: distanceToHotspotMm,
           lastPulseTime: now,
+          rngState: random.state(),
+          pulseLog: [...rmt.pulseLog, { phase: rmt.phase, intensity, hit: twitch, amplitude, preActivated }],
           debugData,
         }
       });
@@ -519,23 +1810,24 @@ export const useTMSStore = create((set, get) => ({
     
     if (rmt.phase !== 'titration') return null;
     
+    const blocked = state.getRMTPulseBlock('block');
+    if (blocked) {
+      console.warn(`[RMT] 10-pulse trial blocked by scenario: ${blocked}`);
+      return null;
+    }
+    
     const results = [];
     const trueMT = rmt.trueMT || 50;
     const intensity = rmt.intensity;
-    const apparentMT = calculateApparentMT(trueMT, distanceToHotspotMm);
+    const { effectiveDistanceMm } = state.getSpatialPenalty(distanceToHotspotMm);
+    const orientationPenalty = state.getCurrentOrientationPenalty().total;
+    const apparentMT = calculateApparentMT(trueMT, effectiveDistanceMm, orientationPenalty);
     
+    const random = getTrialRandom(rmt);
     for (let i = 0; i < 10; i++) {
-      const probability = calculateTwitchProbability(intensity, apparentMT);
-      const twitch = sampleTwitch(probability);
-      
-      let amplitude = 0;
-      let category = 'none';
-      if (twitch) {
-        amplitude = calculateTwitchAmplitude(intensity, apparentMT);
-        category = getAmplitudeCategory(amplitude);
-      }
-      
-      results.push({ pulse: i + 1, hit: twitch, amplitude, category });
+      const response = sampleMEPResponse(intensity, apparentMT, state.mepModel, random);
+      const preActivated = state.emgPreActivation && random() < PRE_ACTIVATION_CHANCE;
+      results.push({ pulse: i + 1, hit: response.twitch, ...response, preActivated, sweepSeed: drawSeed(random) });
     }
     
     const hitCount = results.filter(r => r.hit).length;
@@ -545,10 +1837,15 @@ export const useTMSStore = create((set, get) => ({
         ...rmt,
         titrationCount: 10,
         titrationHits: hitCount,
-        titrationLog: results.map(r => ({ pulse: r.pulse, hit: r.hit })),
+        titrationLog: results.map(r => ({ pulse: r.pulse, hit: r.hit, intensity, preActivated: r.preActivated })),
         lastPulseResult: results[results.length - 1],
         distanceToHotspot: distanceToHotspotMm,
         lastPulseTime: Date.now(),
+        rngState: random.state(),
+        pulseLog: [
+          ...rmt.pulseLog,
+          ...results.map(r => ({ phase: 'titration', intensity, hit: r.hit, amplitude: r.amplitude, preActivated: r.preActivated })),
+        ],
       }
     });
     
@@ -576,7 +1873,19 @@ export const useTMSStore = create((set, get) => ({
     
     const percentDiff = 100 * Math.abs(userClaimedMT - trueMT) / trueMT;
     const absoluteError = Math.abs(userClaimedMT - trueMT);
-    const grade = calculateGrade(percentDiff);
+    const spatial = state.getSpatialPenalty(finalDistanceMm);
+    const orientation = state.getCurrentOrientationPenalty();
+    const rubric = scoreTrial({
+      percentDiff,
+      userMT: userClaimedMT,
+      trueMT: Math.round(trueMT),
+      distanceMm: finalDistanceMm,
+      hotspotPeak: spatial.peakIndex,
+      pulseLog: rmt.pulseLog,
+      orientation,
+      tilt: state.currentCoilOrientation.tilt,
+    }, state.rubricWeights);
+    const now = Date.now();
     
     const results = {
       trueMT: Math.round(trueMT),
@@ -584,8 +1893,19 @@ export const useTMSStore = create((set, get) => ({
       percentDiff,
       absoluteError,
       distance: finalDistanceMm,
-      grade,
+      effectiveDistance: spatial.effectiveDistanceMm, // Map-equivalent distance for the response model
+      hotspotPeak: spatial.peakIndex, // 0 = primary hotspot
+      orientationPenalty: orientation.total,
+      grade: rubric.grade, // Overall, from the rubric score
+      accuracyGrade: calculateGrade(percentDiff), // Threshold accuracy alone
+      score: rubric.score,
+      criteria: rubric.criteria, // Per-criterion score and feedback
       trialNumber: rmt.trialNumber,
+      seed: rmt.seed,
+      scenario: rmt.scenario?.name ?? null,
+      coil: getCoil(rmt.coil).label,
+      pulses: rmt.pulseLog.length,
+      durationSec: rmt.startedAt ? (now - rmt.startedAt) / 1000 : null,
     };
     
     set({
@@ -597,9 +1917,53 @@ export const useTMSStore = create((set, get) => ({
       }
     });
     
+    // Record each trial once, even if the answer is resubmitted
+    if (rmt.phase !== 'complete') {
+      const record = createTrialRecord(results, {
+        pulses: results.pulses,
+        durationSec: results.durationSec,
+        difficulty: rmt.hotspotMap?.difficulty ?? null,
+      });
+      if (record) {
+        const rmtHistory = appendTrialRecord(get().rmtHistory, record);
+        set({ rmtHistory });
+        saveToStorage(STORAGE_KEYS.rmtHistory, rmtHistory);
+      }
+    }
+    
     return results;
   },
   
+  /**
+   * Run the adaptive threshold hunts on the completed trial's subject,
+   * with the coil placed and oriented as submitted, for comparison with the
+   * trainee's answer. Also fits the trainee's own titration pulses.
+   */
+  compareThresholdMethods: () => {
+    const { rmt } = get();
+    if (rmt.phase !== 'complete' || !rmt.completionResults) return null;
+    
+    const { distance, effectiveDistance = distance, orientationPenalty = 0 } = rmt.completionResults;
+    const apparentMT = calculateApparentMT(rmt.trueMT || 50, effectiveDistance, orientationPenalty);
+    const random = getTrialRandom(rmt);
+    const respond = (intensity) => sampleMEPResponse(intensity, apparentMT, get().mepModel, random).twitch;
+    
+    const methods = Object.values(HUNT_METHODS).map(method => {
+      const hunt = runThresholdHunt(method, respond, { slope: MT_CONSTANTS.k });
+      return { method, estimate: hunt.estimate, ci: hunt.ci, pulses: hunt.trials.length };
+    });
+    const trainee = getLikelihoodEstimate(
+      rmt.titrationLog
+        .filter(entry => typeof entry.intensity === 'number')
+        .map(entry => ({ intensity: entry.intensity, twitch: entry.hit })),
+      { slope: MT_CONSTANTS.k }
+    );
+    
+    const algorithmResults = { methods, trainee };
+    set(state => ({ rmt: { ...state.rmt, algorithmResults, rngState: random.state() } }));
+    return algorithmResults;
+  },
+  
   resetRMT: () => set(state => ({
     rmt: {
       phase: 'idle',
@@ -607,6 +1971,14 @@ export const useTMSStore = create((set, get) => ({
       hotspotPosition: null,
       hotspotProjected: false,
       trueMT: null,
+      optimalTwist: null,
+      hotspotMap: null,
+      scenario: null,
+      coil: null,
+      seed: null,
+      rngState: null,
+      pulseLog: [],
+      startedAt: null,
       hotspotRevealed: false,
       intensity: 50,
       distanceToHotspot: null,
@@ -615,6 +1987,7 @@ export const useTMSStore = create((set, get) => ({
       titrationHits: 0,
       titrationLog: [],
       completionResults: null,
+      algorithmResults: null,
       lastPulseTime: 0,
     }
   })),
@@ -0,0 +1,135 @@
+/**
+ * Coil Models
+ * ===========
+ * Procedural meshes for catalogue coils without a GLB (see
+ * constants/coils.js). Built in the coil frame from the field layout, so
+ * the casing sits over the windings the E-field model uses: local +Z out
+ * of the head, wings along ±X, handle along -Y, contact face at the origin.
+ */
+
+import * as THREE from 'three';
+
+const CASING_MARGIN = 0.006;  // Casing beyond the outer winding (m)
+const HANDLE_SIZE = [0.022, 0.09, 0.016]; // Width, length, height (m)
+const HELMET_RADIUS = 0.105;  // Inner radius of the H-coil helmet (m)
+const HELMET_SPREAD = 1.0;    // Polar angle the helmet covers (radians)
+
+/**
+ * Casing of one wing: a flat disc with the winding rim on top
+ * @param {number} radius - Winding radius (m)
+ * @param {number} height - Casing thickness (m)
+ * @param {THREE.Material} material
+ * @param {THREE.Material} rimMaterial
+ */
+function buildWing(radius, height, material, rimMaterial) {
+  const wing = new THREE.Group();
+
+  const casing = new THREE.Mesh(
+    new THREE.CylinderGeometry(radius + CASING_MARGIN, radius + CASING_MARGIN, height, 48),
+    material
+  );
+  casing.rotation.x = Math.PI / 2; // Cylinder axis Y -> Z
+  wing.add(casing);
+
+  const rim = new THREE.Mesh(new THREE.TorusGeometry(radius, height * 0.2, 8, 48), rimMaterial);
+  rim.position.z = height / 2;
+  wing.add(rim);
+
+  return wing;
+}
+
+/**
+ * Flat or folded wings with a handle (circular, figure-8, double-cone)
+ * @param {Object} field - Catalogue field layout
+ * @param {THREE.Material} material
+ * @param {THREE.Material} rimMaterial
+ */
+function buildWings({ wings, wingRadius, wingOffset, wingAngleDeg, windingHeight }, material, rimMaterial) {
+  const group = new THREE.Group();
+  const height = windingHeight * 2;
+  const sides = wings === 1 ? [1] : [1, -1];
+
+  sides.forEach(side => {
+    // Same fold as engine/efieldModel.js buildCoilDipoles: about the
+    // centre line at winding height, outer edge toward the head
+    const pivot = new THREE.Group();
+    pivot.position.z = windingHeight;
+    pivot.rotation.y = side * wingAngleDeg * Math.PI / 180;
+
+    const wing = buildWing(wingRadius, height, material, rimMaterial);
+    wing.position.x = wings === 1 ? 0 : side * wingOffset;
+    pivot.add(wing);
+    group.add(pivot);
+  });
+
+  const [width, length, thickness] = HANDLE_SIZE;
+  const handle = new THREE.Mesh(new THREE.BoxGeometry(width, length, thickness), material);
+  const start = wings === 1 ? wingRadius : wingRadius * 0.3;
+  handle.position.set(0, -(start + length / 2), windingHeight + thickness / 2);
+  group.add(handle);
+
+  return group;
+}
+
+/**
+ * Helmet shell resting on the head at its crown (H-coil)
+ * @param {Object} field - Catalogue field layout
+ * @param {THREE.Material} material
+ */
+function buildHelmet({ windingHeight }, material) {
+  const group = new THREE.Group();
+  const shell = new THREE.Mesh(
+    new THREE.SphereGeometry(HELMET_RADIUS + windingHeight, 48, 16, 0, Math.PI * 2, 0, HELMET_SPREAD),
+    material
+  );
+  // Sphere pole +Y -> +Z, crown at the contact face
+  shell.rotation.x = Math.PI / 2;
+  shell.position.z = -HELMET_RADIUS;
+  group.add(shell);
+  return group;
+}
+
+/**
+ * Build the mesh of a procedural catalogue coil
+ * @param {typeof import('../constants/coils.js').COILS.figure8} coil
+ * @returns {THREE.Group} Contact face at the origin; userData.procedural
+ *   marks geometry and materials the caller owns and must dispose
+ */
+export function buildCoilModel(coil) {
+  const { shape, color } = coil.model;
+  const material = new THREE.MeshStandardMaterial({
+    color,
+    roughness: 0.5,
+    metalness: 0.2,
+    side: shape === 'helmet' ? THREE.DoubleSide : THREE.FrontSide,
+    transparent: shape === 'helmet',
+    opacity: shape === 'helmet' ? 0.55 : 1,
+  });
+
+  let model;
+  if (shape === 'helmet') {
+    model = buildHelmet(coil.field, material);
+  } else {
+    if (shape !== 'wings') console.warn(`[CoilModels] Unknown shape "${shape}" - drawing wings`);
+    const rimMaterial = new THREE.MeshStandardMaterial({ color: '#e5e7eb', roughness: 0.4, metalness: 0.6 });
+    model = buildWings(coil.field, material, rimMaterial);
+  }
+  model.name = coil.key;
+  model.userData.procedural = true;
+  return model;
+}
+
+/**
+ * Free a procedural coil model
+ * @param {THREE.Object3D} model
+ */
+export function disposeCoilModel(model) {
+  if (!model.userData.procedural) return;
+  const materials = new Set();
+  model.traverse(child => {
+    if (!child.isMesh) return;
+    child.geometry.dispose();
+    materials.add(child.material);
+  });
+  materials.forEach(material => material.dispose());
+}
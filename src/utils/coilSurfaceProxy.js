@@ -13,6 +13,7 @@
  */
 
 import * as THREE from 'three';
+import { mergeVertices } from 'three/examples/jsm/utils/BufferGeometryUtils.js';
 
 /**
  * Compute the best-fit plane from fiducial points
@@ -249,7 +250,7 @@ export function buildCoilProxySurface({
   const domeRadius = baseRadius * 1.15;
   
   // Create hemisphere geometry
-  const geometry = new THREE.SphereGeometry(
+  const sphere = new THREE.SphereGeometry(
     domeRadius,
     lonSegments,
     latSegments,
@@ -259,6 +260,13 @@ export function buildCoilProxySurface({
     Math.PI / 2  // Only top hemisphere
   );
   
+  // Weld the pole and seam duplicates (they differ only in UV): smoothed
+  // apart, they open a hole over the vertex that rays slip through
+  sphere.deleteAttribute('uv');
+  sphere.deleteAttribute('normal');
+  const geometry = mergeVertices(sphere);
+  sphere.dispose();
+  
   // Transform hemisphere to align with fiducial plane
   // Default hemisphere has Y-up, we need to rotate to align with plane normal
   const quaternion = new THREE.Quaternion();
@@ -380,15 +388,15 @@ export function buildCoilProxySurface({
   const material = new THREE.MeshBasicMaterial({
     color: 0x00ffff,
     transparent: true,
-    opacity: import.meta.env.DEV ? 0.15 : 0,
-    wireframe: import.meta.env.DEV,
+    opacity: import.meta.env?.DEV ? 0.15 : 0,
+    wireframe: !!import.meta.env?.DEV,
     side: THREE.DoubleSide,
     depthWrite: false,
   });
   
   const mesh = new THREE.Mesh(geometry, material);
   mesh.name = 'coilProxySurface';
-  mesh.visible = import.meta.env.DEV; // Only visible in dev mode
+  mesh.visible = !!import.meta.env?.DEV; // Only visible in dev mode
   
   // Store metadata for boundary clamping AND raycasting
   mesh.userData = {
@@ -0,0 +1,140 @@
+/**
+ * Head Import
+ * ===========
+ * Turns a user's GLB/OBJ/STL file into a head the scene can use, as
+ * HeadModel does for the bundled head.glb: scaled to head size with
+ * normalizeModelScale, then posed from the marked fiducials
+ * (engine/headLibrary.js) so the coil proxy surface and the electrodes
+ * see the nose toward +Z and the vertex up.
+ *
+ * The model sits in a container group; landmarks are in the container's
+ * frame, which is the file's own.
+ */
+
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader.js';
+import { STLLoader } from 'three/examples/jsm/loaders/STLLoader.js';
+import { normalizeModelScale } from './scaleNormalization.js';
+import { HEAD_FIDUCIAL_KEYS, computeHeadAlignment } from '../engine/headLibrary.js';
+import { TARGET_KEYS } from '../constants/targets.js';
+
+// Where an unposed head is shown while its fiducials are marked
+const UNPOSED_CENTRE = new THREE.Vector3(0, 0.08, 0);
+
+// OBJ and STL files carry no usable material
+function createSkinMaterial() {
+  return new THREE.MeshStandardMaterial({ color: '#d9b8a3', roughness: 0.7, metalness: 0 });
+}
+
+/**
+ * Parse a head file
+ * @param {ArrayBuffer} buffer - File contents
+ * @param {'glb' | 'obj' | 'stl'} format
+ * @returns {Promise<THREE.Object3D>}
+ */
+export function parseHeadFile(buffer, format) {
+  if (format === 'glb') {
+    return new Promise((resolve, reject) => {
+      new GLTFLoader().parse(buffer, '', gltf => resolve(gltf.scene), reject);
+    });
+  }
+
+  try {
+    if (format === 'obj') {
+      const group = new OBJLoader().parse(new TextDecoder().decode(buffer));
+      const material = createSkinMaterial();
+      group.traverse((child) => {
+        if (child.isMesh) child.material = material;
+      });
+      return Promise.resolve(group);
+    }
+    if (format === 'stl') {
+      const geometry = new STLLoader().parse(buffer);
+      if (!geometry.attributes.normal) geometry.computeVertexNormals();
+      return Promise.resolve(new THREE.Mesh(geometry, createSkinMaterial()));
+    }
+  } catch (err) {
+    return Promise.reject(err);
+  }
+  return Promise.reject(new Error(`Unsupported head format: ${format}`));
+}
+
+// Largest mesh by bounding sphere - the scalp, not the markers or eyes
+function findHeadMesh(object) {
+  let headMesh = null;
+  let maxRadius = 0;
+  object.traverse((child) => {
+    if (!child.isMesh || !child.geometry) return;
+    child.geometry.computeBoundingSphere();
+    const radius = child.geometry.boundingSphere?.radius || 0;
+    if (radius > maxRadius) {
+      maxRadius = radius;
+      headMesh = child;
+    }
+  });
+  if (headMesh) headMesh.geometry.computeBoundingBox();
+  return headMesh;
+}
+
+/**
+ * Scale and pose a parsed head. Until all four fiducials are marked the
+ * head keeps the file's orientation, centred in view.
+ * @param {THREE.Object3D} model - parseHeadFile output; re-parented
+ * @param {Object<string, number[]>} landmarks - Model frame; only the
+ *   fiducials are used
+ * @returns {{ scene: THREE.Group, headMesh: THREE.Mesh | null,
+ *   fiducials: Object<string, THREE.Vector3>, bodyCentre: number[], posed: boolean }}
+ *   Marked fiducials in world space, and the centre of the model's
+ *   bounds in its own frame
+ */
+export function buildImportedHead(model, landmarks) {
+  const scene = new THREE.Group();
+  scene.add(model);
+  scene.updateMatrixWorld(true);
+  const bodyCentre = new THREE.Box3().setFromObject(model).getCenter(new THREE.Vector3());
+
+  const { scaleFactor } = normalizeModelScale(scene, 'head', false);
+  const alignment = computeHeadAlignment(landmarks, scaleFactor);
+  if (alignment) {
+    scene.quaternion.fromArray(alignment.quaternion);
+    scene.position.fromArray(alignment.position);
+  } else {
+    scene.position.copy(UNPOSED_CENTRE).addScaledVector(bodyCentre, -scaleFactor);
+  }
+  scene.updateMatrixWorld(true);
+
+  return {
+    scene,
+    headMesh: findHeadMesh(model),
+    fiducials: landmarksToWorld(scene, landmarks, HEAD_FIDUCIAL_KEYS),
+    bodyCentre: bodyCentre.toArray(),
+    posed: Boolean(alignment),
+  };
+}
+
+/**
+ * World positions of marked landmarks
+ * @param {THREE.Object3D} scene - buildImportedHead container
+ * @param {Object<string, number[]>} landmarks - Model frame
+ * @param {string[]} [keys] - Landmarks to convert (default the targets)
+ * @returns {Object<string, THREE.Vector3>}
+ */
+export function landmarksToWorld(scene, landmarks, keys = TARGET_KEYS) {
+  return Object.fromEntries(keys
+    .filter(key => landmarks[key])
+    .map(key => [key, new THREE.Vector3(...landmarks[key]).applyMatrix4(scene.matrixWorld)]));
+}
+
+/**
+ * Free a parsed head's geometries and materials
+ * @param {THREE.Object3D} model
+ */
+export function disposeHead(model) {
+  model.traverse((child) => {
+    if (!child.isMesh) return;
+    child.geometry?.dispose();
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    materials.forEach(material => material?.dispose());
+  });
+}
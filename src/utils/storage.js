@@ -0,0 +1,211 @@
+/**
+ * Browser Storage Utility
+ * =======================
+ * Thin wrappers around localStorage, an IndexedDB file store and file
+ * download/upload.
+ *
+ * All functions degrade to no-ops when the browser APIs are missing
+ * (Node test runs, private mode quota errors) so callers never need
+ * to guard them.
+ */
+
+// Namespaced localStorage keys - bump the suffix when a format changes incompatibly
+export const STORAGE_KEYS = {
+  protocolLibrary: 'tms-sim:protocol-library:v1',
+  activeSession: 'tms-sim:active-session:v1',
+  motorThreshold: 'tms-sim:motor-threshold:v1',
+  rmtHistory: 'tms-sim:rmt-history:v1',
+  rmtScenarios: 'tms-sim:rmt-scenarios:v1',
+  rubricWeights: 'tms-sim:rubric-weights:v1',
+  coil: 'tms-sim:coil:v1',
+  headLibrary: 'tms-sim:head-library:v1',
+  activeHead: 'tms-sim:active-head:v1',
+};
+
+// IndexedDB holds binary files too large for localStorage (imported heads)
+const FILE_DATABASE = 'tms-sim';
+const FILE_STORE = 'files';
+let fileDatabase = null;
+
+function getLocalStorage() {
+  try {
+    return typeof localStorage !== 'undefined' ? localStorage : null;
+  } catch (e) {
+    // Access can throw when storage is disabled
+    return null;
+  }
+}
+
+/**
+ * Read a JSON value from localStorage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Returned when missing or unreadable
+ * @returns {*}
+ */
+export function loadFromStorage(key, fallback = null) {
+  const storage = getLocalStorage();
+  if (!storage) return fallback;
+
+  try {
+    const raw = storage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    console.warn(`[Storage] Failed to read ${key}:`, err);
+    return fallback;
+  }
+}
+
+/**
+ * Write a JSON value to localStorage
+ * @param {string} key - Storage key
+ * @param {*} value - JSON-serializable value
+ * @returns {boolean} True if written
+ */
+export function saveToStorage(key, value) {
+  const storage = getLocalStorage();
+  if (!storage) return false;
+
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (err) {
+    console.warn(`[Storage] Failed to write ${key}:`, err);
+    return false;
+  }
+}
+
+/**
+ * Remove a key from localStorage
+ * @param {string} key - Storage key
+ */
+export function removeFromStorage(key) {
+  const storage = getLocalStorage();
+  if (!storage) return;
+
+  try {
+    storage.removeItem(key);
+  } catch (err) {
+    console.warn(`[Storage] Failed to remove ${key}:`, err);
+  }
+}
+
+function openFileDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!fileDatabase) {
+    fileDatabase = new Promise((resolve) => {
+      const request = indexedDB.open(FILE_DATABASE, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(FILE_STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[Storage] Failed to open the file database:', request.error);
+        fileDatabase = null;
+        resolve(null);
+      };
+    });
+  }
+  return fileDatabase;
+}
+
+// One request against the file store, settled when its transaction ends:
+// a write only counts once committed, so an abort after the request
+// succeeded (quota, close) still resolves fallback
+async function runFileRequest(mode, makeRequest, fallback) {
+  const db = await openFileDatabase();
+  if (!db) return fallback;
+
+  return new Promise((resolve) => {
+    try {
+      const transaction = db.transaction(FILE_STORE, mode);
+      const request = makeRequest(transaction.objectStore(FILE_STORE));
+      let failed = false;
+      const fail = () => {
+        if (failed) return;
+        failed = true;
+        console.warn('[Storage] File store transaction failed:', transaction.error ?? request.error);
+        resolve(fallback);
+      };
+      transaction.oncomplete = () => resolve(mode === 'readonly' ? (request.result ?? fallback) : true);
+      transaction.onerror = fail;
+      transaction.onabort = fail;
+    } catch (err) {
+      console.warn('[Storage] File store request failed:', err);
+      resolve(fallback);
+    }
+  });
+}
+
+/**
+ * Store a binary file in IndexedDB
+ * @param {string} key
+ * @param {ArrayBuffer} data
+ * @returns {Promise<boolean>} True if written
+ */
+export function saveFileToDatabase(key, data) {
+  return runFileRequest('readwrite', store => store.put(data, key), false);
+}
+
+/**
+ * Read a binary file from IndexedDB
+ * @param {string} key
+ * @returns {Promise<ArrayBuffer | null>} null when missing or unreadable
+ */
+export function loadFileFromDatabase(key) {
+  return runFileRequest('readonly', store => store.get(key), null);
+}
+
+/**
+ * Remove a file from IndexedDB
+ * @param {string} key
+ * @returns {Promise<boolean>} True if removed
+ */
+export function removeFileFromDatabase(key) {
+  return runFileRequest('readwrite', store => store.delete(key), false);
+}
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} [mimeType='application/json']
+ */
+export function downloadFile(filename, content, mimeType = 'application/json') {
+  if (typeof document === 'undefined') return;
+
+  const blob = new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Read a user-selected File as text
+ * @param {File} file
+ * @returns {Promise<string>}
+ */
+export function readFileAsText(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+}
+
+/**
+ * Read a user-selected File as binary
+ * @param {File} file
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function readFileAsArrayBuffer(file) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(file);
+  });
+}
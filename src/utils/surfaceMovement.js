@@ -344,6 +344,23 @@ export class ScalpSurface {
   }
 }
 
+/**
+ * Point projector onto the scalp under a proxy surface, for the path
+ * functions in engine/scalpPaths.js
+ * @param {THREE.Mesh} surfaceMesh - Coil proxy surface (world space)
+ * @param {number} offsetMm - Proxy height above the scalp
+ * @returns {(point: number[]) => number[] | null}
+ */
+export function createScalpProjector(surfaceMesh, offsetMm) {
+  const surface = new ScalpSurface();
+  surface.setMesh(surfaceMesh);
+  const target = new THREE.Vector3();
+  return (point) => {
+    const hit = surface.findSurfacePoint(target.fromArray(point));
+    return hit ? hit.point.clone().addScaledVector(hit.normal, -offsetMm / 1000).toArray() : null;
+  };
+}
+
 // ============================================================================
 // SPHERICAL GHOST SYSTEM
 // ============================================================================
@@ -577,9 +594,11 @@ export function keysToMoveDirection(keys, camera, surfaceNormal = null) {
 
 /**
  * Clamp tilt pitch to configured limits (R/F control)
+ * @param {number} pitch - Radians
+ * @param {number} [maxTilt=MOVEMENT_CONFIG.maxTilt] - Limit of the coil holder
  */
-export function clampTilt(pitch) {
-  return Math.max(-MOVEMENT_CONFIG.maxTilt, Math.min(MOVEMENT_CONFIG.maxTilt, pitch));
+export function clampTilt(pitch, maxTilt = MOVEMENT_CONFIG.maxTilt) {
+  return Math.max(-maxTilt, Math.min(maxTilt, pitch));
 }
 
 /**